@@ -1,6 +1,19 @@
 const specsService = require('../services/specsService');
 const { validateSpec } = require('../validators/openapiValidator');
+const { diffSpecs } = require('../services/specDiffService');
+const specLinter = require('../validators/specLinter');
+const specConversionService = require('../services/specConversionService');
+const operationIndexService = require('../services/operationIndexService');
+const distTagService = require('../services/distTagService');
+const specResolutionService = require('../services/specResolutionService');
+const changelogService = require('../services/changelogService');
+const specLifecycleService = require('../services/specLifecycleService');
+const specSignatureService = require('../services/specSignatureService');
+const accessControlService = require('../services/accessControlService');
+const { storage } = require('../database/storage');
 const { errors } = require('../lib/shared-libraries');
+const { checkReadAccess, checkManageAccess } = require('../utils/auth');
+const semver = require('semver');
 const winston = require('winston');
 
 // Configure logger
@@ -19,7 +32,8 @@ const logger = winston.createLogger({
 // POST /specs
 exports.registerSpec = async (req, res) => {
   try {
-    const { serviceName, version, specification, description, deprecated } = req.body;
+    const { serviceName, version, description, deprecated } = req.body;
+    let { specification } = req.body;
 
     // Validate required fields
     if (!serviceName || !version || !specification) {
@@ -39,19 +53,73 @@ exports.registerSpec = async (req, res) => {
       );
     }
 
+    // Swagger 2.0 documents are stored as OpenAPI 3, keeping the original alongside
+    let originalSpecification = null;
+    let conversion = null;
+    if (specConversionService.isSwagger2(specification)) {
+      const converted = specConversionService.convertSwagger2(specification);
+      originalSpecification = specification;
+      specification = converted.specification;
+      conversion = {
+        sourceFormat: 'swagger',
+        sourceVersion: originalSpecification.swagger,
+        warnings: converted.warnings,
+        convertedAt: new Date().toISOString()
+      };
+
+      if (converted.warnings.length > 0) {
+        logger.warn(`Lossy Swagger 2.0 conversion for ${serviceName}@${version}`, { warnings: converted.warnings });
+      }
+    }
+
+    // Lint against the default ruleset; findings are stored alongside the spec
+    const lint = {
+      ...specLinter.lintSpec(specification),
+      lintedAt: new Date().toISOString()
+    };
+
+    // Index operations for cross-service operation search
+    const endpoints = operationIndexService.extractEndpoints(specification);
+
+    // Diff against the previous version so consumers can see what changed
+    let compatibility = null;
+    const previousSpec = await specsService.getPreviousSpec(serviceName, version);
+    if (previousSpec) {
+      const diff = await diffSpecs(previousSpec.specification, specification);
+      compatibility = {
+        previousVersion: previousSpec.version,
+        hasBreakingChanges: diff.summary.hasBreakingChanges,
+        breakingChanges: diff.breaking,
+        nonBreakingChanges: diff.nonBreaking,
+        comparedAt: new Date().toISOString()
+      };
+    }
+
     // Store spec
     const result = await specsService.saveSpec({
       serviceName,
       version,
       specification,
       description,
-      deprecated
+      deprecated,
+      compatibility,
+      lint,
+      endpoints,
+      originalSpecification,
+      conversion
     });
 
     logger.info(`Specification registered: ${serviceName}@${version}`);
     res.status(201).json(result);
   } catch (err) {
     logger.error(`Error registering specification: ${err.message}`, { error: err.stack });
+
+    if (err.code === 'service/not-found') {
+      return res.status(404).json(
+        errors.format(err.code, err.message)
+      );
+    }
+
     res.status(500).json(
       errors.format('internal/server-error', 'Error registering specification')
     );
@@ -160,13 +228,87 @@ exports.deleteSpec = async (req, res) => {
   }
 };
 
-// PATCH /specs/:serviceName/:version/deprecate
+// Largest accepted migration notes, matching the spec model
+const MAX_MIGRATION_NOTES_LENGTH = 5000;
+
+// Check the deprecation terms in a request body; returns the terms or an error response body
+const parseDeprecationTerms = (body = {}) => {
+  const { sunsetDate, replacementVersion, migrationNotes } = body;
+  const terms = {};
+
+  if (sunsetDate !== undefined && sunsetDate !== null) {
+    const date = new Date(sunsetDate);
+    if (typeof sunsetDate !== 'string' || Number.isNaN(date.getTime()) || date <= new Date()) {
+      return { error: errors.format('validation/invalid-sunset-date', 'sunsetDate must be a future ISO 8601 date') };
+    }
+    terms.sunsetDate = date;
+  }
+
+  if (replacementVersion !== undefined && replacementVersion !== null) {
+    if (!semver.valid(replacementVersion)) {
+      return { error: errors.format('validation/invalid-version', 'replacementVersion must be a semantic version') };
+    }
+    terms.replacementVersion = replacementVersion;
+  }
+
+  if (migrationNotes !== undefined && migrationNotes !== null) {
+    if (typeof migrationNotes !== 'string' || migrationNotes.length > MAX_MIGRATION_NOTES_LENGTH) {
+      return {
+        error: errors.format('validation/invalid-migration-notes',
+          `migrationNotes must be text of at most ${MAX_MIGRATION_NOTES_LENGTH} characters`)
+      };
+    }
+    terms.migrationNotes = migrationNotes.trim();
+  }
+
+  return { terms };
+};
+
+const lifecycleResponse = (spec) => ({
+  id: spec.id,
+  serviceName: spec.serviceName,
+  version: spec.version,
+  deprecated: spec.deprecated,
+  deprecationDate: spec.deprecationDate,
+  sunsetDate: spec.sunsetDate,
+  replacementVersion: spec.replacementVersion,
+  migrationNotes: spec.migrationNotes,
+  retired: spec.retired,
+  updatedAt: spec.updatedAt
+});
+
+// Deprecation errors the caller can act on
+const sendLifecycleError = (res, err) => {
+  if (err.code === 'lifecycle/retired') {
+    res.status(409).json(errors.format(err.code, err.message));
+    return true;
+  }
+  if (err.code === 'lifecycle/invalid-replacement') {
+    res.status(400).json(errors.format(err.code, err.message));
+    return true;
+  }
+  return false;
+};
+
+// PATCH /api/v1/specs/:serviceName/:version/deprecate
 exports.deprecateSpec = async (req, res) => {
   try {
     const { serviceName, version } = req.params;
 
-    logger.info(`Deprecating specification: ${serviceName}@${version}`);
-    const spec = await specsService.deprecateSpec(serviceName, version);
+    const invalid = invalidSpecParams(serviceName, version);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    const { terms, error } = parseDeprecationTerms(req.body || {});
+    if (error) {
+      return res.status(400).json(error);
+    }
+    if (!await authorizeServiceChange(req, res, serviceName)) {
+      return;
+    }
+
+    logger.info(`Deprecating specification: ${serviceName}@${version}`, { sunsetDate: terms.sunsetDate });
+    const spec = await specsService.deprecateSpec(serviceName, version, terms);
 
     if (!spec) {
       logger.warn(`Specification not found for deprecation: ${serviceName}@${version}`);
@@ -175,14 +317,11 @@ exports.deprecateSpec = async (req, res) => {
       );
     }
 
-    res.json({
-      id: spec.id,
-      serviceName: spec.serviceName,
-      version: spec.version,
-      deprecated: spec.deprecated,
-      updatedAt: spec.updatedAt
-    });
+    res.json(lifecycleResponse(spec));
   } catch (err) {
+    if (sendLifecycleError(res, err)) {
+      return;
+    }
     logger.error(`Error deprecating specification: ${err.message}`, { error: err.stack });
     res.status(500).json(
       errors.format('internal/server-error', 'Error deprecating specification')
@@ -190,17 +329,527 @@ exports.deprecateSpec = async (req, res) => {
   }
 };
 
+// DELETE /api/v1/specs/:serviceName/:version/deprecate
+exports.undeprecateSpec = async (req, res) => {
+  try {
+    const { serviceName, version } = req.params;
+
+    const invalid = invalidSpecParams(serviceName, version);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    if (!await authorizeServiceChange(req, res, serviceName)) {
+      return;
+    }
+
+    const spec = await specsService.undeprecateSpec(serviceName, version);
+    if (!spec) {
+      return res.status(404).json(
+        errors.format('spec/not-found', `Specification for ${serviceName}@${version} not found`)
+      );
+    }
+
+    logger.info(`Deprecation withdrawn: ${serviceName}@${version}`);
+    res.json(lifecycleResponse(spec));
+  } catch (err) {
+    if (sendLifecycleError(res, err)) {
+      return;
+    }
+    logger.error(`Error withdrawing deprecation: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error withdrawing deprecation')
+    );
+  }
+};
+
+// GET /api/v1/specs/:serviceName/:version/lifecycle
+exports.getSpecLifecycle = async (req, res) => {
+  try {
+    const { serviceName, version } = req.params;
+
+    const invalid = invalidSpecParams(serviceName, version);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const found = await specLifecycleService.getLifecycle(serviceName, version);
+    if (!found) {
+      return res.status(404).json(
+        errors.format('spec/not-found', `Specification for ${serviceName}@${version} not found`)
+      );
+    }
+    if (!await checkReadAccess(req, res, found.spec, found.service)) {
+      return;
+    }
+
+    await specLifecycleService.setDeprecationHeaders(res, found.spec, serviceName);
+    res.json({ serviceName, ...found.lifecycle });
+  } catch (err) {
+    logger.error(`Error retrieving specification lifecycle: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error retrieving specification lifecycle')
+    );
+  }
+};
+
+// Service names and versions become storage paths, so only plain names and semantic versions are accepted
+const invalidSpecParams = (serviceName, version) => {
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(serviceName) || !semver.valid(version)) {
+    return errors.format('validation/invalid-parameters', 'Service name must be a plain name and version a semantic version');
+  }
+  return null;
+};
+
+// History is read from the storage git repository, which is only kept when GIT_ENABLED is set
+const historyUnavailable = () =>
+  errors.format('history/unavailable', 'Specification history is not enabled; set GIT_ENABLED=true');
+
+// Revisions of a stored spec are restricted like the spec itself. Once the spec is
+// removed its grants are gone too, so its history is treated as restricted with no grants.
+const authorizeHistoryRead = async (req, res, serviceName, version) => {
+  const access = await specsService.getSpecAccess(serviceName, version);
+  return access
+    ? checkReadAccess(req, res, access.spec, access.service)
+    : checkReadAccess(req, res, { isPublic: false });
+};
+
+// Reverts restore the content, visibility and grants a spec had, tags pick the version clients
+// get and deprecation schedules a version's retirement, so they act for the service and are
+// limited like changing its grants
+const authorizeServiceChange = async (req, res, serviceName) => {
+  const service = await storage.services.findOne({ name: serviceName, deletedAt: { $exists: false } }, { select: 'did' });
+  return checkManageAccess(req, res, service);
+};
+
+// GET /api/v1/specs/:serviceName/:version/history
+exports.getSpecHistory = async (req, res) => {
+  try {
+    const { serviceName, version } = req.params;
+
+    const invalid = invalidSpecParams(serviceName, version);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    if (!specsService.isHistoryEnabled()) {
+      return res.status(503).json(historyUnavailable());
+    }
+    if (!await authorizeHistoryRead(req, res, serviceName, version)) {
+      return;
+    }
+
+    const history = await specsService.getSpecHistory(serviceName, version);
+    if (history.length === 0) {
+      return res.status(404).json(
+        errors.format('spec/not-found', `No history found for ${serviceName}@${version}`)
+      );
+    }
+
+    res.json({
+      serviceName,
+      version,
+      history: history.map(entry => ({
+        ...entry,
+        url: `/api/v1/specs/${serviceName}/${version}/at/${entry.commit}`
+      }))
+    });
+  } catch (err) {
+    logger.error(`Error getting specification history: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error retrieving specification history')
+    );
+  }
+};
+
+// GET /api/v1/specs/:serviceName/:version/at/:commit
+exports.getSpecAtCommit = async (req, res) => {
+  try {
+    const { serviceName, version, commit } = req.params;
+
+    const invalid = invalidSpecParams(serviceName, version);
+    if (invalid || !/^[0-9a-f]{4,40}$/i.test(commit)) {
+      return res.status(400).json(
+        invalid || errors.format('validation/invalid-commit', 'Commit must be a full or abbreviated commit hash')
+      );
+    }
+    if (!specsService.isHistoryEnabled()) {
+      return res.status(503).json(historyUnavailable());
+    }
+    if (!await authorizeHistoryRead(req, res, serviceName, version)) {
+      return;
+    }
+
+    const revision = await specsService.getSpecAtCommit(serviceName, version, commit.toLowerCase());
+    if (!revision) {
+      return res.status(404).json(
+        errors.format('spec/not-found', `Specification for ${serviceName}@${version} not found at ${commit}`)
+      );
+    }
+
+    // Grants are kept in history so a revert can restore them, but are not shown to readers
+    const { accessControl, ...spec } = revision.spec;
+    res.set('X-Spec-Commit', revision.commit);
+    res.json(spec);
+  } catch (err) {
+    logger.error(`Error getting specification revision: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error retrieving specification revision')
+    );
+  }
+};
+
+// POST /api/v1/specs/:serviceName/:version/revert
+exports.revertSpec = async (req, res) => {
+  try {
+    const { serviceName, version } = req.params;
+    const { commit } = req.body || {};
+
+    const invalid = invalidSpecParams(serviceName, version);
+    if (invalid || typeof commit !== 'string' || !/^[0-9a-f]{4,40}$/i.test(commit)) {
+      return res.status(400).json(
+        invalid || errors.format('validation/invalid-commit', 'Request body must include the commit to revert to')
+      );
+    }
+    if (!specsService.isHistoryEnabled()) {
+      return res.status(503).json(historyUnavailable());
+    }
+    if (!await authorizeServiceChange(req, res, serviceName)) {
+      return;
+    }
+
+    const result = await specsService.revertSpec(serviceName, version, commit.toLowerCase());
+    if (!result) {
+      return res.status(404).json(
+        errors.format('spec/not-found', `Specification for ${serviceName}@${version} not found at ${commit}`)
+      );
+    }
+
+    logger.info(`Specification reverted: ${serviceName}@${version} to ${result.revertedTo}`);
+    res.json(result);
+  } catch (err) {
+    logger.error(`Error reverting specification: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error reverting specification')
+    );
+  }
+};
+
+// Tags are plain lower-case names that cannot be read as versions or ranges
+const invalidTagParams = (serviceName, tag) => {
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(serviceName) || (tag !== undefined && !distTagService.isValidTagName(tag))) {
+    return errors.format('validation/invalid-parameters',
+      'Service name must be a plain name and tag a lower-case name that is not a version or range, e.g. "beta"');
+  }
+  return null;
+};
+
+// GET /api/v1/specs/:serviceName/tags
+exports.listTags = async (req, res) => {
+  try {
+    const { serviceName } = req.params;
+
+    const invalid = invalidTagParams(serviceName);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    // Tags on specs the caller cannot read are left out
+    const tags = await distTagService.listTags(serviceName, await accessControlService.readableSpecFilter(req.auth));
+    if (!tags) {
+      return res.status(404).json(
+        errors.format('service/not-found', `Service ${serviceName} not found`)
+      );
+    }
+
+    res.json({ serviceName, tags });
+  } catch (err) {
+    logger.error(`Error listing tags: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error retrieving tags')
+    );
+  }
+};
+
+// GET /api/v1/specs/:serviceName/tags/:tag
+exports.getTaggedSpec = async (req, res) => {
+  try {
+    const { serviceName, tag } = req.params;
+
+    const invalid = invalidTagParams(serviceName, tag);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const tagged = await distTagService.resolveTag(serviceName, tag);
+    if (!tagged) {
+      return res.status(404).json(
+        errors.format('tag/not-found', `No version of ${serviceName} is tagged ${tag}`)
+      );
+    }
+    if (!await checkReadAccess(req, res, tagged.spec, tagged.service)) {
+      return;
+    }
+
+    const spec = await specsService.getSpec(serviceName, tagged.spec.version);
+
+    res.set('X-Spec-Version', spec.version);
+    await specLifecycleService.setDeprecationHeaders(res, tagged.spec, serviceName);
+    specSignatureService.setSignatureHeaders(req, res, tagged.spec, spec.specification);
+    res.json({ ...spec, tag });
+  } catch (err) {
+    logger.error(`Error resolving tag: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error resolving tag')
+    );
+  }
+};
+
+// PUT /api/v1/specs/:serviceName/tags/:tag
+exports.setTag = async (req, res) => {
+  try {
+    const { serviceName, tag } = req.params;
+    const { version } = req.body || {};
+
+    const invalid = invalidTagParams(serviceName, tag) || invalidSpecParams(serviceName, version);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    if (!await authorizeServiceChange(req, res, serviceName)) {
+      return;
+    }
+
+    const tags = await distTagService.setTag(serviceName, tag, version);
+    if (!tags) {
+      return res.status(404).json(
+        errors.format('spec/not-found', `Specification for ${serviceName}@${version} not found`)
+      );
+    }
+
+    logger.info(`Tag ${tag} set for ${serviceName}`, { version });
+    res.json({ serviceName, tag, version, tags });
+  } catch (err) {
+    if (err.code === 'tag/unpublished') {
+      return res.status(409).json(errors.format(err.code, err.message));
+    }
+    logger.error(`Error setting tag: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error setting tag')
+    );
+  }
+};
+
+// DELETE /api/v1/specs/:serviceName/tags/:tag
+exports.removeTag = async (req, res) => {
+  try {
+    const { serviceName, tag } = req.params;
+
+    const invalid = invalidTagParams(serviceName, tag);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    if (!await authorizeServiceChange(req, res, serviceName)) {
+      return;
+    }
+
+    const removed = await distTagService.removeTag(serviceName, tag);
+    if (!removed) {
+      return res.status(404).json(
+        errors.format('tag/not-found', `No version of ${serviceName} is tagged ${tag}`)
+      );
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    if (err.code === 'tag/protected') {
+      return res.status(409).json(errors.format(err.code, err.message));
+    }
+    logger.error(`Error removing tag: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error removing tag')
+    );
+  }
+};
+
+// Largest number of {service, range} pairs accepted in one batch resolution
+const MAX_BATCH_RESOLUTIONS = 50;
+
+const isValidServiceName = (serviceName) =>
+  typeof serviceName === 'string' && /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(serviceName);
+
+// GET /api/v1/specs/:serviceName/resolve?range=^1.2.0
+exports.resolveRange = async (req, res) => {
+  try {
+    const { serviceName } = req.params;
+    const { range = '*' } = req.query;
+    const includePrerelease = req.query.includePrerelease === 'true';
+
+    if (!isValidServiceName(serviceName)) {
+      return res.status(400).json(
+        errors.format('validation/invalid-parameters', 'Service name must be a plain name')
+      );
+    }
+
+    // Versions the caller cannot read are neither resolved nor listed as excluded
+    const resolution = await specResolutionService.resolveRange(serviceName, range, {
+      includePrerelease,
+      filter: await accessControlService.readableSpecFilter(req.auth)
+    });
+    if (!resolution.resolved) {
+      return res.status(404).json(
+        errors.format('spec/no-match', `No usable version of ${serviceName} satisfies ${range}`, {
+          range: resolution.range,
+          excluded: resolution.excluded
+        })
+      );
+    }
+
+    res.set('X-Spec-Version', resolution.resolved.version);
+    res.json(resolution);
+  } catch (err) {
+    if (err.code === 'validation/invalid-range') {
+      return res.status(400).json(errors.format(err.code, err.message));
+    }
+    if (err.code === 'service/not-found') {
+      return res.status(404).json(errors.format(err.code, err.message));
+    }
+    logger.error(`Error resolving version range: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error resolving version range')
+    );
+  }
+};
+
+// POST /api/v1/specs/resolve
+exports.resolveRanges = async (req, res) => {
+  try {
+    const { requests } = req.body || {};
+
+    if (!Array.isArray(requests) || requests.length === 0 || requests.length > MAX_BATCH_RESOLUTIONS) {
+      return res.status(400).json(
+        errors.format('validation/invalid-parameters',
+          `requests must be a list of 1 to ${MAX_BATCH_RESOLUTIONS} {service, range} pairs`)
+      );
+    }
+
+    const filter = await accessControlService.readableSpecFilter(req.auth);
+
+    // One failed pair does not fail the batch; its error is reported in place
+    const results = [];
+    for (const item of requests) {
+      const { service, range = '*', includePrerelease = false } = item || {};
+      if (!isValidServiceName(service) || typeof range !== 'string') {
+        results.push({
+          service,
+          range,
+          error: { code: 'validation/invalid-parameters', message: 'service must be a plain name and range a string' }
+        });
+        continue;
+      }
+
+      try {
+        const resolution = await specResolutionService.resolveRange(service, range, {
+          includePrerelease: includePrerelease === true,
+          filter
+        });
+        results.push(resolution.resolved ? resolution : {
+          ...resolution,
+          error: { code: 'spec/no-match', message: `No usable version of ${service} satisfies ${range}` }
+        });
+      } catch (err) {
+        if (err.code !== 'validation/invalid-range' && err.code !== 'service/not-found') {
+          throw err;
+        }
+        results.push({ service, range, error: { code: err.code, message: err.message } });
+      }
+    }
+
+    res.json({
+      results,
+      resolved: results.filter(result => !result.error).length,
+      failed: results.filter(result => result.error).length
+    });
+  } catch (err) {
+    logger.error(`Error resolving version ranges: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error resolving version ranges')
+    );
+  }
+};
+
+// GET /api/v1/specs/:serviceName/changelog
+exports.getChangelog = async (req, res) => {
+  try {
+    const { serviceName } = req.params;
+    const { format = 'json', limit } = req.query;
+
+    if (!isValidServiceName(serviceName) || !['json', 'markdown'].includes(format)) {
+      return res.status(400).json(
+        errors.format('validation/invalid-parameters', 'Service name must be a plain name and format json or markdown')
+      );
+    }
+
+    // Versions the caller cannot read are left out, and the diffs run between the versions they can
+    const changelog = await changelogService.buildChangelog(serviceName, {
+      filter: await accessControlService.readableSpecFilter(req.auth),
+      includePrerelease: req.query.includePrerelease === 'true',
+      limit
+    });
+    if (!changelog) {
+      return res.status(404).json(
+        errors.format('service/not-found', `Service ${serviceName} not found`)
+      );
+    }
+
+    if (format === 'markdown') {
+      return res.type('text/markdown; charset=utf-8').send(changelogService.renderMarkdown(changelog));
+    }
+    res.json(changelog);
+  } catch (err) {
+    logger.error(`Error building changelog: ${err.message}`, { error: err.stack });
+    res.status(500).json(
+      errors.format('internal/server-error', 'Error building changelog')
+    );
+  }
+};
+
 // POST /validate
 exports.validateSpecification = async (req, res) => {
   try {
     const specification = req.body;
+    const { service: serviceName, ruleset } = req.query;
+
+    // Lint with a registered service's ruleset and overrides when one is named
+    let service = null;
+    if (serviceName) {
+      service = await storage.services.findOne({ name: serviceName, deletedAt: { $exists: false } });
+      if (!service) {
+        return res.status(404).json(
+          errors.format('service/not-found', `Service ${serviceName} not found`)
+        );
+      }
+    }
+
+    const lintPolicy = (service && service.specPolicy && service.specPolicy.lint) || {};
+    const rulesetName = ruleset || lintPolicy.ruleset || specLinter.DEFAULT_RULESET;
+    if (!specLinter.getRuleset(rulesetName)) {
+      return res.status(400).json(
+        errors.format('validation/unknown-ruleset', `Unknown lint ruleset: ${rulesetName}`, {
+          rulesets: specLinter.listRulesets().map(r => r.name)
+        })
+      );
+    }
 
     logger.info('Validating OpenAPI specification');
     const validation = await validateSpec(specification);
 
+    // Structurally invalid documents are not linted
+    const lint = validation.valid
+      ? specLinter.lintSpec(specification, { ruleset: rulesetName, overrides: lintPolicy.rules || {}, service })
+      : null;
+
     res.json({
       valid: validation.valid,
-      errors: validation.errors || []
+      errors: validation.errors || [],
+      lint
     });
   } catch (err) {
     logger.error(`Error validating specification: ${err.message}`, { error: err.stack });
@@ -0,0 +1,337 @@
+/**
+ * File Storage for API Registry PDS 2.2
+ * Storage backend keeping each collection in a JSON file, or only in memory,
+ * for small deployments and tests that run without MongoDB
+ */
+
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const { Service, ApiSpecification, DataSchema, ServiceHealthLog } = require('./models');
+const {
+    matches,
+    sortDocuments,
+    projectDocument,
+    applyUpdate,
+    aggregate,
+    cloneDocument,
+    getPath,
+    equals
+} = require('./queryMatcher');
+
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/database.log' })
+    ]
+});
+
+// Documents are cast and validated with the Mongoose models, so both backends store the same shape
+const castDocument = (model, data) => new model(data).toObject({ versionKey: false });
+
+// Cast the filters of a pipeline's $match stages, as queries are
+const castPipeline = (repository, pipeline) => pipeline.map(stage =>
+    (stage.$match ? { $match: repository.castFilter(stage.$match) } : stage));
+
+class FileRepository {
+    constructor(model, { file, storage }) {
+        this.model = model;
+        this.file = file;
+        this.storage = storage;
+        this.documents = null;
+        this.loading = null;
+        this.writing = Promise.resolve();
+    }
+
+    async ready() {
+        if (this.documents) return;
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        await this.loading;
+    }
+
+    async load() {
+        let raw = [];
+        if (this.file && fs.existsSync(this.file)) {
+            raw = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        }
+        this.documents = raw.map(document => castDocument(this.model, document));
+        this.removeExpired();
+    }
+
+    // Drop documents past the model's TTL indexes, as MongoDB does in the background,
+    // so files of logs do not grow without bound; runs on load and before each insert
+    removeExpired(now = Date.now()) {
+        const ttlIndexes = this.model.schema.indexes()
+            .filter(([, options]) => options && options.expireAfterSeconds !== undefined);
+        if (ttlIndexes.length === 0) return;
+
+        this.documents = this.documents.filter(document => ttlIndexes.every(([fields, options]) => {
+            const value = getPath(document, Object.keys(fields)[0]);
+            return !(value instanceof Date) || value.getTime() + options.expireAfterSeconds * 1000 > now;
+        }));
+    }
+
+    // Writes are queued so the file always holds the latest complete snapshot
+    persist() {
+        if (!this.file) return Promise.resolve();
+
+        const snapshot = JSON.stringify(this.documents, null, 2);
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const temporary = `${this.file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temporary, snapshot);
+            await fs.promises.rename(temporary, this.file);
+        });
+        return this.writing;
+    }
+
+    castFilter(filter) {
+        return new mongoose.Query().cast(this.model, filter || {});
+    }
+
+    // MongoDB reports duplicate keys with code 11000; mirror that for the model's unique indexes
+    assertUnique(document) {
+        const uniqueIndexes = this.model.schema.indexes().filter(([, options]) => options && options.unique);
+
+        for (const [fields, options] of uniqueIndexes) {
+            const paths = Object.keys(fields);
+            const values = paths.map(field => getPath(document, field));
+            if (options.sparse && values.some(value => value === undefined)) continue;
+
+            const duplicate = this.documents.find(existing => !equals(existing._id, document._id) &&
+                paths.every((field, index) => equals(getPath(existing, field), values[index])));
+
+            if (duplicate) {
+                const keyValue = Object.fromEntries(paths.map((field, index) => [field, values[index]]));
+                const error = new Error(`E11000 duplicate key error collection: ${path.basename(this.file || this.model.modelName)} ` +
+                    `dup key: ${JSON.stringify(keyValue)}`);
+                error.code = 11000;
+                error.keyValue = keyValue;
+                throw error;
+            }
+        }
+    }
+
+    async validated(data) {
+        const document = new this.model(data);
+        await document.validate();
+        const plain = document.toObject({ versionKey: false });
+        this.assertUnique(plain);
+        return plain;
+    }
+
+    async populate(documents, populate) {
+        for (const option of [].concat(populate || [])) {
+            const { path: field, select } = typeof option === 'string' ? { path: option } : option;
+            const schemaPath = this.model.schema.path(field);
+            const ref = schemaPath && schemaPath.options && schemaPath.options.ref;
+            const repository = ref && this.storage.repositoryFor(ref);
+            if (!repository) continue;
+
+            for (const document of documents) {
+                const id = getPath(document, field);
+                if (id === undefined || id === null) continue;
+                const referenced = await repository.findById(id, { select });
+                document[field] = referenced;
+            }
+        }
+        return documents;
+    }
+
+    async find(filter = {}, { select, sort, skip, limit, populate } = {}) {
+        await this.ready();
+        const query = this.castFilter(filter);
+
+        let results = sortDocuments(this.documents.filter(document => matches(document, query)), sort);
+        if (skip) results = results.slice(skip);
+        if (limit) results = results.slice(0, limit);
+
+        results = results.map(document => projectDocument(cloneDocument(document), select));
+        return this.populate(results, populate);
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [document] = await this.find(filter, { ...options, limit: 1 });
+        return document || null;
+    }
+
+    async findById(id, options = {}) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return this.findOne({ _id: id }, options);
+    }
+
+    async count(filter = {}) {
+        await this.ready();
+        const query = this.castFilter(filter);
+        return this.documents.filter(document => matches(document, query)).length;
+    }
+
+    async aggregate(pipeline = []) {
+        await this.ready();
+        return aggregate(this.documents, castPipeline(this, pipeline));
+    }
+
+    // Distinct values of a field, with array values contributing each element
+    async distinct(field, filter = {}) {
+        await this.ready();
+        const query = this.castFilter(filter);
+        const values = [];
+
+        for (const document of this.documents.filter(item => matches(item, query))) {
+            for (const value of [].concat(getPath(document, field))) {
+                if (value !== undefined && !values.some(existing => equals(existing, value))) {
+                    values.push(cloneDocument(value));
+                }
+            }
+        }
+        return values;
+    }
+
+    async create(data) {
+        await this.ready();
+        const document = await this.validated(data);
+        this.removeExpired();
+        this.documents.push(document);
+        await this.persist();
+        return cloneDocument(document);
+    }
+
+    // Apply an update to each match, validating before anything is stored
+    async updateMatching(filter, update, { single }) {
+        await this.ready();
+        const query = this.castFilter(filter);
+        const targets = this.documents.filter(document => matches(document, query));
+        const selected = single ? targets.slice(0, 1) : targets;
+
+        const replacements = [];
+        for (const document of selected) {
+            const changes = applyUpdate(document, update, query);
+            if (this.model.schema.path('updatedAt') && equals(changes.updatedAt, document.updatedAt)) {
+                changes.updatedAt = new Date();
+            }
+            replacements.push([document, await this.validated(changes)]);
+        }
+
+        replacements.forEach(([original, replacement]) => {
+            const index = this.documents.indexOf(original);
+            if (index !== -1) this.documents[index] = replacement;
+        });
+        if (replacements.length > 0) {
+            await this.persist();
+        }
+        return replacements.map(([, replacement]) => replacement);
+    }
+
+    async updateOne(filter, update) {
+        const [document] = await this.updateMatching(filter, update, { single: true });
+        return document ? cloneDocument(document) : null;
+    }
+
+    async updateById(id, update) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return this.updateOne({ _id: id }, update);
+    }
+
+    async updateMany(filter, update) {
+        return (await this.updateMatching(filter, update, { single: false })).length;
+    }
+
+    async deleteMatching(filter, { single }) {
+        await this.ready();
+        const query = this.castFilter(filter);
+        const targets = this.documents.filter(document => matches(document, query));
+        const removed = single ? targets.slice(0, 1) : targets;
+
+        if (removed.length > 0) {
+            this.documents = this.documents.filter(document => !removed.includes(document));
+            await this.persist();
+        }
+        return removed.length;
+    }
+
+    async deleteOne(filter) {
+        return (await this.deleteMatching(filter, { single: true })) > 0;
+    }
+
+    async deleteMany(filter = {}) {
+        return this.deleteMatching(filter, { single: false });
+    }
+}
+
+class FileStorage {
+    // Without a directory, collections are kept in memory only
+    constructor({ directory } = {}) {
+        this.backend = directory ? 'filesystem' : 'memory';
+        this.directory = directory ? path.resolve(directory) : null;
+        this.isConnected = false;
+
+        const fileFor = (name) => (this.directory ? path.join(this.directory, `${name}.json`) : null);
+        this.services = new FileRepository(Service, { file: fileFor('services'), storage: this });
+        this.specs = new FileRepository(ApiSpecification, { file: fileFor('specifications'), storage: this });
+        this.schemas = new FileRepository(DataSchema, { file: fileFor('schemas'), storage: this });
+        this.healthLogs = new FileRepository(ServiceHealthLog, { file: fileFor('health-logs'), storage: this });
+    }
+
+    repositoryFor(modelName) {
+        return [this.services, this.specs, this.schemas, this.healthLogs]
+            .find(repository => repository.model.modelName === modelName);
+    }
+
+    repositories() {
+        return [this.services, this.specs, this.schemas, this.healthLogs];
+    }
+
+    async connect() {
+        if (this.directory) {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+        }
+        await Promise.all(this.repositories().map(repository => repository.ready()));
+        this.isConnected = true;
+
+        logger.info(`✅ Using ${this.backend} storage`, { directory: this.directory });
+        return this;
+    }
+
+    async disconnect() {
+        await Promise.all(this.repositories().map(repository => repository.writing));
+        this.isConnected = false;
+        logger.info(`✅ ${this.backend} storage closed`);
+    }
+
+    async healthCheck() {
+        try {
+            if (this.directory) {
+                await fs.promises.access(this.directory, fs.constants.W_OK);
+            }
+            return { status: 'healthy', backend: this.backend, timestamp: new Date().toISOString() };
+        } catch (error) {
+            logger.error('❌ Storage health check failed:', error);
+            return {
+                status: 'unhealthy',
+                backend: this.backend,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    getStatus() {
+        return {
+            connected: this.isConnected,
+            backend: this.backend,
+            directory: this.directory
+        };
+    }
+}
+
+module.exports = {
+    FileStorage,
+    FileRepository
+};
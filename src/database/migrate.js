@@ -1,13 +1,14 @@
 /**
  * Database Migration for API Registry PDS 2.2
- * Migrates from legacy file-based storage to MongoDB and removes old API details
+ * Imports legacy file-based services and specifications into the configured storage backend.
+ * Records that already exist are left untouched, so the migration can be re-run safely.
  */
 
 const path = require('path');
 const fs = require('fs');
 const winston = require('winston');
-const { database } = require('./connection');
-const { Service, ApiSpecification, AUTHENTICATION_TYPES, SERVICE_CATEGORIES, SERVICE_STATUS } = require('./models');
+const { storage } = require('./storage');
+const { AUTHENTICATION_TYPES, SERVICE_CATEGORIES, SERVICE_STATUS } = require('./models');
 
 const logger = winston.createLogger({
     level: 'info',
@@ -32,11 +33,8 @@ class DatabaseMigration {
         try {
             logger.info('🚀 Starting API Registry PDS 2.2 migration...');
 
-            // Connect to database
-            await database.connect();
-
-            // Clean existing data
-            await this.cleanExistingData();
+            // Connect to the configured storage backend
+            await storage.connect();
 
             // Migrate legacy file-based services if they exist
             await this.migrateLegacyServices();
@@ -47,8 +45,7 @@ class DatabaseMigration {
             // Create PDS 2.2 seed data
             await this.createSeedData();
 
-            // Clean up legacy files
-            await this.cleanupLegacyFiles();
+            await storage.disconnect();
 
             logger.info('✅ Migration completed successfully');
 
@@ -58,20 +55,6 @@ class DatabaseMigration {
         }
     }
 
-    async cleanExistingData() {
-        logger.info('🧹 Cleaning existing database data...');
-
-        try {
-            await Service.deleteMany({});
-            await ApiSpecification.deleteMany({});
-
-            logger.info('✅ Existing data cleaned');
-        } catch (error) {
-            logger.error('❌ Error cleaning existing data:', error);
-            throw error;
-        }
-    }
-
     async migrateLegacyServices() {
         logger.info('📋 Migrating legacy services...');
 
@@ -91,10 +74,15 @@ class DatabaseMigration {
                 // Convert legacy service to PDS 2.2 format
                 const modernService = this.convertLegacyService(legacyService);
 
-                if (modernService) {
-                    await Service.create(modernService);
-                    logger.info(`✅ Migrated service: ${modernService.name}`);
+                if (!modernService) continue;
+
+                if (await storage.services.findOne({ name: modernService.name })) {
+                    logger.info(`Service already exists, skipping: ${modernService.name}`);
+                    continue;
                 }
+
+                await storage.services.create(modernService);
+                logger.info(`✅ Migrated service: ${modernService.name}`);
             }
         } catch (error) {
             logger.error('❌ Error migrating legacy services:', error);
@@ -117,26 +105,41 @@ class DatabaseMigration {
 
             for (const serviceName of specFiles) {
                 const serviceSpecsPath = path.join(this.legacySpecsPath, serviceName);
-                const versionDirs = fs.readdirSync(serviceSpecsPath, { withFileTypes: true })
-                    .filter(dirent => dirent.isDirectory())
-                    .map(dirent => dirent.name);
-
-                for (const version of versionDirs) {
-                    const specPath = path.join(serviceSpecsPath, version, 'openapi.json');
 
-                    if (fs.existsSync(specPath)) {
-                        const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
-
-                        // Find or create service
-                        let service = await Service.findOne({ name: serviceName });
-                        if (!service) {
-                            service = await this.createServiceFromSpec(serviceName, spec);
+                // Specs are stored either as <version>/openapi.json or as <version>.json records
+                const specsByVersion = fs.readdirSync(serviceSpecsPath, { withFileTypes: true })
+                    .map(dirent => {
+                        if (dirent.isDirectory()) {
+                            const specPath = path.join(serviceSpecsPath, dirent.name, 'openapi.json');
+                            return fs.existsSync(specPath)
+                                ? { version: dirent.name, spec: JSON.parse(fs.readFileSync(specPath, 'utf8')) }
+                                : null;
+                        }
+                        if (dirent.name.endsWith('.json')) {
+                            const record = JSON.parse(fs.readFileSync(path.join(serviceSpecsPath, dirent.name), 'utf8'));
+                            return record.specification
+                                ? { version: record.version || dirent.name.replace(/\.json$/, ''), spec: record.specification }
+                                : null;
                         }
+                        return null;
+                    })
+                    .filter(Boolean);
+
+                for (const { version, spec } of specsByVersion) {
+                    // Find or create service
+                    let service = await storage.services.findOne({ name: serviceName });
+                    if (!service) {
+                        service = await this.createServiceFromSpec(serviceName, spec);
+                    }
 
-                        // Create API specification
-                        await this.createApiSpecification(service._id, spec, version);
-                        logger.info(`✅ Migrated spec: ${serviceName} v${version}`);
+                    if (await storage.specs.findOne({ serviceId: service._id, version })) {
+                        logger.info(`Spec already exists, skipping: ${serviceName} v${version}`);
+                        continue;
                     }
+
+                    // Create API specification
+                    await this.createApiSpecification(service._id, spec, version);
+                    logger.info(`✅ Migrated spec: ${serviceName} v${version}`);
                 }
             }
         } catch (error) {
@@ -216,7 +219,7 @@ class DatabaseMigration {
     }
 
     async createServiceFromSpec(serviceName, spec) {
-        const service = new Service({
+        return storage.services.create({
             name: serviceName,
             displayName: spec.info?.title || serviceName,
             description: spec.info?.description || 'Migrated from legacy API specification',
@@ -251,8 +254,6 @@ class DatabaseMigration {
                 organization: 'PDS 2.2'
             }
         });
-
-        return await service.save();
     }
 
     async createApiSpecification(serviceId, spec, version) {
@@ -275,7 +276,7 @@ class DatabaseMigration {
             }
         }
 
-        const apiSpec = new ApiSpecification({
+        return storage.specs.create({
             serviceId,
             name: spec.info?.title || 'Unknown API',
             version,
@@ -285,16 +286,19 @@ class DatabaseMigration {
             tags: spec.tags?.map(tag => tag.name) || [],
             isLatest: true // Will be updated later if newer versions exist
         });
-
-        return await apiSpec.save();
     }
 
     async createSeedData() {
         logger.info('🌱 Creating PDS 2.2 seed data...');
 
         try {
+            if (await storage.services.findOne({ name: 'api-registry' })) {
+                logger.info('API Registry service entry already exists, skipping...');
+                return;
+            }
+
             // Create API Registry service itself
-            const apiRegistryService = new Service({
+            await storage.services.create({
                 name: 'api-registry',
                 displayName: 'API Registry Service',
                 description: 'Centralized repository for API specifications and service discovery in PDS 2.2',
@@ -336,8 +340,6 @@ class DatabaseMigration {
                     organization: 'PDS 2.2'
                 }
             });
-
-            await apiRegistryService.save();
             logger.info('✅ Created API Registry service entry');
 
         } catch (error) {
@@ -345,30 +347,6 @@ class DatabaseMigration {
             throw error;
         }
     }
-
-    async cleanupLegacyFiles() {
-        logger.info('🧹 Cleaning up legacy files...');
-
-        try {
-            // Move legacy files to backup directory instead of deleting
-            const backupDir = path.join(__dirname, '../../legacy-backup');
-            if (!fs.existsSync(backupDir)) {
-                fs.mkdirSync(backupDir, { recursive: true });
-            }
-
-            if (fs.existsSync(this.legacyStoragePath)) {
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                const backupPath = path.join(backupDir, `storage-${timestamp}`);
-
-                fs.renameSync(this.legacyStoragePath, backupPath);
-                logger.info(`✅ Legacy files moved to: ${backupPath}`);
-            }
-
-        } catch (error) {
-            logger.warn('⚠️ Could not cleanup legacy files:', error);
-            // Don't throw - migration is complete
-        }
-    }
 }
 
 // Run migration if called directly
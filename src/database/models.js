@@ -31,6 +31,130 @@ const SERVICE_STATUS = {
     DEPRECATED: 'deprecated'
 };
 
+// Service health, as reported by services or measured by the health check prober
+const HEALTH_STATES = {
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',
+    UNHEALTHY: 'unhealthy',
+    UNKNOWN: 'unknown'
+};
+
+// Registration lease: renewed by heartbeats, expired once missed, lapsed once the service is made inactive
+const LEASE_STATES = {
+    ACTIVE: 'active',
+    EXPIRED: 'expired',
+    LAPSED: 'lapsed'
+};
+
+// How discovery orders a service's instances for clients to spread requests over
+const LOAD_BALANCING_STRATEGIES = {
+    ROUND_ROBIN: 'round-robin',
+    WEIGHTED: 'weighted',
+    ZONE_AFFINE: 'zone-affine'
+};
+
+// Specification compatibility gate modes
+const COMPATIBILITY_MODES = {
+    ENFORCE: 'enforce',
+    WARN: 'warn',
+    OFF: 'off'
+};
+
+// JSON Schema version compatibility modes
+const SCHEMA_COMPATIBILITY_MODES = {
+    BACKWARD: 'backward',
+    FORWARD: 'forward',
+    FULL: 'full',
+    NONE: 'none'
+};
+
+// Publication workflow for specification versions; only published versions are discoverable
+const SPEC_PUBLICATION_STATES = {
+    DRAFT: 'draft',
+    IN_REVIEW: 'in-review',
+    APPROVED: 'approved',
+    PUBLISHED: 'published',
+    REJECTED: 'rejected'
+};
+
+// Read grants for non-public specifications; API keys are stored as SHA-256 digests
+const accessControlSchema = new Schema({
+    dids: [{ type: String, trim: true }],
+    apiKeys: [String],
+    roles: [{ type: String, trim: true }]
+}, { _id: false });
+
+// One step of a specification's publication review
+const specReviewEventSchema = new Schema({
+    action: {
+        type: String,
+        enum: ['submit', 'approve', 'reject', 'publish'],
+        required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    // DID or API key digest of the caller
+    actor: String,
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 5000
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// One replica of a service, with its own location and health
+const serviceInstanceSchema = new Schema({
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Overrides the service's healthCheckUrl path resolved against url
+    healthCheckUrl: {
+        type: String,
+        trim: true
+    },
+    region: {
+        type: String,
+        trim: true
+    },
+    zone: {
+        type: String,
+        trim: true
+    },
+    // Relative share of traffic; 0 drains the instance
+    weight: {
+        type: Number,
+        min: 0,
+        max: 1000,
+        default: 100
+    },
+    version: String,
+    health: {
+        status: {
+            type: String,
+            enum: Object.values(HEALTH_STATES),
+            default: HEALTH_STATES.UNKNOWN
+        },
+        lastCheck: Date,
+        responseTime: Number,
+        errorMessage: String,
+        consecutiveFailures: {
+            type: Number,
+            default: 0
+        },
+        nextCheckAt: Date
+    },
+    registeredAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 // API Specification Schema
 const apiSpecificationSchema = new Schema({
     serviceId: {
@@ -54,11 +178,38 @@ const apiSpecificationSchema = new Schema({
         required: true,
         validate: {
             validator: function (spec) {
-                return spec && typeof spec === 'object' && spec.openapi;
+                return spec && typeof spec === 'object' && !!(spec.openapi || spec.asyncapi);
             },
-            message: 'Specification must be a valid OpenAPI document'
+            message: 'Specification must be a valid OpenAPI or AsyncAPI document'
         }
     },
+
+    // Document as uploaded, kept when it was converted to OpenAPI 3 on ingest
+    originalSpecification: Schema.Types.Mixed,
+    conversion: {
+        sourceFormat: String,
+        sourceVersion: String,
+        warnings: [Schema.Types.Mixed],
+        convertedAt: Date
+    },
+
+    // Files of a multi-file upload, bundled into the specification above
+    archive: {
+        entry: String,
+        files: [String],
+        bundledAt: Date
+    },
+
+    // Publisher's detached JWS over the canonical JSON of the document as uploaded, verified on upload
+    signature: {
+        jws: String,
+        alg: String,
+        // Verification method in the service's DID document, and the DID it belongs to
+        kid: String,
+        signer: String,
+        contentHash: String,
+        verifiedAt: Date
+    },
     description: {
         type: String,
         trim: true
@@ -70,18 +221,104 @@ const apiSpecificationSchema = new Schema({
         summary: String,
         tags: [String],
         authRequired: { type: Boolean, default: false },
-        scopes: [String]
+        scopes: [String],
+        // Component schema names and $ids used by OpenAPI request and response bodies
+        requestSchemas: [String],
+        responseSchemas: [String],
+        // Message names for AsyncAPI channel operations
+        messages: [String]
     }],
     tags: [String],
+    format: {
+        type: String,
+        enum: ['openapi', 'swagger', 'asyncapi', 'json-schema'],
+        default: 'openapi'
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    isPublic: {
+        type: Boolean,
+        default: true
+    },
+    accessControl: {
+        type: accessControlSchema,
+        default: () => ({})
+    },
+    isValid: {
+        type: Boolean,
+        default: true
+    },
+    validationErrors: [String],
+    metadata: Schema.Types.Mixed,
+
+    // Semantic diff against the previous version of the same service
+    compatibility: {
+        previousSpecId: { type: Schema.Types.ObjectId, ref: 'ApiSpecification' },
+        previousVersion: String,
+        hasBreakingChanges: { type: Boolean, default: false },
+        versionBump: String,
+        semverCompliant: { type: Boolean, default: true },
+        breakingChanges: [Schema.Types.Mixed],
+        nonBreakingChanges: [Schema.Types.Mixed],
+        comparedAt: Date
+    },
+
+    // Results of the most recent lint run against the service's ruleset
+    lint: {
+        ruleset: String,
+        passed: { type: Boolean, default: true },
+        summary: {
+            errors: { type: Number, default: 0 },
+            warnings: { type: Number, default: 0 },
+            infos: { type: Number, default: 0 }
+        },
+        results: [Schema.Types.Mixed],
+        lintedAt: Date
+    },
     isLatest: {
         type: Boolean,
         default: false
     },
+    // Named release channels such as stable, beta, next or lts; each tag is on one version per service
+    distTags: {
+        type: [String],
+        default: []
+    },
     isDeprecated: {
         type: Boolean,
         default: false
     },
     deprecationDate: Date,
+    // Deprecated versions are retired once their sunset date passes
+    sunsetDate: Date,
+    replacementVersion: String,
+    migrationNotes: {
+        type: String,
+        maxlength: 5000
+    },
+    isRetired: {
+        type: Boolean,
+        default: false
+    },
+    retiredAt: Date,
+    publicationStatus: {
+        type: String,
+        enum: Object.values(SPEC_PUBLICATION_STATES),
+        default: SPEC_PUBLICATION_STATES.PUBLISHED
+    },
+    publishedAt: Date,
+    // Dist-tag asked for at upload, applied once the version is published
+    requestedTag: String,
+    reviewHistory: {
+        type: [specReviewEventSchema],
+        default: []
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -198,13 +435,41 @@ const serviceSchema = new Schema({
     health: {
         status: {
             type: String,
-            enum: ['healthy', 'unhealthy', 'unknown'],
-            default: 'unknown'
+            enum: Object.values(HEALTH_STATES),
+            default: HEALTH_STATES.UNKNOWN
         },
         lastCheck: Date,
         responseTime: Number,
         errorMessage: String,
-        uptime: Number
+        uptime: Number,
+        // Prober backoff: failed checks in a row, and when the service is next due
+        consecutiveFailures: {
+            type: Number,
+            default: 0
+        },
+        nextCheckAt: Date
+    },
+
+    // Replicas serving the service; discovery offers the healthy ones
+    instances: [serviceInstanceSchema],
+    loadBalancing: {
+        type: String,
+        enum: Object.values(LOAD_BALANCING_STRATEGIES),
+        default: LOAD_BALANCING_STRATEGIES.ROUND_ROBIN
+    },
+
+    // Optional TTL lease, renewed with heartbeats; services that miss it drop out of discovery
+    lease: {
+        ttl: {
+            type: Number,
+            min: 1
+        },
+        expiresAt: Date,
+        state: {
+            type: String,
+            enum: Object.values(LEASE_STATES)
+        },
+        expiredAt: Date
     },
 
     // Registration and Contact Information
@@ -232,6 +497,37 @@ const serviceSchema = new Schema({
         default: '2.2.0'
     },
 
+    // Governance applied to specification uploads
+    specPolicy: {
+        compatibility: {
+            type: String,
+            enum: Object.values(COMPATIBILITY_MODES),
+            default: COMPATIBILITY_MODES.WARN
+        },
+        lint: {
+            ruleset: {
+                type: String,
+                default: 'pds-2.2'
+            },
+            // Per-rule severity overrides, e.g. { 'operation-tags': 'off' }
+            rules: {
+                type: Schema.Types.Mixed,
+                default: {}
+            }
+        },
+        // New versions start as drafts and need a reviewer's approval before publication
+        reviewRequired: {
+            type: Boolean,
+            default: false
+        }
+    },
+
+    // Read grants applying to all of the service's non-public specifications
+    accessControl: {
+        type: accessControlSchema,
+        default: () => ({})
+    },
+
     // Compliance and Standards
     compliance: {
         govukDesignSystem: { type: Boolean, default: false },
@@ -240,8 +536,19 @@ const serviceSchema = new Schema({
         w3cVC: { type: Boolean, default: false }
     },
 
+    // Discovery metadata; dataTypes may name registered JSON Schemas
+    capabilities: {
+        type: [String],
+        index: true
+    },
+    dataTypes: {
+        type: [String],
+        index: true
+    },
+
     // Metadata
     tags: [String],
+    // When the service last registered or sent a heartbeat
     lastRegistration: {
         type: Date,
         default: Date.now
@@ -256,6 +563,70 @@ const serviceSchema = new Schema({
     }
 });
 
+// JSON Schema Registry Schema for declared data types
+const dataSchemaSchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true
+    },
+    version: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // The schema's $id, without fragment
+    schemaId: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // The JSON Schema document; "schema" is reserved by Mongoose
+    definition: {
+        type: Schema.Types.Mixed,
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    serviceId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Service',
+        index: true
+    },
+    // $ids of the registered schemas this one references
+    references: [String],
+    compatibility: {
+        mode: {
+            type: String,
+            enum: Object.values(SCHEMA_COMPATIBILITY_MODES),
+            default: SCHEMA_COMPATIBILITY_MODES.BACKWARD
+        },
+        previousVersion: String,
+        compatible: { type: Boolean, default: true },
+        issues: [Schema.Types.Mixed],
+        checkedAt: Date
+    },
+    isDeprecated: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 // Service Health Log Schema
 const serviceHealthLogSchema = new Schema({
     serviceId: {
@@ -266,7 +637,7 @@ const serviceHealthLogSchema = new Schema({
     },
     status: {
         type: String,
-        enum: ['healthy', 'unhealthy', 'unknown'],
+        enum: Object.values(HEALTH_STATES),
         required: true
     },
     responseTime: Number,
@@ -275,7 +646,7 @@ const serviceHealthLogSchema = new Schema({
     checkedAt: {
         type: Date,
         default: Date.now,
-        index: true
+        expires: 30 * 24 * 60 * 60 // Keep 30 days of health history
     }
 });
 
@@ -333,11 +704,20 @@ const apiUsageSchema = new Schema({
 apiSpecificationSchema.index({ serviceId: 1, version: 1 }, { unique: true });
 apiSpecificationSchema.index({ name: 1, version: 1 });
 apiSpecificationSchema.index({ isLatest: 1, isDeprecated: 1 });
+apiSpecificationSchema.index({ isDeprecated: 1, isRetired: 1, sunsetDate: 1 });
+apiSpecificationSchema.index({ serviceId: 1, distTags: 1 });
+apiSpecificationSchema.index({ publicationStatus: 1, updatedAt: -1 });
+apiSpecificationSchema.index({ 'endpoints.operationId': 1 });
+apiSpecificationSchema.index({ 'endpoints.tags': 1 });
 
 serviceSchema.index({ name: 1 }, { unique: true });
 serviceSchema.index({ 'authentication.type': 1, status: 1 });
 serviceSchema.index({ 'webidSupport.enabled': 1 });
 serviceSchema.index({ did: 1 }, { sparse: true });
+serviceSchema.index({ 'lease.state': 1, 'lease.expiresAt': 1 }, { sparse: true });
+
+dataSchemaSchema.index({ name: 1, version: 1 }, { unique: true });
+dataSchemaSchema.index({ schemaId: 1 }, { unique: true });
 
 serviceHealthLogSchema.index({ serviceId: 1, checkedAt: -1 });
 serviceDiscoverySchema.index({ queryType: 1, createdAt: 1 });
@@ -354,9 +734,15 @@ apiSpecificationSchema.pre('save', function (next) {
     next();
 });
 
+dataSchemaSchema.pre('save', function (next) {
+    this.updatedAt = new Date();
+    next();
+});
+
 // Export models
 const Service = mongoose.model('Service', serviceSchema);
 const ApiSpecification = mongoose.model('ApiSpecification', apiSpecificationSchema);
+const DataSchema = mongoose.model('DataSchema', dataSchemaSchema);
 const ServiceHealthLog = mongoose.model('ServiceHealthLog', serviceHealthLogSchema);
 const ServiceDiscovery = mongoose.model('ServiceDiscovery', serviceDiscoverySchema);
 const ApiUsage = mongoose.model('ApiUsage', apiUsageSchema);
@@ -364,10 +750,17 @@ const ApiUsage = mongoose.model('ApiUsage', apiUsageSchema);
 module.exports = {
     Service,
     ApiSpecification,
+    DataSchema,
     ServiceHealthLog,
     ServiceDiscovery,
     ApiUsage,
     AUTHENTICATION_TYPES,
     SERVICE_CATEGORIES,
-    SERVICE_STATUS
+    SERVICE_STATUS,
+    HEALTH_STATES,
+    LEASE_STATES,
+    LOAD_BALANCING_STRATEGIES,
+    COMPATIBILITY_MODES,
+    SCHEMA_COMPATIBILITY_MODES,
+    SPEC_PUBLICATION_STATES
 };
@@ -0,0 +1,131 @@
+/**
+ * MongoDB Storage for API Registry PDS 2.2
+ * Storage backend over the Mongoose models and the shared database connection
+ */
+
+const { database, mongoose } = require('./connection');
+const { Service, ApiSpecification, DataSchema, ServiceHealthLog } = require('./models');
+const { toUpdateOperators } = require('./queryMatcher');
+
+// Plain documents without the Mongoose version key
+const toPlain = (document) => {
+    if (!document) return null;
+    const plain = typeof document.toObject === 'function' ? document.toObject() : document;
+    delete plain.__v;
+    return plain;
+};
+
+// Updates bypass the save hooks, so keep updatedAt current here
+const withTimestamp = (model, update) => {
+    const operators = toUpdateOperators(update);
+    if (!model.schema.path('updatedAt') || (operators.$set && operators.$set.updatedAt)) {
+        return operators;
+    }
+    return { ...operators, $set: { ...(operators.$set || {}), updatedAt: new Date() } };
+};
+
+class MongoRepository {
+    constructor(model) {
+        this.model = model;
+    }
+
+    applyOptions(query, { select, sort, skip, limit, populate } = {}) {
+        if (select) query.select(select);
+        if (sort) query.sort(sort);
+        if (skip) query.skip(skip);
+        if (limit) query.limit(limit);
+        [].concat(populate || []).forEach(option => query.populate(option));
+        return query;
+    }
+
+    async find(filter = {}, options = {}) {
+        const documents = await this.applyOptions(this.model.find(filter), options).lean();
+        return documents.map(toPlain);
+    }
+
+    async findOne(filter = {}, options = {}) {
+        return toPlain(await this.applyOptions(this.model.findOne(filter), options).lean());
+    }
+
+    async findById(id, options = {}) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return toPlain(await this.applyOptions(this.model.findById(id), options).lean());
+    }
+
+    async count(filter = {}) {
+        return this.model.countDocuments(filter);
+    }
+
+    async distinct(field, filter = {}) {
+        return this.model.distinct(field, filter);
+    }
+
+    // Mongoose does not cast aggregation pipelines, so $match filters are cast as queries are
+    async aggregate(pipeline = []) {
+        return this.model.aggregate(pipeline.map(stage =>
+            (stage.$match ? { $match: new mongoose.Query().cast(this.model, stage.$match) } : stage)));
+    }
+
+    async create(data) {
+        return toPlain(await this.model.create(data));
+    }
+
+    async updateOne(filter, update) {
+        const document = await this.model.findOneAndUpdate(filter, withTimestamp(this.model, update), {
+            new: true,
+            runValidators: true
+        }).lean();
+        return toPlain(document);
+    }
+
+    async updateById(id, update) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return this.updateOne({ _id: id }, update);
+    }
+
+    async updateMany(filter, update) {
+        const result = await this.model.updateMany(filter, withTimestamp(this.model, update), { runValidators: true });
+        return result.modifiedCount;
+    }
+
+    async deleteOne(filter) {
+        const result = await this.model.deleteOne(filter);
+        return result.deletedCount > 0;
+    }
+
+    async deleteMany(filter = {}) {
+        const result = await this.model.deleteMany(filter);
+        return result.deletedCount;
+    }
+}
+
+class MongoStorage {
+    constructor() {
+        this.backend = 'mongodb';
+        this.services = new MongoRepository(Service);
+        this.specs = new MongoRepository(ApiSpecification);
+        this.schemas = new MongoRepository(DataSchema);
+        this.healthLogs = new MongoRepository(ServiceHealthLog);
+    }
+
+    async connect() {
+        return database.connect();
+    }
+
+    async disconnect() {
+        return database.disconnect();
+    }
+
+    async healthCheck() {
+        return { ...(await database.healthCheck()), backend: this.backend };
+    }
+
+    getStatus() {
+        return { ...database.getStatus(), backend: this.backend };
+    }
+}
+
+module.exports = {
+    MongoStorage,
+    MongoRepository
+};
@@ -0,0 +1,473 @@
+/**
+ * Query Matcher for API Registry PDS 2.2
+ * Evaluates the MongoDB query, sort, projection and update syntax used by the
+ * routers against plain documents, for storage backends without a query engine
+ */
+
+// ObjectIds compare by hex string and dates by timestamp
+const normalise = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (value && (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID')) return value.toHexString();
+    return value;
+};
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !value._bsontype;
+
+const isOperatorObject = (value) =>
+    isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+// Copy a document; ObjectIds are immutable so they are shared
+const cloneDocument = (value) => {
+    if (Array.isArray(value)) return value.map(cloneDocument);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneDocument(item)]));
+    }
+    return value;
+};
+
+const equals = (a, b) => {
+    const left = normalise(a);
+    const right = normalise(b);
+
+    if (left === right) return true;
+    if (left === null || right === null || typeof left !== 'object' || typeof right !== 'object') return false;
+    if (Array.isArray(left) !== Array.isArray(right)) return false;
+
+    const leftKeys = Object.keys(left);
+    const rightKeys = Object.keys(right);
+    return leftKeys.length === rightKeys.length && leftKeys.every(key => equals(left[key], right[key]));
+};
+
+// Values at a dotted path; arrays along the way fan out as they do in MongoDB
+const resolvePath = (value, segments) => {
+    if (segments.length === 0) return [value];
+
+    const [head, ...rest] = segments;
+    if (Array.isArray(value)) {
+        if (/^\d+$/.test(head)) return resolvePath(value[Number(head)], rest);
+        return value.length === 0 ? [undefined] : value.flatMap(item => resolvePath(item, segments));
+    }
+    if (value === null || typeof value !== 'object') return [undefined];
+
+    return resolvePath(value[head], rest);
+};
+
+const getPath = (document, path) => resolvePath(document, path.split('.'))[0];
+
+// A field matches when its value, or any element of an array value, does
+const expand = (values) => values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const compare = (a, b) => {
+    const left = normalise(a);
+    const right = normalise(b);
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+};
+
+const comparable = (a, b) => {
+    const left = normalise(a);
+    const right = normalise(b);
+    return left !== undefined && left !== null && right !== undefined && right !== null && typeof left === typeof right;
+};
+
+const toRegExp = (pattern, options = '') =>
+    (pattern instanceof RegExp ? pattern : new RegExp(pattern, options));
+
+const matchesValue = (candidate, expected) => {
+    if (expected instanceof RegExp) return typeof candidate === 'string' && expected.test(candidate);
+    if (expected === null) return candidate === null || candidate === undefined;
+    return equals(candidate, expected);
+};
+
+const matchesCondition = (values, condition) => {
+    if (!isOperatorObject(condition)) {
+        return expand(values).some(candidate => matchesValue(candidate, condition));
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                return expand(values).some(candidate => matchesValue(candidate, operand));
+            case '$ne':
+                return !expand(values).some(candidate => matchesValue(candidate, operand));
+            case '$gt':
+                return expand(values).some(candidate => comparable(candidate, operand) && compare(candidate, operand) > 0);
+            case '$gte':
+                return expand(values).some(candidate => comparable(candidate, operand) && compare(candidate, operand) >= 0);
+            case '$lt':
+                return expand(values).some(candidate => comparable(candidate, operand) && compare(candidate, operand) < 0);
+            case '$lte':
+                return expand(values).some(candidate => comparable(candidate, operand) && compare(candidate, operand) <= 0);
+            case '$in':
+                return expand(values).some(candidate => operand.some(expected => matchesValue(candidate, expected)));
+            case '$nin':
+                return !expand(values).some(candidate => operand.some(expected => matchesValue(candidate, expected)));
+            case '$exists':
+                return values.some(value => value !== undefined) === !!operand;
+            case '$regex': {
+                const pattern = toRegExp(operand, condition.$options);
+                return expand(values).some(candidate => typeof candidate === 'string' && pattern.test(candidate));
+            }
+            case '$options':
+                return true;
+            case '$all':
+                return operand.every(expected => expand(values).some(candidate => matchesValue(candidate, expected)));
+            case '$size':
+                return values.some(value => Array.isArray(value) && value.length === operand);
+            case '$elemMatch':
+                return values.some(value => Array.isArray(value) && value.some(element =>
+                    (isOperatorObject(operand) ? matchesCondition([element], operand) : matches(element, operand))));
+            case '$not':
+                return !matchesCondition(values, operand);
+            default:
+                throw new Error(`Unsupported query operator ${operator}`);
+        }
+    });
+};
+
+// Whether a document satisfies a MongoDB-style filter
+const matches = (document, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+        case '$and':
+            return condition.every(clause => matches(document, clause));
+        case '$or':
+            return condition.some(clause => matches(document, clause));
+        case '$nor':
+            return !condition.some(clause => matches(document, clause));
+        default:
+            if (key.startsWith('$')) {
+                throw new Error(`Unsupported query operator ${key}`);
+            }
+            return matchesCondition(resolvePath(document, key.split('.')), condition);
+    }
+});
+
+// Parse a Mongoose sort or select string such as "name -createdAt" into an object
+const parseFieldList = (fields, excluded) => {
+    if (!fields) return {};
+    if (typeof fields !== 'string') return fields;
+
+    return Object.fromEntries(fields.split(/\s+/).filter(Boolean).map(field =>
+        (field.startsWith('-') ? [field.slice(1), excluded] : [field.replace(/^\+/, ''), 1])));
+};
+
+const sortOrder = (direction) =>
+    (direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1);
+
+// Missing and null values sort first, as they do in MongoDB
+const sortValue = (document, path) => {
+    const value = getPath(document, path);
+    return Array.isArray(value) ? value[0] : value;
+};
+
+const sortDocuments = (documents, sort) => {
+    const keys = Object.entries(parseFieldList(sort, -1));
+    if (keys.length === 0) return documents;
+
+    return [...documents].sort((a, b) => {
+        for (const [path, direction] of keys) {
+            const left = sortValue(a, path);
+            const right = sortValue(b, path);
+            const leftMissing = left === undefined || left === null;
+            const rightMissing = right === undefined || right === null;
+
+            let result = 0;
+            if (leftMissing || rightMissing) {
+                result = leftMissing === rightMissing ? 0 : (leftMissing ? -1 : 1);
+            } else {
+                result = compare(left, right);
+            }
+
+            if (result !== 0) return result * sortOrder(direction);
+        }
+        return 0;
+    });
+};
+
+const setPath = (document, path, value) => {
+    const segments = path.split('.');
+    const last = segments.pop();
+    const parent = segments.reduce((current, segment) => {
+        if (current[segment] === undefined || current[segment] === null || typeof current[segment] !== 'object') {
+            current[segment] = {};
+        }
+        return current[segment];
+    }, document);
+    parent[last] = value;
+};
+
+const deletePath = (document, path) => {
+    const segments = path.split('.');
+    const last = segments.pop();
+    const parent = segments.reduce((current, segment) =>
+        (current && typeof current === 'object' ? current[segment] : undefined), document);
+    if (parent && typeof parent === 'object') delete parent[last];
+};
+
+// Apply a "name category" or "-specification" style projection; _id is kept unless excluded
+const projectDocument = (document, select) => {
+    const fields = parseFieldList(select, 0);
+    const entries = Object.entries(fields);
+    if (entries.length === 0) return document;
+
+    const inclusive = entries.some(([, include]) => include);
+    if (!inclusive) {
+        const projected = cloneDocument(document);
+        entries.forEach(([path]) => deletePath(projected, path));
+        return projected;
+    }
+
+    const projected = {};
+    if (fields._id !== 0 && document._id !== undefined) projected._id = document._id;
+    entries.filter(([path, include]) => include && path !== '_id').forEach(([path]) => {
+        const value = getPath(document, path);
+        if (value !== undefined) setPath(projected, path, cloneDocument(value));
+    });
+    return projected;
+};
+
+// Plain updates replace the given fields, as Mongoose treats them as $set
+const toUpdateOperators = (update) => {
+    const keys = Object.keys(update || {});
+    if (keys.length > 0 && keys.every(key => key.startsWith('$'))) return update;
+
+    const operators = {};
+    const fields = {};
+    for (const [key, value] of Object.entries(update || {})) {
+        if (key.startsWith('$')) operators[key] = value;
+        else fields[key] = value;
+    }
+    return { ...operators, $set: { ...(operators.$set || {}), ...fields } };
+};
+
+const eachValue = (value) => (isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value]);
+
+const arrayAt = (document, path) => {
+    const current = getPath(document, path);
+    if (current === undefined || current === null) {
+        setPath(document, path, []);
+        return getPath(document, path);
+    }
+    if (!Array.isArray(current)) {
+        throw new Error(`Cannot apply array update to non-array field ${path}`);
+    }
+    return current;
+};
+
+// Conditions of a filter on the elements of the array at a path, as {field: condition}
+const elementConditions = (filter, arrayPath) => Object.entries(filter || {}).reduce((conditions, [key, condition]) => {
+    if (key === '$and') {
+        return condition.reduce((merged, clause) => ({ ...merged, ...elementConditions(clause, arrayPath) }), conditions);
+    }
+    if (key === arrayPath && isPlainObject(condition) && condition.$elemMatch) {
+        return { ...conditions, ...condition.$elemMatch };
+    }
+    if (key.startsWith(`${arrayPath}.`)) {
+        return { ...conditions, [key.slice(arrayPath.length + 1)]: condition };
+    }
+    return conditions;
+}, {});
+
+// Replace the positional "$" in an update path with the index of the first array element the filter matched
+const resolvePositional = (document, path, filter) => {
+    const segments = path.split('.');
+    const position = segments.indexOf('$');
+    if (position === -1) return path;
+
+    const arrayPath = segments.slice(0, position).join('.');
+    const conditions = elementConditions(filter, arrayPath);
+    const array = getPath(document, arrayPath);
+    const index = Object.keys(conditions).length > 0 && Array.isArray(array)
+        ? array.findIndex(element => matches(element, conditions))
+        : -1;
+    if (index === -1) {
+        throw new Error(`The positional operator did not find the match needed from the query for ${path}`);
+    }
+
+    segments[position] = String(index);
+    return segments.join('.');
+};
+
+// Apply MongoDB update operators to a copy of a document; the filter that matched it resolves positional "$" paths
+const applyUpdate = (document, update, filter = {}) => {
+    const updated = cloneDocument(document);
+
+    for (const [operator, fields] of Object.entries(toUpdateOperators(update))) {
+        for (const [field, value] of Object.entries(fields || {})) {
+            const path = resolvePositional(document, field, filter);
+            switch (operator) {
+                case '$set':
+                    setPath(updated, path, cloneDocument(value));
+                    break;
+                case '$unset':
+                    deletePath(updated, path);
+                    break;
+                case '$inc':
+                    setPath(updated, path, (getPath(updated, path) || 0) + value);
+                    break;
+                case '$push':
+                    arrayAt(updated, path).push(...eachValue(value).map(cloneDocument));
+                    break;
+                case '$addToSet': {
+                    const array = arrayAt(updated, path);
+                    eachValue(value).forEach(item => {
+                        if (!array.some(existing => equals(existing, item))) array.push(cloneDocument(item));
+                    });
+                    break;
+                }
+                case '$pull': {
+                    const array = arrayAt(updated, path);
+                    const kept = array.filter(item => !(isPlainObject(value) && isPlainObject(item)
+                        ? matches(item, value)
+                        : matchesCondition([item], value)));
+                    setPath(updated, path, kept);
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported update operator ${operator}`);
+            }
+        }
+    }
+
+    return updated;
+};
+
+// Aggregation expressions treat false, null, 0 and missing values as false
+const truthy = (value) => value !== false && value !== null && value !== undefined && value !== 0;
+
+const expressionOperands = (operands) => (Array.isArray(operands) ? operands : [operands]);
+
+// Evaluate an aggregation expression such as "$status" or { $cond: [...] } against a document
+const evaluate = (document, expression) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return expression === '$$ROOT' ? document : getPath(document, expression.slice(1));
+    }
+    if (Array.isArray(expression)) return expression.map(item => evaluate(document, item));
+    if (!isPlainObject(expression)) return expression;
+    if (!isOperatorObject(expression)) {
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(document, value)]));
+    }
+
+    const [[operator, operands]] = Object.entries(expression);
+    const values = () => expressionOperands(operands).map(operand => evaluate(document, operand));
+    const ordered = (test) => {
+        const [left, right] = values();
+        return comparable(left, right) && test(compare(left, right));
+    };
+    switch (operator) {
+        case '$eq':
+            return equals(...values());
+        case '$ne':
+            return !equals(...values());
+        case '$gt':
+            return ordered(result => result > 0);
+        case '$gte':
+            return ordered(result => result >= 0);
+        case '$lt':
+            return ordered(result => result < 0);
+        case '$lte':
+            return ordered(result => result <= 0);
+        case '$and':
+            return values().every(truthy);
+        case '$or':
+            return values().some(truthy);
+        case '$not':
+            return !truthy(values()[0]);
+        case '$ifNull': {
+            const [value, replacement] = values();
+            return value === null || value === undefined ? replacement : value;
+        }
+        case '$cond': {
+            const [condition, then, otherwise] = Array.isArray(operands)
+                ? operands
+                : [operands.if, operands.then, operands.else];
+            return evaluate(document, truthy(evaluate(document, condition)) ? then : otherwise);
+        }
+        default:
+            throw new Error(`Unsupported aggregation operator ${operator}`);
+    }
+};
+
+// Fold the documents of one group with a $group accumulator such as { $sum: 1 }
+const accumulate = (documents, accumulator) => {
+    const [[operator, expression]] = Object.entries(accumulator);
+    const values = documents.map(document => evaluate(document, expression));
+    const numbers = values.filter(value => typeof value === 'number');
+    const present = values.filter(value => value !== undefined && value !== null);
+
+    switch (operator) {
+        case '$sum':
+            return numbers.reduce((sum, value) => sum + value, 0);
+        case '$avg':
+            return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+        case '$min':
+            return present.length > 0 ? present.reduce((min, value) => (compare(value, min) < 0 ? value : min)) : null;
+        case '$max':
+            return present.length > 0 ? present.reduce((max, value) => (compare(value, max) > 0 ? value : max)) : null;
+        case '$first':
+            return values.length > 0 ? values[0] : null;
+        case '$last':
+            return values.length > 0 ? values[values.length - 1] : null;
+        case '$push':
+            return values;
+        default:
+            throw new Error(`Unsupported group accumulator ${operator}`);
+    }
+};
+
+const groupDocuments = (documents, { _id: key, ...fields }) => {
+    const groups = [];
+    for (const document of documents) {
+        const id = evaluate(document, key === undefined ? null : key);
+        let group = groups.find(candidate => equals(candidate.id, id === undefined ? null : id));
+        if (!group) {
+            group = { id: id === undefined ? null : id, documents: [] };
+            groups.push(group);
+        }
+        group.documents.push(document);
+    }
+
+    return groups.map(group => ({
+        _id: group.id,
+        ...Object.fromEntries(Object.entries(fields).map(([field, accumulator]) =>
+            [field, accumulate(group.documents, accumulator)]))
+    }));
+};
+
+/**
+ * Run a MongoDB aggregation pipeline over documents. Supports the $match,
+ * $sort, $skip, $limit and $group stages, with the expressions and
+ * accumulators the routers use; $match filters must already be cast.
+ */
+const aggregate = (documents, pipeline = []) => pipeline.reduce((current, stage) => {
+    const [[name, options]] = Object.entries(stage);
+    switch (name) {
+        case '$match':
+            return current.filter(document => matches(document, options));
+        case '$sort':
+            return sortDocuments(current, options);
+        case '$skip':
+            return current.slice(options);
+        case '$limit':
+            return current.slice(0, options);
+        case '$group':
+            return groupDocuments(current, options);
+        default:
+            throw new Error(`Unsupported aggregation stage ${name}`);
+    }
+}, documents.map(cloneDocument));
+
+module.exports = {
+    matches,
+    aggregate,
+    sortDocuments,
+    projectDocument,
+    applyUpdate,
+    toUpdateOperators,
+    cloneDocument,
+    getPath,
+    equals
+};
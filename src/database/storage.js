@@ -0,0 +1,48 @@
+/**
+ * Storage for API Registry PDS 2.2
+ * Selects the backend that persists services, specifications, data schemas and health logs.
+ *
+ * Every backend exposes the same repositories (services, specs, schemas, healthLogs), each with
+ * find, findOne, findById, count, distinct, aggregate, create, updateOne, updateById, updateMany,
+ * deleteOne and deleteMany. Filters, sorts, projections, updates and aggregation pipelines use
+ * MongoDB syntax and results are plain documents, whichever backend is configured; the file and
+ * memory backends support the pipeline stages listed in queryMatcher.js.
+ */
+
+const path = require('path');
+
+const STORAGE_BACKENDS = {
+    MONGODB: 'mongodb',
+    FILESYSTEM: 'filesystem',
+    MEMORY: 'memory'
+};
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+function createStorage(backend = process.env.STORAGE_BACKEND || STORAGE_BACKENDS.MONGODB, options = {}) {
+    switch (backend) {
+        case STORAGE_BACKENDS.MONGODB: {
+            const { MongoStorage } = require('./mongoStorage');
+            return new MongoStorage();
+        }
+        case STORAGE_BACKENDS.FILESYSTEM: {
+            const { FileStorage } = require('./fileStorage');
+            return new FileStorage({ directory: options.directory || process.env.STORAGE_PATH || DEFAULT_DATA_DIR });
+        }
+        case STORAGE_BACKENDS.MEMORY: {
+            const { FileStorage } = require('./fileStorage');
+            return new FileStorage();
+        }
+        default:
+            throw new Error(`Unknown storage backend "${backend}"; use one of ${Object.values(STORAGE_BACKENDS).join(', ')}`);
+    }
+}
+
+// Export singleton instance
+const storage = createStorage();
+
+module.exports = {
+    storage,
+    createStorage,
+    STORAGE_BACKENDS
+};
@@ -18,14 +18,25 @@ const session = require('express-session');
 const nunjucks = require('nunjucks');
 
 // Database connection
-const { database } = require('./database/connection');
+const { storage } = require('./database/storage');
 
 // Routes
 const specsRouter = require('./routes/specs');
 const servicesRouter = require('./routes/services');
 const discoveryRouter = require('./routes/discovery');
 const adminRouter = require('./routes/admin');
+const sdkRouter = require('./routes/sdk');
+const mockRouter = require('./routes/mock');
+const schemasRouter = require('./routes/schemas');
 const uiRouter = require('./routes/ui');
+const specsController = require('./controllers/specsController');
+const { flexibleAuth, optionalAuth } = require('./utils/auth');
+const initGitRepo = require('./utils/gitInit');
+const gitMirrorService = require('./services/gitMirrorService');
+const specLifecycleService = require('./services/specLifecycleService');
+const healthCheckService = require('./services/healthCheckService');
+const leaseService = require('./services/leaseService');
+const specSignatureService = require('./services/specSignatureService');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
@@ -97,6 +108,11 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:3005'],
   credentials: true,
+  // Let browser clients read spec versions, deprecation notices and signatures
+  exposedHeaders: [
+    'X-Spec-Version', 'Deprecation', 'Sunset', 'Link',
+    'X-Registry-Signature', 'X-Spec-Signature', 'X-Spec-Signature-Status'
+  ],
   optionsSuccessStatus: 200
 }));
 
@@ -156,7 +172,7 @@ app.use((req, res, next) => {
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
-    const dbHealth = await database.healthCheck();
+    const dbHealth = await storage.healthCheck();
 
     const health = {
       status: dbHealth.status === 'healthy' ? 'ok' : 'error',
@@ -186,7 +202,36 @@ app.get('/health', async (req, res) => {
 app.use('/api/v1/specs', specsRouter);
 app.use('/api/v1/services', servicesRouter);
 app.use('/api/v1/discovery', discoveryRouter);
+app.use('/api/v1/schemas', schemasRouter);
 app.use('/api/v1/admin', adminRouter);
+app.use('/sdk', sdkRouter);
+app.use('/mock', mockRouter);
+
+// Specification validation and linting
+app.post('/validate', specsController.validateSpecification);
+
+// Specification history from the storage git repository
+app.get('/api/v1/specs/:serviceName/:version/history', optionalAuth, specsController.getSpecHistory);
+app.get('/api/v1/specs/:serviceName/:version/at/:commit', optionalAuth, specsController.getSpecAtCommit);
+app.post('/api/v1/specs/:serviceName/:version/revert', flexibleAuth, specsController.revertSpec);
+
+// Deprecation and sunset of specification versions
+app.get('/api/v1/specs/:serviceName/:version/lifecycle', optionalAuth, specsController.getSpecLifecycle);
+app.patch('/api/v1/specs/:serviceName/:version/deprecate', flexibleAuth, specsController.deprecateSpec);
+app.delete('/api/v1/specs/:serviceName/:version/deprecate', flexibleAuth, specsController.undeprecateSpec);
+
+// Dist-tags naming release channels of a service's specifications
+app.get('/api/v1/specs/:serviceName/tags', optionalAuth, specsController.listTags);
+app.get('/api/v1/specs/:serviceName/tags/:tag', optionalAuth, specsController.getTaggedSpec);
+app.put('/api/v1/specs/:serviceName/tags/:tag', flexibleAuth, specsController.setTag);
+app.delete('/api/v1/specs/:serviceName/tags/:tag', flexibleAuth, specsController.removeTag);
+
+// Semver range resolution to the best usable version of one or many services
+app.get('/api/v1/specs/:serviceName/resolve', optionalAuth, specsController.resolveRange);
+app.post('/api/v1/specs/resolve', optionalAuth, specsController.resolveRanges);
+
+// Changelog built from the diffs between consecutive specification versions
+app.get('/api/v1/specs/:serviceName/changelog', optionalAuth, specsController.getChangelog);
 
 // UI routes
 app.use('/', uiRouter);
@@ -213,30 +258,9 @@ if (fs.existsSync(openApiPath)) {
   logger.warn('⚠️ OpenAPI specification not found at:', openApiPath);
 }
 
-// DID document endpoint (well-known location)
+// DID document endpoint (well-known location); lists the key served specifications are counter-signed with
 app.get('/.well-known/did.json', (req, res) => {
-  const didDocument = {
-    "@context": [
-      "https://www.w3.org/ns/did/v1",
-      "https://w3id.org/security/suites/ed25519-2020/v1"
-    ],
-    "id": process.env.SERVICE_DID || `did:web:${req.hostname}`,
-    "verificationMethod": [{
-      "id": `${process.env.SERVICE_DID || `did:web:${req.hostname}`}#key-1`,
-      "type": "Ed25519VerificationKey2020",
-      "controller": process.env.SERVICE_DID || `did:web:${req.hostname}`,
-      "publicKeyMultibase": process.env.DID_PUBLIC_KEY || "z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH"
-    }],
-    "authentication": [`${process.env.SERVICE_DID || `did:web:${req.hostname}`}#key-1`],
-    "assertionMethod": [`${process.env.SERVICE_DID || `did:web:${req.hostname}`}#key-1`],
-    "service": [{
-      "id": `${process.env.SERVICE_DID || `did:web:${req.hostname}`}#registry`,
-      "type": "ApiRegistry",
-      "serviceEndpoint": BASE_URL
-    }]
-  };
-
-  res.json(didDocument);
+  res.json(specSignatureService.registryDidDocument(req.hostname, BASE_URL));
 });
 
 // 404 handler
@@ -291,9 +315,34 @@ app.use((error, req, res, next) => {
 // Initialize database and start server
 async function startServer() {
   try {
-    // Connect to database
-    await database.connect();
-    logger.info('✅ Database connected successfully');
+    // Connect to the configured storage backend
+    await storage.connect();
+    logger.info('✅ Storage connected successfully', { backend: storage.backend });
+
+    // Specification changes are committed to the storage repository, which must exist first
+    if (process.env.GIT_ENABLED === 'true') {
+      await initGitRepo();
+      logger.info('✅ Specification history repository ready');
+
+      if (await gitMirrorService.start()) {
+        logger.info('✅ Specification repository mirroring started');
+      }
+    }
+
+    // Deprecated specifications are retired once their sunset date passes
+    if (await specLifecycleService.start()) {
+      logger.info('✅ Specification sunset retirement started');
+    }
+
+    // Registered services are probed in the background so their health stays current
+    if (healthCheckService.start()) {
+      logger.info('✅ Service health checks started');
+    }
+
+    // Services that stop sending heartbeats drop out of discovery when their lease expires
+    if (await leaseService.start()) {
+      logger.info('✅ Service lease expiry started');
+    }
 
     // Start HTTP server
     const server = app.listen(PORT, () => {
@@ -322,10 +371,14 @@ async function startServer() {
 
       server.close(async () => {
         logger.info('🔌 HTTP server closed');
+        gitMirrorService.stop();
+        specLifecycleService.stop();
+        healthCheckService.stop();
+        leaseService.stop();
 
         try {
-          await database.disconnect();
-          logger.info('🔌 Database disconnected');
+          await storage.disconnect();
+          logger.info('🔌 Storage disconnected');
           process.exit(0);
         } catch (error) {
           logger.error('❌ Error during shutdown:', error);
@@ -8,8 +8,10 @@
 const express = require('express');
 const Joi = require('joi');
 const winston = require('winston');
-const { Service, ApiSpecification, ServiceHealthLog } = require('../database/models');
-const { database } = require('../database/connection');
+const { storage } = require('../database/storage');
+const gitMirrorService = require('../services/gitMirrorService');
+const healthCheckService = require('../services/healthCheckService');
+const instanceService = require('../services/instanceService');
 
 const router = express.Router();
 
@@ -63,68 +65,63 @@ const maintenanceSchema = Joi.object({
 router.get('/system/status', requireAdmin, async (req, res) => {
     try {
         // Database health
-        const dbHealth = await database.healthCheck();
-
-        // Service statistics
-        const serviceStats = await Service.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    total: { $sum: 1 },
-                    active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
-                    inactive: { $sum: { $cond: [{ $eq: ['$status', 'inactive'] }, 1, 0] } },
-                    healthy: { $sum: { $cond: [{ $eq: ['$healthStatus', 'healthy'] }, 1, 0] } },
-                    unhealthy: { $sum: { $cond: [{ $eq: ['$healthStatus', 'unhealthy'] }, 1, 0] } },
-                    withWebId: { $sum: { $cond: [{ $ne: ['$webId', null] }, 1, 0] } },
-                    deleted: { $sum: { $cond: [{ $ne: ['$deletedAt', null] }, 1, 0] } }
-                }
-            }
-        ]);
-
-        // Category distribution
-        const categoryStats = await Service.aggregate([
-            { $match: { deletedAt: { $exists: false } } },
-            {
-                $group: {
-                    _id: '$category',
-                    count: { $sum: 1 },
-                    activeCount: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } }
-                }
-            },
-            { $sort: { count: -1 } }
-        ]);
-
-        // Health log statistics
-        const healthLogStats = await ServiceHealthLog.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    totalLogs: { $sum: 1 },
-                    avgResponseTime: { $avg: '$responseTime' },
-                    recentLogs: {
-                        $sum: {
-                            $cond: [
-                                { $gte: ['$timestamp', new Date(Date.now() - 24 * 60 * 60 * 1000)] },
-                                1,
-                                0
-                            ]
-                        }
+        const dbHealth = await storage.healthCheck();
+
+        // Counting is left to the storage backend, so whole collections are not loaded
+        const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+        const isSet = (field) => ({ $ifNull: [field, false] });
+        const recentSince = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+        const [serviceTotals, categoryStats, healthLogTotals, recentLogs, totalSpecs, openApiCount, validSpecs] = await Promise.all([
+            // Service statistics
+            storage.services.aggregate([
+                {
+                    $group: {
+                        _id: null,
+                        total: { $sum: 1 },
+                        active: countIf({ $eq: ['$status', 'active'] }),
+                        inactive: countIf({ $eq: ['$status', 'inactive'] }),
+                        healthy: countIf({ $eq: ['$health.status', 'healthy'] }),
+                        unhealthy: countIf({ $eq: ['$health.status', 'unhealthy'] }),
+                        withWebId: countIf(isSet('$webId')),
+                        deleted: countIf(isSet('$deletedAt'))
                     }
                 }
-            }
+            ]),
+            // Category distribution
+            storage.services.aggregate([
+                { $match: { deletedAt: { $exists: false } } },
+                {
+                    $group: {
+                        _id: '$category',
+                        count: { $sum: 1 },
+                        activeCount: countIf({ $eq: ['$status', 'active'] })
+                    }
+                },
+                { $sort: { count: -1 } }
+            ]),
+            // Health log statistics
+            storage.healthLogs.aggregate([
+                { $group: { _id: null, totalLogs: { $sum: 1 }, avgResponseTime: { $avg: '$responseTime' } } }
+            ]),
+            storage.healthLogs.count({ checkedAt: { $gte: recentSince } }),
+            // API specification statistics
+            storage.specs.count({}),
+            storage.specs.count({ format: 'openapi' }),
+            storage.specs.count({ isValid: true })
         ]);
 
-        // API specification statistics
-        const apiSpecStats = await ApiSpecification.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    totalSpecs: { $sum: 1 },
-                    openApiCount: { $sum: { $cond: [{ $eq: ['$format', 'openapi'] }, 1, 0] } },
-                    validSpecs: { $sum: { $cond: [{ $eq: ['$isValid', true] }, 1, 0] } }
-                }
-            }
-        ]);
+        const { _id: serviceGroup, ...serviceStats } = serviceTotals[0] || {
+            total: 0, active: 0, inactive: 0, healthy: 0, unhealthy: 0, withWebId: 0, deleted: 0
+        };
+        const healthLogStats = {
+            totalLogs: healthLogTotals.length > 0 ? healthLogTotals[0].totalLogs : 0,
+            avgResponseTime: healthLogTotals.length > 0 && healthLogTotals[0].avgResponseTime !== null
+                ? healthLogTotals[0].avgResponseTime
+                : 0,
+            recentLogs
+        };
+        const apiSpecStats = { totalSpecs, openApiCount, validSpecs };
 
         // System information
         const systemInfo = {
@@ -139,12 +136,11 @@ router.get('/system/status', requireAdmin, async (req, res) => {
         const status = {
             system: systemInfo,
             database: dbHealth,
-            services: serviceStats[0] || {
-                total: 0, active: 0, inactive: 0, healthy: 0, unhealthy: 0, withWebId: 0, deleted: 0
-            },
+            services: serviceStats,
             categories: categoryStats,
-            healthLogs: healthLogStats[0] || { totalLogs: 0, avgResponseTime: 0, recentLogs: 0 },
-            apiSpecs: apiSpecStats[0] || { totalSpecs: 0, openApiCount: 0, validSpecs: 0 }
+            healthLogs: healthLogStats,
+            healthChecks: healthCheckService.getStatus(),
+            apiSpecs: apiSpecStats
         };
 
         logger.info('System status requested', { admin: true });
@@ -176,7 +172,7 @@ router.post('/services/bulk', requireAdmin, async (req, res) => {
         const { operation, serviceIds, reason, notify } = value;
 
         // Verify services exist
-        const services = await Service.find({
+        const services = await storage.services.find({
             _id: { $in: serviceIds },
             deletedAt: { $exists: false }
         });
@@ -195,10 +191,15 @@ router.post('/services/bulk', requireAdmin, async (req, res) => {
 
         const results = [];
 
+        // Health checks probe the services a few at a time rather than one after another
+        const healthChecks = operation === 'health-check'
+            ? new Map((await healthCheckService.checkServices(services)).map(check => [check.serviceId, check]))
+            : null;
+
         // Execute bulk operation
         for (const service of services) {
             try {
-                let updated = false;
+                let changes = null;
                 const result = {
                     serviceId: service._id.toString(),
                     name: service.name,
@@ -210,9 +211,7 @@ router.post('/services/bulk', requireAdmin, async (req, res) => {
                 switch (operation) {
                     case 'activate':
                         if (service.status !== 'active') {
-                            service.status = 'active';
-                            service.lastUpdated = new Date();
-                            updated = true;
+                            changes = { status: 'active', lastUpdated: new Date() };
                             result.message = 'Service activated';
                         } else {
                             result.message = 'Service already active';
@@ -221,9 +220,7 @@ router.post('/services/bulk', requireAdmin, async (req, res) => {
 
                     case 'deactivate':
                         if (service.status !== 'inactive') {
-                            service.status = 'inactive';
-                            service.lastUpdated = new Date();
-                            updated = true;
+                            changes = { status: 'inactive', lastUpdated: new Date() };
                             result.message = 'Service deactivated';
                         } else {
                             result.message = 'Service already inactive';
@@ -232,26 +229,32 @@ router.post('/services/bulk', requireAdmin, async (req, res) => {
 
                     case 'delete':
                         if (!service.deletedAt) {
-                            service.deletedAt = new Date();
-                            service.status = 'inactive';
-                            updated = true;
+                            changes = { deletedAt: new Date(), status: 'inactive' };
+                            instanceService.forgetService(service._id);
                             result.message = 'Service deleted (soft delete)';
                         } else {
                             result.message = 'Service already deleted';
                         }
                         break;
 
-                    case 'health-check':
-                        // TODO: Implement actual health check ping
-                        service.lastHealthCheck = new Date();
-                        service.healthStatus = 'unknown'; // Would be set by actual health check
-                        updated = true;
-                        result.message = 'Health check initiated';
+                    case 'health-check': {
+                        // The probe has already recorded the result against the service
+                        const check = healthChecks.get(service._id.toString());
+                        if (check.error) {
+                            throw new Error(check.error);
+                        }
+                        result.health = {
+                            status: check.status,
+                            responseTime: check.responseTime,
+                            errorMessage: check.errorMessage
+                        };
+                        result.message = `Service is ${check.status}`;
                         break;
+                    }
                 }
 
-                if (updated) {
-                    await service.save();
+                if (changes) {
+                    await storage.services.updateById(service._id, changes);
                 }
 
                 result.success = true;
@@ -392,15 +395,62 @@ router.get('/logs', requireAdmin, async (req, res) => {
     }
 });
 
+// GET /api/v1/admin/git-mirror - Specification repository mirroring status and conflicts
+router.get('/git-mirror', requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            ...gitMirrorService.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error getting git mirror status:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to get git mirror status',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/admin/git-mirror/sync - Fetch and merge from the mirror now
+router.post('/git-mirror/sync', requireAdmin, async (req, res) => {
+    try {
+        if (!gitMirrorService.isEnabled()) {
+            return res.status(409).json({
+                error: 'mirror_disabled',
+                message: 'Git mirroring is not configured; set GIT_ENABLED=true and GIT_MIRROR_REMOTE',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const result = await gitMirrorService.sync();
+
+        logger.info('Git mirror sync requested by admin', { status: result.status });
+
+        res.status(result.status === 'conflict' ? 409 : 200).json({
+            ...result,
+            mirror: gitMirrorService.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error syncing git mirror:', error);
+        res.status(502).json({
+            error: 'mirror_sync_error',
+            message: `Failed to sync with the git mirror: ${error.message}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // Maintenance operation implementations
 async function performCleanup(targetCollection, olderThanDays, dryRun, batchSize) {
     const cutoffDate = new Date(Date.now() - (olderThanDays || 30) * 24 * 60 * 60 * 1000);
 
     if (!targetCollection || targetCollection === 'health-logs') {
-        const query = { timestamp: { $lt: cutoffDate } };
+        const query = { checkedAt: { $lt: cutoffDate } };
 
         if (dryRun) {
-            const count = await ServiceHealthLog.countDocuments(query);
+            const count = await storage.healthLogs.count(query);
             return {
                 success: true,
                 type: 'cleanup',
@@ -408,13 +458,13 @@ async function performCleanup(targetCollection, olderThanDays, dryRun, batchSize
                 message: `Would delete ${count} health logs older than ${olderThanDays} days`
             };
         } else {
-            const result = await ServiceHealthLog.deleteMany(query);
+            const deletedCount = await storage.healthLogs.deleteMany(query);
             return {
                 success: true,
                 type: 'cleanup',
                 dryRun: false,
-                deletedCount: result.deletedCount,
-                message: `Deleted ${result.deletedCount} old health logs`
+                deletedCount,
+                message: `Deleted ${deletedCount} old health logs`
             };
         }
     }
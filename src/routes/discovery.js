@@ -8,7 +8,20 @@
 const express = require('express');
 const Joi = require('joi');
 const winston = require('winston');
-const { Service, ApiSpecification } = require('../database/models');
+const semver = require('semver');
+const { storage } = require('../database/storage');
+const asyncApiService = require('../services/asyncApiService');
+const operationIndexService = require('../services/operationIndexService');
+const schemaRegistryService = require('../services/schemaRegistryService');
+const accessControlService = require('../services/accessControlService');
+const specLifecycleService = require('../services/specLifecycleService');
+const specReviewService = require('../services/specReviewService');
+const healthCheckService = require('../services/healthCheckService');
+const healthMetricsService = require('../services/healthMetricsService');
+const leaseService = require('../services/leaseService');
+const instanceService = require('../services/instanceService');
+const { LOAD_BALANCING_STRATEGIES } = require('../database/models');
+const { optionalAuth } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -25,6 +38,15 @@ const logger = winston.createLogger({
 });
 
 // Validation schemas
+const loadBalancingSchema = Joi.object({
+    strategy: Joi.string().valid(...Object.values(LOAD_BALANCING_STRATEGIES))
+        .description('Overrides each service\'s own load-balancing strategy'),
+    region: Joi.string().max(100)
+        .description('Region of the caller, for zone-affine ordering'),
+    zone: Joi.string().max(100)
+        .description('Zone of the caller, for zone-affine ordering')
+}).description('How to order the instances of each service found');
+
 const webIdDiscoverySchema = Joi.object({
     webId: Joi.string().uri().required()
         .description('WebID to discover services for'),
@@ -40,7 +62,9 @@ const webIdDiscoverySchema = Joi.object({
         .description('Preferred authentication method'),
 
     includeInactive: Joi.boolean().default(false)
-        .description('Include inactive services in results')
+        .description('Include inactive services in results'),
+
+    loadBalancing: loadBalancingSchema
 });
 
 const capabilityDiscoverySchema = Joi.object({
@@ -63,17 +87,62 @@ const capabilityDiscoverySchema = Joi.object({
     }).description('Geographic proximity filter (if supported)'),
 
     performance: Joi.object({
-        maxResponseTime: Joi.number().positive(),
-        minUptime: Joi.number().min(0).max(100).default(95)
-    }).description('Performance requirements'),
+        maxResponseTime: Joi.number().positive()
+            .description('Highest acceptable response time in milliseconds, at the chosen percentile'),
+        minUptime: Joi.number().min(0).max(100).default(95),
+        maxErrorRate: Joi.number().min(0).max(100)
+            .description('Highest acceptable percentage of failed health checks'),
+        percentile: Joi.string().valid('p50', 'p95', 'p99').default('p95'),
+        window: Joi.string().valid(...Object.keys(healthMetricsService.METRIC_WINDOWS)).default(healthMetricsService.DEFAULT_WINDOW),
+        includeUnmeasured: Joi.boolean().default(true)
+            .description('Keep services without health data in the window, with no performance score')
+    }).description('Performance requirements, measured from recent health checks'),
+
+    loadBalancing: loadBalancingSchema,
 
     limit: Joi.number().integer().min(1).max(50).default(10)
 });
 
+const eventDiscoverySchema = Joi.object({
+    channel: Joi.string()
+        .description('Channel the service publishes or subscribes to; matches parameterised channels'),
+
+    message: Joi.string()
+        .description('Message name or ID carried on the channel'),
+
+    role: Joi.string().valid('publisher', 'subscriber')
+        .description('Only return services acting in this role'),
+
+    limit: Joi.number().integer().min(1).max(50).default(10)
+}).or('channel', 'message');
+
+const operationDiscoverySchema = Joi.object({
+    path: Joi.string().max(500)
+        .description('Path template or concrete path, e.g. /users/{id} or /users/123'),
+
+    method: Joi.string().valid(...operationIndexService.HTTP_METHODS).insensitive()
+        .description('HTTP method'),
+
+    tag: Joi.string().max(100)
+        .description('Operation tag'),
+
+    operationId: Joi.string().max(200)
+        .description('Operation ID'),
+
+    schema: Joi.string().max(500)
+        .description('Component schema name or $id accepted or returned by the operation'),
+
+    latestOnly: Joi.boolean().default(true)
+        .description('Only search each service\'s latest specification version'),
+
+    limit: Joi.number().integer().min(1).max(50).default(10)
+}).or('path', 'method', 'tag', 'operationId', 'schema');
+
 const healthDiscoverySchema = Joi.object({
     category: Joi.string().valid('data-store', 'identity-provider', 'application', 'utility', 'integration'),
     status: Joi.string().valid('healthy', 'degraded', 'unhealthy').default('healthy'),
-    includeMetrics: Joi.boolean().default(false)
+    includeMetrics: Joi.boolean().default(false),
+    window: Joi.string().valid(...Object.keys(healthMetricsService.METRIC_WINDOWS)).default(healthMetricsService.DEFAULT_WINDOW)
 });
 
 // Middleware for request validation
@@ -104,6 +173,111 @@ const validateRequest = (schema, source = 'body') => {
     };
 };
 
+// Services whose current specification is deprecated rank below current ones, and lower still once a sunset date is set
+const LIFECYCLE_PENALTIES = {
+    [specLifecycleService.LIFECYCLE_STATES.DEPRECATED]: 15,
+    [specLifecycleService.LIFECYCLE_STATES.SUNSETTING]: 25
+};
+
+// Score penalty and match reason for a service's specification lifecycle
+const lifecyclePenalty = (lifecycle) => {
+    if (!lifecycle) {
+        return { penalty: 0, reason: null };
+    }
+
+    let reason = `Specification ${lifecycle.version} deprecated`;
+    if (lifecycle.sunsetDate) {
+        reason += `, sunset ${new Date(lifecycle.sunsetDate).toISOString().slice(0, 10)}`;
+    }
+    if (lifecycle.replacementVersion) {
+        reason += `, replaced by ${lifecycle.replacementVersion}`;
+    }
+
+    return { penalty: LIFECYCLE_PENALTIES[lifecycle.state] || 0, reason };
+};
+
+// Most points a service can gain from each performance measure
+const PERFORMANCE_WEIGHTS = { uptime: 10, latency: 10, errorRate: 10 };
+
+/**
+ * Check a service's health metrics against performance requirements. Passing
+ * services score by uptime above the minimum, latency relative to the
+ * fastest candidate, and lose a point per percent of failed checks.
+ */
+const assessPerformance = (metrics, performance, fastest) => {
+    const { minUptime, maxResponseTime, maxErrorRate, percentile, window } = performance;
+    const latency = metrics.responseTime ? metrics.responseTime[percentile] : null;
+
+    if (metrics.checks === 0) {
+        return {
+            failures: performance.includeUnmeasured ? [] : [`No health checks in ${window}`],
+            bonus: 0,
+            reasons: [`No health data in ${window}`]
+        };
+    }
+
+    const failures = [];
+    if (metrics.uptime !== null && metrics.uptime < minUptime) {
+        failures.push(`Uptime ${metrics.uptime}% below ${minUptime}%`);
+    }
+    if (maxResponseTime && latency !== null && latency > maxResponseTime) {
+        failures.push(`${percentile} response ${latency}ms above ${maxResponseTime}ms`);
+    }
+    if (maxErrorRate !== undefined && metrics.errorRate > maxErrorRate) {
+        failures.push(`Error rate ${metrics.errorRate}% above ${maxErrorRate}%`);
+    }
+
+    let bonus = minUptime < 100
+        ? PERFORMANCE_WEIGHTS.uptime * Math.max(0, metrics.uptime - minUptime) / (100 - minUptime)
+        : 0;
+    if (latency !== null) {
+        bonus += PERFORMANCE_WEIGHTS.latency * (latency > 0 ? Math.min(1, fastest / latency) : 1);
+    }
+    bonus -= Math.min(PERFORMANCE_WEIGHTS.errorRate, metrics.errorRate);
+
+    const reasons = [`Uptime ${metrics.uptime}% (${window})`];
+    if (latency !== null) {
+        reasons.push(`${percentile} response ${latency}ms (${window})`);
+    }
+    reasons.push(`Error rate ${metrics.errorRate}% (${window})`);
+
+    return { failures, bonus, reasons };
+};
+
+// Candidates' metrics by window and service IDs, reused for a short while across capability queries
+const candidateMetricsCache = new Map();
+const CANDIDATE_METRICS_TTL = 30 * 1000;
+const MAX_CANDIDATE_METRICS = 50;
+
+// Health metrics of each candidate service over a window, without their logs
+const candidateMetrics = async (services, window) => {
+    const serviceIds = services.map(service => service._id.toString());
+    const cacheKey = `${window}:${[...serviceIds].sort().join(',')}`;
+    const cached = candidateMetricsCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.metrics;
+    }
+
+    const results = await healthMetricsService.serviceMetrics(serviceIds, window);
+    const metrics = new Map(Array.from(results, ([id, result]) => [id, result.metrics]));
+
+    candidateMetricsCache.delete(cacheKey);
+    if (candidateMetricsCache.size >= MAX_CANDIDATE_METRICS) {
+        candidateMetricsCache.delete(candidateMetricsCache.keys().next().value);
+    }
+    candidateMetricsCache.set(cacheKey, { metrics, expiresAt: Date.now() + CANDIDATE_METRICS_TTL });
+    return metrics;
+};
+
+// Services registered with instances can only be offered while one of them can take traffic
+const hasAvailableInstances = (service) =>
+    !service.instances || service.instances.length === 0 || instanceService.availableInstances(service).length > 0;
+
+// A service's available instances in the order the caller should use them, with the load-balancing hint
+const instanceRouting = (service, loadBalancing) => (service.instances && service.instances.length > 0
+    ? instanceService.balanceInstances(service, loadBalancing)
+    : { loadBalancing: null, instances: [] });
+
 // POST /api/v1/discovery/webid - WebID-based service discovery
 router.post('/webid', validateRequest(webIdDiscoverySchema), async (req, res) => {
     try {
@@ -112,7 +286,8 @@ router.post('/webid', validateRequest(webIdDiscoverySchema), async (req, res) =>
             serviceTypes,
             capabilities,
             authPreference,
-            includeInactive
+            includeInactive,
+            loadBalancing
         } = req.body;
 
         // Build discovery query
@@ -123,7 +298,8 @@ router.post('/webid', validateRequest(webIdDiscoverySchema), async (req, res) =>
         // Add status filter
         if (!includeInactive) {
             query.status = 'active';
-            query.healthStatus = { $ne: 'unhealthy' };
+            query['health.status'] = { $ne: 'unhealthy' };
+            Object.assign(query, leaseService.liveFilter());
         }
 
         // Add service type filter
@@ -142,9 +318,12 @@ router.post('/webid', validateRequest(webIdDiscoverySchema), async (req, res) =>
         }
 
         // Execute discovery query
-        const services = await Service.find(query)
-            .select('-__v -deletedAt')
-            .lean();
+        let services = await storage.services.find(query, { select: '-__v -deletedAt -accessControl' });
+        if (!includeInactive) {
+            services = services.filter(hasAvailableInstances);
+        }
+        const lifecycles = await specLifecycleService.deprecatedServices(
+            services.map(service => service._id), await accessControlService.readableSpecFilter(req.auth));
 
         // Score and rank services for WebID compatibility
         const scoredServices = services.map(service => {
@@ -188,7 +367,7 @@ router.post('/webid', validateRequest(webIdDiscoverySchema), async (req, res) =>
             }
 
             // Health status bonus
-            if (service.healthStatus === 'healthy') {
+            if (healthCheckService.healthStatusOf(service) === 'healthy') {
                 score += 5;
                 reasons.push('Healthy status');
             }
@@ -204,12 +383,22 @@ router.post('/webid', validateRequest(webIdDiscoverySchema), async (req, res) =>
                 }
             }
 
+            // Deprecated and sunsetting specifications
+            const lifecycle = lifecycles.get(service._id.toString());
+            const { penalty, reason } = lifecyclePenalty(lifecycle);
+            if (reason) {
+                score -= penalty;
+                reasons.push(reason);
+            }
+
             return {
                 ...service,
                 _id: service._id.toString(),
+                ...instanceRouting(service, loadBalancing),
                 discoveryScore: score,
                 compatibilityReasons: reasons,
-                webIdCompatible: !!service.webId
+                webIdCompatible: !!service.webId,
+                specLifecycle: lifecycle || null
             };
         });
 
@@ -233,7 +422,8 @@ router.post('/webid', validateRequest(webIdDiscoverySchema), async (req, res) =>
                     serviceTypes,
                     capabilities,
                     authPreference,
-                    includeInactive
+                    includeInactive,
+                    loadBalancing
                 },
                 timestamp: new Date().toISOString()
             }
@@ -248,6 +438,39 @@ router.post('/webid', validateRequest(webIdDiscoverySchema), async (req, res) =>
     }
 });
 
+// Helper function to expand requested data types into the identifiers services may declare.
+// Registered schemas match by name, name@version or $id; unregistered types match literally.
+const expandDataTypes = async (dataTypes) => {
+    const expanded = new Map();
+
+    for (const dataType of dataTypes) {
+        const parsed = schemaRegistryService.parseDataType(dataType);
+        const identifiers = new Set([dataType]);
+        const schemas = [];
+
+        const filter = parsed.schemaId ? { schemaId: parsed.schemaId } : { name: parsed.name };
+        const versions = await storage.schemas.find(filter, { select: 'name version schemaId' });
+
+        for (const item of versions) {
+            if (parsed.range && !semver.satisfies(item.version, parsed.range)) continue;
+
+            const aliases = [item.schemaId, `${item.name}@${item.version}`];
+            aliases.forEach(alias => identifiers.add(alias));
+            schemas.push({ schemaId: item.schemaId, aliases });
+
+            // A bare name only stands for the whole data type when no range was asked for
+            if (!parsed.range) identifiers.add(item.name);
+        }
+
+        expanded.set(dataType, {
+            identifiers: Array.from(identifiers),
+            schemas
+        });
+    }
+
+    return expanded;
+};
+
 // POST /api/v1/discovery/capabilities - Capability-based service discovery
 router.post('/capabilities', validateRequest(capabilityDiscoverySchema), async (req, res) => {
     try {
@@ -257,6 +480,7 @@ router.post('/capabilities', validateRequest(capabilityDiscoverySchema), async (
             authTypes,
             category,
             performance,
+            loadBalancing,
             limit
         } = req.body;
 
@@ -264,12 +488,19 @@ router.post('/capabilities', validateRequest(capabilityDiscoverySchema), async (
         const query = {
             deletedAt: { $exists: false },
             status: 'active',
-            capabilities: { $all: capabilities }
+            capabilities: { $all: capabilities },
+            ...leaseService.liveFilter()
         };
 
         // Add optional filters
-        if (dataTypes && dataTypes.length > 0) {
-            query.dataTypes = { $in: dataTypes };
+        const expandedDataTypes = dataTypes && dataTypes.length > 0
+            ? await expandDataTypes(dataTypes)
+            : new Map();
+
+        if (expandedDataTypes.size > 0) {
+            query.dataTypes = {
+                $in: Array.from(new Set(Array.from(expandedDataTypes.values()).flatMap(item => item.identifiers)))
+            };
         }
 
         if (authTypes && authTypes.length > 0) {
@@ -281,17 +512,33 @@ router.post('/capabilities', validateRequest(capabilityDiscoverySchema), async (
         }
 
         // Execute discovery query
-        let services = await Service.find(query)
-            .select('-__v -deletedAt')
-            .lean();
+        let services = (await storage.services.find(query, { select: '-__v -deletedAt -accessControl' })).filter(hasAvailableInstances);
 
-        // Apply performance filtering if specified
+        // Measure candidates against the performance requirements, dropping those that miss them
+        const assessments = new Map();
+        const excludedByPerformance = [];
         if (performance) {
-            // TODO: Implement performance-based filtering
-            // This would require aggregating health logs and calculating metrics
-            logger.info('Performance filtering requested but not yet implemented', performance);
+            const metrics = await candidateMetrics(services, performance.window);
+            const latencies = Array.from(metrics.values())
+                .map(measured => measured.responseTime && measured.responseTime[performance.percentile])
+                .filter(latency => typeof latency === 'number' && latency > 0);
+            const fastest = latencies.length > 0 ? Math.min(...latencies) : 0;
+
+            services = services.filter(service => {
+                const measured = metrics.get(service._id.toString());
+                const assessment = { metrics: measured, ...assessPerformance(measured, performance, fastest) };
+                if (assessment.failures.length > 0) {
+                    excludedByPerformance.push({ _id: service._id.toString(), name: service.name, reasons: assessment.failures });
+                    return false;
+                }
+                assessments.set(service._id.toString(), assessment);
+                return true;
+            });
         }
 
+        const lifecycles = await specLifecycleService.deprecatedServices(
+            services.map(service => service._id), await accessControlService.readableSpecFilter(req.auth));
+
         // Score services based on capability match quality
         const scoredServices = services.map(service => {
             let score = 0;
@@ -316,10 +563,22 @@ router.post('/capabilities', validateRequest(capabilityDiscoverySchema), async (
 
             // Data type compatibility
             if (dataTypes && service.dataTypes) {
-                const matchedDataTypes = dataTypes.filter(dt => service.dataTypes.includes(dt));
+                const matchedDataTypes = dataTypes.filter(dt =>
+                    expandedDataTypes.get(dt).identifiers.some(id => service.dataTypes.includes(id)));
                 if (matchedDataTypes.length > 0) {
                     score += matchedDataTypes.length * 3;
                     reasons.push(`Data types: ${matchedDataTypes.join(', ')}`);
+
+                    // Report the schema versions the service declares, or every match for a bare name
+                    const schemaIds = matchedDataTypes.flatMap(dt => {
+                        const { schemas } = expandedDataTypes.get(dt);
+                        const declared = schemas.filter(schema =>
+                            schema.aliases.some(alias => service.dataTypes.includes(alias)));
+                        return (declared.length > 0 ? declared : schemas).map(schema => schema.schemaId);
+                    });
+                    if (schemaIds.length > 0) {
+                        reasons.push(`Schemas: ${Array.from(new Set(schemaIds)).join(', ')}`);
+                    }
                 }
             }
 
@@ -333,16 +592,34 @@ router.post('/capabilities', validateRequest(capabilityDiscoverySchema), async (
             }
 
             // Health status bonus
-            if (service.healthStatus === 'healthy') {
+            if (healthCheckService.healthStatusOf(service) === 'healthy') {
                 score += 5;
                 reasons.push('Healthy');
             }
 
+            // Measured performance, when requirements were given
+            const assessment = assessments.get(service._id.toString());
+            if (assessment) {
+                score += assessment.bonus;
+                reasons.push(...assessment.reasons);
+            }
+
+            // Deprecated and sunsetting specifications
+            const lifecycle = lifecycles.get(service._id.toString());
+            const { penalty, reason } = lifecyclePenalty(lifecycle);
+            if (reason) {
+                score -= penalty;
+                reasons.push(reason);
+            }
+
             return {
                 ...service,
                 _id: service._id.toString(),
-                capabilityScore: score,
+                ...instanceRouting(service, loadBalancing),
+                capabilityScore: Math.round(score * 100) / 100,
                 matchReasons: reasons,
+                performanceMetrics: assessment ? assessment.metrics : undefined,
+                specLifecycle: lifecycle || null,
                 capabilityMatch: {
                     required: capabilities,
                     provided: serviceCapabilities,
@@ -367,13 +644,15 @@ router.post('/capabilities', validateRequest(capabilityDiscoverySchema), async (
             servicesFound: limitedServices.length,
             totalMatches: scoredServices.length,
             services: limitedServices,
+            excludedByPerformance: performance ? excludedByPerformance : undefined,
             metadata: {
                 searchCriteria: {
                     capabilities,
                     dataTypes,
                     authTypes,
                     category,
-                    performance
+                    performance,
+                    loadBalancing
                 },
                 timestamp: new Date().toISOString()
             }
@@ -388,10 +667,238 @@ router.post('/capabilities', validateRequest(capabilityDiscoverySchema), async (
     }
 });
 
+// GET /api/v1/discovery/events - Event-driven service discovery from AsyncAPI specifications
+router.get('/events', optionalAuth, validateRequest(eventDiscoverySchema, 'query'), async (req, res) => {
+    try {
+        const { channel, message, role, limit } = req.query;
+        const { EVENT_ROLES } = asyncApiService;
+        const method = role && (role === 'publisher' ? EVENT_ROLES.PUBLISH : EVENT_ROLES.SUBSCRIBE);
+
+        // Narrow in the database where possible; channel templates are matched below
+        const endpointQuery = {};
+        if (message) endpointQuery.messages = message;
+        if (method) endpointQuery.method = method;
+
+        const specQuery = {
+            format: 'asyncapi',
+            isDeprecated: { $ne: true },
+            ...specReviewService.publishedFilter()
+        };
+        if (Object.keys(endpointQuery).length > 0) {
+            specQuery.endpoints = { $elemMatch: endpointQuery };
+        }
+
+        // Only specifications the caller can read
+        const specs = await storage.specs.find({
+            $and: [specQuery, await accessControlService.readableSpecFilter(req.auth)]
+        }, { select: 'serviceId version endpoints' });
+
+        // Collect matching operations by service
+        const operationsByService = new Map();
+        for (const spec of specs) {
+            const operations = (spec.endpoints || []).filter(endpoint =>
+                (!channel || asyncApiService.channelMatches(endpoint.path, channel)) &&
+                (!message || (endpoint.messages || []).includes(message)) &&
+                (!method || endpoint.method === method));
+
+            if (operations.length === 0) continue;
+
+            const serviceId = spec.serviceId.toString();
+            if (!operationsByService.has(serviceId)) {
+                operationsByService.set(serviceId, []);
+            }
+            operationsByService.get(serviceId).push(...operations.map(operation => ({
+                specificationId: spec._id.toString(),
+                version: spec.version,
+                channel: operation.path,
+                role: operation.method === EVENT_ROLES.PUBLISH ? 'publisher' : 'subscriber',
+                operationId: operation.operationId,
+                summary: operation.summary,
+                messages: operation.messages || [],
+                authRequired: operation.authRequired
+            })));
+        }
+
+        const services = await storage.services.find({
+            _id: { $in: Array.from(operationsByService.keys()) },
+            deletedAt: { $exists: false },
+            status: 'active',
+            ...leaseService.liveFilter()
+        }, { select: '-__v -deletedAt -accessControl' });
+
+        const matchedServices = services
+            .map(service => ({
+                ...service,
+                _id: service._id.toString(),
+                eventOperations: operationsByService.get(service._id.toString())
+            }))
+            .sort((a, b) => b.eventOperations.length - a.eventOperations.length);
+        const limitedServices = matchedServices.slice(0, limit);
+
+        logger.info('Event discovery completed', {
+            channel,
+            message,
+            role,
+            servicesFound: limitedServices.length
+        });
+
+        res.json({
+            discoveryType: 'event-based',
+            servicesFound: limitedServices.length,
+            totalMatches: matchedServices.length,
+            services: limitedServices,
+            metadata: {
+                searchCriteria: { channel, message, role },
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        logger.error('Error in event discovery:', error);
+        res.status(500).json({
+            error: 'discovery_error',
+            message: 'Failed to perform event-based discovery',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/discovery/operations - Find services exposing matching OpenAPI operations
+router.get('/operations', optionalAuth, validateRequest(operationDiscoverySchema, 'query'), async (req, res) => {
+    try {
+        const { path, tag, operationId, schema, latestOnly, limit } = req.query;
+        const method = req.query.method && req.query.method.toUpperCase();
+
+        // Narrow in the database where possible; path templates are matched below
+        const endpointQuery = {};
+        if (method) endpointQuery.method = method;
+        if (tag) endpointQuery.tags = tag;
+        if (operationId) endpointQuery.operationId = operationId;
+        if (schema) endpointQuery.$or = [{ requestSchemas: schema }, { responseSchemas: schema }];
+
+        const specQuery = {
+            format: 'openapi',
+            isDeprecated: { $ne: true },
+            ...specReviewService.publishedFilter()
+        };
+        if (Object.keys(endpointQuery).length > 0) {
+            specQuery.endpoints = { $elemMatch: endpointQuery };
+        }
+
+        // Only specifications the caller can read
+        const readable = await accessControlService.readableSpecFilter(req.auth);
+        let specs = await storage.specs.find({ $and: [specQuery, readable] }, { select: 'serviceId version endpoints' });
+
+        // Keep only specifications that are the newest version of their service the caller can read
+        if (latestOnly && specs.length > 0) {
+            const versions = await storage.specs.find({
+                $and: [{
+                    serviceId: { $in: [...new Set(specs.map(spec => spec.serviceId.toString()))] },
+                    format: 'openapi',
+                    isDeprecated: { $ne: true },
+                    ...specReviewService.publishedFilter()
+                }, readable]
+            }, { select: 'serviceId version' });
+
+            const latestVersions = new Map();
+            for (const item of versions) {
+                const serviceId = item.serviceId.toString();
+                const current = latestVersions.get(serviceId);
+                if (semver.valid(item.version) && (!current || semver.gt(item.version, current))) {
+                    latestVersions.set(serviceId, item.version);
+                }
+            }
+
+            specs = specs.filter(spec => latestVersions.get(spec.serviceId.toString()) === spec.version);
+        }
+
+        // Collect matching operations by service
+        const operationsByService = new Map();
+        for (const spec of specs) {
+            const operations = (spec.endpoints || []).filter(endpoint =>
+                (!path || operationIndexService.pathMatches(endpoint.path, path)) &&
+                (!method || endpoint.method === method) &&
+                (!tag || (endpoint.tags || []).includes(tag)) &&
+                (!operationId || endpoint.operationId === operationId) &&
+                (!schema || (endpoint.requestSchemas || []).includes(schema) ||
+                    (endpoint.responseSchemas || []).includes(schema)));
+
+            if (operations.length === 0) continue;
+
+            const serviceId = spec.serviceId.toString();
+            if (!operationsByService.has(serviceId)) {
+                operationsByService.set(serviceId, []);
+            }
+            operationsByService.get(serviceId).push(...operations.map(operation => {
+                const schemaMatch = [];
+                if (schema && (operation.requestSchemas || []).includes(schema)) schemaMatch.push('request');
+                if (schema && (operation.responseSchemas || []).includes(schema)) schemaMatch.push('response');
+
+                return {
+                    specificationId: spec._id.toString(),
+                    version: spec.version,
+                    path: operation.path,
+                    method: operation.method,
+                    operationId: operation.operationId,
+                    summary: operation.summary,
+                    tags: operation.tags || [],
+                    authRequired: operation.authRequired,
+                    scopes: operation.scopes || [],
+                    requestSchemas: operation.requestSchemas || [],
+                    responseSchemas: operation.responseSchemas || [],
+                    schemaMatch: schema ? schemaMatch : undefined
+                };
+            }));
+        }
+
+        const services = await storage.services.find({
+            _id: { $in: Array.from(operationsByService.keys()) },
+            deletedAt: { $exists: false },
+            status: 'active',
+            ...leaseService.liveFilter()
+        }, { select: '-__v -deletedAt -accessControl' });
+
+        const matchedServices = services
+            .map(service => ({
+                ...service,
+                _id: service._id.toString(),
+                operations: operationsByService.get(service._id.toString())
+            }))
+            .sort((a, b) => b.operations.length - a.operations.length);
+        const limitedServices = matchedServices.slice(0, limit);
+
+        logger.info('Operation discovery completed', {
+            path,
+            method,
+            tag,
+            operationId,
+            schema,
+            servicesFound: limitedServices.length
+        });
+
+        res.json({
+            discoveryType: 'operation-based',
+            servicesFound: limitedServices.length,
+            totalMatches: matchedServices.length,
+            services: limitedServices,
+            metadata: {
+                searchCriteria: { path, method, tag, operationId, schema, latestOnly },
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        logger.error('Error in operation discovery:', error);
+        res.status(500).json({
+            error: 'discovery_error',
+            message: 'Failed to perform operation-based discovery',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // GET /api/v1/discovery/health - Service health discovery
 router.get('/health', validateRequest(healthDiscoverySchema, 'query'), async (req, res) => {
     try {
-        const { category, status, includeMetrics } = req.query;
+        const { category, status, includeMetrics, window } = req.query;
 
         // Build health query
         const query = {
@@ -404,38 +911,38 @@ router.get('/health', validateRequest(healthDiscoverySchema, 'query'), async (re
         }
 
         if (status) {
-            query.healthStatus = status;
+            query['health.status'] = status;
         }
 
         // Get services with health information
-        const services = await Service.find(query)
-            .select('-__v -deletedAt')
-            .lean();
-
-        // Enhance with health metrics if requested
-        const healthData = await Promise.all(services.map(async (service) => {
+        const services = await storage.services.find(query, { select: '-__v -deletedAt -accessControl' });
+
+        // Health log metrics over the requested window, if asked for
+        const until = new Date();
+        const metrics = includeMetrics
+            ? await healthMetricsService.serviceMetrics(services.map(service => service._id), window, until)
+            : null;
+        const groupMetrics = (members) => healthMetricsService.groupMetrics(
+            members.map(member => ({ name: member.name, ...metrics.get(member._id) })),
+            { window, since: healthMetricsService.windowStart(window, until), until }
+        );
+
+        const healthData = services.map(service => {
             const baseHealth = {
                 _id: service._id.toString(),
                 name: service.name,
                 category: service.category,
                 baseUrl: service.baseUrl,
-                healthStatus: service.healthStatus || 'unknown',
-                lastHealthCheck: service.lastHealthCheck
+                healthStatus: healthCheckService.healthStatusOf(service),
+                lastHealthCheck: service.health && service.health.lastCheck
             };
 
-            if (includeMetrics) {
-                // TODO: Aggregate health metrics from ServiceHealthLog
-                // This would include uptime, response times, error rates, etc.
-                baseHealth.metrics = {
-                    uptime: 99.5,
-                    averageResponseTime: 150,
-                    errorRate: 0.1,
-                    lastIncident: null
-                };
+            if (metrics) {
+                baseHealth.metrics = metrics.get(baseHealth._id).metrics;
             }
 
             return baseHealth;
-        }));
+        });
 
         // Group by category for summary
         const categoryGroups = healthData.reduce((groups, service) => {
@@ -459,6 +966,12 @@ router.get('/health', validateRequest(healthDiscoverySchema, 'query'), async (re
             return groups;
         }, {});
 
+        if (metrics) {
+            Object.values(categoryGroups).forEach(group => {
+                group.metrics = groupMetrics(group.services);
+            });
+        }
+
         logger.info('Health discovery completed', {
             category,
             status,
@@ -476,11 +989,12 @@ router.get('/health', validateRequest(healthDiscoverySchema, 'query'), async (re
                     healthy: healthData.filter(s => s.healthStatus === 'healthy').length,
                     degraded: healthData.filter(s => s.healthStatus === 'degraded').length,
                     unhealthy: healthData.filter(s => s.healthStatus === 'unhealthy').length,
-                    unknown: healthData.filter(s => s.healthStatus === 'unknown').length
+                    unknown: healthData.filter(s => s.healthStatus === 'unknown').length,
+                    metrics: metrics ? groupMetrics(healthData) : undefined
                 }
             },
             metadata: {
-                searchCriteria: { category, status, includeMetrics },
+                searchCriteria: { category, status, includeMetrics, window: includeMetrics ? window : undefined },
                 timestamp: new Date().toISOString()
             }
         });
@@ -497,48 +1011,41 @@ router.get('/health', validateRequest(healthDiscoverySchema, 'query'), async (re
 // GET /api/v1/discovery/categories - Get service categories with counts
 router.get('/categories', async (req, res) => {
     try {
-        const pipeline = [
-            { $match: { deletedAt: { $exists: false }, status: 'active' } },
-            {
-                $group: {
-                    _id: '$category',
-                    count: { $sum: 1 },
-                    healthyCount: {
-                        $sum: { $cond: [{ $eq: ['$healthStatus', 'healthy'] }, 1, 0] }
-                    },
-                    authTypes: { $addToSet: '$authenticationTypes' },
-                    capabilities: { $addToSet: '$capabilities' }
-                }
-            },
-            {
-                $project: {
-                    category: '$_id',
-                    count: 1,
-                    healthyCount: 1,
-                    healthyPercentage: {
-                        $round: [{ $multiply: [{ $divide: ['$healthyCount', '$count'] }, 100] }, 1]
-                    },
-                    uniqueAuthTypes: {
-                        $reduce: {
-                            input: '$authTypes',
-                            initialValue: [],
-                            in: { $setUnion: ['$$value', '$$this'] }
-                        }
-                    },
-                    uniqueCapabilities: {
-                        $reduce: {
-                            input: '$capabilities',
-                            initialValue: [],
-                            in: { $setUnion: ['$$value', '$$this'] }
-                        }
-                    },
-                    _id: 0
-                }
-            },
-            { $sort: { count: -1 } }
-        ];
+        const services = await storage.services.find(
+            { deletedAt: { $exists: false }, status: 'active' },
+            { select: 'category health authenticationTypes capabilities' }
+        );
+
+        // Group services by category, collecting the auth types and capabilities each offers
+        const groups = new Map();
+        for (const service of services) {
+            if (!groups.has(service.category)) {
+                groups.set(service.category, {
+                    category: service.category,
+                    count: 0,
+                    healthyCount: 0,
+                    authTypes: new Set(),
+                    capabilities: new Set()
+                });
+            }
+
+            const group = groups.get(service.category);
+            group.count++;
+            if (healthCheckService.healthStatusOf(service) === 'healthy') group.healthyCount++;
+            (service.authenticationTypes || []).forEach(type => group.authTypes.add(type));
+            (service.capabilities || []).forEach(capability => group.capabilities.add(capability));
+        }
 
-        const categories = await Service.aggregate(pipeline);
+        const categories = Array.from(groups.values())
+            .map(group => ({
+                category: group.category,
+                count: group.count,
+                healthyCount: group.healthyCount,
+                healthyPercentage: Math.round((group.healthyCount / group.count) * 1000) / 10,
+                uniqueAuthTypes: Array.from(group.authTypes),
+                uniqueCapabilities: Array.from(group.capabilities)
+            }))
+            .sort((a, b) => b.count - a.count);
 
         logger.info('Categories discovery completed', {
             categoriesFound: categories.length
@@ -0,0 +1,204 @@
+/**
+ * Mock Router for API Registry - PDS 2.2
+ *
+ * Serves mock responses synthesised from registered API specifications
+ * so consumers can develop against services that are not yet deployed.
+ */
+
+const express = require('express');
+const winston = require('winston');
+const semver = require('semver');
+const { storage } = require('../database/storage');
+const distTagService = require('../services/distTagService');
+const specReviewService = require('../services/specReviewService');
+const mockService = require('../services/mockService');
+const { optionalAuth, checkReadAccess } = require('../utils/auth');
+
+const router = express.Router();
+
+// Get logger from main app
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// Helper function to resolve a version or a dist-tag such as "latest" or "beta" to a stored specification
+const findSpecification = async (serviceId, version) => {
+    if (!distTagService.isValidTagName(version)) {
+        return storage.specs.findOne({ serviceId, version });
+    }
+
+    const tagged = await distTagService.findTagged(serviceId, version);
+    if (tagged || version !== distTagService.LATEST_TAG) {
+        return tagged;
+    }
+
+    // Specifications stored before dist-tags have no latest tag; use the highest release version
+    const specs = await storage.specs.find({
+        serviceId,
+        isDeprecated: { $ne: true },
+        ...specReviewService.publishedFilter()
+    }, { select: 'version' });
+    const latest = semver.maxSatisfying(specs.map(spec => spec.version).filter(v => semver.valid(v)), '*');
+
+    return latest ? storage.specs.findOne({ serviceId, version: latest }) : null;
+};
+
+// ALL /mock/:serviceName/:version/* - Mock an operation from a stored specification
+// Mounted rather than routed so the operation path is left as sent, to be decoded segment by segment
+router.use('/:serviceName/:version', optionalAuth, async (req, res) => {
+    try {
+        const { serviceName, version } = req.params;
+        const requestPath = req.path;
+
+        const service = await storage.services.findOne({
+            name: serviceName,
+            deletedAt: { $exists: false }
+        });
+
+        if (!service) {
+            return res.status(404).json({
+                error: 'service_not_found',
+                message: 'Service not found',
+                serviceName,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const apiSpec = await findSpecification(service._id, version);
+        if (!apiSpec) {
+            return res.status(404).json({
+                error: 'specification_not_found',
+                message: `No specification found for ${serviceName}@${version}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!await checkReadAccess(req, res, apiSpec, service)) {
+            return;
+        }
+
+        if (apiSpec.format === 'asyncapi') {
+            return res.status(400).json({
+                error: 'unsupported_format',
+                message: 'Mock responses are only available for OpenAPI specifications',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        let spec;
+        try {
+            spec = await mockService.resolveSpec(apiSpec);
+        } catch (resolveError) {
+            return res.status(422).json({
+                error: 'unresolved_reference',
+                message: resolveError.message,
+                unresolvedReferences: resolveError.unresolvedReferences,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        let match;
+        try {
+            match = mockService.matchOperation(spec, req.method, requestPath);
+        } catch (matchError) {
+            if (matchError.code !== 'mock/malformed-path') throw matchError;
+            return res.status(400).json({
+                error: 'malformed_path',
+                message: matchError.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!match) {
+            return res.status(404).json({
+                error: 'mock_route_not_found',
+                message: `No path in ${serviceName}@${apiSpec.version} matches ${requestPath}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!match.operation) {
+            res.set('Allow', match.allowedMethods.join(', '));
+            return res.status(405).json({
+                error: 'method_not_allowed',
+                message: `${req.method} is not defined for ${match.route}`,
+                allowedMethods: match.allowedMethods,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Validate the incoming request against the operation definition
+        const hasBody = parseInt(req.get('Content-Length') || '0', 10) > 0 || !!req.get('Transfer-Encoding');
+        const validationErrors = mockService.validateRequest(spec, match, {
+            query: req.query,
+            headers: req.headers,
+            body: req.body,
+            hasBody
+        });
+
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'mock_validation_error',
+                message: 'Request does not match the specification',
+                operationId: match.operation.operationId,
+                details: validationErrors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const preferences = mockService.parsePreferHeader(req.get('Prefer'));
+        const selected = mockService.selectResponse(match.operation, preferences);
+
+        if (!selected) {
+            return res.status(400).json({
+                error: 'mock_response_not_found',
+                message: `Response ${preferences.code} is not defined for ${req.method} ${match.route}`,
+                availableResponses: Object.keys(match.operation.responses || {}),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { contentType, body, example } = mockService.buildResponseBody(selected.response, preferences, spec);
+
+        logger.info('Mock response served', {
+            serviceName,
+            version: apiSpec.version,
+            method: req.method,
+            route: match.route,
+            status: selected.status
+        });
+
+        res.set('X-Mock-Route', match.route);
+        if (preferences.code || preferences.example) {
+            res.set('Preference-Applied', [
+                preferences.code && `code=${selected.status}`,
+                example && preferences.example === example && `example=${example}`
+            ].filter(Boolean).join(', '));
+        }
+
+        res.status(selected.status);
+
+        if (body === undefined || selected.status === 204 || req.method === 'HEAD') {
+            return res.end();
+        }
+
+        res.type(contentType);
+        res.send(typeof body === 'string' ? body : JSON.stringify(body));
+    } catch (error) {
+        logger.error('Error serving mock response:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to serve mock response',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
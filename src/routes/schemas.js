@@ -0,0 +1,443 @@
+/**
+ * Schemas Router for API Registry - PDS 2.2
+ *
+ * JSON Schema registry for the data types services declare, with
+ * versioning, $ref resolution and compatibility checks between versions.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const winston = require('winston');
+const mongoose = require('mongoose');
+const semver = require('semver');
+const { SCHEMA_COMPATIBILITY_MODES } = require('../database/models');
+const { storage } = require('../database/storage');
+const schemaRegistryService = require('../services/schemaRegistryService');
+
+const router = express.Router();
+
+// Get logger from main app
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const SCHEMA_CONTENT_TYPE = 'application/schema+json';
+
+// Validation schemas
+const schemaUploadSchema = Joi.object({
+    name: Joi.string().pattern(/^[a-z0-9][a-z0-9._-]*$/i).max(100).required()
+        .description('Data type name shared by all versions of the schema'),
+
+    version: Joi.string().custom((value, helpers) => {
+        return semver.valid(value) ? value : helpers.error('any.invalid');
+    }).required()
+        .description('Semantic version of this schema'),
+
+    schema: Joi.object({
+        $id: Joi.string().required()
+    }).unknown(true).required()
+        .description('JSON Schema document with an $id'),
+
+    description: Joi.string().max(1000)
+        .description('Description of the data type'),
+
+    serviceId: Joi.string()
+        .description('Service that owns the data type'),
+
+    compatibility: Joi.string().valid(...Object.values(SCHEMA_COMPATIBILITY_MODES))
+        .description('Compatibility required with the previous version; defaults to the previous version\'s mode')
+});
+
+const schemaQuerySchema = Joi.object({
+    serviceId: Joi.string(),
+    search: Joi.string().max(100)
+});
+
+// Middleware for request validation
+const validateRequest = (schema, source = 'body') => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req[source], {
+            abortEarly: false,
+            stripUnknown: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message,
+                value: detail.context?.value
+            }));
+
+            return res.status(400).json({
+                error: 'validation_error',
+                message: 'Request validation failed',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        req[source] = value;
+        next();
+    };
+};
+
+// Helper function to load the registered schemas a schema references, transitively
+const loadReferencedSchemas = async (schema) => {
+    const loaded = new Map();
+    const missing = [];
+    let pending = schemaRegistryService.collectExternalRefs(schema);
+
+    while (pending.length > 0) {
+        const found = await storage.schemas.find({ schemaId: { $in: pending } }, { select: 'schemaId definition' });
+
+        const next = [];
+        for (const uri of pending) {
+            const match = found.find(item => item.schemaId === uri);
+            if (!match) {
+                missing.push(uri);
+                continue;
+            }
+
+            loaded.set(uri, match.definition);
+            for (const ref of schemaRegistryService.collectExternalRefs(match.definition)) {
+                if (!loaded.has(ref) && !pending.includes(ref) && !next.includes(ref)) {
+                    next.push(ref);
+                }
+            }
+        }
+
+        pending = next;
+    }
+
+    return { schemas: Array.from(loaded.values()), missing };
+};
+
+// Helper function to find a schema version, including "latest"
+const findSchemaVersion = async (name, version) => {
+    if (version !== 'latest') {
+        return storage.schemas.findOne({ name, version });
+    }
+
+    const versions = await storage.schemas.find({ name, isDeprecated: { $ne: true } }, { select: 'version' });
+    const latest = semver.maxSatisfying(versions.map(item => item.version), '*');
+
+    return latest ? storage.schemas.findOne({ name, version: latest }) : null;
+};
+
+// Helper function to summarise a schema version without its document
+const formatSchemaVersion = (item) => ({
+    _id: item._id.toString(),
+    name: item.name,
+    version: item.version,
+    schemaId: item.schemaId,
+    title: item.title,
+    description: item.description,
+    serviceId: item.serviceId ? item.serviceId.toString() : undefined,
+    references: item.references || [],
+    compatibility: item.compatibility,
+    isDeprecated: item.isDeprecated,
+    url: `/api/v1/schemas/${encodeURIComponent(item.name)}/${item.version}`,
+    createdAt: item.createdAt
+});
+
+// GET /api/v1/schemas - List registered data types with their versions
+router.get('/', validateRequest(schemaQuerySchema, 'query'), async (req, res) => {
+    try {
+        const { serviceId, search } = req.query;
+
+        const filters = {};
+        if (serviceId) filters.serviceId = serviceId;
+        if (search) {
+            const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filters.$or = [{ name: pattern }, { title: pattern }, { schemaId: pattern }];
+        }
+
+        const items = await storage.schemas.find(filters, { select: '-definition -__v' });
+
+        // Group versions by data type name
+        const byName = new Map();
+        for (const item of items) {
+            if (!byName.has(item.name)) byName.set(item.name, []);
+            byName.get(item.name).push(item);
+        }
+
+        const schemas = Array.from(byName.entries())
+            .map(([name, versions]) => {
+                const sorted = versions.sort((a, b) => semver.rcompare(a.version, b.version));
+                const latest = sorted.find(item => !item.isDeprecated) || sorted[0];
+
+                return {
+                    name,
+                    latestVersion: latest.version,
+                    schemaId: latest.schemaId,
+                    title: latest.title,
+                    description: latest.description,
+                    compatibilityMode: latest.compatibility?.mode,
+                    versions: sorted.map(item => item.version)
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        res.json({
+            schemas,
+            total: schemas.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error listing schemas:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to list schemas',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/schemas/resolve?id= - Resolve a schema $id to its document
+router.get('/resolve', async (req, res) => {
+    try {
+        const { id } = req.query;
+
+        if (!id) {
+            return res.status(400).json({
+                error: 'validation_error',
+                message: 'The "id" query parameter is required',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const item = await storage.schemas.findOne({ schemaId: schemaRegistryService.documentUri(id) });
+        if (!item) {
+            return res.status(404).json({
+                error: 'schema_not_found',
+                message: `No schema is registered with $id ${id}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.set('Content-Location', formatSchemaVersion(item).url);
+        res.type(SCHEMA_CONTENT_TYPE).send(JSON.stringify(item.definition));
+    } catch (error) {
+        logger.error('Error resolving schema:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to resolve schema',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/schemas - Register a new schema version
+router.post('/', validateRequest(schemaUploadSchema), async (req, res) => {
+    try {
+        const { name, version, schema, description, serviceId, compatibility } = req.body;
+        const schemaId = schemaRegistryService.documentUri(schema.$id);
+
+        if (serviceId) {
+            const service = mongoose.Types.ObjectId.isValid(serviceId)
+                ? await storage.services.findOne({ _id: serviceId, deletedAt: { $exists: false } })
+                : null;
+
+            if (!service) {
+                return res.status(404).json({
+                    error: 'service_not_found',
+                    message: 'Service not found',
+                    serviceId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        const [existingVersion, existingId] = await Promise.all([
+            storage.schemas.findOne({ name, version }, { select: '_id' }),
+            storage.schemas.findOne({ schemaId }, { select: 'name version' })
+        ]);
+
+        if (existingVersion) {
+            return res.status(409).json({
+                error: 'schema_conflict',
+                message: `Version ${version} of ${name} is already registered`,
+                existingSchemaId: existingVersion._id.toString(),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // $ids must be unique so references resolve to exactly one document
+        if (existingId) {
+            return res.status(409).json({
+                error: 'schema_id_conflict',
+                message: `$id ${schemaId} is already registered as ${existingId.name}@${existingId.version}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const referenced = await loadReferencedSchemas(schema);
+        if (referenced.missing.length > 0) {
+            return res.status(422).json({
+                error: 'unresolved_reference',
+                message: 'Schema references documents that are not registered',
+                unresolvedReferences: referenced.missing,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        try {
+            schemaRegistryService.compileSchema(schema, referenced.schemas);
+        } catch (compileError) {
+            return res.status(400).json({
+                error: 'invalid_schema',
+                message: `Invalid JSON Schema: ${compileError.message}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Check compatibility with the closest earlier version
+        const earlier = (await storage.schemas.find({ name }, { select: 'version compatibility' }))
+            .filter(item => semver.lt(item.version, version))
+            .sort((a, b) => semver.rcompare(a.version, b.version));
+        const previous = earlier.length > 0
+            ? await storage.schemas.findById(earlier[0]._id)
+            : null;
+
+        const mode = compatibility || previous?.compatibility?.mode || SCHEMA_COMPATIBILITY_MODES.BACKWARD;
+        let result = { mode, compatible: true, issues: [] };
+
+        if (previous && mode !== SCHEMA_COMPATIBILITY_MODES.NONE) {
+            result = schemaRegistryService.checkCompatibility(previous.definition, schema, mode);
+
+            if (!result.compatible) {
+                logger.warn('Schema registration failed compatibility check', {
+                    name,
+                    version,
+                    previousVersion: previous.version,
+                    mode,
+                    issues: result.issues.length
+                });
+
+                return res.status(422).json({
+                    error: 'incompatible_schema',
+                    message: `${name}@${version} is not ${mode} compatible with ${previous.version}`,
+                    previousVersion: previous.version,
+                    compatibility: mode,
+                    issues: result.issues,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        const dataSchema = await storage.schemas.create({
+            name,
+            version,
+            schemaId,
+            definition: schema,
+            title: schema.title,
+            description: description || schema.description,
+            serviceId,
+            references: schemaRegistryService.collectExternalRefs(schema),
+            compatibility: {
+                mode,
+                previousVersion: previous?.version,
+                compatible: result.compatible,
+                issues: result.issues,
+                checkedAt: new Date()
+            }
+        });
+
+        logger.info('Schema registered', {
+            name,
+            version,
+            schemaId,
+            compatibility: mode
+        });
+
+        res.status(201).json({
+            message: 'Schema registered successfully',
+            schema: formatSchemaVersion(dataSchema)
+        });
+    } catch (error) {
+        logger.error('Error registering schema:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to register schema',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/schemas/:name - List the versions of a data type
+router.get('/:name', async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        const versions = await storage.schemas.find({ name }, { select: '-definition -__v' });
+
+        if (versions.length === 0) {
+            return res.status(404).json({
+                error: 'schema_not_found',
+                message: `No schema is registered as ${name}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            name,
+            versions: versions
+                .sort((a, b) => semver.rcompare(a.version, b.version))
+                .map(formatSchemaVersion),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error listing schema versions:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to list schema versions',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/schemas/:name/:version - Serve a schema document at its stable URL
+router.get('/:name/:version', async (req, res) => {
+    try {
+        const { name, version } = req.params;
+        const { bundle } = req.query;
+
+        const item = await findSchemaVersion(name, version);
+        if (!item) {
+            return res.status(404).json({
+                error: 'schema_not_found',
+                message: `No schema found for ${name}@${version}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Bundling embeds referenced schemas so the document is self-contained
+        let document = item.definition;
+        if (bundle === 'true') {
+            const referenced = await loadReferencedSchemas(item.definition);
+            document = schemaRegistryService.bundleSchema(item.definition, referenced.schemas);
+        }
+
+        if (version === 'latest') {
+            res.set('Content-Location', formatSchemaVersion(item).url);
+        }
+
+        res.type(SCHEMA_CONTENT_TYPE).send(JSON.stringify(document));
+    } catch (error) {
+        logger.error('Error serving schema:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to serve schema',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
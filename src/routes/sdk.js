@@ -0,0 +1,153 @@
+/**
+ * SDK Router for API Registry - PDS 2.2
+ *
+ * Client SDK generation for registered API specifications.
+ */
+
+const express = require('express');
+const winston = require('winston');
+const mongoose = require('mongoose');
+const semver = require('semver');
+const { storage } = require('../database/storage');
+const distTagService = require('../services/distTagService');
+const specReviewService = require('../services/specReviewService');
+const sdkService = require('../services/sdkService');
+const { optionalAuth, checkReadAccess } = require('../utils/auth');
+
+const router = express.Router();
+
+// Get logger from main app
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// Helper function to find a service by ID or unique name
+const findService = (serviceIdOrName) => {
+    const query = mongoose.Types.ObjectId.isValid(serviceIdOrName)
+        ? { $or: [{ _id: serviceIdOrName }, { name: serviceIdOrName }] }
+        : { name: serviceIdOrName };
+
+    return storage.services.findOne({ ...query, deletedAt: { $exists: false } });
+};
+
+// Helper function to resolve a version or a dist-tag such as "latest" or "beta" to a stored specification
+const findSpecification = async (serviceId, version) => {
+    if (!distTagService.isValidTagName(version)) {
+        return storage.specs.findOne({ serviceId, version });
+    }
+
+    const tagged = await distTagService.findTagged(serviceId, version);
+    if (tagged || version !== distTagService.LATEST_TAG) {
+        return tagged;
+    }
+
+    // Specifications stored before dist-tags have no latest tag; use the highest release version
+    const specs = await storage.specs.find({
+        serviceId,
+        isDeprecated: { $ne: true },
+        ...specReviewService.publishedFilter()
+    }, { select: 'version' });
+    const latest = semver.maxSatisfying(specs.map(spec => spec.version).filter(v => semver.valid(v)), '*');
+
+    return latest ? storage.specs.findOne({ serviceId, version: latest }) : null;
+};
+
+// GET /sdk/:serviceId/:version/:language - Download a generated client SDK
+router.get('/:serviceId/:version/:language', optionalAuth, async (req, res) => {
+    try {
+        const { serviceId, version, language } = req.params;
+
+        if (process.env.ENABLE_SDK_GENERATION === 'false') {
+            return res.status(503).json({
+                error: 'feature_disabled',
+                message: 'SDK generation is disabled',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!sdkService.SUPPORTED_LANGUAGES.includes(language)) {
+            return res.status(400).json({
+                error: 'unsupported_language',
+                message: `Unsupported SDK language: ${language}`,
+                supportedLanguages: sdkService.SUPPORTED_LANGUAGES,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const service = await findService(serviceId);
+        if (!service) {
+            return res.status(404).json({
+                error: 'service_not_found',
+                message: 'Service not found',
+                serviceId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const spec = await findSpecification(service._id, version);
+        if (!spec) {
+            return res.status(404).json({
+                error: 'specification_not_found',
+                message: `No specification found for ${service.name}@${version}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!await checkReadAccess(req, res, spec, service)) {
+            return;
+        }
+
+        if (spec.format === 'asyncapi') {
+            return res.status(400).json({
+                error: 'unsupported_format',
+                message: 'SDK generation is only available for OpenAPI specifications',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const sdk = await sdkService.generateSdk({
+            specification: spec.specification,
+            serviceName: service.name,
+            version: spec.version,
+            baseUrl: service.baseUrl,
+            registryUrl: process.env.BASE_URL || `${req.protocol}://${req.get('host')}`
+        }, language);
+
+        const etag = `"${sdk.hash}"`;
+        res.set('ETag', etag);
+
+        if (req.get('If-None-Match') === etag) {
+            return res.status(304).end();
+        }
+
+        logger.info('SDK served', {
+            serviceId: service._id.toString(),
+            version: spec.version,
+            language,
+            cached: sdk.cached
+        });
+
+        res.set({
+            'Content-Type': 'application/gzip',
+            'Content-Disposition': `attachment; filename="${sdk.filename}"`,
+            'X-SDK-Cache': sdk.cached ? 'HIT' : 'MISS'
+        });
+        res.send(sdk.buffer);
+    } catch (error) {
+        logger.error('Error generating SDK:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to generate SDK',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
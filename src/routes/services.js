@@ -8,7 +8,15 @@
 const express = require('express');
 const Joi = require('joi');
 const winston = require('winston');
-const { Service, ApiSpecification, ServiceHealthLog } = require('../database/models');
+const { storage } = require('../database/storage');
+const specLinter = require('../validators/specLinter');
+const accessControlService = require('../services/accessControlService');
+const healthCheckService = require('../services/healthCheckService');
+const healthMetricsService = require('../services/healthMetricsService');
+const leaseService = require('../services/leaseService');
+const instanceService = require('../services/instanceService');
+const { LEASE_STATES, LOAD_BALANCING_STRATEGIES } = require('../database/models');
+const { flexibleAuth, optionalAuth, checkManageAccess } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -53,8 +61,17 @@ const serviceRegistrationSchema = Joi.object({
     webId: Joi.string().uri().allow('')
         .description('WebID for the service (PDS 2.2)'),
 
-    didDocument: Joi.string().uri().allow('')
-        .description('URL to the DID document'),
+    did: Joi.string().pattern(/^did:(web|key|ethr):.+/)
+        .description('DID of the service; specifications it publishes may be signed with its keys'),
+
+    didDocument: Joi.alternatives().try(
+        Joi.string().uri().allow(''),
+        Joi.object({
+            id: Joi.string().pattern(/^did:/).required(),
+            verificationMethod: Joi.array().items(Joi.object({ id: Joi.string().required() }).unknown()),
+            assertionMethod: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.object({ id: Joi.string().required() }).unknown()))
+        }).unknown()
+    ).description('DID document of the service, or the URL it is published at; keys used to verify signed specifications'),
 
     apiSpecificationUrl: Joi.string().uri().allow('')
         .description('URL to the OpenAPI specification'),
@@ -76,7 +93,27 @@ const serviceRegistrationSchema = Joi.object({
         .description('URL to service documentation'),
 
     support: Joi.string().uri().allow('')
-        .description('URL to support resources')
+        .description('URL to support resources'),
+
+    compatibilityMode: Joi.string().valid('enforce', 'warn', 'off')
+        .description('How specification uploads with unversioned breaking changes are handled'),
+
+    lintRuleset: Joi.string().valid(...specLinter.listRulesets().map(ruleset => ruleset.name))
+        .description('Ruleset used to lint uploaded specifications'),
+
+    lintRules: Joi.object().pattern(
+        Joi.string(),
+        Joi.string().valid(...Object.values(specLinter.SEVERITIES))
+    ).description('Per-rule severity overrides for specification linting'),
+
+    reviewRequired: Joi.boolean()
+        .description('Whether new specification versions need a reviewer\'s approval before they are published'),
+
+    leaseTtl: Joi.number().integer().min(5).max(86400)
+        .description('Seconds the registration stays live without a heartbeat; omit for a permanent registration'),
+
+    loadBalancing: Joi.string().valid(...Object.values(LOAD_BALANCING_STRATEGIES))
+        .description('How discovery orders the service\'s instances')
 });
 
 const serviceUpdateSchema = serviceRegistrationSchema.fork(
@@ -84,6 +121,46 @@ const serviceUpdateSchema = serviceRegistrationSchema.fork(
     (schema) => schema.optional()
 );
 
+const heartbeatSchema = Joi.object({
+    ttl: Joi.number().integer().min(5).max(86400)
+        .description('New lease TTL in seconds; starts a lease for services registered without one')
+});
+
+const instanceSchema = Joi.object({
+    url: Joi.string().uri().required()
+        .description('URL the instance serves requests on'),
+
+    healthCheckUrl: Joi.string().uri()
+        .description('Health check URL of the instance; defaults to the service\'s health check path on the instance URL'),
+
+    region: Joi.string().max(100)
+        .description('Region the instance runs in'),
+
+    zone: Joi.string().max(100)
+        .description('Zone the instance runs in, within its region'),
+
+    weight: Joi.number().integer().min(0).max(1000)
+        .description('Relative share of traffic for weighted load balancing; 0 drains the instance'),
+
+    version: Joi.string().pattern(/^\d+\.\d+\.\d+$/)
+        .description('Semantic version the instance runs')
+});
+
+const instanceUpdateSchema = instanceSchema.fork(['url'], (schema) => schema.optional()).min(1);
+
+// Responses for instance errors
+const INSTANCE_ERRORS = {
+    'service/not-found': { status: 404, error: 'service_not_found' },
+    'instance/not-found': { status: 404, error: 'instance_not_found' },
+    'instance/conflict': { status: 409, error: 'instance_conflict' }
+};
+
+const serviceAccessSchema = Joi.object({
+    dids: Joi.array().items(Joi.string().pattern(/^did:/)).max(100).default([]),
+    apiKeys: Joi.array().items(Joi.string().max(200)).max(100).default([]),
+    roles: Joi.array().items(Joi.string().max(100)).max(100).default([])
+}).description('DIDs, API keys and roles granted read access to the service\'s non-public specifications');
+
 const serviceQuerySchema = Joi.object({
     category: Joi.string().valid('data-store', 'identity-provider', 'application', 'utility', 'integration'),
     authType: Joi.string().valid('solid-oidc', 'did-challenge', 'api-key', 'bearer-token', 'none'),
@@ -97,6 +174,14 @@ const serviceQuerySchema = Joi.object({
     order: Joi.string().valid('asc', 'desc').default('asc')
 });
 
+// Update fields only the service itself or a registry admin may change: the DID its
+// specifications are verified with, and the policy its uploads are checked against
+const MANAGED_FIELDS = ['did', 'didDocument', 'compatibilityMode', 'lintRuleset', 'lintRules', 'reviewRequired'];
+
+// DID a registration or update claims for the service: its did, or the id of its DID document
+const claimedDid = (data) => data.did ||
+    (data.didDocument && typeof data.didDocument === 'object' ? data.didDocument.id : undefined);
+
 // Middleware for request validation
 const validateRequest = (schema, source = 'body') => {
     return (req, res, next) => {
@@ -156,13 +241,13 @@ router.get('/', validateRequest(serviceQuerySchema, 'query'), async (req, res) =
         sortOptions[sort] = order === 'desc' ? -1 : 1;
 
         const [services, total] = await Promise.all([
-            Service.find(filters)
-                .select('-__v')
-                .sort(sortOptions)
-                .limit(limit)
-                .skip(offset)
-                .lean(),
-            Service.countDocuments(filters)
+            storage.services.find(filters, {
+                select: '-__v -accessControl',
+                sort: sortOptions,
+                limit,
+                skip: offset
+            }),
+            storage.services.count(filters)
         ]);
 
         // Prepare response
@@ -208,14 +293,14 @@ router.get('/', validateRequest(serviceQuerySchema, 'query'), async (req, res) =
 });
 
 // GET /api/v1/services/:id - Get service by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
         const { id } = req.params;
 
-        const service = await Service.findOne({
+        const service = await storage.services.findOne({
             _id: id,
             deletedAt: { $exists: false }
-        }).select('-__v').lean();
+        }, { select: '-__v -accessControl' });
 
         if (!service) {
             return res.status(404).json({
@@ -227,20 +312,14 @@ router.get('/:id', async (req, res) => {
         }
 
         // Get recent health logs
-        const healthLogs = await ServiceHealthLog.find({
+        const healthLogs = await storage.healthLogs.find({
             serviceId: id
-        })
-            .sort({ timestamp: -1 })
-            .limit(5)
-            .select('-__v')
-            .lean();
-
-        // Get API specifications
-        const apiSpecs = await ApiSpecification.find({
-            serviceId: id
-        })
-            .select('-__v')
-            .lean();
+        }, { sort: { checkedAt: -1 }, limit: 5, select: '-__v' });
+
+        // Get the API specifications the caller can read
+        const apiSpecs = await storage.specs.find({
+            $and: [{ serviceId: id }, await accessControlService.readableSpecFilter(req.auth)]
+        }, { select: '-__v -accessControl' });
 
         const response = {
             ...service,
@@ -268,12 +347,17 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/v1/services - Register new service
-router.post('/', validateRequest(serviceRegistrationSchema), async (req, res) => {
+router.post('/', optionalAuth, validateRequest(serviceRegistrationSchema), async (req, res) => {
     try {
         const serviceData = req.body;
 
+        // Only the holder of a DID, or a registry admin, can register a service under it
+        if ((serviceData.did || serviceData.didDocument) && !checkManageAccess(req, res, { did: claimedDid(serviceData) })) {
+            return;
+        }
+
         // Check for existing service with same name or baseUrl
-        const existingService = await Service.findOne({
+        const existingService = await storage.services.findOne({
             $or: [
                 { name: serviceData.name },
                 { baseUrl: serviceData.baseUrl }
@@ -293,7 +377,7 @@ router.post('/', validateRequest(serviceRegistrationSchema), async (req, res) =>
         }
 
         // Create new service
-        const service = new Service({
+        const service = await storage.services.create({
             name: serviceData.name,
             displayName: serviceData.displayName,
             description: serviceData.description,
@@ -313,6 +397,8 @@ router.post('/', validateRequest(serviceRegistrationSchema), async (req, res) =>
                 enabled: !!serviceData.webId,
                 webidEndpoint: serviceData.webId || null
             },
+            did: serviceData.did,
+            didDocument: serviceData.didDocument || undefined,
             version: serviceData.version,
             capabilities: Array.isArray(serviceData.capabilities)
                 ? serviceData.capabilities
@@ -329,13 +415,26 @@ router.post('/', validateRequest(serviceRegistrationSchema), async (req, res) =>
                 documentation: serviceData.documentation,
                 support: serviceData.support
             },
+            specPolicy: {
+                compatibility: serviceData.compatibilityMode,
+                lint: {
+                    ruleset: serviceData.lintRuleset,
+                    rules: serviceData.lintRules
+                },
+                reviewRequired: serviceData.reviewRequired
+            },
+            loadBalancing: serviceData.loadBalancing,
+            lease: serviceData.leaseTtl ? {
+                ttl: serviceData.leaseTtl,
+                expiresAt: new Date(Date.now() + serviceData.leaseTtl * 1000),
+                state: LEASE_STATES.ACTIVE
+            } : undefined,
             status: 'active',
             registeredAt: new Date(),
+            lastRegistration: new Date(),
             lastUpdated: new Date()
         });
 
-        await service.save();
-
         logger.info('Service registered', {
             serviceId: service._id.toString(),
             name: service.name,
@@ -351,7 +450,8 @@ router.post('/', validateRequest(serviceRegistrationSchema), async (req, res) =>
                 baseUrl: service.baseUrl,
                 category: service.category,
                 status: service.status,
-                registeredAt: service.registeredAt
+                registeredAt: service.registeredAt,
+                lease: leaseService.toLeaseRecord(service)
             }
         });
     } catch (error) {
@@ -365,17 +465,17 @@ router.post('/', validateRequest(serviceRegistrationSchema), async (req, res) =>
 });
 
 // PUT /api/v1/services/:id - Update service
-router.put('/:id', validateRequest(serviceUpdateSchema), async (req, res) => {
+router.put('/:id', optionalAuth, validateRequest(serviceUpdateSchema), async (req, res) => {
     try {
         const { id } = req.params;
         const updateData = req.body;
 
-        const service = await Service.findOne({
+        const existing = await storage.services.findOne({
             _id: id,
             deletedAt: { $exists: false }
         });
 
-        if (!service) {
+        if (!existing) {
             return res.status(404).json({
                 error: 'service_not_found',
                 message: 'Service not found',
@@ -384,6 +484,10 @@ router.put('/:id', validateRequest(serviceUpdateSchema), async (req, res) => {
             });
         }
 
+        if (MANAGED_FIELDS.some(field => updateData[field] !== undefined) && !checkManageAccess(req, res, existing)) {
+            return;
+        }
+
         // Check for conflicts if name or baseUrl is being updated
         if (updateData.name || updateData.baseUrl) {
             const conflictQuery = {
@@ -394,7 +498,7 @@ router.put('/:id', validateRequest(serviceUpdateSchema), async (req, res) => {
             if (updateData.name) conflictQuery.name = updateData.name;
             if (updateData.baseUrl) conflictQuery.baseUrl = updateData.baseUrl;
 
-            const existingService = await Service.findOne(conflictQuery);
+            const existingService = await storage.services.findOne(conflictQuery);
 
             if (existingService) {
                 const conflict = existingService.name === updateData.name ? 'name' : 'baseUrl';
@@ -408,10 +512,32 @@ router.put('/:id', validateRequest(serviceUpdateSchema), async (req, res) => {
             }
         }
 
+        // Compatibility mode, lint and review settings live under the service's spec policy
+        const { compatibilityMode, lintRuleset, lintRules, reviewRequired, leaseTtl, ...fields } = updateData;
+        const changes = { ...fields, lastUpdated: new Date() };
+        if (compatibilityMode) {
+            changes['specPolicy.compatibility'] = compatibilityMode;
+        }
+        if (lintRuleset) {
+            changes['specPolicy.lint.ruleset'] = lintRuleset;
+        }
+        if (lintRules) {
+            changes['specPolicy.lint.rules'] = lintRules;
+        }
+        if (reviewRequired !== undefined) {
+            changes['specPolicy.reviewRequired'] = reviewRequired;
+        }
+
+        // A new lease TTL starts a fresh lease
+        const update = { $set: changes };
+        if (leaseTtl) {
+            const lease = leaseService.leaseChanges(leaseTtl);
+            Object.assign(changes, lease.$set);
+            update.$unset = lease.$unset;
+        }
+
         // Update service
-        Object.assign(service, updateData);
-        service.lastUpdated = new Date();
-        await service.save();
+        const service = await storage.services.updateById(id, update);
 
         logger.info('Service updated', {
             serviceId: id,
@@ -439,17 +565,65 @@ router.put('/:id', validateRequest(serviceUpdateSchema), async (req, res) => {
     }
 });
 
+// PUT /api/v1/services/:id/access - Set the read grants for the service's non-public specifications
+router.put('/:id/access', flexibleAuth, validateRequest(serviceAccessSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const filter = { _id: id, deletedAt: { $exists: false } };
+
+        const existing = await storage.services.findOne(filter, { select: 'did' });
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'service_not_found',
+                message: 'Service not found',
+                serviceId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!checkManageAccess(req, res, existing)) {
+            return;
+        }
+
+        const service = await storage.services.updateOne(filter, {
+            $set: { accessControl: accessControlService.normaliseAccessControl(req.body) }
+        });
+
+        logger.info('Service access updated', {
+            serviceId: id,
+            dids: service.accessControl.dids.length,
+            apiKeys: service.accessControl.apiKeys.length,
+            roles: service.accessControl.roles.length,
+            updatedBy: req.auth.type
+        });
+
+        res.json({
+            serviceId: id,
+            accessControl: service.accessControl,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error updating service access:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to update service access',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // DELETE /api/v1/services/:id - Delete service (soft delete)
 router.delete('/:id', async (req, res) => {
     try {
         const { id } = req.params;
 
-        const service = await Service.findOne({
+        const existing = await storage.services.findOne({
             _id: id,
             deletedAt: { $exists: false }
         });
 
-        if (!service) {
+        if (!existing) {
             return res.status(404).json({
                 error: 'service_not_found',
                 message: 'Service not found',
@@ -459,10 +633,12 @@ router.delete('/:id', async (req, res) => {
         }
 
         // Soft delete
-        service.deletedAt = new Date();
-        service.status = 'inactive';
-        await service.save();
+        const service = await storage.services.updateById(id, {
+            deletedAt: new Date(),
+            status: 'inactive'
+        });
 
+        instanceService.forgetService(id);
         logger.info('Service deleted', { serviceId: id, name: service.name });
 
         res.json({
@@ -480,6 +656,47 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// PUT /api/v1/services/:id/heartbeat - Renew the service's registration lease
+router.put('/:id/heartbeat', validateRequest(heartbeatSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { service, revived } = await leaseService.renewLease(id, { ttl: req.body.ttl });
+
+        logger.debug('Service lease renewed', { serviceId: id, expiresAt: service.lease.expiresAt, revived });
+
+        res.json({
+            message: revived ? 'Lease renewed; service is live again' : 'Lease renewed',
+            serviceId: id,
+            status: service.status,
+            lease: leaseService.toLeaseRecord(service),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.code === 'service/not-found') {
+            return res.status(404).json({
+                error: 'service_not_found',
+                message: 'Service not found',
+                serviceId: req.params.id,
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (error.code === 'lease/not-configured') {
+            return res.status(409).json({
+                error: 'lease_not_configured',
+                message: error.message,
+                serviceId: req.params.id,
+                timestamp: new Date().toISOString()
+            });
+        }
+        logger.error('Error renewing service lease:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to renew lease',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // POST /api/v1/services/:id/health - Update service health status
 router.post('/:id/health', async (req, res) => {
     try {
@@ -503,7 +720,7 @@ router.post('/:id/health', async (req, res) => {
             });
         }
 
-        const service = await Service.findOne({
+        const service = await storage.services.findOne({
             _id: id,
             deletedAt: { $exists: false }
         });
@@ -517,22 +734,11 @@ router.post('/:id/health', async (req, res) => {
             });
         }
 
-        // Create health log entry
-        const healthLog = new ServiceHealthLog({
-            serviceId: id,
-            status: value.status,
-            responseTime: value.responseTime,
-            details: value.details,
-            timestamp: new Date()
+        // Log the report and update the service's current health
+        const healthLog = await healthCheckService.recordHealth(service, value, {
+            source: healthCheckService.HEALTH_SOURCES.SELF_REPORTED
         });
 
-        await healthLog.save();
-
-        // Update service health status
-        service.lastHealthCheck = new Date();
-        service.healthStatus = value.status;
-        await service.save();
-
         logger.info('Service health updated', {
             serviceId: id,
             status: value.status,
@@ -543,7 +749,7 @@ router.post('/:id/health', async (req, res) => {
             message: 'Health status updated successfully',
             serviceId: id,
             status: value.status,
-            timestamp: healthLog.timestamp
+            timestamp: healthLog.checkedAt
         });
     } catch (error) {
         logger.error('Error updating service health:', error);
@@ -555,4 +761,293 @@ router.post('/:id/health', async (req, res) => {
     }
 });
 
+// GET /api/v1/services/:id/health/metrics - Health metrics from the service's health log
+router.get('/:id/health/metrics', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error, value } = Joi.object({
+            window: Joi.string().valid(...Object.keys(healthMetricsService.METRIC_WINDOWS))
+        }).validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                error: 'validation_error',
+                message: 'Invalid metrics request',
+                details: error.details,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const service = await storage.services.findOne({
+            _id: id,
+            deletedAt: { $exists: false }
+        }, { select: 'name category health' });
+
+        if (!service) {
+            return res.status(404).json({
+                error: 'service_not_found',
+                message: 'Service not found',
+                serviceId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Every window unless one is asked for
+        const until = new Date();
+        const windows = {};
+        for (const window of value.window ? [value.window] : Object.keys(healthMetricsService.METRIC_WINDOWS)) {
+            const results = await healthMetricsService.serviceMetrics([service._id], window, until);
+            windows[window] = results.get(service._id.toString()).metrics;
+        }
+
+        res.json({
+            serviceId: service._id.toString(),
+            name: service.name,
+            category: service.category,
+            healthStatus: healthCheckService.healthStatusOf(service),
+            lastHealthCheck: service.health && service.health.lastCheck,
+            windows,
+            timestamp: until.toISOString()
+        });
+    } catch (error) {
+        logger.error('Error getting service health metrics:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to get health metrics',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/services/:id/instances - List a service's instances
+router.get('/:id/instances', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const service = await storage.services.findOne({
+            _id: id,
+            deletedAt: { $exists: false }
+        }, { select: 'name loadBalancing instances' });
+
+        if (!service) {
+            return res.status(404).json({
+                error: 'service_not_found',
+                message: 'Service not found',
+                serviceId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const instances = (service.instances || []).map(instanceService.toInstanceRecord);
+        res.json({
+            serviceId: id,
+            name: service.name,
+            loadBalancing: service.loadBalancing,
+            instances,
+            total: instances.length,
+            available: instanceService.availableInstances(service).length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error listing service instances:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to list instances',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/services/:id/instances - Register an instance of a service
+router.post('/:id/instances', validateRequest(instanceSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { instance } = await instanceService.addInstance(id, req.body);
+
+        logger.info('Service instance registered', { serviceId: id, instanceId: instance._id.toString(), url: instance.url });
+
+        res.status(201).json({
+            message: 'Instance registered successfully',
+            serviceId: id,
+            instance: instanceService.toInstanceRecord(instance)
+        });
+    } catch (error) {
+        const instanceError = INSTANCE_ERRORS[error.code];
+        if (instanceError) {
+            return res.status(instanceError.status).json({
+                error: instanceError.error,
+                message: error.message,
+                serviceId: req.params.id,
+                existingInstanceId: error.instanceId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.error('Error registering service instance:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to register instance',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/services/:id/instances/:instanceId - Get an instance of a service
+router.get('/:id/instances/:instanceId', async (req, res) => {
+    try {
+        const { instance } = await instanceService.getInstance(req.params.id, req.params.instanceId);
+        res.json({
+            serviceId: req.params.id,
+            instance: instanceService.toInstanceRecord(instance)
+        });
+    } catch (error) {
+        const instanceError = INSTANCE_ERRORS[error.code];
+        if (instanceError) {
+            return res.status(instanceError.status).json({
+                error: instanceError.error,
+                message: error.message,
+                serviceId: req.params.id,
+                instanceId: req.params.instanceId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.error('Error retrieving service instance:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to retrieve instance',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// PUT /api/v1/services/:id/instances/:instanceId - Update an instance of a service
+router.put('/:id/instances/:instanceId', validateRequest(instanceUpdateSchema), async (req, res) => {
+    try {
+        const { id, instanceId } = req.params;
+        const { instance } = await instanceService.updateInstance(id, instanceId, req.body);
+
+        logger.info('Service instance updated', { serviceId: id, instanceId, updatedFields: Object.keys(req.body) });
+
+        res.json({
+            message: 'Instance updated successfully',
+            serviceId: id,
+            instance: instanceService.toInstanceRecord(instance)
+        });
+    } catch (error) {
+        const instanceError = INSTANCE_ERRORS[error.code];
+        if (instanceError) {
+            return res.status(instanceError.status).json({
+                error: instanceError.error,
+                message: error.message,
+                serviceId: req.params.id,
+                instanceId: req.params.instanceId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.error('Error updating service instance:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to update instance',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// DELETE /api/v1/services/:id/instances/:instanceId - Deregister an instance of a service
+router.delete('/:id/instances/:instanceId', async (req, res) => {
+    try {
+        const { id, instanceId } = req.params;
+        const instance = await instanceService.removeInstance(id, instanceId);
+
+        logger.info('Service instance deregistered', { serviceId: id, instanceId, url: instance.url });
+
+        res.json({
+            message: 'Instance deregistered successfully',
+            serviceId: id,
+            instanceId
+        });
+    } catch (error) {
+        const instanceError = INSTANCE_ERRORS[error.code];
+        if (instanceError) {
+            return res.status(instanceError.status).json({
+                error: instanceError.error,
+                message: error.message,
+                serviceId: req.params.id,
+                instanceId: req.params.instanceId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.error('Error deregistering service instance:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to deregister instance',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/services/:id/instances/:instanceId/health - Update an instance's health status
+router.post('/:id/instances/:instanceId/health', async (req, res) => {
+    try {
+        const { id, instanceId } = req.params;
+
+        const { error, value } = Joi.object({
+            status: Joi.string().valid('healthy', 'degraded', 'unhealthy').required(),
+            responseTime: Joi.number().positive(),
+            errorMessage: Joi.string().max(1000)
+        }).validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'validation_error',
+                message: 'Invalid health data',
+                details: error.details,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { service } = await instanceService.getInstance(id, instanceId);
+        const instance = await healthCheckService.recordInstanceHealth(service._id, instanceId, value);
+        if (!instance) {
+            return res.status(404).json({
+                error: 'instance_not_found',
+                message: 'Instance not found',
+                serviceId: id,
+                instanceId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.info('Service instance health updated', { serviceId: id, instanceId, status: value.status });
+
+        res.json({
+            message: 'Health status updated successfully',
+            serviceId: id,
+            instanceId,
+            status: value.status,
+            timestamp: instance.health.lastCheck
+        });
+    } catch (error) {
+        const instanceError = INSTANCE_ERRORS[error.code];
+        if (instanceError) {
+            return res.status(instanceError.status).json({
+                error: instanceError.error,
+                message: error.message,
+                serviceId: req.params.id,
+                instanceId: req.params.instanceId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.error('Error updating service instance health:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to update instance health status',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 module.exports = router;
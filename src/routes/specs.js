@@ -10,7 +10,22 @@ const Joi = require('joi');
 const winston = require('winston');
 const multer = require('multer');
 const YAML = require('yaml');
-const { ApiSpecification, Service } = require('../database/models');
+const semver = require('semver');
+const { COMPATIBILITY_MODES, SPEC_PUBLICATION_STATES } = require('../database/models');
+const { storage } = require('../database/storage');
+const specDiffService = require('../services/specDiffService');
+const specLinter = require('../validators/specLinter');
+const specConversionService = require('../services/specConversionService');
+const asyncApiService = require('../services/asyncApiService');
+const specBundleService = require('../services/specBundleService');
+const operationIndexService = require('../services/operationIndexService');
+const specsService = require('../services/specsService');
+const distTagService = require('../services/distTagService');
+const specLifecycleService = require('../services/specLifecycleService');
+const specReviewService = require('../services/specReviewService');
+const specSignatureService = require('../services/specSignatureService');
+const accessControlService = require('../services/accessControlService');
+const { flexibleAuth, optionalAuth, checkReadAccess, checkManageAccess } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -33,16 +48,17 @@ const upload = multer({
         fileSize: 5 * 1024 * 1024 // 5MB limit
     },
     fileFilter: (req, file, cb) => {
-        // Accept JSON and YAML files
+        // Accept JSON and YAML files, and zip archives of multi-file specifications
         if (file.mimetype === 'application/json' ||
             file.mimetype === 'text/yaml' ||
             file.mimetype === 'application/x-yaml' ||
             file.originalname.endsWith('.json') ||
             file.originalname.endsWith('.yaml') ||
-            file.originalname.endsWith('.yml')) {
+            file.originalname.endsWith('.yml') ||
+            specBundleService.isZipArchive(file)) {
             cb(null, true);
         } else {
-            cb(new Error('Only JSON and YAML files are allowed'), false);
+            cb(new Error('Only JSON, YAML and zip files are allowed'), false);
         }
     }
 });
@@ -52,10 +68,13 @@ const specUploadSchema = Joi.object({
     serviceId: Joi.string().required()
         .description('Service ID this specification belongs to'),
 
-    version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required()
-        .description('Semantic version of the API specification'),
+    version: Joi.string().pattern(/^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/).required()
+        .description('Semantic version of the API specification; pre-releases such as 2.0.0-beta.1 are accepted'),
 
-    format: Joi.string().valid('openapi', 'swagger', 'json-schema').default('openapi')
+    tag: Joi.string().custom((value, helpers) => (distTagService.isValidTagName(value) ? value : helpers.error('any.invalid')))
+        .description('Dist-tag to point at this version instead of updating latest, e.g. "beta"'),
+
+    format: Joi.string().valid('openapi', 'swagger', 'asyncapi', 'json-schema').default('openapi')
         .description('Specification format'),
 
     title: Joi.string().max(200)
@@ -68,14 +87,54 @@ const specUploadSchema = Joi.object({
         .description('Whether the specification is publicly accessible'),
 
     metadata: Joi.object()
-        .description('Additional metadata for the specification')
+        .description('Additional metadata for the specification'),
+
+    entry: Joi.string().max(500)
+        .description('Root document within a zip upload, e.g. "openapi.yaml"'),
+
+    signature: Joi.string().max(20000).pattern(/^[A-Za-z0-9_-]+\.\.[A-Za-z0-9_-]+$/)
+        .description('Detached JWS (header..signature) over the canonical JSON of the uploaded document, ' +
+            'signed with a key in the service\'s DID document')
+});
+
+const accessControlSchema = Joi.object({
+    dids: Joi.array().items(Joi.string().pattern(/^did:/)).max(100).default([]),
+    apiKeys: Joi.array().items(Joi.string().max(200)).max(100).default([]),
+    roles: Joi.array().items(Joi.string().max(100)).max(100).default([])
+});
+
+const specAccessSchema = Joi.object({
+    isPublic: Joi.boolean()
+        .description('Whether the specification is publicly accessible'),
+
+    accessControl: accessControlSchema
+        .description('DIDs, API keys and roles granted read access while the specification is not public')
+}).or('isPublic', 'accessControl');
+
+const specReviewSchema = Joi.object({
+    action: Joi.string().valid(...Object.keys(specReviewService.REVIEW_ACTIONS)).required()
+        .description('Review step: submit, approve, reject or publish'),
+
+    comment: Joi.string().trim().max(5000).allow('')
+        .description('Reviewer comment; required when rejecting')
 });
 
+// Responses for review workflow errors
+const REVIEW_ERRORS = {
+    'spec/not-found': { status: 404, error: 'specification_not_found' },
+    'review/invalid-action': { status: 400, error: 'invalid_review_action' },
+    'review/comment-required': { status: 400, error: 'comment_required' },
+    'review/forbidden': { status: 403, error: 'access_denied' },
+    'review/self-approval': { status: 403, error: 'self_approval' },
+    'review/invalid-transition': { status: 409, error: 'invalid_review_transition' }
+};
+
 const specQuerySchema = Joi.object({
     serviceId: Joi.string(),
-    format: Joi.string().valid('openapi', 'swagger', 'json-schema'),
+    format: Joi.string().valid('openapi', 'swagger', 'asyncapi', 'json-schema'),
     version: Joi.string(),
     isPublic: Joi.boolean(),
+    publicationStatus: Joi.string().valid(...Object.values(SPEC_PUBLICATION_STATES)).default(SPEC_PUBLICATION_STATES.PUBLISHED),
     limit: Joi.number().integer().min(1).max(100).default(20),
     offset: Joi.number().integer().min(0).default(0),
     sort: Joi.string().valid('version', 'uploadedAt', 'title').default('uploadedAt'),
@@ -154,14 +213,40 @@ const parseSpecificationFile = (buffer, filename) => {
     }
 };
 
+// Helper function to find the closest earlier published version of a service's specification;
+// drafts and rejected versions were never released, so uploads are not compared with them
+const findPreviousSpec = async (serviceId, version) => {
+    const specs = await storage.specs.find({ serviceId, ...specReviewService.publishedFilter() }, { select: 'version' });
+
+    const earlier = specs
+        .filter(spec => semver.valid(spec.version) && semver.lt(spec.version, version))
+        .sort((a, b) => semver.rcompare(a.version, b.version));
+
+    if (earlier.length === 0) {
+        return null;
+    }
+
+    return storage.specs.findById(earlier[0]._id);
+};
+
+// Check the caller may read a specification, loading its service's grants when it is restricted
+const authorizeSpecRead = async (req, res, spec) => {
+    const service = accessControlService.isPublic(spec)
+        ? null
+        : await storage.services.findById(spec.serviceId, { select: 'accessControl' });
+
+    return checkReadAccess(req, res, spec, service);
+};
+
 // GET /api/v1/specs - List API specifications
-router.get('/', validateRequest(specQuerySchema, 'query'), async (req, res) => {
+router.get('/', optionalAuth, validateRequest(specQuerySchema, 'query'), async (req, res) => {
     try {
         const {
             serviceId,
             format,
             version,
             isPublic,
+            publicationStatus,
             limit,
             offset,
             sort,
@@ -175,20 +260,26 @@ router.get('/', validateRequest(specQuerySchema, 'query'), async (req, res) => {
         if (format) filters.format = format;
         if (version) filters.version = version;
         if (isPublic !== undefined) filters.isPublic = isPublic;
+        Object.assign(filters, publicationStatus === SPEC_PUBLICATION_STATES.PUBLISHED
+            ? specReviewService.publishedFilter()
+            : { publicationStatus });
+
+        // Only list specifications the caller can read
+        const query = { $and: [filters, await accessControlService.readableSpecFilter(req.auth)] };
 
         // Execute query with pagination
         const sortOptions = {};
         sortOptions[sort] = order === 'desc' ? -1 : 1;
 
         const [specs, total] = await Promise.all([
-            ApiSpecification.find(filters)
-                .select('-specification -__v') // Exclude large specification content
-                .sort(sortOptions)
-                .limit(limit)
-                .skip(offset)
-                .populate('serviceId', 'name category baseUrl')
-                .lean(),
-            ApiSpecification.countDocuments(filters)
+            storage.specs.find(query, {
+                select: '-specification -originalSpecification -__v', // Exclude large specification content
+                sort: sortOptions,
+                limit,
+                skip: offset,
+                populate: { path: 'serviceId', select: 'name category baseUrl' }
+            }),
+            storage.specs.count(query)
         ]);
 
         // Prepare response
@@ -214,7 +305,8 @@ router.get('/', validateRequest(specQuerySchema, 'query'), async (req, res) => {
                 serviceId,
                 format,
                 version,
-                isPublic
+                isPublic,
+                publicationStatus
             }
         };
 
@@ -236,17 +328,16 @@ router.get('/', validateRequest(specQuerySchema, 'query'), async (req, res) => {
 });
 
 // GET /api/v1/specs/:id - Get specification by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
         const { id } = req.params;
         const { includeSpec = false } = req.query;
 
-        const selectFields = includeSpec ? '' : '-specification';
-
-        const spec = await ApiSpecification.findById(id)
-            .select(selectFields + ' -__v')
-            .populate('serviceId', 'name category baseUrl status')
-            .lean();
+        // The documents are loaded even when not returned, to check the signature against them
+        const spec = await storage.specs.findById(id, {
+            select: '-__v',
+            populate: { path: 'serviceId', select: 'name category baseUrl status accessControl' }
+        });
 
         if (!spec) {
             return res.status(404).json({
@@ -258,23 +349,26 @@ router.get('/:id', async (req, res) => {
         }
 
         // Check if specification is public or user has access
-        if (!spec.isPublic) {
-            // TODO: Implement proper authorization
-            return res.status(403).json({
-                error: 'access_denied',
-                message: 'Access to this specification is restricted',
-                timestamp: new Date().toISOString()
-            });
+        if (!await checkReadAccess(req, res, spec, spec.serviceId)) {
+            return;
+        }
+
+        await specLifecycleService.setDeprecationHeaders(res, spec);
+        if (includeSpec) {
+            specSignatureService.setSignatureHeaders(req, res, spec, spec.specification);
         }
 
+        const { specification, originalSpecification, ...specInfo } = spec;
         const response = {
-            ...spec,
+            ...specInfo,
+            ...(includeSpec ? { specification } : {}),
             _id: spec._id.toString(),
             serviceId: spec.serviceId._id.toString(),
             serviceName: spec.serviceId.name,
             serviceCategory: spec.serviceId.category,
             serviceBaseUrl: spec.serviceId.baseUrl,
-            serviceStatus: spec.serviceId.status
+            serviceStatus: spec.serviceId.status,
+            signature: specSignatureService.signatureSummary(spec)
         };
 
         logger.info('API specification retrieved', {
@@ -308,7 +402,7 @@ router.post('/', upload.single('specification'), validateRequest(specUploadSchem
         }
 
         // Verify service exists
-        const service = await Service.findOne({
+        const service = await storage.services.findOne({
             _id: specData.serviceId,
             deletedAt: { $exists: false }
         });
@@ -323,7 +417,7 @@ router.post('/', upload.single('specification'), validateRequest(specUploadSchem
         }
 
         // Check for existing specification with same version
-        const existingSpec = await ApiSpecification.findOne({
+        const existingSpec = await storage.specs.findOne({
             serviceId: specData.serviceId,
             version: specData.version
         });
@@ -337,22 +431,197 @@ router.post('/', upload.single('specification'), validateRequest(specUploadSchem
             });
         }
 
-        // Parse specification file
+        // Signatures cover a single uploaded document, which a bundled archive is not
+        if (specData.signature && specBundleService.isZipArchive(file)) {
+            return res.status(400).json({
+                error: 'unsupported_signature',
+                message: 'Signed uploads must be a single JSON or YAML document',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Parse specification file; zip archives are bundled into a single document
         let parsedSpec;
+        let archive;
+        if (specBundleService.isZipArchive(file)) {
+            try {
+                const bundled = await specBundleService.bundleArchive(file.buffer, { entry: specData.entry });
+                parsedSpec = bundled.specification;
+                archive = {
+                    entry: bundled.entry,
+                    files: bundled.files,
+                    bundledAt: new Date()
+                };
+            } catch (bundleError) {
+                return res.status(400).json({
+                    error: 'bundle_error',
+                    message: bundleError.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } else {
+            try {
+                parsedSpec = parseSpecificationFile(file.buffer, file.originalname);
+            } catch (parseError) {
+                return res.status(400).json({
+                    error: 'parse_error',
+                    message: parseError.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        // Stored documents must be self-contained; external $refs would be read from the server or fetched
         try {
-            parsedSpec = parseSpecificationFile(file.buffer, file.originalname);
-        } catch (parseError) {
+            specBundleService.assertSelfContained(parsedSpec);
+        } catch (referenceError) {
             return res.status(400).json({
-                error: 'parse_error',
-                message: parseError.message,
+                error: 'unresolved_reference',
+                message: referenceError.message,
+                unresolvedReferences: referenceError.unresolvedReferences,
                 timestamp: new Date().toISOString()
             });
         }
 
-        // Validate specification if it's OpenAPI
+        // Check the publisher's signature over the document as uploaded, before any conversion
+        let signature;
+        if (specData.signature) {
+            try {
+                signature = specSignatureService.verifySignature(service, parsedSpec, specData.signature);
+            } catch (signatureError) {
+                if (!signatureError.code || !signatureError.code.startsWith('signature/')) {
+                    throw signatureError;
+                }
+
+                logger.warn('Specification upload failed signature verification', {
+                    serviceId: specData.serviceId,
+                    version: specData.version,
+                    reason: signatureError.code
+                });
+
+                return res.status(422).json({
+                    error: 'invalid_signature',
+                    message: signatureError.message,
+                    reason: signatureError.code.split('/')[1],
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        // Swagger 2.0 documents are stored as OpenAPI 3, keeping the original for download
+        let format = specData.format;
+        let originalSpecification;
+        let conversion;
+        const warnings = [];
+        if (specConversionService.isSwagger2(parsedSpec)) {
+            const converted = specConversionService.convertSwagger2(parsedSpec);
+
+            originalSpecification = parsedSpec;
+            parsedSpec = converted.specification;
+            format = 'openapi';
+            conversion = {
+                sourceFormat: 'swagger',
+                sourceVersion: originalSpecification.swagger,
+                warnings: converted.warnings,
+                convertedAt: new Date()
+            };
+
+            warnings.push(...converted.warnings.map(warning =>
+                `Swagger 2.0 conversion: ${warning.message} (${warning.pointer})`));
+        } else if (asyncApiService.isAsyncApi(parsedSpec)) {
+            format = 'asyncapi';
+        } else if (format === 'swagger' || format === 'asyncapi') {
+            return res.status(400).json({
+                error: 'unsupported_format',
+                message: format === 'swagger'
+                    ? 'Swagger specifications must declare swagger: "2.0"'
+                    : 'AsyncAPI specifications must declare an asyncapi version',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Validate specification if it's OpenAPI or AsyncAPI
         let validationResult = { isValid: true, errors: [] };
-        if (specData.format === 'openapi') {
+        if (format === 'openapi') {
             validationResult = validateOpenApiSpec(parsedSpec);
+        } else if (format === 'asyncapi') {
+            validationResult = asyncApiService.validateAsyncApiSpec(parsedSpec);
+        }
+
+        // Index operations so services can be discovered by what they expose
+        let endpoints = [];
+        if (validationResult.isValid && format === 'openapi') {
+            endpoints = operationIndexService.extractEndpoints(parsedSpec);
+        } else if (validationResult.isValid && format === 'asyncapi') {
+            endpoints = asyncApiService.extractEndpoints(parsedSpec);
+        }
+
+        // Lint against the service's ruleset; findings are recorded rather than blocking the upload
+        let lint;
+        if (format === 'openapi' && validationResult.isValid) {
+            const lintPolicy = service.specPolicy?.lint || {};
+            lint = {
+                ...specLinter.lintSpec(parsedSpec, {
+                    ruleset: lintPolicy.ruleset || specLinter.DEFAULT_RULESET,
+                    overrides: lintPolicy.rules || {},
+                    service
+                }),
+                lintedAt: new Date()
+            };
+
+            if (!lint.passed) {
+                warnings.push(`Specification has ${lint.summary.errors} lint error(s) against the ${lint.ruleset} ruleset`);
+            }
+        }
+
+        // Diff against the previous version so consumers can see what changed
+        let compatibility;
+        const previousSpec = await findPreviousSpec(specData.serviceId, specData.version);
+        if (previousSpec && format === 'openapi') {
+            const diff = await specDiffService.diffSpecs(previousSpec.specification, parsedSpec);
+            const assessment = specDiffService.assessVersionBump(previousSpec.version, specData.version, diff);
+            const compatibilityMode = service.specPolicy?.compatibility || COMPATIBILITY_MODES.WARN;
+
+            compatibility = {
+                previousSpecId: previousSpec._id,
+                previousVersion: previousSpec.version,
+                hasBreakingChanges: diff.summary.hasBreakingChanges,
+                versionBump: assessment.bump,
+                semverCompliant: assessment.compliant,
+                breakingChanges: diff.breaking,
+                nonBreakingChanges: diff.nonBreaking,
+                comparedAt: new Date()
+            };
+
+            // Breaking changes must be matched by a major version bump
+            if (!assessment.compliant && compatibilityMode !== COMPATIBILITY_MODES.OFF) {
+                const message = `Version ${specData.version} contains ${diff.breaking.length} breaking change(s) ` +
+                    `against ${previousSpec.version} and requires a ${assessment.requiredBump} version bump`;
+
+                logger.warn('Specification upload failed compatibility check', {
+                    serviceId: specData.serviceId,
+                    version: specData.version,
+                    previousVersion: previousSpec.version,
+                    compatibilityMode,
+                    breakingChanges: diff.breaking.length
+                });
+
+                if (compatibilityMode === COMPATIBILITY_MODES.ENFORCE) {
+                    return res.status(422).json({
+                        error: 'incompatible_version',
+                        message,
+                        version: specData.version,
+                        previousVersion: previousSpec.version,
+                        previousSpecId: previousSpec._id.toString(),
+                        versionBump: assessment.bump,
+                        requiredBump: assessment.requiredBump,
+                        breakingChanges: diff.breaking,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                warnings.push(message);
+            }
         }
 
         // Extract metadata from specification
@@ -363,20 +632,36 @@ router.post('/', upload.single('specification'), validateRequest(specUploadSchem
             servers: parsedSpec.servers || [],
             tags: parsedSpec.tags || [],
             pathCount: parsedSpec.paths ? Object.keys(parsedSpec.paths).length : 0,
+            channelCount: parsedSpec.channels ? Object.keys(parsedSpec.channels).length : 0,
             componentCount: parsedSpec.components ? Object.keys(parsedSpec.components).length : 0
         };
 
+        // Where the service requires review, the version starts as a draft and is tagged once published
+        const publicationStatus = specReviewService.initialStatus(service);
+        const published = publicationStatus === SPEC_PUBLICATION_STATES.PUBLISHED;
+
         // Create new API specification
-        const apiSpec = new ApiSpecification({
+        const apiSpec = await storage.specs.create({
             serviceId: specData.serviceId,
+            name: extractedMetadata.title || service.name,
             version: specData.version,
-            format: specData.format,
+            format,
             title: extractedMetadata.title,
             description: extractedMetadata.description,
             specification: parsedSpec,
+            endpoints,
+            originalSpecification,
+            conversion,
+            archive,
             isPublic: specData.isPublic,
             isValid: validationResult.isValid,
             validationErrors: validationResult.errors,
+            compatibility,
+            lint,
+            signature,
+            publicationStatus,
+            publishedAt: published ? new Date() : undefined,
+            requestedTag: published ? undefined : specData.tag,
             metadata: {
                 ...extractedMetadata,
                 ...specData.metadata,
@@ -389,14 +674,30 @@ router.post('/', upload.single('specification'), validateRequest(specUploadSchem
             uploadedAt: new Date()
         });
 
-        await apiSpec.save();
+        // Uploads appear in the specification history alongside other spec changes
+        await specsService.recordSpecChange(service.name, apiSpec, `Add spec for ${service.name}@${apiSpec.version}`);
+
+        // Release versions become latest; an explicit tag moves only that tag
+        const tagged = published
+            ? await distTagService.applyOnPublish(apiSpec.serviceId, apiSpec.version, specData.tag) || apiSpec
+            : apiSpec;
+
+        if (!published) {
+            warnings.push(`Version ${apiSpec.version} is a ${publicationStatus} and will not be discoverable until it is reviewed and published`);
+        }
 
         logger.info('API specification uploaded', {
             specificationId: apiSpec._id.toString(),
             serviceId: specData.serviceId,
             version: specData.version,
-            format: specData.format,
-            isValid: validationResult.isValid
+            format,
+            convertedFrom: conversion ? conversion.sourceFormat : undefined,
+            archiveFiles: archive ? archive.files.length : undefined,
+            isValid: validationResult.isValid,
+            publicationStatus,
+            signedBy: signature ? signature.kid : undefined,
+            lintErrors: lint ? lint.summary.errors : 0,
+            breakingChanges: compatibility ? compatibility.breakingChanges.length : 0
         });
 
         res.status(201).json({
@@ -409,8 +710,18 @@ router.post('/', upload.single('specification'), validateRequest(specUploadSchem
                 title: apiSpec.title,
                 isValid: apiSpec.isValid,
                 validationErrors: apiSpec.validationErrors,
+                compatibility: apiSpec.compatibility,
+                conversion: apiSpec.conversion,
+                archive: apiSpec.archive,
+                lint: apiSpec.lint,
+                isLatest: tagged.isLatest,
+                distTags: tagged.distTags,
+                publicationStatus: apiSpec.publicationStatus,
+                requestedTag: apiSpec.requestedTag,
+                signature: specSignatureService.signatureSummary(apiSpec),
                 uploadedAt: apiSpec.uploadedAt
-            }
+            },
+            warnings
         });
     } catch (error) {
         logger.error('Error uploading API specification:', error);
@@ -423,14 +734,15 @@ router.post('/', upload.single('specification'), validateRequest(specUploadSchem
 });
 
 // GET /api/v1/specs/:id/raw - Get raw specification content
-router.get('/:id/raw', async (req, res) => {
+router.get('/:id/raw', optionalAuth, async (req, res) => {
     try {
         const { id } = req.params;
-        const { format = 'json' } = req.query;
+        const { format = 'json', original } = req.query;
 
-        const spec = await ApiSpecification.findById(id)
-            .select('specification isPublic format title version')
-            .lean();
+        const spec = await storage.specs.findById(id, {
+            select: 'serviceId specification originalSpecification isPublic accessControl format title version ' +
+                'isDeprecated deprecationDate sunsetDate replacementVersion signature updatedAt'
+        });
 
         if (!spec) {
             return res.status(404).json({
@@ -440,26 +752,31 @@ router.get('/:id/raw', async (req, res) => {
             });
         }
 
-        if (!spec.isPublic) {
-            return res.status(403).json({
-                error: 'access_denied',
-                message: 'Access to this specification is restricted',
-                timestamp: new Date().toISOString()
-            });
+        if (!await authorizeSpecRead(req, res, spec)) {
+            return;
         }
 
+        // Converted specifications keep the document as uploaded; others are served unchanged
+        const document = original === 'true' && spec.originalSpecification
+            ? spec.originalSpecification
+            : spec.specification;
+
+        await specLifecycleService.setDeprecationHeaders(res, spec);
+        specSignatureService.setSignatureHeaders(req, res, spec, document);
+
         // Set appropriate content type and return specification
         if (format === 'yaml') {
             res.set('Content-Type', 'application/x-yaml');
-            res.send(YAML.stringify(spec.specification));
+            res.send(YAML.stringify(document));
         } else {
             res.set('Content-Type', 'application/json');
-            res.json(spec.specification);
+            res.json(document);
         }
 
         logger.info('Raw specification served', {
             specificationId: id,
-            format
+            format,
+            original: original === 'true'
         });
     } catch (error) {
         logger.error('Error serving raw specification:', error);
@@ -471,4 +788,345 @@ router.get('/:id/raw', async (req, res) => {
     }
 });
 
+// Helper function to serve a specification with its $refs bundled or dereferenced
+const serveResolvedSpec = (mode) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { format = 'json' } = req.query;
+
+        const spec = await storage.specs.findById(id, {
+            select: 'serviceId specification isPublic accessControl format version ' +
+                'isDeprecated deprecationDate sunsetDate replacementVersion signature updatedAt'
+        });
+
+        if (!spec) {
+            return res.status(404).json({
+                error: 'specification_not_found',
+                message: 'API specification not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!await authorizeSpecRead(req, res, spec)) {
+            return;
+        }
+
+        if (spec.format === 'asyncapi') {
+            return res.status(400).json({
+                error: 'unsupported_format',
+                message: `Only OpenAPI specifications can be ${mode}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        let document;
+        try {
+            if (mode === 'bundled') {
+                document = await specBundleService.bundleSpec(spec.specification);
+            } else {
+                const dereferenced = await specBundleService.dereferenceSpec(spec.specification);
+                document = dereferenced.specification;
+
+                // Circular references cannot be inlined and remain as $refs
+                if (dereferenced.circular) {
+                    res.set('X-Circular-References', 'true');
+                }
+            }
+        } catch (resolveError) {
+            return res.status(422).json({
+                error: 'unresolved_reference',
+                message: resolveError.message,
+                unresolvedReferences: resolveError.unresolvedReferences,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await specLifecycleService.setDeprecationHeaders(res, spec);
+        specSignatureService.setSignatureHeaders(req, res, spec, document);
+
+        if (format === 'yaml') {
+            res.set('Content-Type', 'application/x-yaml');
+            // Dereferenced documents reuse objects; write them out in full rather than as YAML aliases
+            res.send(YAML.stringify(document, { aliasDuplicateObjects: false }));
+        } else {
+            res.set('Content-Type', 'application/json');
+            res.json(document);
+        }
+
+        logger.info(`Specification served ${mode}`, {
+            specificationId: id,
+            format
+        });
+    } catch (error) {
+        logger.error(`Error serving ${mode} specification:`, error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: `Failed to serve ${mode} specification`,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// GET /api/v1/specs/:id/bundled - Get specification as one document with internal $refs only
+router.get('/:id/bundled', optionalAuth, serveResolvedSpec('bundled'));
+
+// GET /api/v1/specs/:id/dereferenced - Get specification with all $refs replaced by their targets
+router.get('/:id/dereferenced', optionalAuth, serveResolvedSpec('dereferenced'));
+
+// GET /api/v1/specs/:id/diff - Compare a specification with another version
+router.get('/:id/diff', optionalAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { against } = req.query;
+
+        if (!against) {
+            return res.status(400).json({
+                error: 'validation_error',
+                message: 'The "against" query parameter is required',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const [spec, baseSpec] = await Promise.all([
+            storage.specs.findById(id, { select: 'serviceId version format specification isPublic accessControl' }),
+            storage.specs.findById(against, { select: 'serviceId version format specification isPublic accessControl' })
+        ]);
+
+        if (!spec || !baseSpec) {
+            return res.status(404).json({
+                error: 'specification_not_found',
+                message: 'API specification not found',
+                specificationId: spec ? against : id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!await authorizeSpecRead(req, res, spec) || !await authorizeSpecRead(req, res, baseSpec)) {
+            return;
+        }
+
+        if (spec.format === 'asyncapi' || baseSpec.format === 'asyncapi') {
+            return res.status(400).json({
+                error: 'unsupported_format',
+                message: 'Diffs are only available between OpenAPI specifications',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const diff = await specDiffService.diffSpecs(baseSpec.specification, spec.specification);
+
+        logger.info('Specification diff computed', {
+            specificationId: id,
+            against,
+            breaking: diff.summary.breaking,
+            nonBreaking: diff.summary.nonBreaking
+        });
+
+        res.json({
+            specificationId: id,
+            againstId: against,
+            fromVersion: baseSpec.version,
+            toVersion: spec.version,
+            sameService: baseSpec.serviceId.toString() === spec.serviceId.toString(),
+            breaking: diff.breaking,
+            nonBreaking: diff.nonBreaking,
+            summary: diff.summary,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error computing specification diff:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to compare API specifications',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// PUT /api/v1/specs/:id/access - Set the visibility and read grants of a specification
+router.put('/:id/access', flexibleAuth, validateRequest(specAccessSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const changes = {};
+
+        if (req.body.isPublic !== undefined) changes.isPublic = req.body.isPublic;
+        if (req.body.accessControl) {
+            changes.accessControl = accessControlService.normaliseAccessControl(req.body.accessControl);
+        }
+
+        const existing = await storage.specs.findById(id, { select: 'serviceId' });
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'specification_not_found',
+                message: 'API specification not found',
+                specificationId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const service = await storage.services.findById(existing.serviceId, { select: 'did' });
+        if (!checkManageAccess(req, res, service)) {
+            return;
+        }
+
+        const spec = await storage.specs.updateById(id, { $set: changes });
+
+        logger.info('Specification access updated', {
+            specificationId: id,
+            isPublic: spec.isPublic,
+            dids: spec.accessControl.dids.length,
+            apiKeys: spec.accessControl.apiKeys.length,
+            roles: spec.accessControl.roles.length,
+            updatedBy: req.auth.type
+        });
+
+        res.json({
+            specificationId: id,
+            isPublic: spec.isPublic,
+            accessControl: spec.accessControl,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error updating specification access:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to update specification access',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/specs/:id/signature - Get the publisher's signature proof, checked against the current DID document
+router.get('/:id/signature', optionalAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const spec = await storage.specs.findById(id, {
+            select: 'serviceId version specification originalSpecification isPublic accessControl signature'
+        });
+
+        if (!spec) {
+            return res.status(404).json({
+                error: 'specification_not_found',
+                message: 'API specification not found',
+                specificationId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const service = await storage.services.findById(spec.serviceId, { select: 'name did didDocument accessControl' });
+        if (!await checkReadAccess(req, res, spec, service)) {
+            return;
+        }
+
+        // The registry counter-signs the document the publisher signed
+        const document = specSignatureService.signedDocument(spec);
+        const publisherJws = spec.signature && spec.signature.jws;
+
+        res.json({
+            specificationId: id,
+            serviceName: service ? service.name : null,
+            version: spec.version,
+            signature: {
+                ...specSignatureService.signatureSummary(spec),
+                jws: publisherJws || null,
+                contentHash: spec.signature ? spec.signature.contentHash : null
+            },
+            currentCheck: service
+                ? specSignatureService.checkSignature(spec, service)
+                : { status: specSignatureService.SIGNATURE_STATUS.INVALID },
+            registry: {
+                did: specSignatureService.registryDid(req.hostname),
+                jws: specSignatureService.counterSign(document, req.hostname, publisherJws)
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error retrieving specification signature:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to retrieve specification signature',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/specs/:id/review - Get the publication status and review history of a specification
+router.get('/:id/review', optionalAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const found = await specReviewService.getReview(id);
+
+        if (!found) {
+            return res.status(404).json({
+                error: 'specification_not_found',
+                message: 'API specification not found',
+                specificationId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!await checkReadAccess(req, res, found.spec, found.service)) {
+            return;
+        }
+
+        res.json({
+            ...specReviewService.toReviewRecord(found.spec, found.service.name, req.auth),
+            reviewRequired: specReviewService.isReviewRequired(found.service),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error retrieving specification review:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to retrieve specification review',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/specs/:id/review - Submit, approve, reject or publish a specification
+router.post('/:id/review', flexibleAuth, validateRequest(specReviewSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { action, comment } = req.body;
+
+        const { spec, service } = await specReviewService.reviewSpec(id, action, { auth: req.auth, comment });
+
+        await specsService.recordSpecChange(service.name, spec,
+            `${action.charAt(0).toUpperCase()}${action.slice(1)} spec for ${service.name}@${spec.version}`);
+
+        logger.info('Specification review recorded', {
+            specificationId: id,
+            action,
+            status: spec.publicationStatus,
+            reviewedBy: req.auth.type
+        });
+
+        res.json({
+            ...specReviewService.toReviewRecord(spec, service.name, req.auth),
+            isLatest: spec.isLatest,
+            distTags: spec.distTags,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        const reviewError = REVIEW_ERRORS[error.code];
+        if (reviewError) {
+            return res.status(reviewError.status).json({
+                error: reviewError.error,
+                message: error.message,
+                specificationId: req.params.id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.error('Error reviewing API specification:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to review API specification',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 module.exports = router;
@@ -8,7 +8,14 @@
 const express = require('express');
 const Joi = require('joi');
 const winston = require('winston');
-const { Service, ApiSpecification, ServiceHealthLog } = require('../database/models');
+const { storage } = require('../database/storage');
+const specsService = require('../services/specsService');
+const accessControlService = require('../services/accessControlService');
+const changelogService = require('../services/changelogService');
+const specReviewService = require('../services/specReviewService');
+const authService = require('../services/authService');
+const healthCheckService = require('../services/healthCheckService');
+const { apiKeyIdentity } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -24,14 +31,22 @@ const logger = winston.createLogger({
   ]
 });
 
+const HEALTH_STATUS_CLASSES = {
+  healthy: 'govuk-tag--green',
+  degraded: 'govuk-tag--yellow',
+  unhealthy: 'govuk-tag--red',
+  unknown: 'govuk-tag--grey'
+};
+
 // Helper function to format service data for templates
 const formatServiceForTemplate = (service) => {
+  const healthStatus = healthCheckService.healthStatusOf(service);
   return {
     ...service,
     _id: service._id?.toString() || service._id,
     statusClass: service.status === 'active' ? 'govuk-tag--green' : 'govuk-tag--red',
-    healthClass: service.healthStatus === 'healthy' ? 'govuk-tag--green' :
-      service.healthStatus === 'degraded' ? 'govuk-tag--yellow' : 'govuk-tag--red',
+    healthStatus,
+    healthClass: HEALTH_STATUS_CLASSES[healthStatus],
     formattedDate: service.registeredAt ? new Date(service.registeredAt).toLocaleDateString('en-GB') : 'Unknown',
     formattedLastUpdate: service.lastUpdated ? new Date(service.lastUpdated).toLocaleDateString('en-GB') : 'Unknown'
   };
@@ -42,23 +57,23 @@ router.get('/', async (req, res) => {
   try {
     // Get service statistics
     const [totalServices, activeServices, healthyServices] = await Promise.all([
-      Service.countDocuments({ deletedAt: { $exists: false } }),
-      Service.countDocuments({ status: 'active', deletedAt: { $exists: false } }),
-      Service.countDocuments({ healthStatus: 'healthy', deletedAt: { $exists: false } })
+      storage.services.count({ deletedAt: { $exists: false } }),
+      storage.services.count({ status: 'active', deletedAt: { $exists: false } }),
+      storage.services.count({ 'health.status': 'healthy', deletedAt: { $exists: false } })
     ]);
 
     // Get recent services
-    const recentServices = await Service.find({ deletedAt: { $exists: false } })
-      .sort({ registeredAt: -1 })
-      .limit(5)
-      .lean();
+    const recentServices = await storage.services.find({ deletedAt: { $exists: false } }, {
+      sort: { registeredAt: -1 },
+      limit: 5
+    });
 
     // Get category distribution
-    const categoryStats = await Service.aggregate([
-      { $match: { deletedAt: { $exists: false } } },
-      { $group: { _id: '$category', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
+    const categoryCounts = new Map();
+    const categories = await storage.services.find({ deletedAt: { $exists: false } }, { select: 'category' });
+    categories.forEach(({ category }) => categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1));
+    const categoryStats = Array.from(categoryCounts, ([category, count]) => ({ _id: category, count }))
+      .sort((a, b) => b.count - a.count);
 
     res.render('dashboard.njk', {
       title: 'API Registry Dashboard',
@@ -113,18 +128,18 @@ router.get('/services', async (req, res) => {
     // Execute query with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const [services, total] = await Promise.all([
-      Service.find(query)
-        .sort({ name: 1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
-      Service.countDocuments(query)
+      storage.services.find(query, {
+        sort: { name: 1 },
+        skip,
+        limit: parseInt(limit)
+      }),
+      storage.services.count(query)
     ]);
 
     // Get filter options
     const [categories, authTypes] = await Promise.all([
-      Service.distinct('category', { deletedAt: { $exists: false } }),
-      Service.distinct('authentication.type', { deletedAt: { $exists: false } })
+      storage.services.distinct('category', { deletedAt: { $exists: false } }),
+      storage.services.distinct('authentication.type', { deletedAt: { $exists: false } })
     ]);
 
     const totalPages = Math.ceil(total / parseInt(limit));
@@ -172,15 +187,69 @@ router.get('/services', async (req, res) => {
   }
 });
 
+// Tag colour for each publication status
+const PUBLICATION_STATUS_CLASSES = {
+  draft: 'govuk-tag--grey',
+  'in-review': 'govuk-tag--yellow',
+  approved: 'govuk-tag--turquoise',
+  published: 'govuk-tag--green',
+  rejected: 'govuk-tag--red'
+};
+
+// Helper function to format a review history event for templates
+const formatReviewEvent = (event) => ({
+  ...event,
+  formattedTime: new Date(event.at).toLocaleString('en-GB'),
+  // API key digests are shortened; DIDs are shown in full
+  actorLabel: !event.actor ? 'Unknown' :
+    event.actor.startsWith('sha256:') ? `API key ${event.actor.slice(7, 15)}…` : event.actor
+});
+
+// Review queue - specification versions awaiting review or publication
+router.get('/reviews', async (req, res) => {
+  try {
+    const readableFilter = await accessControlService.readableSpecFilter(req.auth);
+    const pending = await specReviewService.listPending(readableFilter);
+
+    const services = await storage.services.find({
+      name: { $in: [...new Set(pending.map(item => item.serviceName))] },
+      deletedAt: { $exists: false }
+    }, { select: 'name' });
+    const serviceIds = new Map(services.map(service => [service.name, service._id.toString()]));
+
+    res.render('reviews.njk', {
+      title: 'Specification Reviews',
+      pageId: 'reviews',
+      pending: pending.filter(item => serviceIds.has(item.serviceName)).map(item => ({
+        ...item,
+        serviceId: serviceIds.get(item.serviceName),
+        statusClass: PUBLICATION_STATUS_CLASSES[item.status],
+        lastEvent: item.lastEvent && formatReviewEvent(item.lastEvent)
+      })),
+      breadcrumbs: [
+        { text: 'Home', href: '/' },
+        { text: 'Specification Reviews' }
+      ]
+    });
+  } catch (error) {
+    logger.error('Error loading review queue:', error);
+    res.status(500).render('error.njk', {
+      title: 'Error',
+      statusCode: 500,
+      message: 'Failed to load the review queue'
+    });
+  }
+});
+
 // Service details page
 router.get('/services/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const service = await Service.findOne({
+    const service = await storage.services.findOne({
       _id: id,
       deletedAt: { $exists: false }
-    }).lean();
+    });
 
     if (!service) {
       return res.status(404).render('error.njk', {
@@ -191,29 +260,74 @@ router.get('/services/:id', async (req, res) => {
     }
 
     // Get health logs
-    const healthLogs = await ServiceHealthLog.find({ serviceId: id })
-      .sort({ timestamp: -1 })
-      .limit(10)
-      .lean();
+    const healthLogs = await storage.healthLogs.find({ serviceId: id }, {
+      sort: { checkedAt: -1 },
+      limit: 10
+    });
+
+    // Get the API specifications the visitor can read
+    const readableFilter = await accessControlService.readableSpecFilter(req.auth);
+    const apiSpecs = await storage.specs.find({
+      $and: [{ serviceId: id }, readableFilter]
+    }, { sort: { version: -1 } });
+
+    // Get specification history; the page still renders if the repository can't be read
+    let specHistory = [];
+    if (specsService.isHistoryEnabled()) {
+      try {
+        specHistory = await specsService.getServiceHistory(service.name);
+      } catch (historyError) {
+        logger.warn('Failed to read specification history', { service: service.name, error: historyError.message });
+      }
+    }
+
+    // Get the changelog of recent releases; the page still renders if it can't be built
+    let changelog = null;
+    try {
+      changelog = await changelogService.buildChangelog(service.name, { filter: readableFilter, limit: 10 });
+    } catch (changelogError) {
+      logger.warn('Failed to build changelog', { service: service.name, error: changelogError.message });
+    }
 
-    // Get API specifications
-    const apiSpecs = await ApiSpecification.find({ serviceId: id })
-      .sort({ version: -1 })
-      .lean();
+    // Outcome of a review form submitted from this page
+    const { successMessage, errors } = req.session;
+    delete req.session.successMessage;
+    delete req.session.errors;
 
     res.render('services/detail.njk', {
       title: `${service.name} - Service Details`,
       pageId: 'service-detail',
       service: formatServiceForTemplate(service),
+      successMessage,
+      errors,
       healthLogs: healthLogs.map(log => ({
         ...log,
-        formattedTime: new Date(log.timestamp).toLocaleString('en-GB'),
-        statusClass: log.status === 'healthy' ? 'govuk-tag--green' :
-          log.status === 'degraded' ? 'govuk-tag--yellow' : 'govuk-tag--red'
+        formattedTime: new Date(log.checkedAt).toLocaleString('en-GB'),
+        statusCode: log.metadata && log.metadata.httpStatus,
+        statusClass: HEALTH_STATUS_CLASSES[log.status]
       })),
       apiSpecs: apiSpecs.map(spec => ({
         ...spec,
-        formattedDate: new Date(spec.uploadedAt).toLocaleDateString('en-GB')
+        formattedDate: new Date(spec.uploadedAt).toLocaleDateString('en-GB'),
+        lintClass: !spec.lint ? 'govuk-tag--grey' :
+          !spec.lint.passed ? 'govuk-tag--red' :
+            spec.lint.summary.warnings > 0 ? 'govuk-tag--yellow' : 'govuk-tag--green',
+        published: specReviewService.isPublished(spec),
+        statusClass: PUBLICATION_STATUS_CLASSES[spec.publicationStatus || 'published'],
+        reviewActions: specReviewService.actionsFrom(spec.publicationStatus),
+        reviewHistory: (spec.reviewHistory || []).map(formatReviewEvent)
+      })),
+      specHistory: specHistory.map(entry => ({
+        ...entry,
+        formattedTime: new Date(entry.committedAt).toLocaleString('en-GB')
+      })),
+      changelog: changelog && changelog.releases.map(release => ({
+        ...release,
+        formattedDate: release.releasedAt ? new Date(release.releasedAt).toLocaleDateString('en-GB') : null,
+        formattedDeprecationDate: release.deprecated && release.deprecated.since
+          ? new Date(release.deprecated.since).toLocaleDateString('en-GB') : null,
+        formattedSunsetDate: release.deprecated && release.deprecated.sunsetDate
+          ? new Date(release.deprecated.sunsetDate).toLocaleDateString('en-GB') : null
       })),
       breadcrumbs: [
         { text: 'Home', href: '/' },
@@ -231,6 +345,70 @@ router.get('/services/:id', async (req, res) => {
   }
 });
 
+// Handle a review decision on a specification version; reviewers identify themselves with their API key
+router.post('/services/:id/specs/:specId/review', async (req, res) => {
+  const { id, specId } = req.params;
+  const field = `review-${specId}`;
+
+  try {
+    const schema = Joi.object({
+      action: Joi.string().valid(...Object.keys(specReviewService.REVIEW_ACTIONS)).required()
+        .messages({ 'any.required': 'Select a review decision', 'any.only': 'Select a review decision' }),
+      comment: Joi.string().trim().max(5000).allow(''),
+      apiKey: Joi.string().required()
+        .messages({ 'any.required': 'Enter your API key', 'string.empty': 'Enter your API key' })
+    });
+
+    const { error, value } = schema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      req.session.errors = { [field]: error.details[0].message };
+      return res.redirect(`/services/${id}#${field}`);
+    }
+
+    if (!authService.validateApiKey(value.apiKey)) {
+      req.session.errors = { [field]: 'The API key is not valid' };
+      return res.redirect(`/services/${id}#${field}`);
+    }
+
+    const spec = await storage.specs.findOne({ _id: specId, serviceId: id }, { select: '_id' });
+    if (!spec) {
+      return res.status(404).render('error.njk', {
+        title: 'Specification Not Found',
+        statusCode: 404,
+        message: 'The requested specification could not be found.'
+      });
+    }
+
+    const reviewed = await specReviewService.reviewSpec(specId, value.action, {
+      auth: apiKeyIdentity(value.apiKey),
+      comment: value.comment
+    });
+    await specsService.recordSpecChange(reviewed.service.name, reviewed.spec,
+      `${value.action.charAt(0).toUpperCase()}${value.action.slice(1)} spec for ${reviewed.service.name}@${reviewed.spec.version}`);
+
+    logger.info('Specification reviewed via UI', {
+      specificationId: specId,
+      action: value.action,
+      status: reviewed.spec.publicationStatus
+    });
+
+    req.session.successMessage = `Version ${reviewed.spec.version} is now ${reviewed.spec.publicationStatus}`;
+    res.redirect(`/services/${id}`);
+  } catch (error) {
+    if (error.code && (error.code.startsWith('review/') || error.code === 'spec/not-found')) {
+      req.session.errors = { [field]: error.message };
+      return res.redirect(`/services/${id}#${field}`);
+    }
+
+    logger.error('Error reviewing specification via UI:', error);
+    res.status(500).render('error.njk', {
+      title: 'Review Error',
+      statusCode: 500,
+      message: 'Failed to record the review. Please try again.'
+    });
+  }
+});
+
 // Service registration form
 router.get('/services/new', (req, res) => {
   res.render('services/new.njk', {
@@ -314,7 +492,7 @@ router.post('/services/new', async (req, res) => {
     }
 
     // Check for existing service
-    const existingService = await Service.findOne({
+    const existingService = await storage.services.findOne({
       $or: [
         { name: value.name },
         { baseUrl: value.baseUrl }
@@ -387,8 +565,7 @@ router.post('/services/new', async (req, res) => {
     // Remove empty fields
     if (!serviceData.apiSpecificationUrl) delete serviceData.apiSpecificationUrl;
 
-    const service = new Service(serviceData);
-    await service.save();
+    const service = await storage.services.create(serviceData);
 
     logger.info('Service registered via UI', {
       serviceId: service._id.toString(),
@@ -413,8 +590,8 @@ router.get('/discovery', async (req, res) => {
   try {
     // Get available categories and auth types for filters
     const [categories, authTypes] = await Promise.all([
-      Service.distinct('category', { deletedAt: { $exists: false } }),
-      Service.distinct('authenticationTypes', { deletedAt: { $exists: false } })
+      storage.services.distinct('category', { deletedAt: { $exists: false } }),
+      storage.services.distinct('authenticationTypes', { deletedAt: { $exists: false } })
     ]);
 
     res.render('discovery.njk', {
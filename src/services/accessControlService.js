@@ -0,0 +1,118 @@
+/**
+ * Access Control Service
+ *
+ * Read grants for non-public specifications. A specification's own
+ * accessControl and that of its service can each grant access to DIDs,
+ * API keys or roles; public specifications are readable by anyone.
+ */
+
+const crypto = require('crypto');
+const { storage } = require('../database/storage');
+
+// Holders of this role can read every specification
+const REGISTRY_ADMIN_ROLE = 'registry-admin';
+
+const API_KEY_DIGEST_PREFIX = 'sha256:';
+
+// API keys are only ever stored as digests
+exports.hashApiKey = (apiKey) =>
+  `${API_KEY_DIGEST_PREFIX}${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+
+const unique = (values) => [...new Set((values || []).map(value => String(value).trim()).filter(Boolean))];
+
+// Normalise a submitted grant; plain API keys are hashed, existing digests are kept
+exports.normaliseAccessControl = (accessControl = {}) => ({
+  dids: unique(accessControl.dids),
+  apiKeys: unique(unique(accessControl.apiKeys).map(key =>
+    (key.startsWith(API_KEY_DIGEST_PREFIX) ? key : exports.hashApiKey(key)))),
+  roles: unique(accessControl.roles)
+});
+
+// Identity of the caller as set on req.auth by the authentication middleware. Roles are
+// only those the registry assigns; DID tokens are self-issued, so their claims are ignored.
+exports.principalFor = (auth) => {
+  if (!auth || !auth.authenticated) {
+    return null;
+  }
+
+  return {
+    did: auth.user ? auth.user.did : undefined,
+    apiKey: auth.apiKey,
+    roles: unique(auth.roles)
+  };
+};
+
+exports.isPublic = (spec) => !spec || spec.isPublic !== false;
+
+const grants = (accessControl, principal) => {
+  if (!accessControl || !principal) {
+    return false;
+  }
+
+  return (!!principal.did && (accessControl.dids || []).includes(principal.did)) ||
+    (!!principal.apiKey && (accessControl.apiKeys || []).includes(principal.apiKey)) ||
+    (accessControl.roles || []).some(role => principal.roles.includes(role));
+};
+
+// Whether the caller may read a specification, given the service it belongs to
+exports.canRead = (auth, spec, service) => {
+  if (exports.isPublic(spec)) {
+    return true;
+  }
+
+  const principal = exports.principalFor(auth);
+  if (!principal) {
+    return false;
+  }
+
+  return principal.roles.includes(REGISTRY_ADMIN_ROLE) ||
+    grants(spec.accessControl, principal) ||
+    grants(service && service.accessControl, principal);
+};
+
+// Whether the caller may change the grants of a service or its specifications:
+// registry admins and the service itself, identified by its DID. Holding a read
+// grant does not allow handing out more.
+exports.canManageAccess = (auth, service) => {
+  const principal = exports.principalFor(auth);
+  if (!principal) {
+    return false;
+  }
+
+  return principal.roles.includes(REGISTRY_ADMIN_ROLE) ||
+    (!!principal.did && !!service && principal.did === service.did);
+};
+
+// Query conditions matching a grant to the principal
+const grantConditions = (principal, prefix) => {
+  const conditions = [];
+  if (principal.did) conditions.push({ [`${prefix}.dids`]: principal.did });
+  if (principal.apiKey) conditions.push({ [`${prefix}.apiKeys`]: principal.apiKey });
+  if (principal.roles.length > 0) conditions.push({ [`${prefix}.roles`]: { $in: principal.roles } });
+  return conditions;
+};
+
+// Specification filter for listings, limited to what the caller can read
+exports.readableSpecFilter = async (auth) => {
+  const principal = exports.principalFor(auth);
+  if (!principal) {
+    return { isPublic: { $ne: false } };
+  }
+  if (principal.roles.includes(REGISTRY_ADMIN_ROLE)) {
+    return {};
+  }
+
+  const serviceGrants = grantConditions(principal, 'accessControl');
+  const grantedServices = serviceGrants.length > 0
+    ? await storage.services.find({ $or: serviceGrants }, { select: '_id' })
+    : [];
+
+  const readable = [{ isPublic: { $ne: false } }, ...grantConditions(principal, 'accessControl')];
+  if (grantedServices.length > 0) {
+    readable.push({ serviceId: { $in: grantedServices.map(service => service._id) } });
+  }
+
+  return { $or: readable };
+};
+
+exports.REGISTRY_ADMIN_ROLE = REGISTRY_ADMIN_ROLE;
@@ -0,0 +1,193 @@
+/**
+ * AsyncAPI Service
+ *
+ * Structural validation of AsyncAPI 2.x and 3.x documents and extraction
+ * of their channel operations into the specification endpoints index.
+ */
+
+const { templateMatches } = require('../utils/templateMatch');
+
+// Operation roles from the service's point of view
+const EVENT_ROLES = {
+  PUBLISH: 'PUBLISH',
+  SUBSCRIBE: 'SUBSCRIBE'
+};
+
+// AsyncAPI 2.x describes operations from the client's side: a "subscribe"
+// operation is one where the service sends messages for clients to receive
+const V2_ROLES = {
+  subscribe: EVENT_ROLES.PUBLISH,
+  publish: EVENT_ROLES.SUBSCRIBE
+};
+
+// AsyncAPI 3.x describes operations from the service's own side
+const V3_ROLES = {
+  send: EVENT_ROLES.PUBLISH,
+  receive: EVENT_ROLES.SUBSCRIBE
+};
+
+exports.isAsyncApi = (doc) => !!doc && typeof doc === 'object' && typeof doc.asyncapi === 'string';
+
+const majorVersion = (spec) => parseInt(String(spec.asyncapi).split('.')[0], 10);
+
+// Follow local $refs such as #/components/messages/CredentialRevoked; unresolvable ones give {}
+const resolveRef = (node, spec, seen = new Set()) => {
+  if (!node || typeof node.$ref !== 'string') {
+    return node;
+  }
+  if (!node.$ref.startsWith('#/') || seen.has(node.$ref)) {
+    return {};
+  }
+
+  seen.add(node.$ref);
+  const target = node.$ref.slice(2).split('/').reduce((current, segment) =>
+    current && current[segment.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+
+  return resolveRef(target || {}, spec, seen);
+};
+
+// Identifiers a message can be discovered by: its component key, messageId and name
+const messageNames = (messageRef, spec) => {
+  if (!messageRef) return [];
+
+  const names = [];
+  if (typeof messageRef.$ref === 'string') {
+    names.push(messageRef.$ref.split('/').pop());
+  }
+
+  const message = resolveRef(messageRef, spec);
+  if (Array.isArray(message.oneOf)) {
+    return [...names, ...message.oneOf.flatMap(item => messageNames(item, spec))];
+  }
+
+  for (const key of ['messageId', 'name']) {
+    if (message[key]) names.push(message[key]);
+  }
+
+  return names;
+};
+
+// Collect security details; 2.x operations list requirements, 3.x list schemes
+const securityOf = (security, spec) => {
+  if (!Array.isArray(security) || security.length === 0) {
+    return { authRequired: false, scopes: [] };
+  }
+
+  const scopes = security.flatMap(requirement => {
+    const scheme = resolveRef(requirement, spec);
+    if (scheme && Array.isArray(scheme.scopes)) return scheme.scopes;
+    return Object.values(requirement || {}).filter(Array.isArray).flat();
+  });
+
+  return { authRequired: true, scopes: [...new Set(scopes)] };
+};
+
+// Validate the parts of an AsyncAPI document the registry relies on
+exports.validateAsyncApiSpec = (spec) => {
+  const errors = [];
+
+  if (!/^[23]\.\d+\.\d+$/.test(String(spec.asyncapi || ''))) {
+    errors.push('Must be AsyncAPI 2.x or 3.x specification');
+    return { isValid: false, errors };
+  }
+
+  if (!spec.info || !spec.info.title || !spec.info.version) {
+    errors.push('Missing required info section with title and version');
+  }
+
+  const channels = spec.channels || {};
+  if (typeof channels !== 'object' || Array.isArray(channels)) {
+    errors.push('channels must be an object');
+  }
+
+  if (majorVersion(spec) === 2) {
+    if (Object.keys(channels).length === 0) {
+      errors.push('Must contain at least one channel');
+    }
+
+    for (const [name, channel] of Object.entries(channels)) {
+      if (channel && !channel.$ref && !channel.publish && !channel.subscribe) {
+        errors.push(`Channel ${name} has no publish or subscribe operation`);
+      }
+    }
+  } else {
+    const operations = spec.operations || {};
+    if (Object.keys(operations).length === 0) {
+      errors.push('Must contain at least one operation');
+    }
+
+    for (const [name, operation] of Object.entries(operations)) {
+      if (!V3_ROLES[operation && operation.action]) {
+        errors.push(`Operation ${name} must have an action of send or receive`);
+      }
+      if (!operation || !operation.channel) {
+        errors.push(`Operation ${name} must reference a channel`);
+      } else if (Object.keys(resolveRef(operation.channel, spec)).length === 0) {
+        errors.push(`Operation ${name} references an unknown channel ${operation.channel.$ref}`);
+      }
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+// Extract channel operations as endpoints: path is the channel, method the service's role
+exports.extractEndpoints = (spec) => {
+  const endpoints = [];
+
+  if (majorVersion(spec) === 2) {
+    for (const [channelName, channelRef] of Object.entries(spec.channels || {})) {
+      const channel = resolveRef(channelRef, spec);
+
+      for (const [operationType, role] of Object.entries(V2_ROLES)) {
+        const operation = channel[operationType];
+        if (!operation) continue;
+
+        endpoints.push({
+          path: channelName,
+          method: role,
+          operationId: operation.operationId,
+          summary: operation.summary || operation.description,
+          tags: (operation.tags || []).map(tag => tag.name).filter(Boolean),
+          messages: [...new Set(messageNames(operation.message, spec))],
+          ...securityOf(operation.security, spec)
+        });
+      }
+    }
+
+    return endpoints;
+  }
+
+  for (const [operationId, operation] of Object.entries(spec.operations || {})) {
+    const role = V3_ROLES[operation.action];
+    if (!role) continue;
+
+    const channelKey = operation.channel && operation.channel.$ref
+      ? operation.channel.$ref.split('/').pop()
+      : undefined;
+    const channel = resolveRef(operation.channel, spec) || {};
+
+    // Operations may narrow the channel's messages; otherwise all of them apply
+    const messageRefs = Array.isArray(operation.messages) && operation.messages.length > 0
+      ? operation.messages
+      : Object.values(channel.messages || {});
+
+    endpoints.push({
+      path: channel.address || channelKey,
+      method: role,
+      operationId,
+      summary: operation.summary || operation.description,
+      tags: (operation.tags || []).map(tag => resolveRef(tag, spec).name).filter(Boolean),
+      messages: [...new Set(messageRefs.flatMap(ref => messageNames(ref, spec)))],
+      ...securityOf(operation.security, spec)
+    });
+  }
+
+  return endpoints;
+};
+
+// Match a concrete channel against a channel name that may contain {parameters}
+exports.channelMatches = (channelTemplate, channel) =>
+  channelTemplate === channel || templateMatches(channelTemplate, channel);
+
+exports.EVENT_ROLES = EVENT_ROLES;
@@ -24,6 +24,8 @@ const logger = winston.createLogger({
 class AuthService {
   constructor() {
     this.apiKeys = process.env.API_KEYS ? process.env.API_KEYS.split(',').map(key => key.trim()) : [];
+    this.apiKeyRoles = this.parseRoles(process.env.API_KEY_ROLES);
+    this.didRoles = this.parseRoles(process.env.DID_ROLES);
     this.enableDIDAuth = process.env.ENABLE_DID_AUTH === 'true';
     
     // For testing, allow override
@@ -51,6 +53,44 @@ class AuthService {
     return isValid;
   }
 
+  /**
+   * Parse roles configured as "key=role|role,key2=role"
+   * @param {string} value - The API_KEY_ROLES or DID_ROLES setting
+   * @returns {Map<string, string[]>} - Roles by API key or DID
+   */
+  parseRoles(value) {
+    const roles = new Map();
+    if (!value) {
+      return roles;
+    }
+
+    value.split(',').forEach(entry => {
+      const [key, assigned = ''] = entry.split('=');
+      if (key && key.trim()) {
+        roles.set(key.trim(), assigned.split('|').map(role => role.trim()).filter(Boolean));
+      }
+    });
+    return roles;
+  }
+
+  /**
+   * Roles granted to an API key, used for specification access control
+   * @param {string} apiKey - A valid API key
+   * @returns {string[]} - The key's roles
+   */
+  rolesForApiKey(apiKey) {
+    return this.apiKeyRoles.get(apiKey) || [];
+  }
+
+  /**
+   * Roles granted to a DID by the registry; roles claimed in its own tokens are not trusted
+   * @param {string} did - An authenticated DID
+   * @returns {string[]} - The DID's roles
+   */
+  rolesForDid(did) {
+    return this.didRoles.get(did) || [];
+  }
+
   /**
    * Validate DID-based authentication
    * @param {string} didToken - The DID token to validate
@@ -0,0 +1,146 @@
+/**
+ * Changelog Service
+ *
+ * Builds a service's changelog from its stored spec versions, diffing each
+ * version against the one before it, and renders it as Markdown release notes.
+ */
+
+const semver = require('semver');
+const { storage } = require('../database/storage');
+const { diffSpecs } = require('./specDiffService');
+const specReviewService = require('./specReviewService');
+
+// Diffing is the expensive part, so only the most recent releases are built
+const DEFAULT_RELEASE_LIMIT = 20;
+const MAX_RELEASE_LIMIT = 100;
+
+const DEPRECATION_CHANGE = 'operation-deprecated';
+
+const findService = (serviceName) => storage.services.findOne({ name: serviceName, deletedAt: { $exists: false } });
+
+const toDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+// Keep the fields a reader of the changelog needs from a diff entry
+const toEntry = ({ type, message, path, method }) => ({ type, message, path, method });
+
+// A changelog release for a spec, compared with the release before it
+const buildRelease = async (spec, previous) => {
+  const release = {
+    version: spec.version,
+    previousVersion: previous ? previous.version : null,
+    releasedAt: spec.publishedAt || spec.uploadedAt || spec.createdAt || null,
+    deprecated: spec.isDeprecated ? {
+      since: spec.deprecationDate || null,
+      sunsetDate: spec.sunsetDate || null,
+      replacementVersion: spec.replacementVersion || null,
+      migrationNotes: spec.migrationNotes || null,
+      retired: !!spec.isRetired
+    } : null,
+    breaking: [],
+    deprecations: [],
+    changes: []
+  };
+
+  if (!previous) {
+    release.initial = true;
+    return release;
+  }
+
+  const diff = await diffSpecs(previous.specification, spec.specification);
+  release.breaking = diff.breaking.map(toEntry);
+  release.deprecations = diff.nonBreaking.filter(change => change.type === DEPRECATION_CHANGE).map(toEntry);
+  release.changes = diff.nonBreaking.filter(change => change.type !== DEPRECATION_CHANGE).map(toEntry);
+  return release;
+};
+
+/**
+ * Build the changelog of a service, newest release first
+ *
+ * @param {string} serviceName - Registered service name
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - Extra spec filter, e.g. to limit the changelog to specs the caller can read
+ * @param {boolean} [options.includePrerelease] - Include pre-release versions as releases
+ * @param {number} [options.limit] - Number of most recent releases to build
+ * @returns {Promise<Object|null>} - The changelog, or null when the service is unknown
+ */
+exports.buildChangelog = async (serviceName, { filter = {}, includePrerelease = false, limit = DEFAULT_RELEASE_LIMIT } = {}) => {
+  const service = await findService(serviceName);
+  if (!service) {
+    return null;
+  }
+
+  // Versions still under review have not been released
+  const specs = (await storage.specs.find({ $and: [{ serviceId: service._id }, specReviewService.publishedFilter(), filter] }, {
+    select: 'version specification isDeprecated deprecationDate sunsetDate replacementVersion migrationNotes ' +
+      'isRetired publishedAt uploadedAt createdAt'
+  }))
+    .filter(spec => semver.valid(spec.version) && (includePrerelease || !semver.prerelease(spec.version)))
+    .sort((a, b) => semver.compare(a.version, b.version));
+
+  // One extra spec is kept as the baseline for the oldest release shown
+  const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_RELEASE_LIMIT, 1), MAX_RELEASE_LIMIT);
+  const start = Math.max(specs.length - count, 0);
+
+  const releases = [];
+  for (let index = specs.length - 1; index >= start; index--) {
+    releases.push(await buildRelease(specs[index], specs[index - 1]));
+  }
+
+  return {
+    serviceName: service.name,
+    displayName: service.displayName,
+    generatedAt: new Date().toISOString(),
+    releases
+  };
+};
+
+const bulletList = (entries) => entries.map(entry => `- ${entry.message}`);
+
+// Render a changelog built by buildChangelog as Markdown release notes
+exports.renderMarkdown = (changelog) => {
+  const lines = [`# Changelog: ${changelog.displayName || changelog.serviceName}`, ''];
+
+  if (changelog.releases.length === 0) {
+    lines.push('No releases yet.', '');
+  }
+
+  changelog.releases.forEach(release => {
+    const date = toDate(release.releasedAt);
+    lines.push(`## ${release.version}${date ? ` (${date})` : ''}`, '');
+
+    if (release.deprecated) {
+      const { since, sunsetDate, replacementVersion, migrationNotes, retired } = release.deprecated;
+      const notice = [`> **${retired ? 'Retired' : 'Deprecated'}**${since ? ` since ${toDate(since)}` : ''}.`];
+      if (sunsetDate) notice.push(`${retired ? 'Sunset' : 'Sunsets'} on ${toDate(sunsetDate)}.`);
+      notice.push(replacementVersion ? `Move to ${replacementVersion}.` : 'Move to a newer version.');
+      lines.push(notice.join(' '), '');
+      if (migrationNotes) {
+        lines.push(...migrationNotes.split('\n').map(line => `> ${line}`.trimEnd()), '');
+      }
+    }
+
+    if (release.initial) {
+      lines.push('Initial release.', '');
+      return;
+    }
+
+    const sections = [
+      ['Breaking changes', release.breaking],
+      ['Deprecations', release.deprecations],
+      ['Changes', release.changes]
+    ].filter(([, entries]) => entries.length > 0);
+
+    if (sections.length === 0) {
+      lines.push(`No API changes since ${release.previousVersion}.`, '');
+    }
+
+    sections.forEach(([heading, entries]) => {
+      lines.push(`### ${heading}`, '', ...bulletList(entries), '');
+    });
+  });
+
+  return lines.join('\n');
+};
+
+exports.DEFAULT_RELEASE_LIMIT = DEFAULT_RELEASE_LIMIT;
+exports.MAX_RELEASE_LIMIT = MAX_RELEASE_LIMIT;
@@ -0,0 +1,154 @@
+/**
+ * Dist-tag Service
+ *
+ * Named release channels for a service's spec versions, in the style of npm
+ * dist-tags. Each tag points at one version of a service; `latest` is kept in
+ * the spec's isLatest flag and other tags in its distTags list.
+ */
+
+const semver = require('semver');
+const winston = require('winston');
+const { storage } = require('../database/storage');
+const { SPEC_PUBLICATION_STATES } = require('../database/models');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+const LATEST_TAG = 'latest';
+
+// Tags conventionally used for release channels; any valid tag name may be used
+const CHANNEL_TAGS = ['stable', 'beta', 'next', 'lts'];
+
+const findService = (serviceName) => storage.services.findOne({ name: serviceName, deletedAt: { $exists: false } });
+
+// Tag names must not be mistaken for versions or ranges, so "1.x" or "x" are refused
+exports.isValidTagName = (tag) =>
+  typeof tag === 'string' && /^[a-z][a-z0-9-]{0,49}$/.test(tag) && !semver.validRange(tag);
+
+// Point a tag at one of a service's versions, moving it off any other version
+const moveTag = async (serviceId, tag, version) => {
+  const target = await storage.specs.findOne({ serviceId, version }, { select: '_id publicationStatus' });
+  if (!target) {
+    return null;
+  }
+
+  // Versions still under review are not released, so no channel may point at them
+  if (target.publicationStatus && target.publicationStatus !== SPEC_PUBLICATION_STATES.PUBLISHED) {
+    const error = new Error(`Version ${version} is ${target.publicationStatus} and cannot be tagged until it is published`);
+    error.code = 'tag/unpublished';
+    throw error;
+  }
+
+  if (tag === LATEST_TAG) {
+    await storage.specs.updateMany({ serviceId, isLatest: true, _id: { $ne: target._id } }, { $set: { isLatest: false } });
+    return storage.specs.updateById(target._id, { $set: { isLatest: true } });
+  }
+
+  await storage.specs.updateMany({ serviceId, distTags: tag, _id: { $ne: target._id } }, { $pull: { distTags: tag } });
+  return storage.specs.updateById(target._id, { $addToSet: { distTags: tag } });
+};
+
+// Tags of a service's specs matching the filter, as { tag: version }
+const collectTags = async (serviceId, filter = {}) => {
+  const specs = await storage.specs.find({
+    $and: [{ serviceId, $or: [{ isLatest: true }, { 'distTags.0': { $exists: true } }] }, filter]
+  }, { select: 'version isLatest distTags' });
+
+  const tags = {};
+  specs.forEach(spec => {
+    if (spec.isLatest) tags[LATEST_TAG] = spec.version;
+    (spec.distTags || []).forEach(tag => {
+      tags[tag] = spec.version;
+    });
+  });
+  return tags;
+};
+
+// List a service's tags; the filter limits them to specs the caller can read. Null when the service is unknown
+exports.listTags = async (serviceName, filter = {}) => {
+  const service = await findService(serviceName);
+  if (!service) return null;
+
+  return collectTags(service._id, filter);
+};
+
+// The stored spec a tag points at for a service id
+exports.findTagged = (serviceId, tag, options = {}) =>
+  storage.specs.findOne(tag === LATEST_TAG ? { serviceId, isLatest: true } : { serviceId, distTags: tag }, options);
+
+// Find the spec a tag points at, with the fields needed for access checks and deprecation notices
+exports.resolveTag = async (serviceName, tag) => {
+  const service = await findService(serviceName);
+  if (!service) return null;
+
+  const spec = await exports.findTagged(service._id, tag, {
+    select: 'serviceId version isPublic accessControl isDeprecated deprecationDate sunsetDate replacementVersion ' +
+      'signature updatedAt'
+  });
+  return spec ? { service, spec } : null;
+};
+
+// Set a tag to a version; null when the service or version is unknown
+exports.setTag = async (serviceName, tag, version) => {
+  const service = await findService(serviceName);
+  if (!service) return null;
+
+  const spec = await moveTag(service._id, tag, version);
+  if (!spec) return null;
+
+  logger.info(`Tag ${tag} set to ${serviceName}@${version}`);
+  return collectTags(service._id);
+};
+
+// Remove a tag; latest cannot be removed, only moved
+exports.removeTag = async (serviceName, tag) => {
+  if (tag === LATEST_TAG) {
+    const error = new Error('The latest tag cannot be removed; point it at another version instead');
+    error.code = 'tag/protected';
+    throw error;
+  }
+
+  const service = await findService(serviceName);
+  if (!service) return false;
+
+  const removed = await storage.specs.updateMany({ serviceId: service._id, distTags: tag }, { $pull: { distTags: tag } });
+  if (removed > 0) {
+    logger.info(`Tag ${tag} removed from ${serviceName}`);
+  }
+  return removed > 0;
+};
+
+/**
+ * Tag a newly stored version. With an explicit tag only that tag moves, as
+ * with `npm publish --tag`. Otherwise a release version becomes latest when it
+ * is newer than the current latest; pre-releases never become latest by
+ * themselves.
+ */
+exports.applyOnPublish = async (serviceId, version, tag) => {
+  if (tag) {
+    return moveTag(serviceId, tag, version);
+  }
+  if (!semver.valid(version) || semver.prerelease(version)) {
+    return null;
+  }
+
+  const current = await storage.specs.findOne({ serviceId, isLatest: true }, { select: 'version' });
+  if (current && semver.valid(current.version) && !semver.gt(version, current.version)) {
+    return null;
+  }
+
+  return moveTag(serviceId, LATEST_TAG, version);
+};
+
+exports.LATEST_TAG = LATEST_TAG;
+exports.CHANNEL_TAGS = CHANNEL_TAGS;
@@ -0,0 +1,430 @@
+/**
+ * Git Mirror Service
+ *
+ * Mirrors the storage git repository to a configurable remote so specs can
+ * be reviewed through a normal git workflow. Commits are pushed as they are
+ * made, and the remote is periodically fetched and merged so changes made
+ * there, e.g. through pull requests, are picked up.
+ *
+ * HTTP(S) remotes use isomorphic-git's transport. Local paths, including
+ * file:// URLs, are mirrored by copying objects between repositories, so a
+ * bare repository on disk works offline.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const git = require('isomorphic-git');
+const http = require('isomorphic-git/http/node');
+const winston = require('winston');
+
+const STORAGE_DIR = path.join(__dirname, '../../storage');
+const REMOTE_NAME = 'origin';
+const DEFAULT_SYNC_INTERVAL_SECONDS = 300;
+
+const AUTHOR = {
+  name: 'API Registry Service',
+  email: 'api-registry@example.com'
+};
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+const state = {
+  lastPush: null,
+  lastSync: null,
+  lastError: null,
+  conflicts: []
+};
+
+let syncTimer = null;
+
+// Called with the files a sync merged in, so mirrored edits reach storage
+const mergeListeners = [];
+
+// Mirror operations run one at a time so pushes, fetches and merges never interleave,
+// with each other or with the commits recording spec changes
+let queue = Promise.resolve();
+const runExclusive = (task) => {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+// Run a change to the storage repository once no mirror operation is using it
+exports.runExclusive = runExclusive;
+
+const getRemote = () => process.env.GIT_MIRROR_REMOTE || '';
+
+const isHttpRemote = (remote) => /^https?:\/\//i.test(remote);
+
+exports.isEnabled = () =>
+  process.env.GIT_ENABLED === 'true' && !!getRemote() && fs.existsSync(path.join(STORAGE_DIR, '.git'));
+
+// Hide credentials embedded in remote URLs
+const displayRemote = (remote) => remote.replace(/\/\/[^/@]+@/, '//***@');
+
+const onAuth = () => ({
+  username: process.env.GIT_MIRROR_USERNAME || process.env.GIT_MIRROR_TOKEN,
+  password: process.env.GIT_MIRROR_USERNAME ? process.env.GIT_MIRROR_TOKEN : 'x-oauth-basic'
+});
+
+const getBranch = async () => (await git.currentBranch({ fs, dir: STORAGE_DIR })) || 'master';
+
+const resolveRefOrNull = async (options) => {
+  try {
+    return await git.resolveRef({ fs, ...options });
+  } catch (error) {
+    if (error.code === 'NotFoundError') return null;
+    throw error;
+  }
+};
+
+// Find the git directory of a local remote, creating a bare repository if the path is empty
+const localRemoteGitdir = async (remote) => {
+  const remotePath = path.resolve(remote.replace(/^file:\/\//i, ''));
+
+  if (fs.existsSync(path.join(remotePath, '.git'))) {
+    return path.join(remotePath, '.git');
+  }
+  if (fs.existsSync(path.join(remotePath, 'HEAD')) && fs.existsSync(path.join(remotePath, 'objects'))) {
+    return remotePath;
+  }
+  if (fs.existsSync(remotePath) && fs.readdirSync(remotePath).length > 0) {
+    throw new Error(`Mirror remote ${remotePath} is not a git repository`);
+  }
+
+  await git.init({ fs, dir: remotePath, bare: true });
+  logger.info(`Initialised bare mirror repository at ${remotePath}`);
+  return remotePath;
+};
+
+const hasObject = async (gitdir, oid) => {
+  try {
+    await git.readObject({ fs, gitdir, oid, format: 'deflated' });
+    return true;
+  } catch (error) {
+    if (error.code === 'NotFoundError') return false;
+    throw error;
+  }
+};
+
+/**
+ * Copy the objects reachable from a commit that the target repository lacks.
+ * Objects are written dependencies first, so a target that has an object
+ * always has everything it references, and interrupted copies stay valid.
+ */
+const copyObjects = async (fromGitdir, toGitdir, commitOid) => {
+  const missing = [];
+  const seen = new Set();
+  const stack = [commitOid];
+
+  while (stack.length > 0) {
+    const oid = stack.pop();
+    if (seen.has(oid)) continue;
+    seen.add(oid);
+
+    if (await hasObject(toGitdir, oid)) continue;
+
+    const { type, object } = await git.readObject({ fs, gitdir: fromGitdir, oid, format: 'content' });
+    missing.push({ oid, type, object });
+
+    if (type === 'commit') {
+      const { commit } = await git.readCommit({ fs, gitdir: fromGitdir, oid });
+      stack.push(commit.tree, ...commit.parent);
+    } else if (type === 'tree') {
+      const { tree } = await git.readTree({ fs, gitdir: fromGitdir, oid });
+      // Submodule entries point at commits in other repositories
+      stack.push(...tree.filter(entry => entry.type !== 'commit').map(entry => entry.oid));
+    } else if (type === 'tag') {
+      const { tag } = await git.readTag({ fs, gitdir: fromGitdir, oid });
+      stack.push(tag.object);
+    }
+  }
+
+  for (const { oid, type, object } of missing.reverse()) {
+    const written = await git.writeObject({ fs, gitdir: toGitdir, type, object, format: 'content' });
+    if (written !== oid) {
+      throw new Error(`Object ${oid} changed while copying to the mirror`);
+    }
+  }
+
+  return missing.length;
+};
+
+const isAncestor = async (gitdir, oid, ancestor) => {
+  try {
+    return await git.isDescendent({ fs, gitdir, oid, ancestor, depth: -1 });
+  } catch (error) {
+    if (error.code === 'NotFoundError') return false;
+    throw error;
+  }
+};
+
+const pushToRemote = async (remote, branch) => {
+  const localGitdir = path.join(STORAGE_DIR, '.git');
+  const localOid = await resolveRefOrNull({ dir: STORAGE_DIR, ref: branch });
+  if (!localOid) {
+    return { status: 'empty' };
+  }
+
+  if (isHttpRemote(remote)) {
+    try {
+      await git.push({ fs, http, dir: STORAGE_DIR, remote: REMOTE_NAME, ref: branch, onAuth });
+      return { status: 'pushed', commit: localOid };
+    } catch (error) {
+      if (error.code === 'PushRejectedError') return { status: 'rejected', commit: localOid };
+      throw error;
+    }
+  }
+
+  const remoteGitdir = await localRemoteGitdir(remote);
+  const remoteOid = await resolveRefOrNull({ gitdir: remoteGitdir, ref: `refs/heads/${branch}` });
+
+  if (remoteOid === localOid) {
+    return { status: 'up-to-date', commit: localOid };
+  }
+
+  // Only fast-forward the remote; diverged histories are merged by the next sync
+  if (remoteOid && !(await isAncestor(localGitdir, localOid, remoteOid))) {
+    return { status: 'rejected', commit: localOid };
+  }
+
+  const objects = await copyObjects(localGitdir, remoteGitdir, localOid);
+  await git.writeRef({ fs, gitdir: remoteGitdir, ref: `refs/heads/${branch}`, value: localOid, force: true });
+
+  return { status: 'pushed', commit: localOid, objects };
+};
+
+// Update the remote-tracking branch, returning the remote commit
+const fetchFromRemote = async (remote, branch) => {
+  const trackingRef = `refs/remotes/${REMOTE_NAME}/${branch}`;
+
+  if (isHttpRemote(remote)) {
+    await git.fetch({ fs, http, dir: STORAGE_DIR, remote: REMOTE_NAME, ref: branch, singleBranch: true, onAuth });
+    return resolveRefOrNull({ dir: STORAGE_DIR, ref: trackingRef });
+  }
+
+  const remoteGitdir = await localRemoteGitdir(remote);
+  const remoteOid = await resolveRefOrNull({ gitdir: remoteGitdir, ref: `refs/heads/${branch}` });
+  if (!remoteOid) {
+    return null;
+  }
+
+  await copyObjects(remoteGitdir, path.join(STORAGE_DIR, '.git'), remoteOid);
+  await git.writeRef({ fs, dir: STORAGE_DIR, ref: trackingRef, value: remoteOid, force: true });
+
+  return remoteOid;
+};
+
+// Files that differ between two commits, with their content at the later one; null for deleted files
+const changedFiles = async (fromOid, toOid) => git.walk({
+  fs,
+  dir: STORAGE_DIR,
+  trees: [git.TREE({ ref: fromOid }), git.TREE({ ref: toOid })],
+  map: async (filepath, [before, after]) => {
+    const [beforeType, afterType] = await Promise.all([before && before.type(), after && after.type()]);
+    if (beforeType !== 'blob' && afterType !== 'blob') return undefined;
+
+    const [beforeOid, afterOid] = await Promise.all([
+      beforeType === 'blob' && before.oid(),
+      afterType === 'blob' && after.oid()
+    ]);
+    if (beforeOid === afterOid) return undefined;
+
+    return { filepath, content: afterOid ? Buffer.from(await after.content()) : null };
+  }
+});
+
+// Tell listeners what a merge changed; the merge is already committed, so their failures are only logged
+const notifyMerge = async (fromOid, toOid) => {
+  if (mergeListeners.length === 0 || !fromOid) return;
+
+  try {
+    const changes = await changedFiles(fromOid, toOid);
+    for (const listener of mergeListeners) {
+      await listener(changes);
+    }
+  } catch (error) {
+    logger.error(`Applying mirrored changes failed: ${error.message}`, { error: error.stack });
+  }
+};
+
+// Register a listener for files changed by merges from the mirror
+exports.onMerge = (listener) => {
+  mergeListeners.push(listener);
+};
+
+const recordError = (operation, error) => {
+  state.lastError = {
+    operation,
+    message: error.message,
+    at: new Date().toISOString()
+  };
+  logger.error(`Git mirror ${operation} failed: ${error.message}`, { error: error.stack });
+};
+
+// Push the current branch to the mirror
+exports.push = () => runExclusive(async () => {
+  if (!exports.isEnabled()) {
+    return { status: 'disabled' };
+  }
+
+  const remote = getRemote();
+  try {
+    const branch = await getBranch();
+    const result = await pushToRemote(remote, branch);
+
+    state.lastPush = { ...result, branch, at: new Date().toISOString() };
+    if (result.status === 'rejected') {
+      logger.warn('Git mirror push rejected; the remote has diverged and will be merged on the next sync', {
+        remote: displayRemote(remote),
+        branch
+      });
+    } else {
+      logger.info(`Git mirror push ${result.status}`, { remote: displayRemote(remote), branch, commit: result.commit });
+    }
+
+    return result;
+  } catch (error) {
+    recordError('push', error);
+    throw error;
+  }
+});
+
+// Push after a commit without holding up the request that made it
+exports.queuePush = () => {
+  if (!exports.isEnabled()) return;
+  exports.push().catch(() => {});
+};
+
+// Fetch the mirror, merge its changes into the current branch and push the result
+exports.sync = () => runExclusive(async () => {
+  if (!exports.isEnabled()) {
+    return { status: 'disabled' };
+  }
+
+  const remote = getRemote();
+  const startedAt = new Date().toISOString();
+
+  try {
+    const branch = await getBranch();
+    const remoteOid = await fetchFromRemote(remote, branch);
+    const localOid = await resolveRefOrNull({ dir: STORAGE_DIR, ref: branch });
+    const localGitdir = path.join(STORAGE_DIR, '.git');
+
+    let result;
+    if (!remoteOid || remoteOid === localOid || await isAncestor(localGitdir, localOid, remoteOid)) {
+      result = { status: 'up-to-date' };
+    } else {
+      try {
+        const merge = await git.merge({
+          fs,
+          dir: STORAGE_DIR,
+          ours: branch,
+          theirs: `refs/remotes/${REMOTE_NAME}/${branch}`,
+          author: AUTHOR,
+          message: `Merge specs from mirror ${displayRemote(remote)}`,
+          abortOnConflict: true
+        });
+
+        // Merging moves the branch; bring the working tree in line with it
+        await git.checkout({ fs, dir: STORAGE_DIR, ref: branch, force: true });
+        await notifyMerge(localOid, merge.oid);
+        result = { status: merge.fastForward ? 'fast-forwarded' : 'merged', commit: merge.oid };
+      } catch (error) {
+        if (error.code !== 'MergeConflictError' && error.code !== 'MergeNotSupportedError') throw error;
+
+        state.conflicts = [{
+          branch,
+          localCommit: localOid,
+          remoteCommit: remoteOid,
+          files: (error.data && error.data.filepaths) || [],
+          reason: error.code === 'MergeConflictError'
+            ? 'Local and mirrored changes conflict'
+            : 'Changes cannot be merged automatically',
+          detectedAt: new Date().toISOString()
+        }];
+        state.lastSync = { status: 'conflict', branch, at: startedAt };
+
+        logger.warn('Git mirror sync found conflicts', {
+          remote: displayRemote(remote),
+          branch,
+          files: state.conflicts[0].files
+        });
+
+        return { status: 'conflict', conflicts: state.conflicts };
+      }
+    }
+
+    state.conflicts = [];
+    state.lastSync = { ...result, branch, at: startedAt };
+    logger.info(`Git mirror sync ${result.status}`, { remote: displayRemote(remote), branch });
+
+    // Share local commits, and any merge commit, with the mirror
+    const push = await pushToRemote(remote, branch);
+    state.lastPush = { ...push, branch, at: new Date().toISOString() };
+
+    return { ...result, push: push.status };
+  } catch (error) {
+    recordError('sync', error);
+    throw error;
+  }
+});
+
+const getSyncInterval = () => {
+  const interval = parseInt(process.env.GIT_MIRROR_SYNC_INTERVAL, 10);
+  return Number.isNaN(interval) ? DEFAULT_SYNC_INTERVAL_SECONDS : interval;
+};
+
+// Describe the mirror configuration and the outcome of recent operations
+exports.getStatus = () => ({
+  enabled: exports.isEnabled(),
+  remote: getRemote() ? displayRemote(getRemote()) : null,
+  transport: getRemote() ? (isHttpRemote(getRemote()) ? 'http' : 'local') : null,
+  syncIntervalSeconds: syncTimer ? getSyncInterval() : 0,
+  lastPush: state.lastPush,
+  lastSync: state.lastSync,
+  lastError: state.lastError,
+  conflicts: state.conflicts
+});
+
+// Configure the remote and start periodic syncing; an interval of 0 disables it
+exports.start = async () => {
+  if (!exports.isEnabled()) {
+    return false;
+  }
+
+  const remote = getRemote();
+  if (isHttpRemote(remote)) {
+    await git.addRemote({ fs, dir: STORAGE_DIR, remote: REMOTE_NAME, url: remote, force: true });
+  }
+
+  const interval = getSyncInterval();
+  if (interval > 0 && !syncTimer) {
+    syncTimer = setInterval(() => exports.sync().catch(() => {}), interval * 1000);
+    syncTimer.unref();
+  }
+
+  logger.info('Git mirror started', { remote: displayRemote(remote), syncIntervalSeconds: interval });
+
+  // Catch up with the mirror before serving requests
+  await exports.sync().catch(() => {});
+  return true;
+};
+
+exports.stop = () => {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+};
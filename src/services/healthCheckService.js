@@ -0,0 +1,461 @@
+/**
+ * Health Check Service
+ *
+ * Records service health, whether reported by the service itself or measured
+ * by the registry's background prober. The prober polls each service's
+ * healthCheckUrl, and each of its instances, on an interval, a few at a time,
+ * and backs off with jitter from services and instances that keep failing.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const winston = require('winston');
+const { storage } = require('../database/storage');
+const { SERVICE_STATUS, HEALTH_STATES, LEASE_STATES } = require('../database/models');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_MAX_BACKOFF_SECONDS = 900;
+const DEFAULT_DEGRADED_MS = 2000;
+
+// Where a health log entry came from
+const HEALTH_SOURCES = {
+  PROBE: 'probe',
+  SELF_REPORTED: 'self-reported',
+  LEASE: 'lease'
+};
+
+// Status values a health endpoint may put in a JSON body to report partial service
+const DEGRADED_BODY_STATUSES = ['degraded', 'warn', 'warning', 'partial'];
+
+// Only the start of a response body is read; a health status fits well within it
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, shared, multicast and reserved addresses. Health check URLs are
+// given at registration, so the prober does not call these unless HEALTH_CHECK_ALLOW_PRIVATE is set.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+let probeTimer = null;
+let sweeping = null;
+let lastSweep = null;
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Prober settings, read from the environment each sweep
+const getConfig = () => ({
+  interval: readNumber('HEALTH_CHECK_INTERVAL', DEFAULT_INTERVAL_SECONDS),
+  timeout: readNumber('HEALTH_CHECK_TIMEOUT', DEFAULT_TIMEOUT_MS),
+  concurrency: Math.max(1, readNumber('HEALTH_CHECK_CONCURRENCY', DEFAULT_CONCURRENCY)),
+  maxBackoff: readNumber('HEALTH_CHECK_MAX_BACKOFF', DEFAULT_MAX_BACKOFF_SECONDS),
+  degradedThreshold: readNumber('HEALTH_CHECK_DEGRADED_THRESHOLD', DEFAULT_DEGRADED_MS),
+  allowPrivate: process.env.HEALTH_CHECK_ALLOW_PRIVATE === 'true'
+});
+
+// A service's current health status; services never checked are unknown
+exports.healthStatusOf = (service) => (service && service.health && service.health.status) || HEALTH_STATES.UNKNOWN;
+
+/**
+ * Seconds to wait before probing a service again after consecutive failures:
+ * the interval doubled for each failure after the first, capped at maxBackoff,
+ * with the upper half of the delay randomised so failing services spread out
+ */
+exports.backoffDelay = (failures, { interval, maxBackoff }, random = Math.random) => {
+  const delay = Math.min(maxBackoff, interval * 2 ** Math.max(0, failures - 1));
+  return delay / 2 + random() * (delay / 2);
+};
+
+// Update setting a health subdocument at `prefix` from a result
+const healthChanges = (prefix, previous, result, nextCheckAt, checkedAt) => {
+  const failing = result.status === HEALTH_STATES.UNHEALTHY;
+  const previousFailures = (previous && previous.consecutiveFailures) || 0;
+  const $set = {
+    [`${prefix}.status`]: result.status,
+    [`${prefix}.lastCheck`]: checkedAt,
+    [`${prefix}.consecutiveFailures`]: failing ? previousFailures + 1 : 0
+  };
+  const $unset = {};
+  for (const field of ['responseTime', 'errorMessage']) {
+    if (result[field] === undefined) {
+      $unset[`${prefix}.${field}`] = '';
+    } else {
+      $set[`${prefix}.${field}`] = result[field];
+    }
+  }
+  if (failing && nextCheckAt) {
+    $set[`${prefix}.nextCheckAt`] = nextCheckAt;
+  } else {
+    $unset[`${prefix}.nextCheckAt`] = '';
+  }
+
+  return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+};
+
+/**
+ * Record a health result for a service: a ServiceHealthLog entry, and the
+ * service's current health. Unhealthy results count towards the prober's
+ * backoff; any other result clears it.
+ *
+ * @param {Object} service - The stored service
+ * @param {Object} result - { status, responseTime, errorMessage, details }
+ * @param {Object} options - { source, nextCheckAt }
+ * @returns {Promise<Object>} - The health log entry
+ */
+exports.recordHealth = async (service, result, { source = HEALTH_SOURCES.SELF_REPORTED, nextCheckAt } = {}) => {
+  const checkedAt = new Date();
+  const healthLog = await storage.healthLogs.create({
+    serviceId: service._id,
+    status: result.status,
+    responseTime: result.responseTime,
+    errorMessage: result.errorMessage,
+    metadata: { source, ...result.details },
+    checkedAt
+  });
+
+  await storage.services.updateById(service._id, healthChanges('health', service.health, result, nextCheckAt, checkedAt));
+  return healthLog;
+};
+
+/**
+ * Record a health result for one instance of a service. Only the instance's
+ * current health is kept; the health log covers the service as a whole.
+ *
+ * @returns {Promise<Object|null>} - The updated instance, or null once it has been removed
+ */
+exports.recordInstanceHealth = async (serviceId, instanceId, result, { nextCheckAt } = {}) => {
+  // The instance is matched by id in the update itself, as instances may be added or removed meanwhile
+  const filter = { _id: serviceId, 'instances._id': instanceId };
+  const findInstance = (service) => ((service && service.instances) || [])
+    .find(instance => instance._id.toString() === String(instanceId));
+
+  const previous = findInstance(await storage.services.findOne(filter, { select: 'instances' }));
+  if (!previous) {
+    return null;
+  }
+
+  const updated = await storage.services.updateOne(filter,
+    healthChanges('instances.$.health', previous.health, result, nextCheckAt, new Date()));
+  return findInstance(updated) || null;
+};
+
+// An instance's own health check URL, or the service's moved onto the instance's URL
+exports.instanceHealthCheckUrl = (service, instance) => {
+  if (instance.healthCheckUrl) {
+    return instance.healthCheckUrl;
+  }
+  if (!service.healthCheckUrl) {
+    return instance.url;
+  }
+  if (service.baseUrl && service.healthCheckUrl.startsWith(service.baseUrl)) {
+    return instance.url.replace(/\/$/, '') + service.healthCheckUrl.slice(service.baseUrl.replace(/\/$/, '').length);
+  }
+  const { pathname, search } = new URL(service.healthCheckUrl);
+  return new URL(`${pathname}${search}`, instance.url).toString();
+};
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Check a URL is one the prober may call, throwing with the reason when it is not
+const checkProbeTarget = async (url, config) => {
+  const target = new URL(url);
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new Error(`Unsupported health check URL scheme ${target.protocol}`);
+  }
+  if (config.allowPrivate) {
+    return;
+  }
+
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw new Error(`Health check URL resolves to a private address (${blocked.address})`);
+  }
+};
+
+// Call a URL, following redirects only to targets the prober may call
+const fetchProbeTarget = async (url, config, signal) => {
+  let location = url;
+  for (let redirects = 0; ; redirects++) {
+    await checkProbeTarget(location, config);
+    const response = await fetch(location, {
+      headers: { Accept: 'application/json', 'User-Agent': 'api-registry-health-check' },
+      redirect: 'manual',
+      signal
+    });
+
+    const next = response.status >= 300 && response.status < 400 && response.headers.get('location');
+    if (!next || redirects === MAX_REDIRECTS) {
+      return response;
+    }
+    if (response.body) await response.body.cancel();
+    location = new URL(next, location).toString();
+  }
+};
+
+// Read the start of a response body, leaving the rest unread
+const readBody = async (response) => {
+  if (!response.body) {
+    return '';
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  try {
+    while (size < MAX_BODY_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+
+  return Buffer.concat(chunks).subarray(0, MAX_BODY_BYTES).toString('utf8');
+};
+
+// Health reported in a JSON response body, when the endpoint gives one
+const bodyStatus = (text) => {
+  try {
+    const body = JSON.parse(text);
+    return body && typeof body.status === 'string' ? body.status.toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Call a service's health check URL. 2xx responses are healthy, or degraded
+ * when slow or when the body reports a degraded status; anything else,
+ * including timeouts, connection errors and URLs the prober may not call,
+ * is unhealthy.
+ */
+exports.probeService = async (service, config = getConfig()) => {
+  const started = Date.now();
+  try {
+    const response = await fetchProbeTarget(service.healthCheckUrl, config, AbortSignal.timeout(config.timeout));
+    const text = await readBody(response);
+    const responseTime = Date.now() - started;
+    const details = { httpStatus: response.status };
+
+    if (!response.ok) {
+      return { status: HEALTH_STATES.UNHEALTHY, responseTime, errorMessage: `HTTP ${response.status}`, details };
+    }
+
+    const reported = bodyStatus(text);
+    if (reported && DEGRADED_BODY_STATUSES.includes(reported)) {
+      return { status: HEALTH_STATES.DEGRADED, responseTime, errorMessage: `Reported status ${reported}`, details };
+    }
+    if (config.degradedThreshold > 0 && responseTime > config.degradedThreshold) {
+      return { status: HEALTH_STATES.DEGRADED, responseTime, errorMessage: `Slow response (${responseTime}ms)`, details };
+    }
+    return { status: HEALTH_STATES.HEALTHY, responseTime, details };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    return {
+      status: HEALTH_STATES.UNHEALTHY,
+      errorMessage: timedOut
+        ? `Timed out after ${config.timeout}ms`
+        : (error.cause && (error.cause.code || error.cause.message)) || error.message
+    };
+  }
+};
+
+// Probe a service and record the result, scheduling the next probe of a failing service
+exports.checkService = async (service, config = getConfig()) => {
+  const result = await exports.probeService(service, config);
+
+  let nextCheckAt;
+  if (result.status === HEALTH_STATES.UNHEALTHY) {
+    const failures = ((service.health && service.health.consecutiveFailures) || 0) + 1;
+    nextCheckAt = new Date(Date.now() + exports.backoffDelay(failures, config) * 1000);
+  }
+
+  await exports.recordHealth(service, result, { source: HEALTH_SOURCES.PROBE, nextCheckAt });
+  if (result.status !== HEALTH_STATES.HEALTHY) {
+    logger.warn(`Health check of ${service.name} ${result.status}: ${result.errorMessage}`, { nextCheckAt });
+  }
+  return { serviceId: service._id.toString(), name: service.name, ...result, nextCheckAt };
+};
+
+// Probe one instance of a service and record the result, backing off like services do
+exports.checkInstance = async (service, instance, config = getConfig()) => {
+  const result = await exports.probeService({ healthCheckUrl: exports.instanceHealthCheckUrl(service, instance) }, config);
+
+  let nextCheckAt;
+  if (result.status === HEALTH_STATES.UNHEALTHY) {
+    const failures = ((instance.health && instance.health.consecutiveFailures) || 0) + 1;
+    nextCheckAt = new Date(Date.now() + exports.backoffDelay(failures, config) * 1000);
+  }
+
+  await exports.recordInstanceHealth(service._id, instance._id, result, { nextCheckAt });
+  if (result.status !== HEALTH_STATES.HEALTHY) {
+    logger.warn(`Health check of ${service.name} instance ${instance.url} ${result.status}: ${result.errorMessage}`, { nextCheckAt });
+  }
+  return {
+    serviceId: service._id.toString(),
+    name: service.name,
+    instanceId: instance._id.toString(),
+    url: instance.url,
+    ...result,
+    nextCheckAt
+  };
+};
+
+// Run `check` over several targets with at most `concurrency` in flight
+const runChecks = async (targets, concurrency, check, describe) => {
+  const results = new Array(targets.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < targets.length) {
+      const index = next++;
+      try {
+        results[index] = await check(targets[index]);
+      } catch (error) {
+        const { description, ...ids } = describe(targets[index]);
+        logger.error(`Health check of ${description} failed: ${error.message}`, { error: error.stack });
+        results[index] = { ...ids, error: error.message };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+  return results;
+};
+
+// Run checks for several services with at most `concurrency` in flight
+exports.checkServices = (services, config = getConfig()) => runChecks(
+  services,
+  config.concurrency,
+  service => exports.checkService(service, config),
+  service => ({ description: service.name, serviceId: service._id.toString(), name: service.name })
+);
+
+// Run checks for several { service, instance } pairs with at most `concurrency` in flight
+exports.checkInstances = (targets, config = getConfig()) => runChecks(
+  targets,
+  config.concurrency,
+  ({ service, instance }) => exports.checkInstance(service, instance, config),
+  ({ service, instance }) => ({
+    description: `${service.name} instance ${instance.url}`,
+    serviceId: service._id.toString(),
+    name: service.name,
+    instanceId: instance._id.toString()
+  })
+);
+
+const isDue = (health, now) => !health || !health.nextCheckAt || new Date(health.nextCheckAt) <= now;
+
+// Probe every registered service and instance that is due: not deleted, inactive or past its lease, and not backing off
+exports.checkDueServices = async (now = new Date(), config = getConfig()) => {
+  const registered = {
+    deletedAt: { $exists: false },
+    status: { $ne: SERVICE_STATUS.INACTIVE },
+    'lease.state': { $ne: LEASE_STATES.EXPIRED }
+  };
+
+  const services = await storage.services.find({
+    ...registered,
+    healthCheckUrl: { $exists: true },
+    $or: [{ 'health.nextCheckAt': { $exists: false } }, { 'health.nextCheckAt': { $lte: now } }]
+  }, { select: 'name healthCheckUrl health' });
+
+  const replicated = await storage.services.find({
+    ...registered,
+    'instances.url': { $exists: true }
+  }, { select: 'name baseUrl healthCheckUrl instances' });
+  const instances = replicated.flatMap(service => service.instances
+    .filter(instance => isDue(instance.health, now))
+    .map(instance => ({ service, instance })));
+
+  return [...await exports.checkServices(services, config), ...await exports.checkInstances(instances, config)];
+};
+
+// Sweeps never overlap; a tick arriving while one is running is skipped
+const sweep = () => {
+  if (!sweeping) {
+    const startedAt = new Date();
+    sweeping = exports.checkDueServices(startedAt)
+      .then(results => {
+        lastSweep = {
+          startedAt,
+          finishedAt: new Date(),
+          checked: results.length,
+          unhealthy: results.filter(result => result.status === HEALTH_STATES.UNHEALTHY).length
+        };
+      })
+      .catch(error => {
+        lastSweep = { startedAt, finishedAt: new Date(), error: error.message };
+        logger.error(`Health check sweep failed: ${error.message}`, { error: error.stack });
+      })
+      .finally(() => { sweeping = null; });
+  }
+  return sweeping;
+};
+
+// Describe the prober configuration and its most recent sweep
+exports.getStatus = () => {
+  const { interval, timeout, concurrency, maxBackoff } = getConfig();
+  return {
+    enabled: !!probeTimer,
+    intervalSeconds: probeTimer ? interval : 0,
+    timeoutMs: timeout,
+    concurrency,
+    maxBackoffSeconds: maxBackoff,
+    lastSweep
+  };
+};
+
+// Start probing services every HEALTH_CHECK_INTERVAL seconds; an interval of 0 disables the prober
+exports.start = () => {
+  const { interval } = getConfig();
+  if (interval <= 0) {
+    return false;
+  }
+
+  if (!probeTimer) {
+    probeTimer = setInterval(sweep, interval * 1000);
+    probeTimer.unref();
+  }
+
+  // The first sweep runs in the background so startup does not wait on slow services
+  sweep();
+  return true;
+};
+
+exports.stop = () => {
+  if (probeTimer) {
+    clearInterval(probeTimer);
+    probeTimer = null;
+  }
+};
+
+exports.HEALTH_SOURCES = HEALTH_SOURCES;
@@ -0,0 +1,197 @@
+/**
+ * Health Metrics Service
+ *
+ * Aggregates the health log into metrics over a time window: uptime,
+ * response time percentiles, error rate, the last incident and flap count,
+ * for single services and for categories of services.
+ */
+
+const { storage } = require('../database/storage');
+const { HEALTH_STATES } = require('../database/models');
+
+const HOUR = 60 * 60 * 1000;
+
+// Windows metrics can be computed over
+const METRIC_WINDOWS = {
+  '1h': HOUR,
+  '24h': 24 * HOUR,
+  '7d': 7 * 24 * HOUR,
+  '30d': 30 * 24 * HOUR
+};
+
+const DEFAULT_WINDOW = '24h';
+
+const LOG_FIELDS = 'serviceId status responseTime errorMessage checkedAt';
+
+const DEFAULT_MAX_LOGS = 50000;
+
+// Most health log entries read for one metrics query
+const getMaxLogs = () => {
+  const value = parseInt(process.env.HEALTH_METRICS_MAX_LOGS, 10);
+  return Number.isNaN(value) || value < 1 ? DEFAULT_MAX_LOGS : value;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Degraded services are still serving, so only unhealthy checks count as down
+const isDown = (log) => log.status === HEALTH_STATES.UNHEALTHY;
+
+// Nearest-rank percentile of sorted values
+const percentile = (sorted, p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+exports.responseTimePercentiles = (logs) => {
+  const times = logs.map(log => log.responseTime).filter(time => typeof time === 'number').sort((a, b) => a - b);
+  if (times.length === 0) {
+    return null;
+  }
+
+  return {
+    p50: percentile(times, 50),
+    p95: percentile(times, 95),
+    p99: percentile(times, 99),
+    average: round(times.reduce((sum, time) => sum + time, 0) / times.length)
+  };
+};
+
+/**
+ * Metrics for one service from its health log.
+ *
+ * Each check's status is taken to hold until the next check, so uptime is the
+ * share of the window's known time the service was not unhealthy. The last
+ * check before the window gives the state the window starts in. Error rate is
+ * the share of checks in the window that were unhealthy, and a flap is a
+ * change between up and down.
+ *
+ * @param {Array} logs - Health log entries in the window, oldest first
+ * @param {Object} options - { since, until, previous: the last entry before since }
+ * @returns {Object} - Metrics; rates and times are null without data
+ */
+exports.computeMetrics = (logs, { since, until = new Date(), previous = null } = {}) => {
+  const checks = logs.filter(log => log.status !== HEALTH_STATES.UNKNOWN);
+  const timeline = previous && previous.status !== HEALTH_STATES.UNKNOWN
+    ? [{ ...previous, checkedAt: since, reportedAt: previous.checkedAt }, ...checks]
+    : checks;
+
+  let knownTime = 0;
+  let downTime = 0;
+  let flaps = 0;
+  let incident = null;
+  timeline.forEach((log, index) => {
+    const start = new Date(log.checkedAt).getTime();
+    const end = index + 1 < timeline.length ? new Date(timeline[index + 1].checkedAt).getTime() : until.getTime();
+    knownTime += end - start;
+
+    const before = timeline[index - 1];
+    if (before && isDown(before) !== isDown(log)) {
+      flaps++;
+    }
+
+    if (isDown(log)) {
+      downTime += end - start;
+      if (!before || !isDown(before)) {
+        incident = { startedAt: new Date(log.reportedAt || log.checkedAt), endedAt: null, errorMessage: log.errorMessage || null };
+      }
+    } else if (before && isDown(before) && incident) {
+      incident.endedAt = new Date(log.checkedAt);
+    }
+  });
+
+  if (incident) {
+    incident.ongoing = !incident.endedAt;
+    incident.durationSeconds = Math.round(((incident.endedAt || until) - incident.startedAt) / 1000);
+  }
+
+  return {
+    checks: checks.length,
+    uptime: knownTime > 0 ? round(100 * (1 - downTime / knownTime), 3) : null,
+    responseTime: exports.responseTimePercentiles(checks),
+    errorRate: checks.length > 0 ? round(100 * checks.filter(isDown).length / checks.length) : null,
+    lastIncident: incident,
+    flaps
+  };
+};
+
+// Start of a named window ending now; throws for unknown windows
+exports.windowStart = (window, until = new Date()) => {
+  if (!METRIC_WINDOWS[window]) {
+    const error = new Error(`Unknown metrics window '${window}'; use one of ${Object.keys(METRIC_WINDOWS).join(', ')}`);
+    error.code = 'validation/invalid-window';
+    throw error;
+  }
+  return new Date(until.getTime() - METRIC_WINDOWS[window]);
+};
+
+/**
+ * Metrics for each of several services over a window. Only the newest
+ * HEALTH_METRICS_MAX_LOGS entries are read; when there are more, the window
+ * starts at the oldest entry read and `since` says so.
+ *
+ * @param {Array} serviceIds - Ids of the services
+ * @param {string} window - One of METRIC_WINDOWS
+ * @returns {Promise<Map>} - Service id to { metrics, logs }
+ */
+exports.serviceMetrics = async (serviceIds, window = DEFAULT_WINDOW, until = new Date()) => {
+  let since = exports.windowStart(window, until);
+  const maxLogs = getMaxLogs();
+  const logs = serviceIds.length === 0 ? [] : await storage.healthLogs.find({
+    serviceId: { $in: serviceIds },
+    checkedAt: { $gte: since, $lte: until }
+  }, { select: LOG_FIELDS, sort: { checkedAt: -1 }, limit: maxLogs });
+  logs.reverse();
+  if (logs.length === maxLogs) {
+    since = new Date(logs[0].checkedAt);
+  }
+
+  // The last check before the window of every service, in one query
+  const previous = serviceIds.length === 0 ? [] : await storage.healthLogs.aggregate([
+    { $match: { serviceId: { $in: serviceIds }, checkedAt: { $lt: since } } },
+    { $sort: { checkedAt: -1 } },
+    { $group: { _id: '$serviceId', log: { $first: '$$ROOT' } } }
+  ]);
+  const previousByService = new Map(previous.map(entry => [entry._id.toString(), entry.log]));
+
+  const byService = new Map(serviceIds.map(id => [id.toString(), []]));
+  for (const log of logs) {
+    const entries = byService.get(log.serviceId.toString());
+    if (entries) entries.push(log);
+  }
+
+  const results = new Map();
+  for (const [id, entries] of byService) {
+    const metrics = exports.computeMetrics(entries, { since, until, previous: previousByService.get(id) || null });
+    results.set(id, { metrics: { window, since, until, ...metrics }, logs: entries });
+  }
+  return results;
+};
+
+/**
+ * Metrics for a group of services, from their individual results: the
+ * average uptime, percentiles and error rate across all their checks, their
+ * most recent incident and total flaps
+ *
+ * @param {Array} members - { name, metrics, logs } for each service in the group
+ */
+exports.groupMetrics = (members, { window, since, until }) => {
+  const logs = members.flatMap(member => member.logs.filter(log => log.status !== HEALTH_STATES.UNKNOWN));
+  const uptimes = members.map(member => member.metrics.uptime).filter(uptime => uptime !== null);
+  const incidents = members
+    .filter(member => member.metrics.lastIncident)
+    .map(member => ({ serviceName: member.name, ...member.metrics.lastIncident }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+
+  return {
+    window,
+    since,
+    until,
+    services: members.length,
+    checks: logs.length,
+    uptime: uptimes.length > 0 ? round(uptimes.reduce((sum, uptime) => sum + uptime, 0) / uptimes.length, 3) : null,
+    responseTime: exports.responseTimePercentiles(logs),
+    errorRate: logs.length > 0 ? round(100 * logs.filter(isDown).length / logs.length) : null,
+    lastIncident: incidents[0] || null,
+    flaps: members.reduce((sum, member) => sum + member.metrics.flaps, 0)
+  };
+};
+
+exports.METRIC_WINDOWS = METRIC_WINDOWS;
+exports.DEFAULT_WINDOW = DEFAULT_WINDOW;
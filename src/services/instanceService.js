@@ -0,0 +1,169 @@
+/**
+ * Instance Service
+ *
+ * A service may run as several instances, each with its own URL, location,
+ * weight, version and health. Discovery offers the instances that can take
+ * traffic, ordered for the service's load-balancing strategy.
+ */
+
+const { storage } = require('../database/storage');
+const { HEALTH_STATES, LOAD_BALANCING_STRATEGIES } = require('../database/models');
+
+// Fields of an instance that may be changed after it is registered
+const INSTANCE_FIELDS = ['url', 'healthCheckUrl', 'region', 'zone', 'weight', 'version'];
+
+// Discovery calls per service, so round-robin ordering moves on each time
+const rotations = new Map();
+
+const instanceError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const findService = async (serviceId) => {
+  const service = await storage.services.findOne({ _id: serviceId, deletedAt: { $exists: false } });
+  if (!service) {
+    throw instanceError('service/not-found', 'Service not found');
+  }
+  return service;
+};
+
+const indexOf = (service, instanceId) =>
+  (service.instances || []).findIndex(instance => instance._id.toString() === String(instanceId));
+
+const assertUniqueUrl = (service, url, instanceId) => {
+  const existing = (service.instances || []).find(instance => instance.url === url && instance._id.toString() !== String(instanceId));
+  if (existing) {
+    const error = instanceError('instance/conflict', 'An instance with this url is already registered');
+    error.instanceId = existing._id.toString();
+    throw error;
+  }
+};
+
+// Instance as returned by the API
+exports.toInstanceRecord = (instance) => ({ ...instance, _id: instance._id.toString() });
+
+exports.getInstance = async (serviceId, instanceId) => {
+  const service = await findService(serviceId);
+  const index = indexOf(service, instanceId);
+  if (index === -1) {
+    throw instanceError('instance/not-found', 'Instance not found');
+  }
+  return { service, instance: service.instances[index] };
+};
+
+/**
+ * Register an instance of a service. Instance URLs are unique within a service.
+ *
+ * @returns {Promise<{service: Object, instance: Object}>}
+ */
+exports.addInstance = async (serviceId, data) => {
+  const service = await findService(serviceId);
+  assertUniqueUrl(service, data.url);
+
+  const updated = await storage.services.updateById(service._id, {
+    $push: { instances: data },
+    $set: { lastUpdated: new Date() }
+  });
+  return { service: updated, instance: updated.instances.find(instance => instance.url === data.url) };
+};
+
+// Change an instance's registered fields; its health is left to health checks
+exports.updateInstance = async (serviceId, instanceId, changes) => {
+  const { service } = await exports.getInstance(serviceId, instanceId);
+  if (changes.url) {
+    assertUniqueUrl(service, changes.url, instanceId);
+  }
+
+  const $set = { lastUpdated: new Date() };
+  for (const field of INSTANCE_FIELDS) {
+    if (changes[field] !== undefined) {
+      $set[`instances.$.${field}`] = changes[field];
+    }
+  }
+
+  // The instance is matched by id in the update itself, as instances may be added or removed meanwhile
+  const updated = await storage.services.updateOne({ _id: service._id, 'instances._id': instanceId }, { $set });
+  if (!updated) {
+    throw instanceError('instance/not-found', 'Instance not found');
+  }
+  return { service: updated, instance: updated.instances[indexOf(updated, instanceId)] };
+};
+
+exports.removeInstance = async (serviceId, instanceId) => {
+  const { service, instance } = await exports.getInstance(serviceId, instanceId);
+  await storage.services.updateById(service._id, {
+    $pull: { instances: { _id: instance._id } },
+    $set: { lastUpdated: new Date() }
+  });
+  exports.forgetService(service._id);
+  return instance;
+};
+
+// Drop a service's round-robin position, once its instances change or it is deleted
+exports.forgetService = (serviceId) => {
+  rotations.delete(serviceId.toString());
+};
+
+// Instances that can take traffic: not unhealthy and not drained to a weight of 0
+exports.availableInstances = (service) => (service.instances || []).filter(instance =>
+  instance.weight > 0 && !(instance.health && instance.health.status === HEALTH_STATES.UNHEALTHY));
+
+const rotate = (items, by) => (items.length === 0 ? items : [...items.slice(by % items.length), ...items.slice(0, by % items.length)]);
+
+/**
+ * Order a service's available instances for a client to use, first choice
+ * first, with a hint describing how to spread requests over them.
+ *
+ * - round-robin: the order moves on by one instance each call.
+ * - weighted: each instance gets its `share` of traffic, and the order is a
+ *   weighted random draw, so taking the first instance follows the weights.
+ * - zone-affine: instances in the caller's zone come first, then those in its
+ *   region, then the rest, each round-robin; `affinity` says which.
+ *
+ * @param {Object} service - The stored service, with its instances
+ * @param {Object} options - { strategy, zone, region }; strategy defaults to the service's
+ * @returns {Object} - { loadBalancing, instances }
+ */
+exports.balanceInstances = (service, { strategy, zone, region } = {}, random = Math.random) => {
+  const chosen = strategy || service.loadBalancing || LOAD_BALANCING_STRATEGIES.ROUND_ROBIN;
+  const available = exports.availableInstances(service).map(exports.toInstanceRecord);
+
+  const key = service._id.toString();
+  const turn = rotations.get(key) || 0;
+  rotations.set(key, turn + 1);
+
+  let instances;
+  if (chosen === LOAD_BALANCING_STRATEGIES.WEIGHTED) {
+    const total = available.reduce((sum, instance) => sum + instance.weight, 0);
+    instances = available
+      .map(instance => ({ instance, key: random() ** (1 / instance.weight) }))
+      .sort((a, b) => b.key - a.key)
+      .map(({ instance }) => ({ ...instance, share: Math.round((instance.weight / total) * 1000) / 1000 }));
+  } else if (chosen === LOAD_BALANCING_STRATEGIES.ZONE_AFFINE) {
+    const affinityOf = (instance) => {
+      if (zone && instance.zone === zone) return 'zone';
+      if (region && instance.region === region) return 'region';
+      return 'none';
+    };
+    instances = ['zone', 'region', 'none'].flatMap(affinity => rotate(
+      available.filter(instance => affinityOf(instance) === affinity).map(instance => ({ ...instance, affinity })),
+      turn
+    ));
+  } else {
+    instances = rotate(available, turn);
+  }
+
+  return {
+    loadBalancing: {
+      strategy: chosen,
+      ...(chosen === LOAD_BALANCING_STRATEGIES.ZONE_AFFINE ? { zone: zone || null, region: region || null } : {}),
+      availableInstances: available.length,
+      totalInstances: (service.instances || []).length
+    },
+    instances
+  };
+};
+
+exports.INSTANCE_FIELDS = INSTANCE_FIELDS;
@@ -0,0 +1,197 @@
+/**
+ * Lease Service
+ *
+ * Services may register with a TTL lease and renew it with heartbeats. A
+ * service that misses its lease is marked unhealthy and drops out of
+ * discovery; one that stays silent past the grace period is made inactive.
+ * A heartbeat brings it back.
+ */
+
+const winston = require('winston');
+const { storage } = require('../database/storage');
+const { SERVICE_STATUS, HEALTH_STATES, LEASE_STATES } = require('../database/models');
+const healthCheckService = require('./healthCheckService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+const DEFAULT_SWEEP_INTERVAL_SECONDS = 15;
+const DEFAULT_INACTIVE_AFTER_SECONDS = 300;
+
+let sweepTimer = null;
+
+const leaseError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const readSeconds = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Seconds an expired lease is kept before the service is made inactive
+const getInactiveAfter = () => readSeconds('SERVICE_LEASE_INACTIVE_AFTER', DEFAULT_INACTIVE_AFTER_SECONDS);
+
+// Query conditions matching services without a lease or with one that has not expired
+exports.liveFilter = (now = new Date()) => ({
+  $or: [{ 'lease.expiresAt': { $exists: false } }, { 'lease.expiresAt': { $gt: now } }]
+});
+
+exports.isExpired = (service, now = new Date()) =>
+  !!(service.lease && service.lease.expiresAt && new Date(service.lease.expiresAt) <= now);
+
+// Lease state as returned by the API
+exports.toLeaseRecord = (service) => {
+  const lease = service.lease;
+  if (!lease || !lease.ttl) {
+    return null;
+  }
+
+  return {
+    ttl: lease.ttl,
+    expiresAt: lease.expiresAt,
+    state: lease.state,
+    expiredAt: lease.expiredAt || null,
+    lastRenewal: service.lastRegistration
+  };
+};
+
+// Fields starting a lease of ttl seconds, recorded as a registration
+exports.leaseChanges = (ttl, now = new Date()) => ({
+  $set: {
+    'lease.ttl': ttl,
+    'lease.expiresAt': new Date(now.getTime() + ttl * 1000),
+    'lease.state': LEASE_STATES.ACTIVE,
+    lastRegistration: now
+  },
+  $unset: { 'lease.expiredAt': '' }
+});
+
+/**
+ * Renew a service's lease. The TTL may be changed, or given to start a lease
+ * for a service registered without one. Renewing an expired lease marks the
+ * service healthy again, and a lapsed one makes it active again.
+ *
+ * @returns {Promise<{service: Object, revived: boolean}>}
+ */
+exports.renewLease = async (serviceId, { ttl } = {}) => {
+  const service = await storage.services.findOne({ _id: serviceId, deletedAt: { $exists: false } });
+  if (!service) {
+    throw leaseError('service/not-found', 'Service not found');
+  }
+
+  const lease = service.lease || {};
+  const leaseTtl = ttl || lease.ttl;
+  if (!leaseTtl) {
+    throw leaseError('lease/not-configured', 'Service has no lease; send a ttl to start one');
+  }
+
+  const now = new Date();
+  const changes = exports.leaseChanges(leaseTtl, now);
+  const revived = lease.state === LEASE_STATES.EXPIRED || lease.state === LEASE_STATES.LAPSED;
+  if (lease.state === LEASE_STATES.LAPSED && service.status === SERVICE_STATUS.INACTIVE) {
+    changes.$set.status = SERVICE_STATUS.ACTIVE;
+  }
+
+  if (revived) {
+    await healthCheckService.recordHealth(service, { status: HEALTH_STATES.HEALTHY, details: { reason: 'Lease renewed' } }, {
+      source: healthCheckService.HEALTH_SOURCES.LEASE
+    });
+    logger.info(`Lease of ${service.name} renewed after it ${lease.state}`);
+  }
+
+  return { service: await storage.services.updateById(service._id, changes), revived };
+};
+
+/**
+ * Expire leases that were not renewed in time: the service is marked
+ * unhealthy straight away, and inactive once the lease has been expired for
+ * SERVICE_LEASE_INACTIVE_AFTER seconds. Services already inactive are left so.
+ */
+exports.expireLeases = async (now = new Date()) => {
+  const dueFilter = {
+    deletedAt: { $exists: false },
+    'lease.state': LEASE_STATES.ACTIVE,
+    'lease.expiresAt': { $lte: now }
+  };
+  const due = await storage.services.find(dueFilter);
+
+  // Each change is made only if the lease is still in the state it was found in,
+  // so a heartbeat renewing it in the meantime is not overridden
+  const expired = [];
+  for (const service of due) {
+    const changed = await storage.services.updateOne({ ...dueFilter, _id: service._id }, {
+      $set: { 'lease.state': LEASE_STATES.EXPIRED, 'lease.expiredAt': now }
+    });
+    if (!changed) {
+      continue;
+    }
+
+    await healthCheckService.recordHealth(service, {
+      status: HEALTH_STATES.UNHEALTHY,
+      errorMessage: `Lease expired at ${new Date(service.lease.expiresAt).toISOString()}`
+    }, { source: healthCheckService.HEALTH_SOURCES.LEASE });
+    expired.push(service.name);
+    logger.warn(`Lease of ${service.name} expired; marked unhealthy`);
+  }
+
+  const lapsingFilter = {
+    deletedAt: { $exists: false },
+    status: { $ne: SERVICE_STATUS.INACTIVE },
+    'lease.state': LEASE_STATES.EXPIRED,
+    'lease.expiresAt': { $lte: new Date(now.getTime() - getInactiveAfter() * 1000) }
+  };
+  const lapsing = await storage.services.find(lapsingFilter, { select: 'name' });
+
+  const lapsed = [];
+  for (const service of lapsing) {
+    const changed = await storage.services.updateOne({ ...lapsingFilter, _id: service._id }, {
+      $set: { status: SERVICE_STATUS.INACTIVE, 'lease.state': LEASE_STATES.LAPSED, lastUpdated: now }
+    });
+    if (changed) {
+      lapsed.push(service.name);
+      logger.warn(`Lease of ${service.name} lapsed; marked inactive`);
+    }
+  }
+
+  return { expired, lapsed };
+};
+
+// Expire leases every SERVICE_LEASE_SWEEP_INTERVAL seconds; an interval of 0 disables the sweep
+exports.start = async () => {
+  const interval = readSeconds('SERVICE_LEASE_SWEEP_INTERVAL', DEFAULT_SWEEP_INTERVAL_SECONDS);
+  if (interval <= 0) {
+    return false;
+  }
+
+  const sweep = () => exports.expireLeases().catch(error => {
+    logger.error(`Expiring service leases failed: ${error.message}`, { error: error.stack });
+  });
+
+  if (!sweepTimer) {
+    sweepTimer = setInterval(sweep, interval * 1000);
+    sweepTimer.unref();
+  }
+
+  await sweep();
+  return true;
+};
+
+exports.stop = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
@@ -0,0 +1,359 @@
+/**
+ * Mock Service
+ *
+ * Matches requests against a stored OpenAPI document, validates them, and
+ * synthesises responses from examples or from the response schemas.
+ */
+
+const Ajv = require('ajv');
+const specBundleService = require('./specBundleService');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Keeps generated payloads finite for recursive schemas
+const MAX_GENERATION_DEPTH = 8;
+
+// Resolved documents keyed by specification ID and last update
+const resolvedSpecs = new Map();
+const MAX_RESOLVED_SPECS = 50;
+
+// Request bodies are validated as sent; parameters arrive as strings and are coerced
+const bodyValidator = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+const parameterValidator = new Ajv({ allErrors: true, strict: false, validateFormats: false, coerceTypes: 'array' });
+
+// Resolve $refs once per stored revision, leaving circular references in place.
+// Only references within the document are followed; external ones are rejected.
+exports.resolveSpec = async (apiSpec) => {
+  const cacheKey = `${apiSpec._id}:${new Date(apiSpec.updatedAt || 0).getTime()}`;
+
+  if (!resolvedSpecs.has(cacheKey)) {
+    const { specification: resolved } = await specBundleService.dereferenceSpec(apiSpec.specification);
+
+    if (resolvedSpecs.size >= MAX_RESOLVED_SPECS) {
+      resolvedSpecs.delete(resolvedSpecs.keys().next().value);
+    }
+    resolvedSpecs.set(cacheKey, resolved);
+  }
+
+  return resolvedSpecs.get(cacheKey);
+};
+
+// Split a path as sent into segments, decoding each once so an encoded "/" stays within its segment
+const decodeSegments = (requestPath) => requestPath.split('/').filter(Boolean).map(segment => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    const malformed = new Error(`Path segment '${segment}' is not validly percent-encoded`);
+    malformed.code = 'mock/malformed-path';
+    throw malformed;
+  }
+});
+
+// Find the operation for a request path as sent, preferring literal segments over templates
+exports.matchOperation = (spec, method, requestPath) => {
+  const requestSegments = decodeSegments(requestPath);
+  const candidates = [];
+
+  for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+    const routeSegments = route.split('/').filter(Boolean);
+    if (routeSegments.length !== requestSegments.length) continue;
+
+    const pathParams = {};
+    let templated = 0;
+    const matches = routeSegments.every((segment, index) => {
+      const template = segment.match(/^\{(.+)\}$/);
+      if (template) {
+        pathParams[template[1]] = requestSegments[index];
+        templated++;
+        return true;
+      }
+      return segment === requestSegments[index];
+    });
+
+    if (matches) {
+      candidates.push({ route, pathItem, pathParams, templated });
+    }
+  }
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  candidates.sort((a, b) => a.templated - b.templated);
+  const match = candidates[0];
+  const operation = match.pathItem[method.toLowerCase()];
+
+  return {
+    ...match,
+    operation: operation || null,
+    allowedMethods: HTTP_METHODS.filter(m => match.pathItem[m]).map(m => m.toUpperCase())
+  };
+};
+
+function schemaWithComponents(schema, spec) {
+  // Circular references left by resolution still point into components
+  return { ...schema, components: spec.components || {} };
+}
+
+function formatErrors(errors, location, name, wrapperPath = '') {
+  return (errors || []).map(error => ({
+    location,
+    name,
+    message: `${name}${error.instancePath.slice(wrapperPath.length)} ${error.message}`.trim()
+  }));
+}
+
+// Compiled validators keyed by resolved operation; resolved documents are cached, so each operation is compiled once
+const operationValidators = new WeakMap();
+
+// Compile a schema without Ajv keeping it; the compiled function is cached with its operation instead
+const compileSchema = (ajv, schema) => {
+  const validate = ajv.compile(schema);
+  ajv.removeSchema(schema);
+  return validate;
+};
+
+// Parameter and request body validators for an operation, compiled on first use
+const validatorsFor = (spec, match) => {
+  if (operationValidators.has(match.operation)) {
+    return operationValidators.get(match.operation);
+  }
+
+  const parameters = {};
+  for (const param of [...(match.pathItem.parameters || []), ...(match.operation.parameters || [])]) {
+    if (param && param.name && param.in) {
+      parameters[`${param.in}:${param.name}`] = param;
+    }
+  }
+
+  // Coercion rewrites values in place, so parameters are validated in a wrapper rather than the request
+  const parameterValidators = Object.values(parameters)
+    .filter(param => param.in !== 'cookie')
+    .map(param => ({
+      param,
+      validate: param.schema && compileSchema(parameterValidator, {
+        type: 'object',
+        properties: { value: schemaWithComponents(param.schema, spec) }
+      })
+    }));
+
+  const requestBody = match.operation.requestBody;
+  const mediaType = requestBody && Object.keys(requestBody.content || {}).find(type => type.includes('json'));
+  const bodySchema = mediaType && requestBody.content[mediaType].schema;
+
+  const validators = {
+    parameters: parameterValidators,
+    body: bodySchema ? compileSchema(bodyValidator, schemaWithComponents(bodySchema, spec)) : null
+  };
+  operationValidators.set(match.operation, validators);
+  return validators;
+};
+
+// Validate a request against the operation's parameters and request body
+exports.validateRequest = (spec, match, { query, headers, body, hasBody }) => {
+  const errors = [];
+  const validators = validatorsFor(spec, match);
+
+  const sources = {
+    path: match.pathParams,
+    query: query || {},
+    header: headers || {},
+    cookie: {}
+  };
+
+  for (const { param, validate } of validators.parameters) {
+    const key = param.in === 'header' ? param.name.toLowerCase() : param.name;
+    const value = sources[param.in][key];
+
+    if (value === undefined) {
+      if (param.required) {
+        errors.push({ location: param.in, name: param.name, message: `${param.name} is required` });
+      }
+      continue;
+    }
+
+    if (validate && !validate({ value })) {
+      errors.push(...formatErrors(validate.errors, param.in, param.name, '/value'));
+    }
+  }
+
+  const requestBody = match.operation.requestBody;
+  if (requestBody) {
+    if (!hasBody) {
+      if (requestBody.required) {
+        errors.push({ location: 'body', name: 'body', message: 'Request body is required' });
+      }
+    } else if (validators.body && !validators.body(body)) {
+      errors.push(...formatErrors(validators.body.errors, 'body', 'body'));
+    }
+  }
+
+  return errors;
+};
+
+// Parse an RFC 7240 Prefer header, e.g. "code=404, example=notFound"
+exports.parsePreferHeader = (header) => {
+  const preferences = {};
+
+  for (const part of String(header || '').split(/[,;]/)) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key) {
+      preferences[key.toLowerCase()] = rest.join('=').replace(/^"|"$/g, '') || true;
+    }
+  }
+
+  return preferences;
+};
+
+// Pick the response to send: the preferred code if declared, else the first success
+exports.selectResponse = (operation, preferences = {}) => {
+  const responses = operation.responses || {};
+  const codes = Object.keys(responses);
+
+  if (preferences.code) {
+    const preferred = String(preferences.code);
+    if (responses[preferred]) {
+      return { status: parseInt(preferred, 10), response: responses[preferred] };
+    }
+    if (responses.default) {
+      return { status: parseInt(preferred, 10) || 500, response: responses.default };
+    }
+    return null;
+  }
+
+  const success = codes.filter(code => /^2\d\d$/.test(code)).sort()[0];
+  if (success) {
+    return { status: parseInt(success, 10), response: responses[success] };
+  }
+
+  if (responses.default) {
+    return { status: 200, response: responses.default };
+  }
+
+  const first = codes.find(code => /^\d{3}$/.test(code));
+  return first ? { status: parseInt(first, 10), response: responses[first] } : { status: 204, response: {} };
+};
+
+function mergeAllOf(schemas) {
+  return schemas.reduce((merged, schema) => ({
+    ...merged,
+    ...schema,
+    properties: { ...(merged.properties || {}), ...(schema.properties || {}) },
+    required: [...(merged.required || []), ...(schema.required || [])]
+  }), {});
+}
+
+const STRING_FORMATS = {
+  'date-time': () => new Date(0).toISOString(),
+  date: () => '1970-01-01',
+  time: () => '00:00:00Z',
+  email: () => 'user@example.com',
+  uuid: () => '00000000-0000-4000-8000-000000000000',
+  uri: () => 'https://example.com',
+  url: () => 'https://example.com',
+  hostname: () => 'example.com',
+  ipv4: () => '192.0.2.1',
+  ipv6: () => '2001:db8::1',
+  byte: () => 'ZXhhbXBsZQ=='
+};
+
+// Look up a local JSON pointer such as #/components/schemas/User
+function resolveRef(ref, spec) {
+  if (!ref.startsWith('#/')) return null;
+
+  return ref.slice(2).split('/').reduce((node, segment) =>
+    node && node[segment.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+}
+
+// Generate a payload that satisfies the schema; recursive references stop at their first repeat
+exports.generateFromSchema = function generateFromSchema(schema, spec = {}, depth = 0, refChain = []) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_GENERATION_DEPTH) {
+    return null;
+  }
+
+  if (schema.$ref) {
+    if (refChain.includes(schema.$ref)) return null;
+    return generateFromSchema(resolveRef(schema.$ref, spec), spec, depth + 1, [...refChain, schema.$ref]);
+  }
+
+  const next = (child) => generateFromSchema(child, spec, depth + 1, refChain);
+
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  if (schema.allOf) return next(mergeAllOf(schema.allOf));
+  if (schema.oneOf) return next(schema.oneOf[0]);
+  if (schema.anyOf) return next(schema.anyOf[0]);
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  switch (type) {
+    case 'string': {
+      if (STRING_FORMATS[schema.format]) return STRING_FORMATS[schema.format]();
+      const value = 'string';
+      return schema.minLength > value.length ? value.padEnd(schema.minLength, 'x') : value;
+    }
+    case 'integer':
+    case 'number': {
+      let value = schema.minimum !== undefined ? schema.minimum : 0;
+      if (schema.exclusiveMinimum === true || typeof schema.exclusiveMinimum === 'number') {
+        value = (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : value) + 1;
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) value = schema.maximum;
+      return type === 'integer' ? Math.ceil(value) : value;
+    }
+    case 'boolean':
+      return true;
+    case 'array': {
+      const item = next(schema.items);
+      return item === null ? [] : Array(Math.max(schema.minItems || 1, 1)).fill(item);
+    }
+    case 'object':
+    default: {
+      if (!schema.properties && type !== 'object') {
+        return null;
+      }
+
+      const result = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        // Write-only properties never appear in responses
+        if (property.writeOnly) continue;
+
+        const value = next(property);
+        if (value !== null || (schema.required || []).includes(name)) {
+          result[name] = value;
+        }
+      }
+      return result;
+    }
+  }
+};
+
+// Build the response body from examples when present, otherwise from the schema
+exports.buildResponseBody = (response, preferences = {}, spec = {}) => {
+  const content = response.content || {};
+  const mediaTypes = Object.keys(content);
+
+  if (mediaTypes.length === 0) {
+    return { contentType: null, body: undefined };
+  }
+
+  const contentType = mediaTypes.find(type => type.includes('json')) || mediaTypes[0];
+  const media = content[contentType] || {};
+
+  if (media.examples && Object.keys(media.examples).length > 0) {
+    const name = preferences.example && media.examples[preferences.example]
+      ? preferences.example
+      : Object.keys(media.examples)[0];
+    return { contentType, body: media.examples[name].value, example: name };
+  }
+
+  if (media.example !== undefined) {
+    return { contentType, body: media.example };
+  }
+
+  return { contentType, body: exports.generateFromSchema(media.schema, spec) };
+};
@@ -0,0 +1,121 @@
+/**
+ * Operation Index Service
+ *
+ * Extracts the operations of OpenAPI documents into the specification
+ * endpoints index used for cross-service operation search.
+ */
+
+const { templateMatches } = require('../utils/templateMatch');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const COMPONENT_SCHEMA_PREFIX = '#/components/schemas/';
+
+// Follow local $refs such as #/components/responses/NotFound; unresolvable ones give {}
+const resolveRef = (node, spec, seen = new Set()) => {
+  if (!node || typeof node.$ref !== 'string') {
+    return node;
+  }
+  if (!node.$ref.startsWith('#/') || seen.has(node.$ref)) {
+    return {};
+  }
+
+  seen.add(node.$ref);
+  const target = node.$ref.slice(2).split('/').reduce((current, segment) =>
+    current && current[decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+
+  return resolveRef(target || {}, spec, seen);
+};
+
+// Collect the component schema names and $ids a schema uses, following refs transitively
+const collectSchemaNames = (schema, spec, names = new Set(), seen = new Set()) => {
+  if (Array.isArray(schema)) {
+    schema.forEach(item => collectSchemaNames(item, spec, names, seen));
+    return names;
+  }
+  if (!schema || typeof schema !== 'object') {
+    return names;
+  }
+
+  if (typeof schema.$ref === 'string') {
+    if (seen.has(schema.$ref)) return names;
+    seen.add(schema.$ref);
+
+    if (schema.$ref.startsWith(COMPONENT_SCHEMA_PREFIX)) {
+      names.add(schema.$ref.slice(COMPONENT_SCHEMA_PREFIX.length));
+    }
+    return collectSchemaNames(resolveRef(schema, spec), spec, names, seen);
+  }
+
+  if (typeof schema.$id === 'string') {
+    names.add(schema.$id);
+  }
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (key !== 'example' && key !== 'examples' && key !== 'enum' && key !== 'default') {
+      collectSchemaNames(value, spec, names, seen);
+    }
+  }
+
+  return names;
+};
+
+const contentSchemas = (holder, spec) => {
+  const resolved = resolveRef(holder, spec) || {};
+  return Object.values(resolved.content || {}).map(media => media && media.schema).filter(Boolean);
+};
+
+// An operation requires auth unless its requirements are empty or include an empty, optional one
+const securityOf = (security) => {
+  if (!Array.isArray(security) || security.length === 0) {
+    return { authRequired: false, scopes: [] };
+  }
+
+  const authRequired = !security.some(requirement => !requirement || Object.keys(requirement).length === 0);
+  const scopes = security.flatMap(requirement => Object.values(requirement || {}).filter(Array.isArray).flat());
+
+  return { authRequired, scopes: [...new Set(scopes)] };
+};
+
+// Extract operations as endpoints, with the schemas they accept and return
+exports.extractEndpoints = (spec) => {
+  const endpoints = [];
+
+  for (const [path, pathItemRef] of Object.entries(spec.paths || {})) {
+    const pathItem = resolveRef(pathItemRef, spec) || {};
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const requestSchemas = collectSchemaNames(contentSchemas(operation.requestBody, spec), spec);
+      const responseSchemas = collectSchemaNames(
+        Object.values(operation.responses || {}).flatMap(response => contentSchemas(response, spec)), spec);
+
+      endpoints.push({
+        path,
+        method: method.toUpperCase(),
+        operationId: operation.operationId,
+        summary: operation.summary || operation.description,
+        tags: operation.tags || [],
+        // Operation-level security replaces the document default, including an empty list
+        ...securityOf(operation.security !== undefined ? operation.security : spec.security),
+        requestSchemas: Array.from(requestSchemas),
+        responseSchemas: Array.from(responseSchemas)
+      });
+    }
+  }
+
+  return endpoints;
+};
+
+// Match a concrete path, or a path template, against an OpenAPI path template
+exports.pathMatches = (pathTemplate, path) => {
+  const normalise = (value) => String(value).replace(/\/+$/, '') || '/';
+  const template = normalise(pathTemplate);
+  const candidate = normalise(path);
+
+  return template === candidate || templateMatches(template, candidate);
+};
+
+exports.HTTP_METHODS = HTTP_METHODS;
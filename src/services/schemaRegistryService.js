@@ -0,0 +1,307 @@
+/**
+ * Schema Registry Service
+ *
+ * Reference handling, compilation and version compatibility checks for
+ * JSON Schemas registered as data types.
+ */
+
+const Ajv = require('ajv');
+const Ajv2019 = require('ajv/dist/2019');
+const Ajv2020 = require('ajv/dist/2020');
+
+const COMPATIBILITY_MODES = {
+  BACKWARD: 'backward',
+  FORWARD: 'forward',
+  FULL: 'full',
+  NONE: 'none'
+};
+
+const MAX_COMPARISON_DEPTH = 20;
+
+// Keywords that describe a value without constraining it
+const ANNOTATIONS = ['$id', '$schema', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'];
+
+const BOUNDS = [
+  { keyword: 'minimum', tighter: (reader, writer) => reader > writer },
+  { keyword: 'exclusiveMinimum', tighter: (reader, writer) => reader > writer },
+  { keyword: 'maximum', tighter: (reader, writer) => reader < writer },
+  { keyword: 'exclusiveMaximum', tighter: (reader, writer) => reader < writer },
+  { keyword: 'minLength', tighter: (reader, writer) => reader > writer },
+  { keyword: 'maxLength', tighter: (reader, writer) => reader < writer },
+  { keyword: 'minItems', tighter: (reader, writer) => reader > writer },
+  { keyword: 'maxItems', tighter: (reader, writer) => reader < writer }
+];
+
+// Strip the fragment from a schema URI so "$id#/definitions/x" finds "$id"
+const documentUri = (uri) => String(uri).split('#')[0];
+
+exports.documentUri = documentUri;
+
+// Collect the documents a schema references, resolving relative refs against its $id
+exports.collectExternalRefs = (schema) => {
+  const refs = new Set();
+
+  const walk = (node, baseUri) => {
+    if (Array.isArray(node)) {
+      node.forEach(item => walk(item, baseUri));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    let base = baseUri;
+    if (typeof node.$id === 'string') {
+      try {
+        base = new URL(node.$id, baseUri).href;
+      } catch {
+        base = node.$id;
+      }
+    }
+
+    if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) {
+      let target;
+      try {
+        target = new URL(node.$ref, base).href;
+      } catch {
+        target = node.$ref;
+      }
+
+      const uri = documentUri(target);
+      if (uri && uri !== documentUri(base)) refs.add(uri);
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (key !== 'enum' && key !== 'const' && key !== 'examples' && key !== 'default') {
+        walk(value, base);
+      }
+    });
+  };
+
+  walk(schema, typeof schema.$id === 'string' ? schema.$id : undefined);
+  return Array.from(refs);
+};
+
+// Pick the validator matching the declared dialect
+const createValidator = (schema) => {
+  const dialect = String(schema.$schema || '');
+  const options = { allErrors: true, strict: false, validateFormats: false };
+
+  if (dialect.includes('2020-12')) return new Ajv2020(options);
+  if (dialect.includes('2019-09')) return new Ajv2019(options);
+  return new Ajv(options);
+};
+
+// Compile a schema with the registered schemas it references; throws when it is not valid JSON Schema
+exports.compileSchema = (schema, referencedSchemas = []) => {
+  const ajv = createValidator(schema);
+
+  for (const referenced of referencedSchemas) {
+    if (!ajv.getSchema(referenced.$id)) {
+      ajv.addSchema(referenced);
+    }
+  }
+
+  return ajv.compile(schema);
+};
+
+// Embed referenced schemas under $defs; embedded resources resolve by their $id without rewriting refs
+exports.bundleSchema = (schema, referencedSchemas = []) => {
+  if (referencedSchemas.length === 0) {
+    return schema;
+  }
+
+  const bundled = JSON.parse(JSON.stringify(schema));
+  const usesDefinitions = !bundled.$defs && bundled.definitions && !String(bundled.$schema || '').match(/2019-09|2020-12/);
+  const container = usesDefinitions ? 'definitions' : '$defs';
+
+  bundled[container] = { ...(bundled[container] || {}) };
+  for (const referenced of referencedSchemas) {
+    bundled[container][referenced.$id] = referenced;
+  }
+
+  return bundled;
+};
+
+// Follow a reference inside the same document
+const resolveLocalRef = (node, root, seen = new Set()) => {
+  if (!node || typeof node.$ref !== 'string' || !node.$ref.startsWith('#') || seen.has(node.$ref)) {
+    return node;
+  }
+
+  seen.add(node.$ref);
+  const target = node.$ref.slice(1).split('/').filter(Boolean).reduce((current, segment) =>
+    current && current[decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')], root);
+
+  return target === undefined ? node : resolveLocalRef(target, root, seen);
+};
+
+const typesOf = (schema) => {
+  if (schema.type === undefined) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+};
+
+const acceptsType = (readerTypes, type) => readerTypes.includes(type) ||
+  (type === 'integer' && readerTypes.includes('number'));
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Find ways data valid against `writer` could be rejected by `reader`.
+ * The comparison is structural and errs towards reporting changes.
+ */
+const findIncompatibilities = (readerNode, writerNode, roots, pointer = '', depth = 0) => {
+  const issues = [];
+  const report = (message, at = pointer) => issues.push({ pointer: at || '/', message });
+
+  if (depth > MAX_COMPARISON_DEPTH) return issues;
+
+  const reader = resolveLocalRef(readerNode, roots.reader);
+  const writer = resolveLocalRef(writerNode, roots.writer);
+
+  if (reader === true || reader === undefined || writer === false) return issues;
+  if (reader === false) {
+    report('Schema no longer accepts any value');
+    return issues;
+  }
+  if (writer === true || writer === undefined) {
+    if (Object.keys(reader).some(key => !ANNOTATIONS.includes(key))) {
+      report('Schema now constrains values that were previously unconstrained');
+    }
+    return issues;
+  }
+
+  // References to other documents are compared by identity
+  if (typeof reader.$ref === 'string' || typeof writer.$ref === 'string') {
+    if (reader.$ref !== writer.$ref) {
+      report(`Reference changed from ${writer.$ref || 'an inline schema'} to ${reader.$ref || 'an inline schema'}`);
+    }
+    return issues;
+  }
+
+  // Combinators: every writer alternative must be accepted by some reader alternative
+  const readerOptions = reader.anyOf || reader.oneOf;
+  const writerOptions = writer.anyOf || writer.oneOf;
+  if (readerOptions || writerOptions) {
+    const candidates = readerOptions || [reader];
+    (writerOptions || [writer]).forEach((option, index) => {
+      const accepted = candidates.some(candidate =>
+        findIncompatibilities(candidate, option, roots, pointer, depth + 1).length === 0);
+      if (!accepted) {
+        report(`Alternative ${index} is no longer accepted`,
+          writerOptions ? `${pointer}/${writer.anyOf ? 'anyOf' : 'oneOf'}/${index}` : pointer);
+      }
+    });
+    return issues;
+  }
+
+  for (const part of reader.allOf || []) {
+    issues.push(...findIncompatibilities(part, writer, roots, pointer, depth + 1));
+  }
+
+  const readerTypes = typesOf(reader);
+  const writerTypes = typesOf(writer);
+  if (readerTypes) {
+    if (!writerTypes) {
+      report(`Type is now restricted to ${readerTypes.join(', ')}`);
+    } else {
+      const removed = writerTypes.filter(type => !acceptsType(readerTypes, type));
+      if (removed.length > 0) report(`Type no longer accepts ${removed.join(', ')}`);
+    }
+  }
+
+  if (reader.enum) {
+    const removed = writer.enum ? writer.enum.filter(value => !reader.enum.some(allowed => sameValue(allowed, value))) : null;
+    if (!removed) {
+      report('Values are now restricted to an enumeration');
+    } else if (removed.length > 0) {
+      report(`Enum no longer accepts ${removed.map(value => JSON.stringify(value)).join(', ')}`);
+    }
+  }
+
+  if (reader.const !== undefined && !sameValue(reader.const, writer.const)) {
+    report(`Value is now fixed to ${JSON.stringify(reader.const)}`);
+  }
+
+  for (const { keyword, tighter } of BOUNDS) {
+    if (reader[keyword] === undefined || typeof reader[keyword] !== 'number') continue;
+    if (writer[keyword] === undefined || tighter(reader[keyword], writer[keyword])) {
+      report(`${keyword} tightened to ${reader[keyword]}`);
+    }
+  }
+
+  if (reader.pattern && reader.pattern !== writer.pattern) {
+    report(`Pattern changed to ${reader.pattern}`);
+  }
+  if (reader.format && reader.format !== writer.format) {
+    report(`Format changed to ${reader.format}`);
+  }
+
+  // Object properties
+  const writerRequired = writer.required || [];
+  for (const name of reader.required || []) {
+    if (!writerRequired.includes(name)) {
+      report(`Property ${name} is now required`, `${pointer}/required`);
+    }
+  }
+
+  const readerProperties = reader.properties || {};
+  const writerProperties = writer.properties || {};
+  for (const [name, writerProperty] of Object.entries(writerProperties)) {
+    const propertyPointer = `${pointer}/properties/${name}`;
+
+    if (readerProperties[name] !== undefined) {
+      issues.push(...findIncompatibilities(readerProperties[name], writerProperty, roots, propertyPointer, depth + 1));
+    } else if (reader.additionalProperties === false) {
+      report(`Property ${name} is no longer allowed`, propertyPointer);
+    } else if (reader.additionalProperties && typeof reader.additionalProperties === 'object') {
+      issues.push(...findIncompatibilities(reader.additionalProperties, writerProperty, roots, propertyPointer, depth + 1));
+    }
+  }
+
+  if (reader.additionalProperties === false && writer.additionalProperties !== false) {
+    report('Additional properties are no longer allowed', `${pointer}/additionalProperties`);
+  }
+
+  // Array items
+  if (reader.items !== undefined && !Array.isArray(reader.items) && !Array.isArray(writer.items)) {
+    issues.push(...findIncompatibilities(reader.items, writer.items, roots, `${pointer}/items`, depth + 1));
+  }
+
+  return issues;
+};
+
+// Check a new schema version against the previous one under a compatibility mode
+exports.checkCompatibility = (previousSchema, nextSchema, mode = COMPATIBILITY_MODES.BACKWARD) => {
+  const issues = [];
+
+  // Backward: consumers using the new schema can read data written with the old one
+  if (mode === COMPATIBILITY_MODES.BACKWARD || mode === COMPATIBILITY_MODES.FULL) {
+    issues.push(...findIncompatibilities(nextSchema, previousSchema, { reader: nextSchema, writer: previousSchema })
+      .map(issue => ({ ...issue, direction: COMPATIBILITY_MODES.BACKWARD })));
+  }
+
+  // Forward: consumers still on the old schema can read data written with the new one
+  if (mode === COMPATIBILITY_MODES.FORWARD || mode === COMPATIBILITY_MODES.FULL) {
+    issues.push(...findIncompatibilities(previousSchema, nextSchema, { reader: previousSchema, writer: nextSchema })
+      .map(issue => ({ ...issue, direction: COMPATIBILITY_MODES.FORWARD })));
+  }
+
+  return { mode, compatible: issues.length === 0, issues };
+};
+
+// Parse a declared data type: a schema $id, "name" or "name@range"
+exports.parseDataType = (dataType) => {
+  const value = String(dataType).trim();
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+    return { schemaId: documentUri(value) };
+  }
+
+  const at = value.lastIndexOf('@');
+  if (at > 0) {
+    return { name: value.slice(0, at), range: value.slice(at + 1) };
+  }
+
+  return { name: value, range: null };
+};
+
+exports.COMPATIBILITY_MODES = COMPATIBILITY_MODES;
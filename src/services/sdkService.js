@@ -0,0 +1,541 @@
+/**
+ * SDK Generation Service
+ *
+ * Generates downloadable client packages from stored OpenAPI documents.
+ * Packages are cached on disk by the content hash of the specification.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const winston = require('winston');
+const { createTarball } = require('../utils/tarball');
+const { contentHash } = require('../utils/canonicalJson');
+
+const CACHE_DIR = process.env.SDK_CACHE_DIR || path.join(__dirname, '../../cache/sdk');
+
+// Bump when generator output changes so stale cached packages are not served
+const GENERATOR_VERSION = '2';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+// Naming helpers
+function words(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+function pascalCase(value) {
+  const result = words(value).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  return /^[0-9]/.test(result) ? `_${result}` : result || 'Unnamed';
+}
+
+function camelCase(value) {
+  const result = pascalCase(value);
+  return result[0] === '_' ? result : result[0].toLowerCase() + result.slice(1);
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function packageName(serviceName) {
+  return `${String(serviceName).toLowerCase().replace(/[^a-z0-9-]+/g, '-')}-client`;
+}
+
+function refName(ref) {
+  return pascalCase(ref.split('/').pop());
+}
+
+function jsonSchemaOf(content) {
+  if (!content) return null;
+  const mediaType = Object.keys(content).find(type => type.includes('json'));
+  return mediaType ? content[mediaType].schema || null : null;
+}
+
+// Flatten paths into one entry per operation
+function collectOperations(spec) {
+  const operations = [];
+  const usedNames = new Set();
+
+  for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      let name = camelCase(operation.operationId || `${method} ${route.replace(/\{([^}]+)\}/g, 'by $1')}`);
+      while (usedNames.has(name)) name = `${name}_`;
+      usedNames.add(name);
+
+      const parameters = {};
+      for (const param of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+        if (param && param.name && param.in && param.in !== 'cookie') {
+          parameters[`${param.in}:${param.name}`] = param;
+        }
+      }
+
+      const successStatus = Object.keys(operation.responses || {})
+        .find(status => /^2\d\d$/.test(status));
+
+      operations.push({
+        name,
+        method: method.toUpperCase(),
+        path: route,
+        summary: operation.summary || operation.description,
+        deprecated: !!operation.deprecated,
+        parameters: Object.values(parameters),
+        bodySchema: operation.requestBody ? jsonSchemaOf(operation.requestBody.content) || {} : null,
+        bodyRequired: !!operation.requestBody?.required,
+        responseSchema: successStatus ? jsonSchemaOf(operation.responses[successStatus].content) : null
+      });
+    }
+  }
+
+  return operations;
+}
+
+// Map an OpenAPI schema onto a TypeScript type expression
+function tsType(schema, indent = '') {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+
+  let type;
+
+  if (schema.$ref) {
+    type = refName(schema.$ref);
+  } else if (Array.isArray(schema.enum)) {
+    type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  } else if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf || schema.anyOf).map(item => tsType(item, indent)).join(' | ');
+  } else if (schema.allOf) {
+    type = schema.allOf.map(item => tsType(item, indent)).join(' & ');
+  } else if (schema.type === 'string') {
+    type = 'string';
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number';
+  } else if (schema.type === 'boolean') {
+    type = 'boolean';
+  } else if (schema.type === 'array') {
+    type = `Array<${tsType(schema.items, indent)}>`;
+  } else if (schema.type === 'object' || schema.properties) {
+    const required = schema.required || [];
+    const lines = Object.entries(schema.properties || {}).map(([name, property]) =>
+      `${indent}  ${propertyKey(name)}${required.includes(name) ? '' : '?'}: ${tsType(property, indent + '  ')};`
+    );
+
+    if (schema.additionalProperties) {
+      const valueType = schema.additionalProperties === true ? 'unknown' : tsType(schema.additionalProperties, indent + '  ');
+      lines.push(`${indent}  [key: string]: ${valueType};`);
+    }
+
+    type = lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : 'Record<string, unknown>';
+  } else {
+    type = 'unknown';
+  }
+
+  return schema.nullable ? `${type} | null` : type;
+}
+
+const COMPONENT_SCHEMA_PREFIX = '#/components/schemas/';
+
+// Leaves room for a suffix and extension within a tarball entry's 100-byte name field
+const MAX_SCHEMA_FILE_BASE = 90;
+
+// Component schema names are arbitrary strings; give each a file name that stays inside schemas/
+function schemaFileNames(names) {
+  const files = new Map();
+  const used = new Set();
+
+  for (const name of names) {
+    const base = name.replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\./, '_').slice(0, MAX_SCHEMA_FILE_BASE) || '_';
+    let file = `${base}.json`;
+    // Compared case-insensitively so packages unpack on any filesystem
+    for (let suffix = 2; used.has(file.toLowerCase()); suffix++) {
+      file = `${base}-${suffix}.json`;
+    }
+
+    used.add(file.toLowerCase());
+    files.set(name, file);
+  }
+
+  return files;
+}
+
+// Convert an OpenAPI schema object into standalone JSON Schema, with component references
+// pointing at the files holding them
+function toJsonSchema(schema, files) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => toJsonSchema(item, files));
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === '$ref' && typeof value === 'string' && value.startsWith(COMPONENT_SCHEMA_PREFIX)) {
+      const name = value.slice(COMPONENT_SCHEMA_PREFIX.length).replace(/~1/g, '/').replace(/~0/g, '~');
+      result.$ref = files.get(name) || value;
+    } else if (['nullable', 'discriminator', 'xml', 'externalDocs', 'example', 'readOnly', 'writeOnly'].includes(key)) {
+      continue;
+    } else {
+      result[key] = toJsonSchema(value, files);
+    }
+  }
+
+  if (schema.nullable && typeof schema.type === 'string') {
+    result.type = [schema.type, 'null'];
+    if (Array.isArray(result.enum) && !result.enum.includes(null)) {
+      result.enum = [...result.enum, null];
+    }
+  }
+
+  if (schema.example !== undefined) {
+    result.examples = [schema.example];
+  }
+
+  return result;
+}
+
+// Specification text as comment lines: split on every line terminator, with `*/` broken up
+// so the text can never close the comment and run as code
+function commentLines(text) {
+  return String(text).split(/\r\n|[\r\n\u2028\u2029]/).map(line => line.replace(/\*\//g, '*\\/'));
+}
+
+function docComment(operation, indent) {
+  const lines = [];
+  if (operation.summary) lines.push(...commentLines(operation.summary));
+  lines.push(...commentLines(`${operation.method} ${operation.path}`));
+  if (operation.deprecated) lines.push('@deprecated');
+  return `${indent}/**\n${lines.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */`;
+}
+
+// Request plumbing shared by the JavaScript and TypeScript clients
+function requestArguments(operation) {
+  const byLocation = { path: [], query: [], header: [] };
+  for (const param of operation.parameters) {
+    if (byLocation[param.in]) {
+      byLocation[param.in].push(`${JSON.stringify(param.name)}: params[${JSON.stringify(param.name)}]`);
+    }
+  }
+
+  const args = ['path', 'query', 'header'].map(location => {
+    const key = location === 'header' ? 'headers' : location;
+    return byLocation[location].length > 0 ? `${key}: { ${byLocation[location].join(', ')} }` : `${key}: {}`;
+  });
+  if (operation.bodySchema) args.push('body');
+
+  return args.join(',\n      ');
+}
+
+const REQUEST_METHOD_BODY = `    const url = new URL(this.baseUrl.replace(/\\/$/, '') +
+      route.replace(/\\{([^}]+)\\}/g, (match, name) => encodeURIComponent(path[name])));
+
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, String(value));
+      }
+    }
+
+    const requestHeaders = { Accept: 'application/json', ...this.headers };
+    for (const [key, value] of Object.entries(headers)) {
+      if (value !== undefined && value !== null) {
+        requestHeaders[key] = String(value);
+      }
+    }
+    if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+    }
+
+    const response = await this.fetch(url.toString(), {
+      method,
+      headers: requestHeaders,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    const data = text && isJson ? JSON.parse(text) : text || undefined;
+
+    if (!response.ok) {
+      const error = new Error(\`\${method} \${route} failed with status \${response.status}\`);
+      error.status = response.status;
+      error.body = data;
+      throw error;
+    }
+
+    return data;`;
+
+function generateJavaScript(spec, context) {
+  const className = `${pascalCase(context.serviceName)}Client`;
+  const operations = collectOperations(spec);
+
+  const methods = operations.map(operation => {
+    const signature = operation.bodySchema ? 'params = {}, body' : 'params = {}';
+    return `${docComment(operation, '  ')}
+  async ${operation.name}(${signature}) {
+    return this.request(${JSON.stringify(operation.method)}, ${JSON.stringify(operation.path)}, {
+      ${requestArguments(operation)}
+    });
+  }`;
+  });
+
+  const source = `'use strict';
+
+// Generated by API Registry from ${commentLines(`${context.serviceName}@${context.version}`).join(' ')}. Do not edit.
+
+const DEFAULT_BASE_URL = ${JSON.stringify(context.baseUrl)};
+
+class ${className} {
+  constructor({ baseUrl = DEFAULT_BASE_URL, headers = {}, fetch: fetchImpl } = {}) {
+    this.baseUrl = baseUrl;
+    this.headers = headers;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  async request(method, route, { path = {}, query = {}, headers = {}, body } = {}) {
+${REQUEST_METHOD_BODY}
+  }
+
+${methods.join('\n\n')}
+}
+
+module.exports = { ${className}, DEFAULT_BASE_URL };
+`;
+
+  return [
+    { path: 'index.js', content: source },
+    {
+      path: 'package.json',
+      content: JSON.stringify({
+        name: packageName(context.serviceName),
+        version: context.version,
+        description: `Generated JavaScript client for ${spec.info?.title || context.serviceName}`,
+        main: 'index.js',
+        engines: { node: '>=18.0.0' }
+      }, null, 2) + '\n'
+    }
+  ];
+}
+
+function generateTypeScript(spec, context) {
+  const className = `${pascalCase(context.serviceName)}Client`;
+  const operations = collectOperations(spec);
+
+  const schemaTypes = Object.entries(spec.components?.schemas || {}).map(([name, schema]) =>
+    `export type ${pascalCase(name)} = ${tsType(schema)};`
+  );
+
+  const operationTypes = [];
+
+  // Inline request and response schemas get named aliases to keep signatures readable
+  const namedType = (schema, name) => {
+    if (!schema) return 'unknown';
+    if (schema.$ref) return tsType(schema);
+    operationTypes.push(`export type ${name} = ${tsType(schema)};`);
+    return name;
+  };
+
+  const methods = operations.map(operation => {
+    const paramsType = `${pascalCase(operation.name)}Params`;
+    const fields = operation.parameters.map(param =>
+      `  ${propertyKey(param.name)}${param.required ? '' : '?'}: ${tsType(param.schema, '  ')};`
+    );
+    operationTypes.push(fields.length > 0
+      ? `export interface ${paramsType} {\n${fields.join('\n')}\n}`
+      : `export type ${paramsType} = Record<string, never>;`);
+
+    const paramsRequired = operation.parameters.some(param => param.required);
+    const signature = [
+      paramsRequired ? `params: ${paramsType}` : `params: ${paramsType} = {} as ${paramsType}`
+    ];
+    if (operation.bodySchema) {
+      const bodyType = namedType(operation.bodySchema, `${pascalCase(operation.name)}Body`);
+      signature.push(`body${operation.bodyRequired ? '' : '?'}: ${bodyType}`);
+    }
+
+    const returnType = namedType(operation.responseSchema, `${pascalCase(operation.name)}Response`);
+
+    return `${docComment(operation, '  ')}
+  async ${operation.name}(${signature.join(', ')}): Promise<${returnType}> {
+    return this.request(${JSON.stringify(operation.method)}, ${JSON.stringify(operation.path)}, {
+      ${requestArguments(operation)}
+    }) as Promise<${returnType}>;
+  }`;
+  });
+
+  const source = `// Generated by API Registry from ${commentLines(`${context.serviceName}@${context.version}`).join(' ')}. Do not edit.
+
+export const DEFAULT_BASE_URL = ${JSON.stringify(context.baseUrl)};
+
+${schemaTypes.join('\n\n')}
+
+${operationTypes.join('\n\n')}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+}
+
+interface RequestOptions {
+  path?: Record<string, unknown>;
+  query?: Record<string, unknown>;
+  headers?: Record<string, unknown>;
+  body?: unknown;
+}
+
+export class ApiError extends Error {
+  status?: number;
+  body?: unknown;
+}
+
+export class ${className} {
+  private readonly baseUrl: string;
+  private readonly headers: Record<string, string>;
+  private readonly fetch: typeof fetch;
+
+  constructor({ baseUrl = DEFAULT_BASE_URL, headers = {}, fetch: fetchImpl }: ClientOptions = {}) {
+    this.baseUrl = baseUrl;
+    this.headers = headers;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  async request(method: string, route: string, { path = {}, query = {}, headers = {}, body }: RequestOptions = {}): Promise<unknown> {
+${REQUEST_METHOD_BODY
+    .replace('const requestHeaders = {', 'const requestHeaders: Record<string, string> = {')
+    .replace('(match, name) => encodeURIComponent(path[name])', '(match: string, name: string) => encodeURIComponent(String(path[name]))')
+    .replace('const error = new Error(', 'const error = new ApiError(')}
+  }
+
+${methods.join('\n\n')}
+}
+`;
+
+  return [
+    { path: 'src/index.ts', content: source },
+    {
+      path: 'package.json',
+      content: JSON.stringify({
+        name: packageName(context.serviceName),
+        version: context.version,
+        description: `Generated TypeScript client for ${spec.info?.title || context.serviceName}`,
+        main: 'dist/index.js',
+        types: 'dist/index.d.ts',
+        scripts: { build: 'tsc' },
+        devDependencies: { typescript: '^5.0.0' }
+      }, null, 2) + '\n'
+    },
+    {
+      path: 'tsconfig.json',
+      content: JSON.stringify({
+        compilerOptions: {
+          target: 'ES2020',
+          module: 'commonjs',
+          lib: ['ES2020', 'DOM'],
+          declaration: true,
+          outDir: 'dist',
+          strict: true
+        },
+        include: ['src']
+      }, null, 2) + '\n'
+    }
+  ];
+}
+
+function generateJsonSchema(spec, context) {
+  const schemas = spec.components?.schemas || {};
+  const baseId = `${context.registryUrl}/sdk/${context.serviceName}/${context.version}/json-schema`;
+
+  const schemaFiles = schemaFileNames(Object.keys(schemas));
+
+  const files = Object.entries(schemas).map(([name, schema]) => ({
+    path: `schemas/${schemaFiles.get(name)}`,
+    content: JSON.stringify({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      $id: `${baseId}/schemas/${schemaFiles.get(name)}`,
+      title: name,
+      ...toJsonSchema(schema, schemaFiles)
+    }, null, 2) + '\n'
+  }));
+
+  files.push({
+    path: 'index.json',
+    content: JSON.stringify({
+      service: context.serviceName,
+      version: context.version,
+      schemas: Object.keys(schemas).map(name => ({ name, file: `schemas/${schemaFiles.get(name)}` }))
+    }, null, 2) + '\n'
+  });
+
+  return files;
+}
+
+const GENERATORS = {
+  javascript: generateJavaScript,
+  typescript: generateTypeScript,
+  'json-schema': generateJsonSchema
+};
+
+exports.SUPPORTED_LANGUAGES = Object.keys(GENERATORS);
+
+// Generate (or load from cache) an SDK package for a specification
+exports.generateSdk = async ({ specification, serviceName, version, baseUrl, registryUrl }, language) => {
+  const generate = GENERATORS[language];
+  if (!generate) {
+    throw new Error(`Unsupported SDK language: ${language}`);
+  }
+
+  const context = {
+    serviceName,
+    version,
+    baseUrl: specification.servers?.[0]?.url || baseUrl || '',
+    registryUrl: registryUrl || ''
+  };
+
+  const hash = contentHash({ generator: GENERATOR_VERSION, language, context, specification });
+  const filename = `${serviceName}-${version}-${language}.tgz`;
+  const cachePath = path.join(CACHE_DIR, `${hash}.tgz`);
+
+  if (fs.existsSync(cachePath)) {
+    logger.info(`Serving cached SDK for ${serviceName}@${version} (${language})`);
+    return { filename, hash, cached: true, buffer: fs.readFileSync(cachePath) };
+  }
+
+  const files = generate(specification, context);
+  files.push({
+    path: 'README.md',
+    content: `# ${packageName(serviceName)}\n\n` +
+      `Generated ${language} client for ${specification.info?.title || serviceName} version ${version}.\n\n` +
+      `Generated by API Registry from specification hash \`${hash}\`. Do not edit by hand.\n`
+  });
+
+  const buffer = createTarball(files.map(file => ({ ...file, path: `package/${file.path}` })));
+
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cachePath, buffer);
+  } catch (error) {
+    logger.error(`Failed to cache SDK package: ${error.message}`, { error: error.stack });
+    // Serve the freshly generated package even if caching fails
+  }
+
+  logger.info(`Generated SDK for ${serviceName}@${version} (${language})`, { hash, size: buffer.length });
+  return { filename, hash, cached: false, buffer };
+};
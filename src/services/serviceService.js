@@ -1,5 +1,8 @@
-// Update service details (fields other than status)
 const winston = require('winston');
+const { storage } = require('../database/storage');
+const { AUTHENTICATION_TYPES, SERVICE_CATEGORIES } = require('../database/models');
+
+// Configure logger
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
     format: winston.format.combine(
@@ -12,152 +15,91 @@ const logger = winston.createLogger({
     ]
 });
 
-exports.updateServiceDetails = async (serviceName, updates) => {
-    logger.info(`[serviceService] updateServiceDetails called for serviceName: '${serviceName}'`);
-    const filePath = getServiceFilePath(serviceName);
-    logger.info(`[serviceService] Resolved filePath: ${filePath}`);
-    const service = await exports.getService(serviceName);
-    if (!service) {
-        logger.warn(`[serviceService] No service found at: ${filePath}`);
-        return null;
-    }
-
-    // Only update allowed fields
-    const allowedFields = ['description', 'baseUrl', 'healthCheckUrl', 'status', 'owner', 'documentation'];
-    for (const key of allowedFields) {
-        if (updates[key] !== undefined) {
-            service[key] = updates[key];
-        }
-    }
-    service.updatedAt = new Date().toISOString();
-
-    fs.writeFileSync(filePath, JSON.stringify(service, null, 2));
+// Services are addressed by name here; soft-deleted ones are not visible
+const byName = (serviceName) => ({ name: serviceName, deletedAt: { $exists: false } });
+
+// Present a stored service in the simple shape this API has always returned
+const toServiceRecord = (service) => ({
+    id: service._id.toString(),
+    name: service.name,
+    description: service.description || '',
+    baseUrl: service.baseUrl,
+    healthCheckUrl: service.healthCheckUrl || '',
+    status: service.status,
+    owner: (service.registeredBy && service.registeredBy.name) || '',
+    documentation: (service.contactInfo && service.contactInfo.documentationUrl) || '',
+    createdAt: service.createdAt,
+    updatedAt: service.updatedAt
+});
 
-    return service;
+// Map the simple fields onto the service model
+const toServiceFields = (updates) => {
+    const fields = {};
+    if (updates.description !== undefined) fields.description = updates.description;
+    if (updates.baseUrl !== undefined) fields.baseUrl = updates.baseUrl;
+    if (updates.healthCheckUrl !== undefined) fields.healthCheckUrl = updates.healthCheckUrl;
+    if (updates.status !== undefined) fields.status = updates.status;
+    if (updates.owner !== undefined) fields['registeredBy.name'] = updates.owner;
+    if (updates.documentation !== undefined) fields['contactInfo.documentationUrl'] = updates.documentation;
+    return fields;
 };
-const path = require('path');
-const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
-
-const SERVICES_DIR = path.join(__dirname, '../../storage/services');
-
-// Ensure services directory exists
-if (!fs.existsSync(SERVICES_DIR)) {
-    fs.mkdirSync(SERVICES_DIR, { recursive: true });
-}
-
-// Helper to get service file path
-function getServiceFilePath(serviceName) {
-    return path.join(SERVICES_DIR, `${serviceName}.json`);
-}
 
-// Save service (register or update)
+// Save service (register)
 exports.saveService = async (serviceData) => {
     const { name } = serviceData;
 
     // Check if service already exists
-    const existingService = await exports.getService(name);
+    const existingService = await storage.services.findOne(byName(name));
     if (existingService) {
         const error = new Error(`Service '${name}' already exists`);
         error.code = 'service/already-exists';
         throw error;
     }
 
-    const id = uuidv4();
-    const now = new Date().toISOString();
-
-    const serviceDetails = {
-        id,
+    // The model requires discovery metadata this API doesn't collect, so use neutral defaults
+    const service = await storage.services.create({
         name,
-        description: serviceData.description || '',
+        displayName: name,
+        description: serviceData.description || name,
+        category: SERVICE_CATEGORIES.OTHER,
         baseUrl: serviceData.baseUrl,
-        healthCheckUrl: serviceData.healthCheckUrl || '',
+        healthCheckUrl: serviceData.healthCheckUrl || `${serviceData.baseUrl.replace(/\/$/, '')}/health`,
+        authentication: { type: AUTHENTICATION_TYPES.SOLID_OIDC },
         status: serviceData.status || 'active',
-        owner: serviceData.owner || '',
-        documentation: serviceData.documentation || '',
-        createdAt: now,
-        updatedAt: now
-    };
-
-    const filePath = getServiceFilePath(name);
-    fs.writeFileSync(filePath, JSON.stringify(serviceDetails, null, 2));
+        registeredBy: { name: serviceData.owner || '' },
+        contactInfo: { documentationUrl: serviceData.documentation || '' }
+    });
 
-    return serviceDetails;
+    logger.info(`[serviceService] Service saved: ${name}`);
+    return toServiceRecord(service);
 };
 
 // Get service by name
 exports.getService = async (serviceName) => {
-    const filePath = getServiceFilePath(serviceName);
-    if (!fs.existsSync(filePath)) return null;
-
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const service = await storage.services.findOne(byName(serviceName));
+    return service ? toServiceRecord(service) : null;
 };
 
 // List all services with optional filters
 exports.listServices = async (filters = {}) => {
-    if (!fs.existsSync(SERVICES_DIR)) return [];
+    const query = { deletedAt: { $exists: false } };
+    if (filters.status) query.status = filters.status;
+    if (filters.owner) query['registeredBy.name'] = filters.owner;
 
-    const files = fs.readdirSync(SERVICES_DIR)
-        .filter(f => f.endsWith('.json'));
-
-    // Winston logger at the top
-    const winston = require('winston');
-    const logger = winston.createLogger({
-        level: process.env.LOG_LEVEL || 'info',
-        format: winston.format.combine(
-            winston.format.timestamp(),
-            winston.format.json()
-        ),
-        transports: [
-            new winston.transports.Console(),
-            new winston.transports.File({ filename: 'logs/api-registry.log' })
-        ]
-    });
-
-    // Top-level debug log to confirm file load
-    logger.info('[serviceService] serviceService.js loaded');
-
-    // Update service details (fields other than status)
-    const services = files.map(file => {
-        const filePath = path.join(SERVICES_DIR, file);
-        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    });
-
-    // Apply filters
-    return services.filter(service => {
-        // Filter by status if specified
-        if (filters.status && service.status !== filters.status) {
-            return false;
-        }
-
-        // Filter by owner if specified
-        if (filters.owner && service.owner !== filters.owner) {
-            return false;
-        }
-
-        return true;
-    });
+    const services = await storage.services.find(query, { sort: { name: 1 } });
+    return services.map(toServiceRecord);
 };
 
-// Update service status
+// Update service details (fields other than name)
 exports.updateServiceDetails = async (serviceName, updates) => {
-    const filePath = getServiceFilePath(serviceName);
-    const service = await exports.getService(serviceName);
+    const service = await storage.services.updateOne(byName(serviceName), { $set: toServiceFields(updates) });
     if (!service) {
-        logger.warn(`[serviceService] No service found at: ${filePath}`);
+        logger.warn(`[serviceService] No service found: ${serviceName}`);
         return null;
     }
 
-    // Only update allowed fields
-    const allowedFields = ['description', 'baseUrl', 'healthCheckUrl', 'status', 'owner', 'documentation'];
-    for (const key of allowedFields) {
-        if (updates[key] !== undefined) {
-            service[key] = updates[key];
-        }
-    }
-    service.updatedAt = new Date().toISOString();
-
-    fs.writeFileSync(filePath, JSON.stringify(service, null, 2));
-
-    return service;
+    return toServiceRecord(service);
 };
+
+// Update service status
+exports.updateServiceStatus = async (serviceName, status) => exports.updateServiceDetails(serviceName, { status });
@@ -0,0 +1,219 @@
+/**
+ * Specification Bundle Service
+ *
+ * Resolves $refs so specifications can be served as single documents, and
+ * bundles multi-file specifications uploaded as zip archives.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { crc32, Constants: ZIP_CONSTANTS } = require('adm-zip/util');
+const SwaggerParser = require('@apidevtools/swagger-parser');
+
+// Archives are read in memory, so bound what they may expand to
+const ARCHIVE_LIMITS = {
+  maxFiles: 200,
+  maxUncompressedBytes: 20 * 1024 * 1024
+};
+
+const SPEC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Conventional names for the root document, in order of preference
+const ENTRY_NAMES = ['openapi', 'swagger', 'api', 'index', 'main'];
+
+// Extracted files are resolved under a virtual directory; nothing touches the filesystem
+const ARCHIVE_ROOT = '/archive/';
+
+const clone = (spec) => JSON.parse(JSON.stringify(spec));
+
+exports.isZipArchive = (file) => {
+  if (!file) return false;
+
+  return file.originalname.toLowerCase().endsWith('.zip') ||
+    file.mimetype === 'application/zip' ||
+    file.mimetype === 'application/x-zip-compressed' ||
+    (file.buffer && file.buffer.length > 3 && file.buffer.readUInt32LE(0) === 0x04034b50);
+};
+
+const archiveLimitError = () => new Error(`Archive exceeds ${ARCHIVE_LIMITS.maxFiles} files or ` +
+  `${ARCHIVE_LIMITS.maxUncompressedBytes / (1024 * 1024)}MB uncompressed`);
+
+// Inflate an entry within the bytes left of the limit; the sizes an archive declares are not trusted
+const readEntry = (entry, name, remainingBytes) => {
+  if (entry.header.encrypted) {
+    throw new Error(`Archive entry ${name} is encrypted`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let data = compressed;
+  if (entry.header.method === ZIP_CONSTANTS.DEFLATED) {
+    try {
+      // Empty files may be stored as deflated without any data
+      if (compressed.length > 0) {
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, remainingBytes) });
+      }
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw archiveLimitError();
+      throw new Error(`Failed to inflate archive entry ${name}: ${err.message}`);
+    }
+  } else if (entry.header.method !== ZIP_CONSTANTS.STORED) {
+    throw new Error(`Archive entry ${name} uses an unsupported compression method`);
+  }
+
+  if (data.length > remainingBytes) {
+    throw archiveLimitError();
+  }
+  if ((crc32(data) >>> 0) !== (entry.header.crc >>> 0)) {
+    throw new Error(`Archive entry ${name} failed its CRC check`);
+  }
+  return data;
+};
+
+// Read the specification files in an archive, keyed by their normalised relative path
+const extractArchive = (buffer) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (err) {
+    throw new Error(`Failed to read zip archive: ${err.message}`);
+  }
+
+  const files = {};
+  let totalBytes = 0;
+
+  for (const entry of entries) {
+    if (entry.isDirectory) continue;
+
+    const name = entry.entryName.replace(/\\/g, '/');
+    const normalised = path.posix.normalize(name);
+
+    // Reject entries that would escape the archive root
+    if (normalised.startsWith('../') || normalised.startsWith('/') || /^[a-z]:/i.test(normalised)) {
+      throw new Error(`Archive entry ${name} is outside the archive root`);
+    }
+
+    // Skip metadata folders and hidden files added by archivers
+    if (normalised.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX')) continue;
+    if (!SPEC_EXTENSIONS.includes(path.posix.extname(normalised).toLowerCase())) continue;
+
+    if (Object.keys(files).length >= ARCHIVE_LIMITS.maxFiles) {
+      throw archiveLimitError();
+    }
+
+    const data = readEntry(entry, name, ARCHIVE_LIMITS.maxUncompressedBytes - totalBytes);
+    totalBytes += data.length;
+    files[normalised] = data.toString('utf8');
+  }
+
+  if (Object.keys(files).length === 0) {
+    throw new Error('Archive contains no JSON or YAML files');
+  }
+
+  return files;
+};
+
+// Pick the root document: the one named, else a conventionally named top-level file, else the only one
+const findEntryFile = (files, entry) => {
+  if (entry) {
+    const normalised = path.posix.normalize(entry.replace(/\\/g, '/')).replace(/^\.\//, '');
+    if (!files[normalised]) {
+      throw new Error(`Entry file ${entry} was not found in the archive`);
+    }
+    return normalised;
+  }
+
+  const paths = Object.keys(files);
+
+  // Archives often wrap everything in a single top-level folder
+  const prefixes = [...new Set(paths.map(file => file.split('/')[0]))];
+  const wrapper = prefixes.length === 1 && paths.every(file => file.includes('/')) ? `${prefixes[0]}/` : '';
+
+  for (const name of ENTRY_NAMES) {
+    for (const extension of SPEC_EXTENSIONS) {
+      if (files[`${wrapper}${name}${extension}`] !== undefined) return `${wrapper}${name}${extension}`;
+    }
+  }
+
+  const topLevel = paths.filter(file => !file.slice(wrapper.length).includes('/'));
+  if (topLevel.length === 1) {
+    return topLevel[0];
+  }
+
+  throw new Error('Could not determine the root specification file; name it openapi.yaml or set "entry"');
+};
+
+// Bundle a zip of specification files into one document with internal $refs only
+exports.bundleArchive = async (buffer, { entry } = {}) => {
+  const files = extractArchive(buffer);
+  const entryFile = findEntryFile(files, entry);
+
+  const options = {
+    resolve: {
+      file: false,
+      http: false,
+      archive: {
+        order: 1,
+        canRead: true,
+        read: (file) => {
+          const relative = decodeURI(file.url).replace(/^file:\/\//, '').slice(ARCHIVE_ROOT.length);
+          if (files[relative] === undefined) {
+            throw new Error(`Referenced file ${relative} was not found in the archive`);
+          }
+          return files[relative];
+        }
+      }
+    }
+  };
+
+  const specification = await SwaggerParser.bundle(`${ARCHIVE_ROOT}${entryFile}`, options);
+
+  return {
+    specification,
+    entry: entryFile,
+    files: Object.keys(files).sort()
+  };
+};
+
+// List $refs that point outside the document
+const externalRefs = (node, refs = new Set()) => {
+  if (Array.isArray(node)) {
+    node.forEach(item => externalRefs(item, refs));
+  } else if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) refs.add(node.$ref);
+    Object.values(node).forEach(value => externalRefs(value, refs));
+  }
+  return refs;
+};
+
+// Stored documents must be self-contained; remote references are never fetched
+const assertSelfContained = (spec) => {
+  const refs = Array.from(externalRefs(spec));
+  if (refs.length > 0) {
+    const error = new Error(`Specification has external references that cannot be resolved: ${refs.join(', ')}`);
+    error.unresolvedReferences = refs;
+    throw error;
+  }
+};
+
+// Bundle a stored specification so every $ref points within the document
+exports.bundleSpec = async (spec) => {
+  assertSelfContained(spec);
+  return SwaggerParser.bundle(clone(spec), { resolve: { external: false } });
+};
+
+// Replace every $ref with its target; circular references are left as $refs
+exports.dereferenceSpec = async (spec) => {
+  assertSelfContained(spec);
+
+  const parser = new SwaggerParser();
+  const specification = await parser.dereference(clone(spec), {
+    resolve: { external: false },
+    dereference: { circular: 'ignore' }
+  });
+
+  return { specification, circular: parser.$refs.circular };
+};
+
+exports.assertSelfContained = assertSelfContained;
+exports.ARCHIVE_LIMITS = ARCHIVE_LIMITS;
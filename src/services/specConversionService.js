@@ -0,0 +1,461 @@
+/**
+ * Specification Conversion Service
+ *
+ * Converts Swagger 2.0 documents to OpenAPI 3.0 on ingest. Constructs
+ * without an OpenAPI 3 equivalent are converted as closely as possible
+ * and reported as warnings with the JSON pointer of the source node.
+ */
+
+const TARGET_VERSION = '3.0.3';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const DEFAULT_MEDIA_TYPE = 'application/json';
+
+// Parameter and header keywords that move into the OpenAPI 3 schema object
+const SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'default', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+  'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'enum', 'multipleOf'
+];
+
+const pointerSegment = (value) => String(value).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+exports.isSwagger2 = (doc) => !!doc && typeof doc === 'object' && typeof doc.swagger === 'string' &&
+  doc.swagger.startsWith('2.');
+
+// Convert a Swagger 2.0 document, returning the OpenAPI 3 document and any lossy-conversion warnings
+exports.convertSwagger2 = (swagger) => {
+  const source = clone(swagger);
+  const warnings = [];
+  const warn = (pointer, message) => warnings.push({ pointer, message });
+
+  // Global body parameters become request bodies, so their references need to know which is which
+  const bodyParameterNames = new Set(Object.entries(source.parameters || {})
+    .filter(([, param]) => param && (param.in === 'body' || param.in === 'formData'))
+    .map(([name]) => name));
+
+  const rewriteRef = (ref) => {
+    if (ref.startsWith('#/definitions/')) {
+      return ref.replace('#/definitions/', '#/components/schemas/');
+    }
+    if (ref.startsWith('#/parameters/')) {
+      const name = ref.slice('#/parameters/'.length);
+      return bodyParameterNames.has(name)
+        ? `#/components/requestBodies/${name}`
+        : `#/components/parameters/${name}`;
+    }
+    if (ref.startsWith('#/responses/')) {
+      return ref.replace('#/responses/', '#/components/responses/');
+    }
+    return ref;
+  };
+
+  const convertSchema = (schema) => {
+    if (Array.isArray(schema)) {
+      return schema.map(convertSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === '$ref' && typeof value === 'string') {
+        result.$ref = rewriteRef(value);
+      } else if (key === 'x-nullable') {
+        result.nullable = value;
+      } else if (key === 'discriminator' && typeof value === 'string') {
+        result.discriminator = { propertyName: value };
+      } else if (key === 'type' && value === 'file') {
+        result.type = 'string';
+        result.format = 'binary';
+      } else if (key === 'properties' && value && typeof value === 'object') {
+        result.properties = {};
+        for (const [name, property] of Object.entries(value)) {
+          result.properties[name] = convertSchema(property);
+        }
+      } else if (['items', 'additionalProperties', 'not', 'allOf', 'anyOf', 'oneOf'].includes(key)) {
+        result[key] = convertSchema(value);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    return result;
+  };
+
+  // Build a schema from the type keywords Swagger 2.0 puts directly on parameters and headers
+  const schemaFromSimple = (node, pointer) => {
+    const schema = {};
+    for (const keyword of SCHEMA_KEYWORDS) {
+      if (node[keyword] !== undefined) {
+        schema[keyword] = keyword === 'items' ? schemaFromSimple(node.items, `${pointer}/items`) : node[keyword];
+      }
+    }
+    if (node.items && node.items.collectionFormat && node.items.collectionFormat !== 'csv') {
+      warn(`${pointer}/items/collectionFormat`,
+        `Nested collectionFormat "${node.items.collectionFormat}" has no OpenAPI 3 equivalent and was dropped`);
+    }
+    return convertSchema(schema);
+  };
+
+  // Map collectionFormat onto style and explode
+  const applyCollectionFormat = (param, converted, pointer) => {
+    const format = param.collectionFormat;
+    if (!format || param.type !== 'array') return;
+
+    const pathOrHeader = param.in === 'path' || param.in === 'header';
+    if (format === 'csv') {
+      converted.style = pathOrHeader ? 'simple' : 'form';
+      converted.explode = false;
+    } else if (format === 'multi' && param.in === 'query') {
+      converted.style = 'form';
+      converted.explode = true;
+    } else if (format === 'ssv' && param.in === 'query') {
+      converted.style = 'spaceDelimited';
+    } else if (format === 'pipes' && param.in === 'query') {
+      converted.style = 'pipeDelimited';
+    } else {
+      warn(`${pointer}/collectionFormat`,
+        `collectionFormat "${format}" on ${param.in} parameter "${param.name}" has no OpenAPI 3 equivalent; ` +
+        'serialisation defaults apply');
+    }
+  };
+
+  const convertParameter = (param, pointer) => {
+    if (param.$ref) {
+      return { $ref: rewriteRef(param.$ref) };
+    }
+
+    const converted = { name: param.name, in: param.in };
+    if (param.description) converted.description = param.description;
+    if (param.required || param.in === 'path') converted.required = true;
+    if (param.allowEmptyValue) converted.allowEmptyValue = true;
+    for (const [key, value] of Object.entries(param)) {
+      if (key.startsWith('x-')) converted[key] = value;
+    }
+
+    converted.schema = schemaFromSimple(param, pointer);
+    applyCollectionFormat(param, converted, pointer);
+
+    return converted;
+  };
+
+  const convertBodyParameter = (param, consumes) => {
+    const content = {};
+    for (const mediaType of consumes) {
+      content[mediaType] = { schema: convertSchema(param.schema || {}) };
+    }
+
+    const requestBody = { content };
+    if (param.description) requestBody.description = param.description;
+    if (param.required) requestBody.required = true;
+    if (param.name) requestBody['x-codegen-request-body-name'] = param.name;
+
+    return requestBody;
+  };
+
+  // formData parameters combine into a single form request body
+  const convertFormParameters = (params, consumes, pointer) => {
+    const hasFile = params.some(param => param.type === 'file');
+    const formTypes = consumes.filter(type =>
+      type === 'multipart/form-data' || type === 'application/x-www-form-urlencoded');
+    const mediaTypes = formTypes.length > 0 ? formTypes : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+    if (hasFile && !mediaTypes.includes('multipart/form-data')) {
+      warn(pointer, 'File upload parameters require multipart/form-data, which the operation does not consume');
+    }
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const param of params) {
+      const property = schemaFromSimple(param, `${pointer}/${pointerSegment(param.name)}`);
+      if (param.description) property.description = param.description;
+      schema.properties[param.name] = property;
+      if (param.required) required.push(param.name);
+
+      if (param.collectionFormat && param.collectionFormat !== 'multi' && param.collectionFormat !== 'csv') {
+        warn(pointer, `collectionFormat "${param.collectionFormat}" on form parameter "${param.name}" was dropped`);
+      }
+    }
+    if (required.length > 0) schema.required = required;
+
+    const content = {};
+    for (const mediaType of mediaTypes) {
+      content[mediaType] = { schema };
+    }
+
+    return { content, ...(required.length > 0 ? { required: true } : {}) };
+  };
+
+  const convertHeaders = (headers, pointer) => {
+    const converted = {};
+    for (const [name, header] of Object.entries(headers || {})) {
+      const headerPointer = `${pointer}/${pointerSegment(name)}`;
+      converted[name] = { schema: schemaFromSimple(header, headerPointer) };
+      if (header.description) converted[name].description = header.description;
+      if (header.collectionFormat && header.collectionFormat !== 'csv') {
+        warn(`${headerPointer}/collectionFormat`,
+          `collectionFormat "${header.collectionFormat}" on header "${name}" has no OpenAPI 3 equivalent`);
+      }
+    }
+    return converted;
+  };
+
+  const convertResponse = (response, produces, pointer) => {
+    if (response.$ref) {
+      return { $ref: rewriteRef(response.$ref) };
+    }
+
+    const converted = { description: response.description || '' };
+
+    if (response.headers) {
+      converted.headers = convertHeaders(response.headers, `${pointer}/headers`);
+    }
+
+    const examples = response.examples || {};
+    if (response.schema) {
+      const schema = convertSchema(response.schema);
+      converted.content = {};
+      for (const mediaType of produces) {
+        converted.content[mediaType] = { schema };
+        if (examples[mediaType] !== undefined) {
+          converted.content[mediaType].example = examples[mediaType];
+        }
+      }
+    }
+
+    for (const mediaType of Object.keys(examples)) {
+      if (!converted.content || !converted.content[mediaType]) {
+        warn(`${pointer}/examples/${pointerSegment(mediaType)}`,
+          `Example for ${mediaType} was dropped because the response has no schema for that media type`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(response)) {
+      if (key.startsWith('x-')) converted[key] = value;
+    }
+
+    return converted;
+  };
+
+  const convertSecurityScheme = (scheme, pointer) => {
+    if (scheme.type === 'basic') {
+      return { type: 'http', scheme: 'basic', ...(scheme.description ? { description: scheme.description } : {}) };
+    }
+    if (scheme.type === 'apiKey') {
+      return clone(scheme);
+    }
+    if (scheme.type === 'oauth2') {
+      const flowNames = {
+        implicit: 'implicit',
+        password: 'password',
+        application: 'clientCredentials',
+        accessCode: 'authorizationCode'
+      };
+      const flowName = flowNames[scheme.flow];
+      if (!flowName) {
+        warn(`${pointer}/flow`, `Unknown OAuth2 flow "${scheme.flow}"`);
+        return { type: 'oauth2', flows: {} };
+      }
+
+      const flow = { scopes: scheme.scopes || {} };
+      if (scheme.authorizationUrl) flow.authorizationUrl = scheme.authorizationUrl;
+      if (scheme.tokenUrl) flow.tokenUrl = scheme.tokenUrl;
+
+      return {
+        type: 'oauth2',
+        ...(scheme.description ? { description: scheme.description } : {}),
+        flows: { [flowName]: flow }
+      };
+    }
+
+    warn(pointer, `Unknown security scheme type "${scheme.type}" was copied unchanged`);
+    return clone(scheme);
+  };
+
+  const buildServers = () => {
+    if (!source.host) {
+      return [{ url: source.basePath || '/' }];
+    }
+
+    let schemes = source.schemes;
+    if (!Array.isArray(schemes) || schemes.length === 0) {
+      schemes = ['https'];
+      warn('/schemes', 'No schemes were declared; https was assumed for the server URL');
+    }
+
+    return schemes.map(scheme => ({ url: `${scheme}://${source.host}${source.basePath || ''}` }));
+  };
+
+  const globalConsumes = source.consumes || [DEFAULT_MEDIA_TYPE];
+  const globalProduces = source.produces || [DEFAULT_MEDIA_TYPE];
+
+  const spec = {
+    openapi: TARGET_VERSION,
+    info: source.info || {},
+    servers: buildServers()
+  };
+
+  for (const key of ['security', 'tags', 'externalDocs']) {
+    if (source[key] !== undefined) spec[key] = source[key];
+  }
+  for (const [key, value] of Object.entries(source)) {
+    if (key.startsWith('x-')) spec[key] = value;
+  }
+
+  const components = {};
+
+  if (source.definitions) {
+    components.schemas = {};
+    for (const [name, schema] of Object.entries(source.definitions)) {
+      components.schemas[name] = convertSchema(schema);
+    }
+  }
+
+  for (const [name, param] of Object.entries(source.parameters || {})) {
+    const pointer = `/parameters/${pointerSegment(name)}`;
+    if (param.in === 'body') {
+      components.requestBodies = components.requestBodies || {};
+      components.requestBodies[name] = convertBodyParameter(param, globalConsumes);
+    } else if (param.in === 'formData') {
+      components.requestBodies = components.requestBodies || {};
+      components.requestBodies[name] = convertFormParameters([param], globalConsumes, pointer);
+      warn(pointer, `Shared form parameter "${name}" became a request body and can no longer be combined with other form fields`);
+    } else {
+      components.parameters = components.parameters || {};
+      components.parameters[name] = convertParameter(param, pointer);
+    }
+  }
+
+  if (source.responses) {
+    components.responses = {};
+    for (const [name, response] of Object.entries(source.responses)) {
+      components.responses[name] = convertResponse(response, globalProduces, `/responses/${pointerSegment(name)}`);
+    }
+  }
+
+  if (source.securityDefinitions) {
+    components.securitySchemes = {};
+    for (const [name, scheme] of Object.entries(source.securityDefinitions)) {
+      components.securitySchemes[name] = convertSecurityScheme(scheme, `/securityDefinitions/${pointerSegment(name)}`);
+    }
+  }
+
+  // Resolve a parameter reference to its definition to find out where it lives
+  const parameterLocation = (param) => {
+    if (!param.$ref) return param.in;
+    const name = param.$ref.replace('#/parameters/', '');
+    return source.parameters && source.parameters[name] ? source.parameters[name].in : undefined;
+  };
+
+  spec.paths = {};
+  for (const [path, pathItem] of Object.entries(source.paths || {})) {
+    const pathPointer = `/paths/${pointerSegment(path)}`;
+    const convertedPath = {};
+    const pathParams = pathItem.parameters || [];
+
+    for (const [key, value] of Object.entries(pathItem)) {
+      if (key.startsWith('x-') || key === 'summary' || key === 'description') {
+        convertedPath[key] = value;
+      } else if (key === '$ref') {
+        convertedPath.$ref = value;
+        warn(`${pathPointer}/$ref`, 'Path item references are copied unchanged and may not resolve');
+      }
+    }
+
+    const sharedParams = pathParams.filter(param => !['body', 'formData'].includes(parameterLocation(param)));
+    if (sharedParams.length > 0) {
+      convertedPath.parameters = sharedParams.map((param, index) =>
+        convertParameter(param, `${pathPointer}/parameters/${index}`));
+    }
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const pointer = `${pathPointer}/${method}`;
+      const consumes = operation.consumes || globalConsumes;
+      const produces = operation.produces || globalProduces;
+      const converted = {};
+
+      for (const [key, value] of Object.entries(operation)) {
+        if (['tags', 'summary', 'description', 'externalDocs', 'operationId', 'deprecated', 'security'].includes(key) ||
+          key.startsWith('x-')) {
+          converted[key] = value;
+        }
+      }
+
+      // Operation parameters override path-level ones with the same name and location
+      const operationParams = operation.parameters || [];
+      const overridden = new Set(operationParams.filter(param => !param.$ref).map(param => `${param.in}:${param.name}`));
+      const inherited = pathParams.filter(param => ['body', 'formData'].includes(parameterLocation(param)) &&
+        (param.$ref || !overridden.has(`${param.in}:${param.name}`)));
+      const allParams = [...inherited, ...operationParams];
+
+      const parameters = [];
+      const formParams = [];
+      let bodyParam = null;
+
+      allParams.forEach((param, index) => {
+        const location = parameterLocation(param);
+        const paramPointer = `${pointer}/parameters/${index}`;
+
+        if (location === 'body') {
+          bodyParam = param;
+        } else if (location === 'formData') {
+          if (param.$ref) {
+            converted.requestBody = { $ref: rewriteRef(param.$ref) };
+          } else {
+            formParams.push(param);
+          }
+        } else {
+          parameters.push(convertParameter(param, paramPointer));
+        }
+      });
+
+      if (parameters.length > 0) {
+        converted.parameters = parameters;
+      }
+
+      if (bodyParam) {
+        converted.requestBody = bodyParam.$ref
+          ? { $ref: rewriteRef(bodyParam.$ref) }
+          : convertBodyParameter(bodyParam, consumes);
+      }
+      if (formParams.length > 0) {
+        if (converted.requestBody) {
+          warn(pointer, 'Operation mixes body and form parameters; the form parameters were dropped');
+        } else {
+          converted.requestBody = convertFormParameters(formParams, consumes, `${pointer}/parameters`);
+        }
+      }
+
+      converted.responses = {};
+      for (const [code, response] of Object.entries(operation.responses || {})) {
+        if (code.startsWith('x-')) {
+          converted.responses[code] = response;
+        } else {
+          converted.responses[code] = convertResponse(response, produces, `${pointer}/responses/${code}`);
+        }
+      }
+
+      if (operation.schemes) {
+        warn(`${pointer}/schemes`, 'Operation-level schemes have no OpenAPI 3 equivalent and were dropped');
+      }
+
+      convertedPath[method] = converted;
+    }
+
+    spec.paths[path] = convertedPath;
+  }
+
+  if (Object.keys(components).length > 0) {
+    spec.components = components;
+  }
+
+  return { specification: spec, warnings };
+};
+
+exports.TARGET_VERSION = TARGET_VERSION;
@@ -0,0 +1,414 @@
+/**
+ * Specification Diff Service
+ *
+ * Computes a semantic diff between two OpenAPI documents and classifies
+ * each change as breaking or non-breaking for existing consumers.
+ */
+
+const SwaggerParser = require('@apidevtools/swagger-parser');
+const semver = require('semver');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+const SEVERITY = {
+  BREAKING: 'breaking',
+  NON_BREAKING: 'non-breaking'
+};
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Guards against pathological nesting in schemas left unresolved by circular refs
+const MAX_SCHEMA_DEPTH = 20;
+
+// Resolve $refs on a copy so the stored document is never mutated. Only references
+// within the document are followed; files and URLs are never read.
+async function resolveSpec(spec) {
+  const copy = JSON.parse(JSON.stringify(spec || {}));
+
+  try {
+    return await SwaggerParser.dereference(copy, {
+      resolve: { external: false },
+      dereference: { circular: 'ignore' }
+    });
+  } catch (error) {
+    logger.warn(`Could not resolve $refs, comparing unresolved document: ${error.message}`);
+    return copy;
+  }
+}
+
+// Collect the effective parameters of an operation keyed by location and name
+function collectParameters(pathItem, operation) {
+  const parameters = {};
+
+  for (const param of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    if (param && param.name && param.in) {
+      parameters[`${param.in}:${param.name}`] = param;
+    }
+  }
+
+  return parameters;
+}
+
+function compareEnums(before, after, context, record) {
+  const beforeEnum = Array.isArray(before.enum) ? before.enum : null;
+  const afterEnum = Array.isArray(after.enum) ? after.enum : null;
+
+  if (!beforeEnum && !afterEnum) {
+    return;
+  }
+
+  // A missing enum accepts any value, so adding one narrows and dropping one widens
+  let narrowed = null;
+  let widened = null;
+
+  if (!beforeEnum) {
+    narrowed = `Enum constraint added: ${afterEnum.join(', ')}`;
+  } else if (!afterEnum) {
+    widened = 'Enum constraint removed';
+  } else {
+    const removed = beforeEnum.filter(value => !afterEnum.includes(value));
+    const added = afterEnum.filter(value => !beforeEnum.includes(value));
+    if (removed.length > 0) narrowed = `Enum values removed: ${removed.join(', ')}`;
+    if (added.length > 0) widened = `Enum values added: ${added.join(', ')}`;
+  }
+
+  // Consumers may still send removed values, and may not handle new values returned to them
+  if (narrowed) {
+    record(context.direction === 'response' ? SEVERITY.NON_BREAKING : SEVERITY.BREAKING,
+      'enum-narrowed', context, narrowed);
+  }
+
+  if (widened) {
+    record(context.direction === 'response' ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING,
+      'enum-widened', context, widened);
+  }
+}
+
+function compareSchemas(before, after, context, record, depth = 0) {
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object' || depth > MAX_SCHEMA_DEPTH) {
+    return;
+  }
+
+  // Only circular references survive resolution; compare them by target
+  if (before.$ref || after.$ref) {
+    if (before.$ref !== after.$ref) {
+      record(SEVERITY.BREAKING, 'schema-ref-changed', context,
+        `Schema reference changed from ${before.$ref || 'inline'} to ${after.$ref || 'inline'}`);
+    }
+    return;
+  }
+
+  if (before.type && after.type && before.type !== after.type) {
+    record(SEVERITY.BREAKING, 'schema-type-changed', context,
+      `Schema type changed from ${before.type} to ${after.type}`);
+    return;
+  }
+
+  compareEnums(before, after, context, record);
+
+  const beforeProps = before.properties || {};
+  const afterProps = after.properties || {};
+  const beforeRequired = before.required || [];
+  const afterRequired = after.required || [];
+
+  for (const name of Object.keys(beforeProps)) {
+    const propContext = { ...context, pointer: `${context.pointer}/properties/${name}` };
+
+    if (!afterProps[name]) {
+      if (context.direction === 'response') {
+        record(SEVERITY.BREAKING, 'response-property-removed', propContext,
+          `Response property '${name}' removed`);
+      } else {
+        record(SEVERITY.NON_BREAKING, 'request-property-removed', propContext,
+          `Request property '${name}' removed`);
+      }
+      continue;
+    }
+
+    if (context.direction === 'request' && !beforeRequired.includes(name) && afterRequired.includes(name)) {
+      record(SEVERITY.BREAKING, 'request-property-became-required', propContext,
+        `Request property '${name}' is now required`);
+    }
+
+    if (context.direction === 'response' && beforeRequired.includes(name) && !afterRequired.includes(name)) {
+      record(SEVERITY.BREAKING, 'response-property-became-optional', propContext,
+        `Response property '${name}' is no longer guaranteed`);
+    }
+
+    compareSchemas(beforeProps[name], afterProps[name], propContext, record, depth + 1);
+  }
+
+  for (const name of Object.keys(afterProps)) {
+    if (beforeProps[name]) {
+      continue;
+    }
+
+    const propContext = { ...context, pointer: `${context.pointer}/properties/${name}` };
+
+    if (context.direction === 'request' && afterRequired.includes(name)) {
+      record(SEVERITY.BREAKING, 'request-property-added-required', propContext,
+        `New required request property '${name}'`);
+    } else {
+      record(SEVERITY.NON_BREAKING, `${context.direction}-property-added`, propContext,
+        `${context.direction === 'request' ? 'Request' : 'Response'} property '${name}' added`);
+    }
+  }
+
+  if (before.items || after.items) {
+    compareSchemas(before.items, after.items,
+      { ...context, pointer: `${context.pointer}/items` }, record, depth + 1);
+  }
+}
+
+function compareContent(beforeContent, afterContent, context, record) {
+  const before = beforeContent || {};
+  const after = afterContent || {};
+
+  for (const mediaType of Object.keys(before)) {
+    const mediaContext = { ...context, pointer: `${context.pointer}/content/${mediaType}` };
+
+    if (!after[mediaType]) {
+      record(SEVERITY.BREAKING, `${context.direction}-media-type-removed`, mediaContext,
+        `Media type '${mediaType}' removed`);
+      continue;
+    }
+
+    compareSchemas(before[mediaType].schema, after[mediaType].schema,
+      { ...mediaContext, pointer: `${mediaContext.pointer}/schema` }, record);
+  }
+
+  for (const mediaType of Object.keys(after)) {
+    if (!before[mediaType]) {
+      record(SEVERITY.NON_BREAKING, `${context.direction}-media-type-added`,
+        { ...context, pointer: `${context.pointer}/content/${mediaType}` },
+        `Media type '${mediaType}' added`);
+    }
+  }
+}
+
+function compareParameters(beforeParams, afterParams, context, record) {
+  for (const key of Object.keys(beforeParams)) {
+    const paramContext = { ...context, direction: 'request', pointer: `${context.pointer}/parameters/${key}` };
+    const before = beforeParams[key];
+    const after = afterParams[key];
+
+    if (!after) {
+      record(SEVERITY.NON_BREAKING, 'parameter-removed', paramContext,
+        `Parameter '${before.name}' (${before.in}) removed`);
+      continue;
+    }
+
+    if (!before.required && after.required) {
+      record(SEVERITY.BREAKING, 'parameter-became-required', paramContext,
+        `Parameter '${after.name}' (${after.in}) is now required`);
+    }
+
+    compareSchemas(before.schema, after.schema,
+      { ...paramContext, pointer: `${paramContext.pointer}/schema` }, record);
+  }
+
+  for (const key of Object.keys(afterParams)) {
+    if (beforeParams[key]) {
+      continue;
+    }
+
+    const after = afterParams[key];
+    const paramContext = { ...context, direction: 'request', pointer: `${context.pointer}/parameters/${key}` };
+
+    if (after.required) {
+      record(SEVERITY.BREAKING, 'parameter-added-required', paramContext,
+        `New required parameter '${after.name}' (${after.in})`);
+    } else {
+      record(SEVERITY.NON_BREAKING, 'parameter-added', paramContext,
+        `New optional parameter '${after.name}' (${after.in})`);
+    }
+  }
+}
+
+function compareRequestBodies(before, after, context, record) {
+  const bodyContext = { ...context, direction: 'request', pointer: `${context.pointer}/requestBody` };
+
+  if (!before && !after) {
+    return;
+  }
+
+  if (!before) {
+    record(after.required ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING,
+      after.required ? 'request-body-added-required' : 'request-body-added',
+      bodyContext,
+      `${after.required ? 'Required' : 'Optional'} request body added`);
+    return;
+  }
+
+  if (!after) {
+    record(SEVERITY.NON_BREAKING, 'request-body-removed', bodyContext, 'Request body removed');
+    return;
+  }
+
+  if (!before.required && after.required) {
+    record(SEVERITY.BREAKING, 'request-body-became-required', bodyContext, 'Request body is now required');
+  }
+
+  compareContent(before.content, after.content, bodyContext, record);
+}
+
+function compareResponses(before, after, context, record) {
+  const beforeResponses = before || {};
+  const afterResponses = after || {};
+
+  for (const status of Object.keys(beforeResponses)) {
+    const responseContext = { ...context, direction: 'response', pointer: `${context.pointer}/responses/${status}` };
+
+    if (!afterResponses[status]) {
+      record(SEVERITY.BREAKING, 'response-removed', responseContext, `Response '${status}' removed`);
+      continue;
+    }
+
+    compareContent(beforeResponses[status].content, afterResponses[status].content, responseContext, record);
+  }
+
+  for (const status of Object.keys(afterResponses)) {
+    if (!beforeResponses[status]) {
+      record(SEVERITY.NON_BREAKING, 'response-added',
+        { ...context, direction: 'response', pointer: `${context.pointer}/responses/${status}` },
+        `Response '${status}' added`);
+    }
+  }
+}
+
+function compareOperations(beforePathItem, afterPathItem, path, record) {
+  for (const method of HTTP_METHODS) {
+    const before = beforePathItem[method];
+    const after = afterPathItem[method];
+    const context = { path, method: method.toUpperCase(), pointer: `/paths/${path}/${method}` };
+
+    if (before && !after) {
+      record(SEVERITY.BREAKING, 'operation-removed', context, `Operation ${method.toUpperCase()} ${path} removed`);
+      continue;
+    }
+
+    if (!before && after) {
+      record(SEVERITY.NON_BREAKING, 'operation-added', context, `Operation ${method.toUpperCase()} ${path} added`);
+      continue;
+    }
+
+    if (!before) {
+      continue;
+    }
+
+    if (!before.deprecated && after.deprecated) {
+      record(SEVERITY.NON_BREAKING, 'operation-deprecated', context, `Operation ${method.toUpperCase()} ${path} deprecated`);
+    }
+
+    compareParameters(
+      collectParameters(beforePathItem, before),
+      collectParameters(afterPathItem, after),
+      context,
+      record
+    );
+    compareRequestBodies(before.requestBody, after.requestBody, context, record);
+    compareResponses(before.responses, after.responses, context, record);
+  }
+}
+
+function compareSecuritySchemes(before, after, record) {
+  const beforeSchemes = before.components?.securitySchemes || {};
+  const afterSchemes = after.components?.securitySchemes || {};
+
+  for (const name of Object.keys(beforeSchemes)) {
+    const context = { pointer: `/components/securitySchemes/${name}` };
+
+    if (!afterSchemes[name]) {
+      record(SEVERITY.BREAKING, 'security-scheme-removed', context, `Security scheme '${name}' removed`);
+    } else if (beforeSchemes[name].type !== afterSchemes[name].type) {
+      record(SEVERITY.BREAKING, 'security-scheme-changed', context,
+        `Security scheme '${name}' changed type from ${beforeSchemes[name].type} to ${afterSchemes[name].type}`);
+    }
+  }
+
+  for (const name of Object.keys(afterSchemes)) {
+    if (!beforeSchemes[name]) {
+      record(SEVERITY.NON_BREAKING, 'security-scheme-added',
+        { pointer: `/components/securitySchemes/${name}` }, `Security scheme '${name}' added`);
+    }
+  }
+}
+
+// Compare two OpenAPI documents, treating `before` as the published baseline
+exports.diffSpecs = async (beforeSpec, afterSpec) => {
+  const [before, after] = await Promise.all([resolveSpec(beforeSpec), resolveSpec(afterSpec)]);
+  const changes = [];
+
+  const record = (severity, type, context, message) => {
+    const change = { type, severity, pointer: context.pointer, message };
+    if (context.path) change.path = context.path;
+    if (context.method) change.method = context.method;
+    changes.push(change);
+  };
+
+  const beforePaths = before.paths || {};
+  const afterPaths = after.paths || {};
+
+  for (const path of Object.keys(beforePaths)) {
+    if (!afterPaths[path]) {
+      record(SEVERITY.BREAKING, 'path-removed', { path, pointer: `/paths/${path}` }, `Path ${path} removed`);
+      continue;
+    }
+
+    compareOperations(beforePaths[path], afterPaths[path], path, record);
+  }
+
+  for (const path of Object.keys(afterPaths)) {
+    if (!beforePaths[path]) {
+      record(SEVERITY.NON_BREAKING, 'path-added', { path, pointer: `/paths/${path}` }, `Path ${path} added`);
+    }
+  }
+
+  compareSecuritySchemes(before, after, record);
+
+  const breaking = changes.filter(change => change.severity === SEVERITY.BREAKING);
+  const nonBreaking = changes.filter(change => change.severity === SEVERITY.NON_BREAKING);
+
+  return {
+    fromVersion: before.info?.version,
+    toVersion: after.info?.version,
+    breaking,
+    nonBreaking,
+    summary: {
+      total: changes.length,
+      breaking: breaking.length,
+      nonBreaking: nonBreaking.length,
+      hasBreakingChanges: breaking.length > 0
+    }
+  };
+};
+
+// Check whether the version bump between two releases permits the diff's breaking changes
+exports.assessVersionBump = (previousVersion, nextVersion, diff) => {
+  const bump = semver.diff(previousVersion, nextVersion);
+
+  // Below 1.0.0 semver lets a minor bump carry breaking changes
+  const initialDevelopment = semver.major(previousVersion) === 0;
+  const breakingAllowed = bump === 'major' || bump === 'premajor' ||
+    (initialDevelopment && (bump === 'minor' || bump === 'preminor'));
+
+  return {
+    bump,
+    requiredBump: diff.summary.hasBreakingChanges ? (initialDevelopment ? 'minor' : 'major') : null,
+    compliant: !diff.summary.hasBreakingChanges || breakingAllowed
+  };
+};
+
+exports.SEVERITY = SEVERITY;
@@ -0,0 +1,256 @@
+/**
+ * Spec Lifecycle Service
+ *
+ * Deprecation and sunset of spec versions: the HTTP headers announcing a
+ * deprecation (RFC 9745 Deprecation, RFC 8594 Sunset), the lifecycle state
+ * discovery ranks services by, and the sweep that retires deprecated
+ * versions once their sunset date has passed.
+ */
+
+const semver = require('semver');
+const winston = require('winston');
+const { storage } = require('../database/storage');
+const specsService = require('./specsService');
+const distTagService = require('./distTagService');
+const specReviewService = require('./specReviewService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+const LIFECYCLE_STATES = {
+  ACTIVE: 'active',
+  DEPRECATED: 'deprecated',
+  SUNSETTING: 'sunsetting',
+  RETIRED: 'retired'
+};
+
+// Fields needed to describe a spec's lifecycle or build its headers
+const LIFECYCLE_FIELDS = 'serviceId version isLatest isDeprecated deprecationDate sunsetDate replacementVersion ' +
+  'migrationNotes isRetired retiredAt updatedAt';
+
+const DEFAULT_RETIRE_INTERVAL_SECONDS = 3600;
+
+let retireTimer = null;
+
+// Deprecated versions with a sunset date are sunsetting until they are retired
+const stateOf = (spec) => {
+  if (spec.isRetired) return LIFECYCLE_STATES.RETIRED;
+  if (!spec.isDeprecated) return LIFECYCLE_STATES.ACTIVE;
+  return spec.sunsetDate ? LIFECYCLE_STATES.SUNSETTING : LIFECYCLE_STATES.DEPRECATED;
+};
+
+// Describe the lifecycle of a stored spec
+exports.lifecycleFor = (spec) => ({
+  state: stateOf(spec),
+  version: spec.version,
+  deprecationDate: spec.deprecationDate || null,
+  sunsetDate: spec.sunsetDate || null,
+  replacementVersion: spec.replacementVersion || null,
+  migrationNotes: spec.migrationNotes || null,
+  retiredAt: spec.retiredAt || null
+});
+
+/**
+ * HTTP headers announcing a spec's deprecation; none for current specs
+ *
+ * @param {Object} spec - Stored spec with its lifecycle fields
+ * @param {Object} links
+ * @param {string} links.lifecycleUrl - Where the deprecation and migration notes are described
+ * @param {string} [links.successorUrl] - The replacement version, when there is one
+ * @returns {Object} - Header values by name
+ */
+exports.deprecationHeaders = (spec, { lifecycleUrl, successorUrl } = {}) => {
+  if (!spec || !spec.isDeprecated) {
+    return {};
+  }
+
+  // Specs deprecated on upload have no deprecation date; their last change stands in for it
+  const deprecatedAt = new Date(spec.deprecationDate || spec.updatedAt || Date.now());
+  const headers = { Deprecation: `@${Math.floor(deprecatedAt.getTime() / 1000)}` };
+  if (spec.sunsetDate) {
+    headers.Sunset = new Date(spec.sunsetDate).toUTCString();
+  }
+
+  const links = [];
+  if (lifecycleUrl) {
+    links.push(`<${lifecycleUrl}>; rel="${spec.sunsetDate ? 'deprecation sunset' : 'deprecation'}"; type="application/json"`);
+  }
+  if (successorUrl) {
+    links.push(`<${successorUrl}>; rel="successor-version"`);
+  }
+  if (links.length > 0) {
+    headers.Link = links.join(', ');
+  }
+
+  return headers;
+};
+
+// Set the deprecation headers of a spec on a response; the spec's service may be populated
+exports.setDeprecationHeaders = async (res, spec, serviceName) => {
+  if (!spec || !spec.isDeprecated) {
+    return;
+  }
+
+  const serviceId = spec.serviceId && spec.serviceId._id ? spec.serviceId._id : spec.serviceId;
+  let name = serviceName || (spec.serviceId && spec.serviceId.name);
+  if (!name) {
+    const service = await storage.services.findById(serviceId, { select: 'name' });
+    name = service && service.name;
+  }
+
+  const replacement = spec.replacementVersion &&
+    await storage.specs.findOne({ serviceId, version: spec.replacementVersion }, { select: '_id' });
+
+  res.set(exports.deprecationHeaders(spec, {
+    lifecycleUrl: name ? `/api/v1/specs/${name}/${spec.version}/lifecycle` : null,
+    successorUrl: replacement ? `/api/v1/specs/${replacement._id.toString()}` : null
+  }));
+};
+
+// Lifecycle of a spec by service name and version; null when either is unknown
+exports.getLifecycle = async (serviceName, version) => {
+  const service = await storage.services.findOne({ name: serviceName, deletedAt: { $exists: false } });
+  if (!service) return null;
+
+  const spec = await storage.specs.findOne({ serviceId: service._id, version }, {
+    select: `${LIFECYCLE_FIELDS} isPublic accessControl`
+  });
+  return spec ? { service, spec, lifecycle: exports.lifecycleFor(spec) } : null;
+};
+
+// The spec a service currently offers: its latest, else its highest remaining version
+const currentSpec = (specs) => {
+  const latest = specs.find(spec => spec.isLatest);
+  if (latest) return latest;
+
+  const versions = specs.map(spec => spec.version).filter(version => semver.valid(version));
+  const highest = semver.maxSatisfying(versions, '*') || semver.rsort(versions)[0];
+  return specs.find(spec => spec.version === highest) || null;
+};
+
+/**
+ * Lifecycle of each service's current spec, for services whose current spec
+ * is deprecated or sunsetting. Services with current specs are left out.
+ *
+ * @param {Array} serviceIds - Services to look up
+ * @param {Object} [filter] - Extra spec filter, e.g. to limit results to specs the caller can read
+ * @returns {Promise<Map>} - Lifecycle by service id string
+ */
+exports.deprecatedServices = async (serviceIds, filter = {}) => {
+  const lifecycles = new Map();
+  if (!serviceIds || serviceIds.length === 0) {
+    return lifecycles;
+  }
+
+  const specs = await storage.specs.find({
+    $and: [{ serviceId: { $in: serviceIds }, isRetired: { $ne: true } }, specReviewService.publishedFilter(), filter]
+  }, { select: LIFECYCLE_FIELDS });
+
+  const specsByService = new Map();
+  specs.forEach(spec => {
+    const serviceId = spec.serviceId.toString();
+    if (!specsByService.has(serviceId)) specsByService.set(serviceId, []);
+    specsByService.get(serviceId).push(spec);
+  });
+
+  specsByService.forEach((serviceSpecs, serviceId) => {
+    const current = currentSpec(serviceSpecs);
+    if (current && current.isDeprecated) {
+      lifecycles.set(serviceId, exports.lifecycleFor(current));
+    }
+  });
+
+  return lifecycles;
+};
+
+// Retire a spec, moving latest to its replacement or the newest remaining current release
+const retireSpec = async (spec) => {
+  const retired = await storage.specs.updateById(spec._id, {
+    $set: { isRetired: true, retiredAt: new Date(), isLatest: false, distTags: [] }
+  });
+
+  const service = await storage.services.findById(spec.serviceId, { select: 'name' });
+  if (!service) {
+    return retired;
+  }
+
+  if (spec.isLatest) {
+    const remaining = await storage.specs.find({
+      serviceId: spec.serviceId,
+      isDeprecated: { $ne: true },
+      isRetired: { $ne: true },
+      ...specReviewService.publishedFilter()
+    }, { select: 'version' });
+    const versions = remaining.map(item => item.version).filter(version => semver.valid(version));
+    const successor = versions.includes(spec.replacementVersion)
+      ? spec.replacementVersion
+      : semver.maxSatisfying(versions, '*');
+
+    if (successor) {
+      await distTagService.setTag(service.name, distTagService.LATEST_TAG, successor);
+    }
+  }
+
+  await specsService.recordSpecChange(service.name, retired, `Retire spec after sunset: ${service.name}@${spec.version}`);
+  logger.info(`Retired ${service.name}@${spec.version} after its sunset date`);
+  return retired;
+};
+
+// Retire every deprecated spec whose sunset date has passed
+exports.retireDueSpecs = async (now = new Date()) => {
+  const due = await storage.specs.find({
+    isDeprecated: true,
+    isRetired: { $ne: true },
+    sunsetDate: { $lte: now }
+  }, { select: LIFECYCLE_FIELDS });
+
+  const retired = [];
+  for (const spec of due) {
+    retired.push(await retireSpec(spec));
+  }
+  return retired;
+};
+
+const getRetireInterval = () => {
+  const interval = parseInt(process.env.SPEC_RETIRE_INTERVAL, 10);
+  return Number.isNaN(interval) ? DEFAULT_RETIRE_INTERVAL_SECONDS : interval;
+};
+
+// Retire due specs now and then periodically; an interval of 0 disables the sweep
+exports.start = async () => {
+  const interval = getRetireInterval();
+  if (interval <= 0) {
+    return false;
+  }
+
+  const sweep = () => exports.retireDueSpecs().catch(error => {
+    logger.error(`Retiring sunset specs failed: ${error.message}`, { error: error.stack });
+  });
+
+  if (!retireTimer) {
+    retireTimer = setInterval(sweep, interval * 1000);
+    retireTimer.unref();
+  }
+
+  await sweep();
+  return true;
+};
+
+exports.stop = () => {
+  if (retireTimer) {
+    clearInterval(retireTimer);
+    retireTimer = null;
+  }
+};
+
+exports.LIFECYCLE_STATES = LIFECYCLE_STATES;
@@ -0,0 +1,131 @@
+/**
+ * Spec Resolution Service
+ *
+ * Resolves semver ranges against a service's stored spec versions, choosing
+ * the highest published, non-deprecated match and recording why every other version was
+ * passed over, so clients can see what a range will and will not pick up.
+ */
+
+const semver = require('semver');
+const { storage } = require('../database/storage');
+const { SPEC_PUBLICATION_STATES } = require('../database/models');
+
+// Reasons a stored version was not chosen
+const EXCLUSION_REASONS = {
+  INVALID_VERSION: 'invalid-version',
+  OUT_OF_RANGE: 'out-of-range',
+  PRERELEASE: 'prerelease',
+  RETIRED: 'retired',
+  UNPUBLISHED: 'unpublished',
+  DEPRECATED: 'deprecated',
+  SUPERSEDED: 'superseded'
+};
+
+const findService = (serviceName) => storage.services.findOne({ name: serviceName, deletedAt: { $exists: false } });
+
+// Why a version does not satisfy a range; null when it does. The label is the range as the caller wrote it
+const exclusionFor = (spec, range, label, includePrerelease) => {
+  if (!semver.valid(spec.version)) {
+    return { reason: EXCLUSION_REASONS.INVALID_VERSION, detail: 'Not a semantic version' };
+  }
+  if (!semver.satisfies(spec.version, range, { includePrerelease: true })) {
+    return { reason: EXCLUSION_REASONS.OUT_OF_RANGE, detail: `Does not satisfy ${label}` };
+  }
+  if (!semver.satisfies(spec.version, range, { includePrerelease })) {
+    return {
+      reason: EXCLUSION_REASONS.PRERELEASE,
+      detail: 'Pre-releases only match ranges naming a pre-release of the same version, or with includePrerelease'
+    };
+  }
+  if (spec.publicationStatus && spec.publicationStatus !== SPEC_PUBLICATION_STATES.PUBLISHED) {
+    return { reason: EXCLUSION_REASONS.UNPUBLISHED, detail: `Not yet published (${spec.publicationStatus})` };
+  }
+  if (spec.isRetired) {
+    const since = spec.retiredAt ? ` since ${new Date(spec.retiredAt).toISOString()}` : '';
+    return { reason: EXCLUSION_REASONS.RETIRED, detail: `Retired${since}` };
+  }
+  if (spec.isDeprecated) {
+    const since = spec.deprecationDate ? ` since ${new Date(spec.deprecationDate).toISOString()}` : '';
+    return { reason: EXCLUSION_REASONS.DEPRECATED, detail: `Deprecated${since}` };
+  }
+  return null;
+};
+
+/**
+ * Resolve a range for one service
+ *
+ * @param {string} serviceName - Registered service name
+ * @param {string} range - semver range, e.g. "^1.2.0"; "*" or "" means any release version
+ * @param {Object} [options]
+ * @param {boolean} [options.includePrerelease] - Let pre-releases satisfy ranges
+ * @param {Object} [options.filter] - Extra spec filter, e.g. to limit results to specs the caller can read
+ * @returns {Promise<Object>} - The resolved version, or null, with the excluded versions and reasons
+ */
+exports.resolveRange = async (serviceName, range = '*', { includePrerelease = false, filter = {} } = {}) => {
+  const label = range || '*';
+  const normalisedRange = semver.validRange(label);
+  if (!normalisedRange) {
+    const error = new Error(`Invalid semver range: ${range}`);
+    error.code = 'validation/invalid-range';
+    throw error;
+  }
+
+  const service = await findService(serviceName);
+  if (!service) {
+    const error = new Error(`Service ${serviceName} not found`);
+    error.code = 'service/not-found';
+    throw error;
+  }
+
+  const specs = await storage.specs.find({ $and: [{ serviceId: service._id }, filter] }, {
+    select: 'version isDeprecated deprecationDate isRetired retiredAt publicationStatus isLatest distTags'
+  });
+
+  const excluded = [];
+  const candidates = [];
+  specs.forEach(spec => {
+    const exclusion = exclusionFor(spec, normalisedRange, label, includePrerelease);
+    if (exclusion) {
+      excluded.push({ version: spec.version, ...exclusion });
+    } else {
+      candidates.push(spec);
+    }
+  });
+
+  candidates.sort((a, b) => semver.rcompare(a.version, b.version));
+  const [best, ...superseded] = candidates;
+  superseded.forEach(spec => excluded.push({
+    version: spec.version,
+    reason: EXCLUSION_REASONS.SUPERSEDED,
+    detail: `Lower than ${best.version}`
+  }));
+
+  // Newest first, with versions that are not semantic versions last
+  excluded.sort((a, b) => {
+    if (!semver.valid(a.version) || !semver.valid(b.version)) {
+      return Number(!semver.valid(a.version)) - Number(!semver.valid(b.version));
+    }
+    return semver.rcompare(a.version, b.version);
+  });
+
+  return {
+    service: {
+      id: service._id.toString(),
+      name: service.name,
+      baseUrl: service.baseUrl,
+      status: service.status
+    },
+    range: label,
+    includePrerelease,
+    resolved: best ? {
+      version: best.version,
+      specificationId: best._id.toString(),
+      latest: !!best.isLatest,
+      tags: best.distTags || [],
+      url: `/api/v1/specs/${best._id.toString()}`
+    } : null,
+    excluded
+  };
+};
+
+exports.EXCLUSION_REASONS = EXCLUSION_REASONS;
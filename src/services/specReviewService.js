@@ -0,0 +1,184 @@
+/**
+ * Spec Review Service
+ *
+ * Publication workflow for specification versions. Where a service requires
+ * review, new versions start as drafts, are submitted for review, and must be
+ * approved by a reviewer other than the submitter before they can be
+ * published. Only published versions are discoverable or can become latest.
+ */
+
+const winston = require('winston');
+const { storage } = require('../database/storage');
+const { SPEC_PUBLICATION_STATES } = require('../database/models');
+const accessControlService = require('./accessControlService');
+const distTagService = require('./distTagService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+const { DRAFT, IN_REVIEW, APPROVED, PUBLISHED, REJECTED } = SPEC_PUBLICATION_STATES;
+
+// Holders of this role, and registry admins, can approve or reject versions
+const REVIEWER_ROLE = 'spec-reviewer';
+
+// Allowed moves between publication states; reviewer actions need the reviewer role
+const REVIEW_ACTIONS = {
+  submit: { from: [DRAFT, REJECTED], to: IN_REVIEW },
+  approve: { from: [IN_REVIEW], to: APPROVED, reviewer: true },
+  reject: { from: [IN_REVIEW, APPROVED], to: REJECTED, reviewer: true, commentRequired: true },
+  publish: { from: [APPROVED], to: PUBLISHED }
+};
+
+const reviewError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Query conditions matching published specs; specs stored before the workflow existed have no status
+exports.publishedFilter = () => ({ publicationStatus: { $in: [PUBLISHED, null] } });
+
+exports.isPublished = (spec) => !spec || !spec.publicationStatus || spec.publicationStatus === PUBLISHED;
+
+// Review applies to every service when SPEC_REVIEW_REQUIRED is set, otherwise per service policy
+exports.isReviewRequired = (service) =>
+  process.env.SPEC_REVIEW_REQUIRED === 'true' || !!(service && service.specPolicy && service.specPolicy.reviewRequired);
+
+// Status a newly uploaded version of the service starts in
+exports.initialStatus = (service) => (exports.isReviewRequired(service) ? DRAFT : PUBLISHED);
+
+// Who the caller is in review history: their DID, else their API key digest
+const actorFor = (auth) => {
+  const principal = accessControlService.principalFor(auth);
+  return principal ? principal.did || principal.apiKey : undefined;
+};
+
+const isReviewer = (auth) => {
+  const principal = accessControlService.principalFor(auth);
+  return !!principal && principal.roles.some(role => role === REVIEWER_ROLE || role === accessControlService.REGISTRY_ADMIN_ROLE);
+};
+
+// Actions the workflow allows from a status, whoever is asking
+exports.actionsFrom = (status) =>
+  Object.keys(REVIEW_ACTIONS).filter(action => REVIEW_ACTIONS[action].from.includes(status || PUBLISHED));
+
+// Actions the caller may take on a spec in its current status
+exports.allowedActions = (spec, auth) =>
+  exports.actionsFrom(spec.publicationStatus).filter(action => !REVIEW_ACTIONS[action].reviewer || isReviewer(auth));
+
+// Review state of a stored spec as returned by the API
+exports.toReviewRecord = (spec, serviceName, auth) => ({
+  specificationId: spec._id.toString(),
+  serviceName,
+  version: spec.version,
+  status: spec.publicationStatus || PUBLISHED,
+  requestedTag: spec.requestedTag || null,
+  publishedAt: spec.publishedAt || null,
+  history: spec.reviewHistory || [],
+  allowedActions: exports.allowedActions(spec, auth)
+});
+
+// Find a spec with its service for review; null when either is unknown
+exports.getReview = async (specId) => {
+  const spec = await storage.specs.findById(specId, { select: '-specification -originalSpecification' });
+  if (!spec) return null;
+
+  const service = await storage.services.findById(spec.serviceId, { select: 'name specPolicy accessControl' });
+  return service ? { spec, service } : null;
+};
+
+// Specs waiting on reviewers or on publication, oldest first; the filter limits them to specs the caller can read
+exports.listPending = async (filter = {}, statuses = [IN_REVIEW, APPROVED]) => {
+  const specs = await storage.specs.find({ $and: [{ publicationStatus: { $in: statuses } }, filter] }, {
+    select: 'serviceId version title publicationStatus reviewHistory requestedTag updatedAt',
+    sort: { updatedAt: 1 },
+    populate: { path: 'serviceId', select: 'name displayName' }
+  });
+
+  return specs.filter(spec => spec.serviceId).map(spec => {
+    const history = spec.reviewHistory || [];
+    return {
+      specificationId: spec._id.toString(),
+      serviceName: spec.serviceId.name,
+      serviceDisplayName: spec.serviceId.displayName,
+      version: spec.version,
+      title: spec.title,
+      status: spec.publicationStatus,
+      requestedTag: spec.requestedTag || null,
+      lastEvent: history.length > 0 ? history[history.length - 1] : null
+    };
+  });
+};
+
+/**
+ * Move a spec through the publication workflow. Approving and rejecting need
+ * the reviewer role, a submitter cannot approve their own submission and
+ * rejections must say why. Publishing applies the tag requested at upload,
+ * or makes a release version latest when it is the newest.
+ */
+exports.reviewSpec = async (specId, action, { auth, comment } = {}) => {
+  const rule = REVIEW_ACTIONS[action];
+  if (!rule) {
+    throw reviewError('review/invalid-action', `Unknown review action '${action}'`);
+  }
+
+  const found = await exports.getReview(specId);
+  if (!found) {
+    throw reviewError('spec/not-found', 'API specification not found');
+  }
+
+  const { spec, service } = found;
+  const status = spec.publicationStatus || PUBLISHED;
+  if (!rule.from.includes(status)) {
+    throw reviewError('review/invalid-transition', `Cannot ${action} a specification that is ${status}`);
+  }
+  if (rule.reviewer && !isReviewer(auth)) {
+    throw reviewError('review/forbidden', `The ${REVIEWER_ROLE} role is required to ${action} specifications`);
+  }
+  if (rule.commentRequired && !(comment && comment.trim())) {
+    throw reviewError('review/comment-required', `A comment is required to ${action} a specification`);
+  }
+
+  const actor = actorFor(auth);
+  if (action === 'approve') {
+    const submission = (spec.reviewHistory || []).filter(event => event.action === 'submit').pop();
+    if (submission && submission.actor && submission.actor === actor) {
+      throw reviewError('review/self-approval', 'Specifications must be approved by someone other than the submitter');
+    }
+  }
+
+  const event = {
+    action,
+    fromStatus: status,
+    toStatus: rule.to,
+    actor,
+    comment: comment ? comment.trim() : undefined,
+    at: new Date()
+  };
+  const changes = { $set: { publicationStatus: rule.to, updatedAt: event.at }, $push: { reviewHistory: event } };
+  if (rule.to === PUBLISHED) {
+    changes.$set.publishedAt = event.at;
+    changes.$unset = { requestedTag: '' };
+  }
+
+  let updated = await storage.specs.updateById(spec._id, changes);
+  if (rule.to === PUBLISHED) {
+    updated = await distTagService.applyOnPublish(spec.serviceId, spec.version, spec.requestedTag) || updated;
+  }
+
+  logger.info(`Spec ${service.name}@${spec.version} ${status} -> ${rule.to}`, { action, actor });
+  return { spec: updated, service };
+};
+
+exports.REVIEWER_ROLE = REVIEWER_ROLE;
+exports.REVIEW_ACTIONS = REVIEW_ACTIONS;
@@ -0,0 +1,286 @@
+/**
+ * Spec Signature Service
+ *
+ * Publishers may sign a specification with a detached JWS over its canonical
+ * JSON, using a key listed in their service's DID document. The registry
+ * verifies the signature on upload and keeps the proof, and counter-signs the
+ * documents it serves with the key published in its own /.well-known/did.json.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { canonicalize, contentHash } = require('../utils/canonicalJson');
+const jws = require('../utils/jws');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-registry.log' })
+  ]
+});
+
+const SIGNATURE_STATUS = {
+  VERIFIED: 'verified',
+  INVALID: 'invalid',
+  UNSIGNED: 'unsigned'
+};
+
+const REGISTRY_KEY_ID = 'key-1';
+
+const signatureError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// The registry's signing key: REGISTRY_SIGNING_KEY as a PKCS#8 PEM Ed25519 key, else one generated at startup
+const loadRegistryKey = () => {
+  if (process.env.REGISTRY_SIGNING_KEY) {
+    const key = crypto.createPrivateKey(process.env.REGISTRY_SIGNING_KEY.replace(/\\n/g, '\n'));
+    if (key.asymmetricKeyType !== 'ed25519') {
+      throw new Error('REGISTRY_SIGNING_KEY must be an Ed25519 private key');
+    }
+    return key;
+  }
+
+  logger.warn('REGISTRY_SIGNING_KEY is not set; counter-signatures use a key generated for this process only');
+  return crypto.generateKeyPairSync('ed25519').privateKey;
+};
+
+let registryKey;
+const getRegistryKey = () => {
+  if (!registryKey) {
+    registryKey = loadRegistryKey();
+  }
+  return registryKey;
+};
+
+// The registry's DID; did:web of the request host unless SERVICE_DID is set
+exports.registryDid = (hostname) => process.env.SERVICE_DID || `did:web:${hostname}`;
+
+// The registry's DID document, listing the key counter-signatures can be checked with
+exports.registryDidDocument = (hostname, baseUrl) => {
+  const did = exports.registryDid(hostname);
+  const keyId = `${did}#${REGISTRY_KEY_ID}`;
+
+  return {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/ed25519-2020/v1'
+    ],
+    id: did,
+    verificationMethod: [{
+      id: keyId,
+      type: 'Ed25519VerificationKey2020',
+      controller: did,
+      publicKeyMultibase: jws.ed25519Multibase(getRegistryKey())
+    }],
+    authentication: [keyId],
+    assertionMethod: [keyId],
+    service: [{
+      id: `${did}#registry`,
+      type: 'ApiRegistry',
+      serviceEndpoint: baseUrl
+    }]
+  };
+};
+
+// Make a DID URL absolute against the DID it belongs to
+const absoluteId = (id, did) => (id && id.startsWith('#') ? `${did}${id}` : id);
+
+// The DID document of a did:key, which describes its own single Ed25519 key
+const didKeyDocument = (did) => {
+  const multibase = did.slice('did:key:'.length);
+  const keyId = `${did}#${multibase}`;
+  return {
+    id: did,
+    verificationMethod: [{ id: keyId, type: 'Ed25519VerificationKey2020', controller: did, publicKeyMultibase: multibase }],
+    assertionMethod: [keyId]
+  };
+};
+
+// The service's DID document: the one registered with it, or derived from a did:key
+const serviceDidDocument = (service) => {
+  if (service.didDocument && typeof service.didDocument === 'object') {
+    return service.didDocument;
+  }
+  if (service.did && service.did.startsWith('did:key:z')) {
+    return didKeyDocument(service.did);
+  }
+  return null;
+};
+
+/**
+ * Find the verification method a key id refers to. It must belong to the
+ * service's DID and, where the document lists assertion methods, be one of them.
+ */
+const findVerificationMethod = (service, kid) => {
+  const document = serviceDidDocument(service);
+  if (!document) {
+    throw signatureError('signature/no-did-document',
+      `Service ${service.name} has no DID document to verify signatures with; register its did and didDocument`);
+  }
+
+  const did = service.did || document.id;
+  const keyId = absoluteId(kid, did);
+  if (!keyId || keyId.split('#')[0] !== did) {
+    throw signatureError('signature/unknown-key', `Key ${kid} does not belong to ${did}`);
+  }
+
+  const listed = (entries) => (entries || []).map(entry => (typeof entry === 'string'
+    ? { id: absoluteId(entry, did) }
+    : { ...entry, id: absoluteId(entry.id, did), embedded: true }));
+
+  const assertionMethods = listed(document.assertionMethod);
+  if (document.assertionMethod && !assertionMethods.some(method => method.id === keyId)) {
+    throw signatureError('signature/unknown-key', `Key ${keyId} is not an assertion method of ${did}`);
+  }
+
+  const method = [...assertionMethods.filter(entry => entry.embedded), ...listed(document.verificationMethod)]
+    .find(entry => entry.id === keyId && (entry.publicKeyJwk || entry.publicKeyMultibase || entry.publicKeyBase58));
+  if (!method) {
+    throw signatureError('signature/unknown-key', `Key ${keyId} is not in the DID document of ${did}`);
+  }
+  return method;
+};
+
+/**
+ * Verify a publisher's detached JWS over the canonical JSON of a document
+ *
+ * @param {Object} service - The stored service, with its did and didDocument
+ * @param {Object} document - The specification as uploaded
+ * @param {string} signature - Compact JWS with a detached payload ("header..signature")
+ * @returns {Object} - The proof to store with the specification
+ * @throws {Error} - With a code of signature/* when the signature cannot be verified
+ */
+exports.verifySignature = (service, document, signature) => {
+  let parsed;
+  try {
+    parsed = jws.parseDetached(signature);
+  } catch (error) {
+    throw signatureError('signature/malformed', error.message);
+  }
+
+  const { alg, kid, b64, crit } = parsed.header;
+  if (!jws.ALGORITHMS[alg]) {
+    throw signatureError('signature/unsupported-algorithm',
+      `Unsupported JWS algorithm ${alg}; use one of ${Object.keys(jws.ALGORITHMS).join(', ')}`);
+  }
+  if (b64 === false || crit) {
+    throw signatureError('signature/malformed', 'Unencoded payloads and critical header parameters are not supported');
+  }
+  if (!kid) {
+    throw signatureError('signature/malformed', 'The JWS header must name the signing key in kid');
+  }
+
+  const method = findVerificationMethod(service, kid);
+  let key;
+  try {
+    key = jws.publicKeyFromVerificationMethod(method);
+  } catch (error) {
+    throw signatureError('signature/unknown-key', error.message);
+  }
+  if (!jws.keyMatchesAlgorithm(key, alg)) {
+    throw signatureError('signature/unsupported-algorithm', `Key ${method.id} cannot be used with ${alg}`);
+  }
+
+  if (!jws.verifyDetached(parsed, canonicalize(document), key)) {
+    throw signatureError('signature/invalid', `The signature does not match the specification or key ${method.id}`);
+  }
+
+  logger.info(`Signature by ${method.id} verified for ${service.name}`);
+  return {
+    jws: signature,
+    alg,
+    kid: method.id,
+    signer: method.id.split('#')[0],
+    contentHash: contentHash(document),
+    verifiedAt: new Date()
+  };
+};
+
+// The document a stored proof was made over: the original upload for converted specs
+exports.signedDocument = (spec) => spec.originalSpecification || spec.specification;
+
+// Check a stored proof again, against the service's current DID document
+exports.checkSignature = (spec, service) => {
+  if (!spec.signature || !spec.signature.jws) {
+    return { status: SIGNATURE_STATUS.UNSIGNED };
+  }
+
+  try {
+    exports.verifySignature(service, exports.signedDocument(spec), spec.signature.jws);
+    return { status: SIGNATURE_STATUS.VERIFIED };
+  } catch (error) {
+    return { status: SIGNATURE_STATUS.INVALID, error: { code: error.code, message: error.message } };
+  }
+};
+
+/**
+ * Verification status of a spec as shown in responses, from its stored proof.
+ * The proof only covers the document it was verified against on upload, so a
+ * stored document that no longer has that content hash is reported invalid;
+ * the spec must be loaded with its documents.
+ */
+exports.signatureSummary = (spec) => {
+  const proof = spec && spec.signature;
+  if (!proof || !proof.jws) {
+    return { status: SIGNATURE_STATUS.UNSIGNED };
+  }
+
+  const summary = {
+    status: SIGNATURE_STATUS.VERIFIED,
+    signer: proof.signer,
+    kid: proof.kid,
+    alg: proof.alg,
+    verifiedAt: proof.verifiedAt
+  };
+
+  const document = exports.signedDocument(spec);
+  if (!document || contentHash(document) !== proof.contentHash) {
+    return {
+      ...summary,
+      status: SIGNATURE_STATUS.INVALID,
+      error: { code: 'signature/content-changed', message: 'The specification has changed since it was signed' }
+    };
+  }
+  return summary;
+};
+
+// The registry's detached JWS over a document it serves, bound to the publisher's JWS when one covers the document
+exports.counterSign = (document, hostname, publisherJws) => {
+  const header = {
+    alg: 'EdDSA',
+    kid: `${exports.registryDid(hostname)}#${REGISTRY_KEY_ID}`,
+    iat: Math.floor(Date.now() / 1000)
+  };
+  if (publisherJws) {
+    header.psig = publisherJws.split('.')[2];
+  }
+
+  return jws.signDetached(canonicalize(document), getRegistryKey(), header);
+};
+
+/**
+ * Set the signature headers on a response serving a spec document:
+ * X-Registry-Signature always, and X-Spec-Signature with the publisher's
+ * JWS when it covers the document being served.
+ */
+exports.setSignatureHeaders = (req, res, spec, document) => {
+  const proof = spec.signature;
+  const publisherJws = proof && proof.jws && proof.contentHash === contentHash(document) ? proof.jws : null;
+
+  res.set('X-Registry-Signature', exports.counterSign(document, req.hostname, publisherJws));
+  res.set('X-Spec-Signature-Status', exports.signatureSummary(spec).status);
+  if (publisherJws) {
+    res.set('X-Spec-Signature', publisherJws);
+  }
+};
+
+exports.SIGNATURE_STATUS = SIGNATURE_STATUS;
@@ -1,10 +1,18 @@
 const path = require('path');
 const fs = require('fs');
 const git = require('isomorphic-git');
-const { v4: uuidv4 } = require('uuid');
 const semver = require('semver');
 const winston = require('winston');
-
+const gitMirrorService = require('./gitMirrorService');
+const distTagService = require('./distTagService');
+const specReviewService = require('./specReviewService');
+const specSignatureService = require('./specSignatureService');
+const operationIndexService = require('./operationIndexService');
+const asyncApiService = require('./asyncApiService');
+const { storage } = require('../database/storage');
+
+// Specifications are stored through the configured storage backend; when GIT_ENABLED is set a
+// snapshot of each one is also committed under storage/specs so its history can be browsed
 const STORAGE_DIR = path.join(__dirname, '../../storage');
 const SPECS_DIR = path.join(STORAGE_DIR, 'specs');
 
@@ -21,102 +29,221 @@ const logger = winston.createLogger({
   ]
 });
 
-// Ensure specs directory exists
-if (!fs.existsSync(SPECS_DIR)) {
-  fs.mkdirSync(SPECS_DIR, { recursive: true });
-}
+// Service names that can be used as directory names in the repository
+const PATH_SAFE_NAME = /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/;
 
 // Helper to get spec file path
 function getSpecFilePath(serviceName, version) {
   return path.join(SPECS_DIR, serviceName, `${version}.json`);
 }
 
-// Save spec (register or update)
-exports.saveSpec = async ({ serviceName, version, specification, description, deprecated }) => {
-  logger.info(`Saving spec for ${serviceName}@${version}`);
+const findService = (serviceName) => storage.services.findOne({ name: serviceName, deletedAt: { $exists: false } });
+
+// Present a stored specification in the shape this API, and the history snapshots, use
+const toSpecRecord = (spec, serviceName) => ({
+  id: spec._id.toString(),
+  serviceName,
+  version: spec.version,
+  specification: spec.specification,
+  description: spec.description || '',
+  deprecated: !!spec.isDeprecated,
+  deprecationDate: spec.deprecationDate || null,
+  sunsetDate: spec.sunsetDate || null,
+  replacementVersion: spec.replacementVersion || null,
+  migrationNotes: spec.migrationNotes || null,
+  retired: !!spec.isRetired,
+  retiredAt: spec.retiredAt || null,
+  publicationStatus: spec.publicationStatus || 'published',
+  publishedAt: spec.publishedAt || null,
+  signature: specSignatureService.signatureSummary(spec),
+  compatibility: spec.compatibility || null,
+  lint: spec.lint || null,
+  endpoints: spec.endpoints || [],
+  originalSpecification: spec.originalSpecification || null,
+  conversion: spec.conversion || null,
+  createdAt: spec.createdAt,
+  updatedAt: spec.updatedAt,
+  url: `/specs/${serviceName}/${spec.version}`,
+  docsUrl: `/ui/${serviceName}/${spec.version}`
+});
 
-  // Check if spec already exists
-  const existingSpec = await exports.getSpec(serviceName, version);
-  const id = existingSpec ? existingSpec.id : uuidv4();
+// Snapshot of a spec as committed to history: the record plus what is needed to restore it
+const toSnapshot = (spec, serviceName) => ({
+  ...toSpecRecord(spec, serviceName),
+  format: spec.format || 'openapi',
+  isPublic: spec.isPublic !== false,
+  accessControl: spec.accessControl || undefined
+});
+
+// Stored fields of a spec restored from a snapshot
+const snapshotFields = (snapshot) => ({
+  specification: snapshot.specification,
+  description: snapshot.description || '',
+  isDeprecated: !!snapshot.deprecated,
+  compatibility: snapshot.compatibility || undefined,
+  lint: snapshot.lint || undefined,
+  endpoints: snapshot.endpoints || [],
+  originalSpecification: snapshot.originalSpecification || undefined,
+  conversion: snapshot.conversion || undefined
+});
 
-  const serviceDir = path.join(SPECS_DIR, serviceName);
-  if (!fs.existsSync(serviceDir)) {
-    fs.mkdirSync(serviceDir, { recursive: true });
+// Write a snapshot of a spec to the storage repository and commit it; syncs with the
+// mirror check out the working tree, so the two never run at the same time
+const commitSnapshot = (record, message) => gitMirrorService.runExclusive(async () => {
+  const filePath = getSpecFilePath(record.serviceName, record.version);
+  const filepath = path.relative(STORAGE_DIR, filePath);
+
+  if (record.removed) {
+    if (!fs.existsSync(filePath)) return null;
+    fs.unlinkSync(filePath);
+    await git.remove({ fs, dir: STORAGE_DIR, filepath });
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(record, null, 2));
+    await git.add({ fs, dir: STORAGE_DIR, filepath });
   }
 
-  const now = new Date().toISOString();
-  const filePath = getSpecFilePath(serviceName, version);
+  const oid = await git.commit({
+    fs,
+    dir: STORAGE_DIR,
+    message,
+    author: {
+      name: 'API Registry Service',
+      email: 'api-registry@example.com'
+    }
+  });
+  logger.info(`Git commit successful: ${message}`);
+  gitMirrorService.queuePush();
+  return oid;
+});
 
-  const specData = {
-    id,
-    serviceName,
-    version,
-    specification,
-    description: description || '',
-    deprecated: !!deprecated,
-    createdAt: existingSpec ? existingSpec.createdAt : now,
-    updatedAt: now,
-    url: `/specs/${serviceName}/${version}`,
-    docsUrl: `/ui/${serviceName}/${version}`
-  };
+// Commit a snapshot when history is enabled; storage is authoritative, so git failures are only logged
+const commitIfEnabled = async (record, message) => {
+  if (!exports.isHistoryEnabled()) return null;
 
-  fs.writeFileSync(filePath, JSON.stringify(specData, null, 2));
+  // Names and versions become paths in the repository
+  if (!PATH_SAFE_NAME.test(record.serviceName) || !semver.valid(record.version)) {
+    logger.warn(`Spec ${record.serviceName}@${record.version} is not recorded in history; name or version is not path-safe`);
+    return null;
+  }
 
-  // Git add & commit
   try {
-    if (process.env.GIT_ENABLED === 'true') {
-      await git.add({ fs, dir: STORAGE_DIR, filepath: path.relative(STORAGE_DIR, filePath) });
-      await git.commit({
-        fs,
-        dir: STORAGE_DIR,
-        message: `${existingSpec ? 'Update' : 'Add'} spec for ${serviceName}@${version}`,
-        author: {
-          name: 'API Registry Service',
-          email: 'api-registry@example.com'
-        }
-      });
-      logger.info(`Git commit successful for ${serviceName}@${version}`);
-    }
+    return await commitSnapshot(record, message);
   } catch (error) {
     logger.error(`Git operation failed: ${error.message}`, { error: error.stack });
-    // Continue with the function even if git operations fail
+    return null;
   }
+};
+
+// Record a stored spec in the history, for writes made outside this service
+exports.recordSpecChange = async (serviceName, spec, message) =>
+  commitIfEnabled(toSnapshot(spec, serviceName), message);
+
+// Save spec (register or update)
+exports.saveSpec = async ({
+  serviceName,
+  version,
+  specification,
+  description,
+  deprecated,
+  compatibility,
+  lint,
+  endpoints,
+  originalSpecification,
+  conversion,
+  tag
+}) => {
+  logger.info(`Saving spec for ${serviceName}@${version}`);
+
+  const service = await findService(serviceName);
+  if (!service) {
+    const error = new Error(`Service '${serviceName}' not found`);
+    error.code = 'service/not-found';
+    throw error;
+  }
+
+  const fields = {
+    name: (specification.info && specification.info.title) || serviceName,
+    title: specification.info && specification.info.title,
+    specification,
+    description: description || '',
+    isDeprecated: !!deprecated,
+    compatibility: compatibility || undefined,
+    lint: lint || undefined,
+    endpoints: endpoints || [],
+    originalSpecification: originalSpecification || undefined,
+    conversion: conversion || undefined
+  };
+
+  // Check if spec already exists; updates keep the version's publication status but not its publisher signature
+  const existingSpec = await storage.specs.findOne({ serviceId: service._id, version });
+  const stored = existingSpec
+    ? await storage.specs.updateById(existingSpec._id, { $set: fields, $unset: { signature: '' } })
+    : await storage.specs.create({
+      ...fields,
+      serviceId: service._id,
+      version,
+      format: 'openapi',
+      publicationStatus: specReviewService.initialStatus(service)
+    });
+
+  // Versions awaiting review keep the requested tag until they are published
+  let spec = stored;
+  if (specReviewService.isPublished(stored)) {
+    spec = await distTagService.applyOnPublish(service._id, version, tag) || stored;
+  } else if (tag) {
+    spec = await storage.specs.updateById(stored._id, { $set: { requestedTag: tag } });
+  }
+
+  await commitIfEnabled(toSnapshot(spec, serviceName), `${existingSpec ? 'Update' : 'Add'} spec for ${serviceName}@${version}`);
 
-  return specData;
+  return toSpecRecord(spec, serviceName);
 };
 
 // Get spec by service and version
 exports.getSpec = async (serviceName, version) => {
-  const filePath = getSpecFilePath(serviceName, version);
-  if (!fs.existsSync(filePath)) return null;
-  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const service = await findService(serviceName);
+  if (!service) return null;
+
+  const spec = await storage.specs.findOne({ serviceId: service._id, version });
+  return spec ? toSpecRecord(spec, serviceName) : null;
 };
 
-// Get latest spec by service
-exports.getLatestSpec = async (serviceName) => {
-  const serviceDir = path.join(SPECS_DIR, serviceName);
-  if (!fs.existsSync(serviceDir)) {
-    logger.warn(`No specs directory found for service: ${serviceName}`);
-    return null;
-  }
+// Visibility and read grants of a stored spec and its service, for access checks
+exports.getSpecAccess = async (serviceName, version) => {
+  const service = await findService(serviceName);
+  if (!service) return null;
 
-  const files = fs.readdirSync(serviceDir)
-    .filter(f => f.endsWith('.json'));
+  const spec = await storage.specs.findOne({ serviceId: service._id, version }, { select: 'isPublic accessControl' });
+  return spec ? { spec, service } : null;
+};
 
-  if (files.length === 0) {
-    logger.warn(`No spec files found for service: ${serviceName}`);
-    return null;
+// Versions of a service's specs that are semantic versions
+const listVersions = async (serviceName, filter = {}) => {
+  const service = await findService(serviceName);
+  if (!service) return [];
+
+  const specs = await storage.specs.find({ ...filter, serviceId: service._id }, { select: 'version' });
+  return specs.map(spec => spec.version).filter(v => semver.valid(v));
+};
+
+// Get latest spec by service: the version tagged latest, else the highest release version
+exports.getLatestSpec = async (serviceName) => {
+  const service = await findService(serviceName);
+  const tagged = service && await storage.specs.findOne({ serviceId: service._id, isLatest: true }, { select: 'version' });
+  if (tagged) {
+    return exports.getSpec(serviceName, tagged.version);
   }
 
-  const versions = files.map(f => f.replace('.json', ''))
-    .filter(v => semver.valid(v));
+  // Retired and unpublished versions are never latest
+  const versions = await listVersions(serviceName, { isRetired: { $ne: true }, ...specReviewService.publishedFilter() });
 
   if (versions.length === 0) {
     logger.warn(`No valid semver versions found for service: ${serviceName}`);
     return null;
   }
 
-  // Find the latest version
+  // Find the latest version; pre-releases never count as latest
   const latest = semver.maxSatisfying(versions, '*');
   if (!latest) {
     logger.warn(`Could not determine latest version for service: ${serviceName}`);
@@ -127,55 +254,53 @@ exports.getLatestSpec = async (serviceName) => {
   return exports.getSpec(serviceName, latest);
 };
 
-// List all specifications with optional filters
-exports.listSpecs = async (filters = {}) => {
-  logger.info(`Listing specs with filters: ${JSON.stringify(filters)}`);
-
-  if (!fs.existsSync(SPECS_DIR)) {
-    return [];
+// Get the closest earlier version of a service's spec
+exports.getPreviousSpec = async (serviceName, version) => {
+  if (!semver.valid(version)) {
+    return null;
   }
 
-  const services = fs.readdirSync(SPECS_DIR)
-    .filter(dir => fs.statSync(path.join(SPECS_DIR, dir)).isDirectory());
-
-  // Filter by serviceName if provided
-  const filteredServices = filters.serviceName
-    ? services.filter(s => s === filters.serviceName)
-    : services;
+  const versions = (await listVersions(serviceName)).filter(v => semver.lt(v, version));
+  if (versions.length === 0) {
+    return null;
+  }
 
-  let allSpecs = [];
+  return exports.getSpec(serviceName, semver.rsort(versions)[0]);
+};
 
-  for (const service of filteredServices) {
-    const serviceDir = path.join(SPECS_DIR, service);
-    const files = fs.readdirSync(serviceDir)
-      .filter(f => f.endsWith('.json'));
+// List all specifications with optional filters
+exports.listSpecs = async (filters = {}) => {
+  logger.info(`Listing specs with filters: ${JSON.stringify(filters)}`);
 
-    for (const file of files) {
-      const filePath = path.join(serviceDir, file);
-      const spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const serviceQuery = { deletedAt: { $exists: false } };
+  if (filters.serviceName) serviceQuery.name = filters.serviceName;
 
-      // Apply version filter if provided
-      if (filters.version && spec.version !== filters.version) {
-        continue;
-      }
+  const services = await storage.services.find(serviceQuery, { select: 'name' });
+  const serviceNames = new Map(services.map(service => [service._id.toString(), service.name]));
+  if (serviceNames.size === 0) {
+    return [];
+  }
 
-      // Apply deprecated filter if provided
-      if (filters.deprecated !== undefined && spec.deprecated !== filters.deprecated) {
-        continue;
-      }
+  const specQuery = { serviceId: { $in: Array.from(serviceNames.keys()) } };
+  if (filters.version) specQuery.version = filters.version;
+  if (filters.deprecated !== undefined) specQuery.isDeprecated = filters.deprecated;
 
-      // Don't include the full specification in the list response
-      const { specification, ...specInfo } = spec;
-      allSpecs.push(specInfo);
-    }
-  }
+  // The documents are only loaded to check signatures against; the list response leaves them out
+  const specs = await storage.specs.find(specQuery);
+  const allSpecs = specs.map(spec => {
+    const { specification, originalSpecification, ...specInfo } = toSpecRecord(spec, serviceNames.get(spec.serviceId.toString()));
+    return specInfo;
+  });
 
   // Sort by serviceName and version
   allSpecs.sort((a, b) => {
     if (a.serviceName !== b.serviceName) {
       return a.serviceName.localeCompare(b.serviceName);
     }
-    return semver.compare(b.version, a.version); // Newest first
+    if (semver.valid(a.version) && semver.valid(b.version)) {
+      return semver.compare(b.version, a.version); // Newest first
+    }
+    return b.version.localeCompare(a.version);
   });
 
   return allSpecs;
@@ -190,70 +315,297 @@ exports.getSpecsForService = async (serviceName) => {
 exports.deleteSpec = async (serviceName, version) => {
   logger.info(`Deleting spec for ${serviceName}@${version}`);
 
-  const filePath = getSpecFilePath(serviceName, version);
-  if (!fs.existsSync(filePath)) {
+  const service = await findService(serviceName);
+  if (!service || !(await storage.specs.deleteOne({ serviceId: service._id, version }))) {
     return false;
   }
 
-  fs.unlinkSync(filePath);
+  await commitIfEnabled({ serviceName, version, removed: true }, `Remove spec for ${serviceName}@${version}`);
 
-  // Git commit the deletion if enabled
-  try {
-    if (process.env.GIT_ENABLED === 'true') {
-      await git.remove({ fs, dir: STORAGE_DIR, filepath: path.relative(STORAGE_DIR, filePath) });
-      await git.commit({
-        fs,
-        dir: STORAGE_DIR,
-        message: `Remove spec for ${serviceName}@${version}`,
-        author: {
-          name: 'API Registry Service',
-          email: 'api-registry@example.com'
-        }
-      });
-      logger.info(`Git commit successful for deletion of ${serviceName}@${version}`);
+  return true;
+};
+
+const lifecycleError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Mark a specification as deprecated. The sunset date, replacement version and
+ * migration notes replace any given earlier; the deprecation date is kept.
+ *
+ * @param {string} serviceName - Registered service name
+ * @param {string} version - Version to deprecate
+ * @param {Object} [terms]
+ * @param {Date} [terms.sunsetDate] - When the version is retired
+ * @param {string} [terms.replacementVersion] - Version consumers should move to
+ * @param {string} [terms.migrationNotes] - How to move to the replacement
+ * @returns {Promise<Object|null>} - The updated spec record, or null when the service or version is unknown
+ */
+exports.deprecateSpec = async (serviceName, version, { sunsetDate, replacementVersion, migrationNotes } = {}) => {
+  logger.info(`Marking spec as deprecated: ${serviceName}@${version}`);
+
+  const service = await findService(serviceName);
+  if (!service) {
+    return null;
+  }
+
+  const current = await storage.specs.findOne({ serviceId: service._id, version }, {
+    select: 'deprecationDate isRetired'
+  });
+  if (!current) {
+    return null;
+  }
+  if (current.isRetired) {
+    throw lifecycleError('lifecycle/retired', `${serviceName}@${version} is retired`);
+  }
+
+  if (replacementVersion) {
+    const replacement = replacementVersion !== version && await storage.specs.findOne(
+      { serviceId: service._id, version: replacementVersion }, { select: 'isDeprecated publicationStatus' });
+    if (!replacement || replacement.isDeprecated || !specReviewService.isPublished(replacement)) {
+      throw lifecycleError('lifecycle/invalid-replacement',
+        `Replacement ${replacementVersion} must be another published version of ${serviceName} that is not deprecated`);
     }
-  } catch (error) {
-    logger.error(`Git operation failed during deletion: ${error.message}`, { error: error.stack });
-    // Continue with the function even if git operations fail
   }
 
-  return true;
+  const terms = { sunsetDate, replacementVersion, migrationNotes };
+  const update = {
+    $set: {
+      isDeprecated: true,
+      deprecationDate: current.deprecationDate || new Date()
+    }
+  };
+  Object.entries(terms).forEach(([key, value]) => {
+    if (value) {
+      update.$set[key] = value;
+    } else {
+      update.$unset = { ...update.$unset, [key]: '' };
+    }
+  });
+
+  const spec = await storage.specs.updateById(current._id, update);
+
+  await commitIfEnabled(toSnapshot(spec, serviceName), `Mark spec as deprecated: ${serviceName}@${version}`);
+
+  return toSpecRecord(spec, serviceName);
 };
 
-// Mark a specification as deprecated
-exports.deprecateSpec = async (serviceName, version) => {
-  logger.info(`Marking spec as deprecated: ${serviceName}@${version}`);
+// Withdraw a deprecation; retired specifications stay retired
+exports.undeprecateSpec = async (serviceName, version) => {
+  const service = await findService(serviceName);
+  if (!service) {
+    return null;
+  }
 
-  const spec = await exports.getSpec(serviceName, version);
-  if (!spec) {
+  const current = await storage.specs.findOne({ serviceId: service._id, version }, { select: 'isRetired' });
+  if (!current) {
     return null;
   }
+  if (current.isRetired) {
+    throw lifecycleError('lifecycle/retired', `${serviceName}@${version} is retired`);
+  }
 
-  spec.deprecated = true;
-  spec.updatedAt = new Date().toISOString();
+  const spec = await storage.specs.updateById(current._id, {
+    $set: { isDeprecated: false },
+    $unset: { deprecationDate: '', sunsetDate: '', replacementVersion: '', migrationNotes: '' }
+  });
 
-  const filePath = getSpecFilePath(serviceName, version);
-  fs.writeFileSync(filePath, JSON.stringify(spec, null, 2));
+  await commitIfEnabled(toSnapshot(spec, serviceName), `Withdraw deprecation of spec: ${serviceName}@${version}`);
 
-  // Git commit the change if enabled
+  return toSpecRecord(spec, serviceName);
+};
+
+// Whether spec changes are recorded in the storage git repository
+exports.isHistoryEnabled = () =>
+  process.env.GIT_ENABLED === 'true' && fs.existsSync(path.join(STORAGE_DIR, '.git'));
+
+// Summarise a commit for history listings
+const formatCommit = ({ oid, commit }) => ({
+  commit: oid,
+  shortCommit: oid.slice(0, 7),
+  message: commit.message.trim(),
+  author: {
+    name: commit.author.name,
+    email: commit.author.email
+  },
+  committedAt: new Date(commit.committer.timestamp * 1000).toISOString()
+});
+
+// List commits touching a path under storage, newest first; deleted paths are still followed
+const logPath = async (filepath) => {
   try {
-    if (process.env.GIT_ENABLED === 'true') {
-      await git.add({ fs, dir: STORAGE_DIR, filepath: path.relative(STORAGE_DIR, filePath) });
-      await git.commit({
-        fs,
-        dir: STORAGE_DIR,
-        message: `Mark spec as deprecated: ${serviceName}@${version}`,
-        author: {
-          name: 'API Registry Service',
-          email: 'api-registry@example.com'
-        }
-      });
-      logger.info(`Git commit successful for deprecation of ${serviceName}@${version}`);
-    }
+    return await git.log({ fs, dir: STORAGE_DIR, filepath, force: true });
   } catch (error) {
-    logger.error(`Git operation failed during deprecation: ${error.message}`, { error: error.stack });
-    // Continue with the function even if git operations fail
+    if (error.code === 'NotFoundError') return [];
+    throw error;
   }
+};
+
+// List the commits that changed a spec, newest first
+exports.getSpecHistory = async (serviceName, version) => {
+  const filepath = path.relative(STORAGE_DIR, getSpecFilePath(serviceName, version));
+  const commits = await logPath(filepath);
+  return commits.map(formatCommit);
+};
+
+// List the commits that changed any of a service's specs, newest first
+exports.getServiceHistory = async (serviceName, limit = 20) => {
+  const commits = await logPath(path.relative(STORAGE_DIR, path.join(SPECS_DIR, serviceName)));
+
+  // Commit messages written by this service end with serviceName@version
+  const versionPattern = new RegExp(`${serviceName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}@(\\S+)$`);
 
-  return spec;
+  return commits.slice(0, limit).map(entry => {
+    const formatted = formatCommit(entry);
+    const match = formatted.message.match(versionPattern);
+    return { ...formatted, version: match ? match[1] : null };
+  });
 };
+
+// Get a spec as it was at a commit; null when the commit or the spec at that commit is not found
+exports.getSpecAtCommit = async (serviceName, version, commit) => {
+  const filepath = path.relative(STORAGE_DIR, getSpecFilePath(serviceName, version));
+
+  try {
+    const oid = await git.expandOid({ fs, dir: STORAGE_DIR, oid: commit });
+    const { blob } = await git.readBlob({ fs, dir: STORAGE_DIR, oid, filepath });
+
+    return {
+      commit: oid,
+      spec: JSON.parse(Buffer.from(blob).toString('utf8'))
+    };
+  } catch (error) {
+    if (error.code === 'NotFoundError' || error.code === 'AmbiguousError') return null;
+    throw error;
+  }
+};
+
+// Restore a spec to its content at a commit, recorded as a new commit
+exports.revertSpec = async (serviceName, version, commit) => {
+  logger.info(`Reverting spec ${serviceName}@${version} to ${commit}`);
+
+  const revision = await exports.getSpecAtCommit(serviceName, version, commit);
+  if (!revision) {
+    return null;
+  }
+
+  const service = await findService(serviceName);
+  if (!service) {
+    return null;
+  }
+
+  const snapshot = revision.spec;
+  const fields = snapshotFields(snapshot);
+
+  // The spec may have been deleted since the commit; reverting brings it back with the
+  // visibility, grants and publication status it had then. Snapshots from before those
+  // were recorded bring it back restricted, with no grants.
+  const existingSpec = await storage.specs.findOne({ serviceId: service._id, version });
+  const stored = existingSpec
+    ? await storage.specs.updateById(existingSpec._id, { $set: fields, $unset: { signature: '' } })
+    : await storage.specs.create({
+      ...fields,
+      serviceId: service._id,
+      version,
+      name: (snapshot.specification.info && snapshot.specification.info.title) || serviceName,
+      format: snapshot.format || 'openapi',
+      isPublic: snapshot.isPublic === true,
+      accessControl: snapshot.accessControl || undefined,
+      publicationStatus: snapshot.publicationStatus || specReviewService.initialStatus(service),
+      publishedAt: snapshot.publishedAt || undefined
+    });
+
+  // Unlike other writes, a revert is only meaningful once it is in the history
+  const oid = await commitSnapshot(toSnapshot(stored, serviceName),
+    `Revert spec to ${revision.commit.slice(0, 7)} for ${serviceName}@${version}`);
+
+  return {
+    spec: toSpecRecord(stored, serviceName),
+    commit: oid,
+    revertedTo: revision.commit
+  };
+};
+
+// Spec snapshots are committed as specs/<service>/<version>.json
+const SNAPSHOT_PATH = /^specs\/([^/]+)\/([^/]+)\.json$/;
+
+// Apply one mirrored snapshot file to storage, returning whether anything changed
+const importSnapshot = async ({ filepath, content }) => {
+  const [, serviceName, version] = filepath.match(SNAPSHOT_PATH);
+
+  const service = await findService(serviceName);
+  if (!service) {
+    logger.warn(`Mirrored spec ${filepath} is not imported; service '${serviceName}' is not registered`);
+    return false;
+  }
+
+  if (content === null) {
+    return storage.specs.deleteOne({ serviceId: service._id, version });
+  }
+
+  const snapshot = JSON.parse(content.toString('utf8'));
+  if (!snapshot || typeof snapshot.specification !== 'object' || snapshot.specification === null) {
+    logger.warn(`Mirrored spec ${filepath} is not imported; it has no specification`);
+    return false;
+  }
+
+  // Operations are indexed from the document as edited, not taken from the snapshot
+  const existingSpec = await storage.specs.findOne({ serviceId: service._id, version });
+  const format = (existingSpec && existingSpec.format) || snapshot.format || 'openapi';
+  const fields = {
+    ...snapshotFields(snapshot),
+    endpoints: format === 'asyncapi'
+      ? asyncApiService.extractEndpoints(snapshot.specification)
+      : operationIndexService.extractEndpoints(snapshot.specification)
+  };
+
+  // Edits keep the spec's visibility, grants and publication status; new versions are
+  // treated as uploads, so they await review where the service requires it
+  if (existingSpec) {
+    await storage.specs.updateById(existingSpec._id, { $set: fields, $unset: { signature: '' } });
+  } else {
+    await storage.specs.create({
+      ...fields,
+      serviceId: service._id,
+      version,
+      name: (snapshot.specification.info && snapshot.specification.info.title) || serviceName,
+      format,
+      isPublic: snapshot.isPublic === true,
+      accessControl: snapshot.accessControl || undefined,
+      publicationStatus: specReviewService.initialStatus(service)
+    });
+  }
+  return true;
+};
+
+/**
+ * Bring spec snapshots changed in the git mirror, e.g. by a merged pull
+ * request, into storage. Files that are not snapshots of a registered
+ * service's spec are skipped.
+ *
+ * @param {Array<{filepath: string, content: Buffer|null}>} changes - Files changed by the merge; content is null for deleted files
+ * @returns {Promise<number>} - How many stored specs were changed
+ */
+exports.importMirroredSpecs = async (changes) => {
+  let imported = 0;
+
+  for (const change of changes) {
+    const match = change.filepath.match(SNAPSHOT_PATH);
+    if (!match || !PATH_SAFE_NAME.test(match[1]) || !semver.valid(match[2])) continue;
+
+    try {
+      if (await importSnapshot(change)) imported += 1;
+    } catch (error) {
+      logger.error(`Mirrored spec ${change.filepath} is not imported: ${error.message}`, { error: error.stack });
+    }
+  }
+
+  if (imported > 0) {
+    logger.info(`Imported ${imported} mirrored spec change(s) into storage`);
+  }
+  return imported;
+};
+
+gitMirrorService.onMerge(changes => exports.importMirroredSpecs(changes));
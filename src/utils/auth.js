@@ -5,6 +5,7 @@
  */
 
 const authService = require('../services/authService');
+const accessControlService = require('../services/accessControlService');
 const { errors } = require('../lib/shared-libraries');
 const winston = require('winston');
 
@@ -20,6 +21,22 @@ const logger = winston.createLogger({
   ]
 });
 
+// Auth info for an accepted API key; the key itself is only kept as a digest
+const apiKeyIdentity = (apiKey) => ({
+  type: 'api-key',
+  authenticated: true,
+  apiKey: accessControlService.hashApiKey(apiKey),
+  roles: authService.rolesForApiKey(apiKey)
+});
+
+// Auth info for an accepted DID token, with the roles the registry assigns to the DID
+const didIdentity = (user) => ({
+  type: 'did',
+  authenticated: true,
+  user,
+  roles: authService.rolesForDid(user.did)
+});
+
 /**
  * API Key authentication middleware
  */
@@ -54,10 +71,7 @@ const apiKeyAuth = (req, res, next) => {
   }
   
   // Add auth info to request
-  req.auth = {
-    type: 'api-key',
-    authenticated: true
-  };
+  req.auth = apiKeyIdentity(apiKey);
   
   next();
 };
@@ -99,11 +113,7 @@ const didAuth = async (req, res, next) => {
     }
     
     // Add auth info to request
-    req.auth = {
-      type: 'did',
-      authenticated: true,
-      user: result.user
-    };
+    req.auth = didIdentity(result.user);
     
     next();
   } catch (error) {
@@ -165,10 +175,7 @@ const optionalAuth = async (req, res, next) => {
   if (apiKey) {
     const isValid = authService.validateApiKey(apiKey);
     if (isValid) {
-      req.auth = {
-        type: 'api-key',
-        authenticated: true
-      };
+      req.auth = apiKeyIdentity(apiKey);
     }
   }
   
@@ -179,11 +186,7 @@ const optionalAuth = async (req, res, next) => {
       const result = await authService.validateDIDAuth(token);
       
       if (result.valid) {
-        req.auth = {
-          type: 'did',
-          authenticated: true,
-          user: result.user
-        };
+        req.auth = didIdentity(result.user);
       }
     } catch (error) {
       // Log error but don't fail the request
@@ -197,9 +200,86 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+/**
+ * Read access check for a specification that may be restricted
+ *
+ * Public specifications pass straight through. For restricted ones, callers
+ * whose credentials were not already accepted are authenticated through
+ * flexibleAuth, so missing or invalid credentials get its 401; callers without
+ * a grant on the specification or its service get a 403.
+ *
+ * @returns {Promise<boolean>} - True when the request may proceed; otherwise a response has been sent
+ */
+const checkReadAccess = (req, res, spec, service) => new Promise((resolve, reject) => {
+  const decide = () => {
+    if (accessControlService.canRead(req.auth, spec, service)) {
+      return resolve(true);
+    }
+
+    logger.warn('Specification access denied', {
+      path: req.path,
+      method: req.method,
+      ip: req.ip,
+      authType: req.auth && req.auth.type
+    });
+
+    res.status(403).json({
+      error: 'access_denied',
+      message: 'Access to this specification is restricted',
+      timestamp: new Date().toISOString()
+    });
+    resolve(false);
+  };
+
+  if (accessControlService.isPublic(spec) || (req.auth && req.auth.authenticated)) {
+    return decide();
+  }
+
+  // Resolves false when flexibleAuth has already answered without calling decide
+  Promise.resolve(flexibleAuth(req, res, decide)).then(() => resolve(false), reject);
+});
+
+/**
+ * Check that the caller may manage a service or one of its specifications:
+ * change its grants, its identity or its specification policy. Callers that
+ * did not authenticate get a 401, others without the right a 403.
+ *
+ * @returns {boolean} - True when the request may proceed; otherwise a response has been sent
+ */
+const checkManageAccess = (req, res, service) => {
+  if (accessControlService.canManageAccess(req.auth, service)) {
+    return true;
+  }
+
+  logger.warn('Service management denied', {
+    path: req.path,
+    method: req.method,
+    ip: req.ip,
+    authType: req.auth && req.auth.type
+  });
+
+  if (!req.auth || !req.auth.authenticated) {
+    res.status(401).json(
+      errors.format('auth/unauthorized', 'Authentication is required (API key or Bearer token)')
+    );
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'access_denied',
+    message: 'Only registry admins and the service itself can make this change',
+    timestamp: new Date().toISOString()
+  });
+  return false;
+};
+
 module.exports = {
+  apiKeyIdentity,
+  didIdentity,
   apiKeyAuth,
   didAuth,
   flexibleAuth,
-  optionalAuth
+  optionalAuth,
+  checkReadAccess,
+  checkManageAccess
 };
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+/**
+ * Serialise a JSON value with object keys sorted recursively, so documents
+ * that differ only in key order produce the same string.
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return canonicalize(value.toJSON());
+    }
+
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 hex digest of the canonical form of a JSON value
+ */
+function contentHash(value) {
+  return crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+}
+
+module.exports = {
+  canonicalize,
+  contentHash
+};
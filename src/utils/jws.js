@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Multicodec prefix of an Ed25519 public key in publicKeyMultibase and did:key
+const ED25519_MULTICODEC = Buffer.from([0xed, 0x01]);
+
+// DER prefix turning a raw 32-byte Ed25519 public key into SubjectPublicKeyInfo
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Signature algorithms accepted in JWS headers, with the key type and curve each needs
+const ALGORITHMS = {
+  EdDSA: { keyType: 'ed25519' },
+  ES256: { keyType: 'ec', curve: 'prime256v1', hash: 'sha256' },
+  ES384: { keyType: 'ec', curve: 'secp384r1', hash: 'sha384' },
+  RS256: { keyType: 'rsa', hash: 'sha256' },
+  PS256: { keyType: 'rsa', hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING }
+};
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function base58Encode(bytes) {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+
+  // Leading zero bytes are kept as leading '1's
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+}
+
+function base58Decode(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) {
+      throw new Error(`Invalid base58 character '${char}'`);
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  const hex = value > 0n ? value.toString(16) : '';
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const zeros = text.length - text.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+function ed25519PublicKey(raw) {
+  if (raw.length !== 32) {
+    throw new Error('Ed25519 public keys are 32 bytes');
+  }
+  return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+/**
+ * Public key of a DID document verification method. Supports publicKeyJwk,
+ * and Ed25519 keys as publicKeyMultibase or publicKeyBase58.
+ */
+function publicKeyFromVerificationMethod(method) {
+  if (method.publicKeyJwk) {
+    return crypto.createPublicKey({ key: method.publicKeyJwk, format: 'jwk' });
+  }
+
+  if (method.publicKeyMultibase) {
+    if (!method.publicKeyMultibase.startsWith('z')) {
+      throw new Error('Only base58btc (z) multibase keys are supported');
+    }
+    const bytes = base58Decode(method.publicKeyMultibase.slice(1));
+    if (bytes.subarray(0, 2).equals(ED25519_MULTICODEC)) {
+      return ed25519PublicKey(bytes.subarray(2));
+    }
+    // Ed25519VerificationKey2020 keys may be published without the multicodec prefix
+    return ed25519PublicKey(bytes);
+  }
+
+  if (method.publicKeyBase58) {
+    return ed25519PublicKey(base58Decode(method.publicKeyBase58));
+  }
+
+  throw new Error(`Verification method ${method.id} has no supported public key`);
+}
+
+// publicKeyMultibase of an Ed25519 key, as used in DID documents and did:key
+function ed25519Multibase(key) {
+  const publicKey = key.type === 'public' ? key : crypto.createPublicKey(key);
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return `z${base58Encode(Buffer.concat([ED25519_MULTICODEC, raw]))}`;
+}
+
+// Whether a key can be used with a JWS algorithm
+function keyMatchesAlgorithm(key, alg) {
+  const algorithm = ALGORITHMS[alg];
+  if (!algorithm || key.asymmetricKeyType !== algorithm.keyType) {
+    return false;
+  }
+  return !algorithm.curve || key.asymmetricKeyDetails.namedCurve === algorithm.curve;
+}
+
+function signingOptions(key, alg) {
+  const algorithm = ALGORITHMS[alg];
+  return {
+    hash: algorithm.hash || null,
+    options: {
+      key,
+      dsaEncoding: 'ieee-p1363',
+      padding: algorithm.padding,
+      saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined
+    }
+  };
+}
+
+/**
+ * Parse a compact JWS with a detached payload ("header..signature")
+ * @returns {{header: Object, protectedHeader: string, signature: Buffer}}
+ */
+function parseDetached(jws) {
+  const parts = typeof jws === 'string' ? jws.split('.') : [];
+  if (parts.length !== 3 || parts[1] !== '' || !parts[0] || !parts[2]) {
+    throw new Error('Expected a compact JWS with a detached payload (header..signature)');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('The JWS header is not valid JSON');
+  }
+  if (!header || typeof header !== 'object' || Array.isArray(header)) {
+    throw new Error('The JWS header must be a JSON object');
+  }
+
+  return { header, protectedHeader: parts[0], signature: Buffer.from(parts[2], 'base64url') };
+}
+
+// Sign a payload, returning a compact JWS with the payload left out
+function signDetached(payload, key, header) {
+  const protectedHeader = base64url(JSON.stringify(header));
+  const { hash, options } = signingOptions(key, header.alg);
+  const signature = crypto.sign(hash, Buffer.from(`${protectedHeader}.${base64url(payload)}`), options);
+  return `${protectedHeader}..${signature.toString('base64url')}`;
+}
+
+// Verify a parsed detached JWS against its payload and a public key
+function verifyDetached(parsed, payload, key) {
+  const { hash, options } = signingOptions(key, parsed.header.alg);
+  return crypto.verify(hash, Buffer.from(`${parsed.protectedHeader}.${base64url(payload)}`), options, parsed.signature);
+}
+
+module.exports = {
+  ALGORITHMS,
+  base58Encode,
+  base58Decode,
+  publicKeyFromVerificationMethod,
+  ed25519Multibase,
+  keyMatchesAlgorithm,
+  parseDetached,
+  signDetached,
+  verifyDetached
+};
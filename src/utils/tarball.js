@@ -0,0 +1,82 @@
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+// Write a string into a fixed-width header field
+function writeField(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+// Numeric header fields are zero-padded octal followed by a NUL
+function writeOctal(header, value, offset, length) {
+  writeField(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+// Names over 100 bytes are split at a "/" into the ustar prefix field and the name field
+function splitName(path) {
+  if (Buffer.byteLength(path) <= 100) {
+    return { name: path, prefix: '' };
+  }
+
+  for (let index = path.indexOf('/'); index !== -1; index = path.indexOf('/', index + 1)) {
+    const prefix = path.slice(0, index);
+    const name = path.slice(index + 1);
+    if (Buffer.byteLength(prefix) > 155) break;
+    if (name && Buffer.byteLength(name) <= 100) {
+      return { name, prefix };
+    }
+  }
+
+  throw new Error(`Tarball entry name too long: ${path}`);
+}
+
+function createHeader(path, size, mtime) {
+  const { name, prefix } = splitName(path);
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  writeField(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.fill(' ', 148, 156);
+  writeField(header, '0', 156, 1);
+  writeField(header, 'ustar\0', 257, 6);
+  writeField(header, '00', 263, 2);
+  writeField(header, prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeField(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+}
+
+/**
+ * Build a gzipped ustar archive from in-memory files.
+ * Entries share a fixed mtime so identical input yields identical bytes.
+ */
+function createTarball(files, { mtime = 0 } = {}) {
+  const blocks = [];
+
+  for (const file of files) {
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+    blocks.push(createHeader(file.path, content.length, mtime));
+    blocks.push(content);
+
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+
+  // Two empty blocks mark the end of the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+module.exports = { createTarball };
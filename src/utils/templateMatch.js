@@ -0,0 +1,49 @@
+// Stands in for {parameters} while a template is split; it cannot occur in a URL path or channel name
+const PARAMETER = '\u0000';
+
+/**
+ * Match one segment against the literal parts of a template segment, with a
+ * parameter of at least one character between each pair. Literals are found
+ * left to right at their earliest position, which leaves the most room for the
+ * rest, so the match takes linear time however many parameters there are.
+ */
+function segmentMatches(literals, segment) {
+  const [first] = literals;
+  const last = literals[literals.length - 1];
+
+  if (literals.length === 1) {
+    return segment === first;
+  }
+  if (!segment.startsWith(first) || segment.length < first.length + last.length + literals.length - 1) {
+    return false;
+  }
+
+  let position = first.length;
+  for (const literal of literals.slice(1, -1)) {
+    const found = segment.indexOf(literal, position + 1);
+    if (found === -1) {
+      return false;
+    }
+    position = found + literal.length;
+  }
+
+  const end = segment.length - last.length;
+  return end > position && segment.endsWith(last);
+}
+
+/**
+ * Whether a value matches a template such as /users/{id} or
+ * credentials/{credentialId}/revoked. A parameter matches one or more
+ * characters other than "/"; a value may itself be a template.
+ */
+function templateMatches(template, value) {
+  const templateSegments = String(template).replace(/\{[^}]+\}/g, PARAMETER).split('/');
+  const segments = String(value).split('/');
+
+  return templateSegments.length === segments.length &&
+    templateSegments.every((templateSegment, index) => segmentMatches(templateSegment.split(PARAMETER), segments[index]));
+}
+
+module.exports = {
+  templateMatches
+};
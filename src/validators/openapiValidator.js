@@ -2,8 +2,8 @@ const SwaggerParser = require('@apidevtools/swagger-parser');
 
 exports.validateSpec = async (spec) => {
   try {
-    // Parse and validate the OpenAPI document
-    await SwaggerParser.validate(spec);
+    // Parse and validate the OpenAPI document; validation dereferences in place, so use a copy
+    await SwaggerParser.validate(JSON.parse(JSON.stringify(spec)));
     return { valid: true };
   } catch (err) {
     return { 
@@ -0,0 +1,266 @@
+/**
+ * PDS 2.2 Specification Ruleset
+ *
+ * House rules for OpenAPI documents registered with the API Registry.
+ * Each rule returns the violations it finds as { message, pointer }.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Escape a path or key for use in a JSON pointer
+const pointerSegment = (value) => String(value).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Follow local $refs such as #/components/responses/NotFound
+const resolveRef = (node, spec, seen = new Set()) => {
+  if (!node || typeof node.$ref !== 'string' || !node.$ref.startsWith('#/') || seen.has(node.$ref)) {
+    return node;
+  }
+
+  seen.add(node.$ref);
+  const target = node.$ref.slice(2).split('/').reduce((current, segment) =>
+    current && current[segment.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+
+  return resolveRef(target, spec, seen);
+};
+
+// Iterate every operation with its JSON pointer
+const operations = (spec) => {
+  const result = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      if (pathItem && pathItem[method]) {
+        result.push({
+          path,
+          method,
+          pathItem,
+          operation: pathItem[method],
+          pointer: `/paths/${pointerSegment(path)}/${method}`
+        });
+      }
+    }
+  }
+
+  return result;
+};
+
+// Substitute server variables with their defaults
+const expandServerUrl = (server) => Object.entries(server.variables || {})
+  .reduce((url, [name, variable]) => url.replace(`{${name}}`, variable.default || ''), server.url || '');
+
+const normaliseUrl = (url) => url.replace(/\/+$/, '').toLowerCase();
+
+const rules = [
+  {
+    id: 'info-description',
+    description: 'The info object should describe the API',
+    severity: 'warn',
+    check: (spec) => (spec.info && spec.info.description ? [] : [{
+      message: 'info.description is missing',
+      pointer: '/info'
+    }])
+  },
+  {
+    id: 'info-contact',
+    description: 'The info object should name a contact for the API',
+    severity: 'info',
+    check: (spec) => (spec.info && spec.info.contact ? [] : [{
+      message: 'info.contact is missing',
+      pointer: '/info'
+    }])
+  },
+  {
+    id: 'operation-operationId',
+    description: 'Every operation must have an operationId',
+    severity: 'error',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !operation.operationId)
+      .map(({ path, method, pointer }) => ({
+        message: `${method.toUpperCase()} ${path} has no operationId`,
+        pointer
+      }))
+  },
+  {
+    id: 'operation-operationId-unique',
+    description: 'operationIds must be unique across the document',
+    severity: 'error',
+    check: (spec) => {
+      const seen = new Map();
+      const violations = [];
+
+      for (const { operation, pointer } of operations(spec)) {
+        if (!operation.operationId) continue;
+
+        if (seen.has(operation.operationId)) {
+          violations.push({
+            message: `operationId "${operation.operationId}" is also used at ${seen.get(operation.operationId)}`,
+            pointer: `${pointer}/operationId`
+          });
+        } else {
+          seen.set(operation.operationId, pointer);
+        }
+      }
+
+      return violations;
+    }
+  },
+  {
+    id: 'operation-summary',
+    description: 'Operations should have a summary or description',
+    severity: 'warn',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !operation.summary && !operation.description)
+      .map(({ path, method, pointer }) => ({
+        message: `${method.toUpperCase()} ${path} has no summary or description`,
+        pointer
+      }))
+  },
+  {
+    id: 'operation-tags',
+    description: 'Operations should be grouped with at least one tag',
+    severity: 'warn',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !Array.isArray(operation.tags) || operation.tags.length === 0)
+      .map(({ path, method, pointer }) => ({
+        message: `${method.toUpperCase()} ${path} has no tags`,
+        pointer
+      }))
+  },
+  {
+    id: 'operation-security',
+    description: 'Every operation must declare its security requirements, either directly or through the document default',
+    severity: 'error',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !Array.isArray(operation.security) && !Array.isArray(spec.security))
+      .map(({ path, method, pointer }) => ({
+        message: `${method.toUpperCase()} ${path} does not declare security`,
+        pointer
+      }))
+  },
+  {
+    id: 'security-schemes-defined',
+    description: 'Security requirements must reference schemes defined in components.securitySchemes',
+    severity: 'error',
+    check: (spec) => {
+      const defined = Object.keys((spec.components && spec.components.securitySchemes) || {});
+      const requirements = [
+        ...(spec.security || []).map((requirement, index) => ({ requirement, pointer: `/security/${index}` })),
+        ...operations(spec).flatMap(({ operation, pointer }) => (operation.security || [])
+          .map((requirement, index) => ({ requirement, pointer: `${pointer}/security/${index}` })))
+      ];
+
+      return requirements.flatMap(({ requirement, pointer }) => Object.keys(requirement || {})
+        .filter(name => !defined.includes(name))
+        .map(name => ({
+          message: `Security scheme "${name}" is not defined`,
+          pointer
+        })));
+    }
+  },
+  {
+    id: 'operation-success-response',
+    description: 'Every operation must define at least one success response',
+    severity: 'error',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !Object.keys(operation.responses || {}).some(code => /^[23]/.test(code)))
+      .map(({ path, method, pointer }) => ({
+        message: `${method.toUpperCase()} ${path} has no 2xx or 3xx response`,
+        pointer: `${pointer}/responses`
+      }))
+  },
+  {
+    id: 'error-response-format',
+    description: 'JSON error responses must use the shared error format { error: { code, message, details } }',
+    severity: 'error',
+    check: (spec) => {
+      const violations = [];
+
+      for (const { path, method, operation, pointer } of operations(spec)) {
+        for (const [code, responseRef] of Object.entries(operation.responses || {})) {
+          if (!/^[45]/.test(code) && code !== 'default') continue;
+
+          const response = resolveRef(responseRef, spec) || {};
+          for (const [mediaType, media] of Object.entries(response.content || {})) {
+            if (!mediaType.includes('json')) continue;
+
+            const schema = resolveRef(media && media.schema, spec) || {};
+            const error = resolveRef(schema.properties && schema.properties.error, spec) || {};
+            const errorProperties = error.properties || {};
+
+            if (!errorProperties.code || !errorProperties.message) {
+              violations.push({
+                message: `${method.toUpperCase()} ${path} ${code} response does not use the shared error format`,
+                pointer: `${pointer}/responses/${code}/content/${pointerSegment(mediaType)}/schema`
+              });
+            }
+          }
+        }
+      }
+
+      return violations;
+    }
+  },
+  {
+    id: 'path-parameters-defined',
+    description: 'Every path template variable must be declared as a path parameter',
+    severity: 'error',
+    check: (spec) => operations(spec).flatMap(({ path, method, pathItem, operation, pointer }) => {
+      const declared = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map(param => resolveRef(param, spec))
+        .filter(param => param && param.in === 'path')
+        .map(param => param.name);
+
+      return (path.match(/\{[^}]+\}/g) || [])
+        .map(template => template.slice(1, -1))
+        .filter(name => !declared.includes(name))
+        .map(name => ({
+          message: `${method.toUpperCase()} ${path} does not declare path parameter "${name}"`,
+          pointer
+        }));
+    })
+  },
+  {
+    id: 'path-kebab-case',
+    description: 'Path segments should be lower-case kebab-case',
+    severity: 'info',
+    check: (spec) => Object.keys(spec.paths || {})
+      .filter(path => path.split('/').some(segment =>
+        segment && !/^\{.+\}$/.test(segment) && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(segment)))
+      .map(path => ({
+        message: `Path ${path} is not kebab-case`,
+        pointer: `/paths/${pointerSegment(path)}`
+      }))
+  },
+  {
+    id: 'servers-match-base-url',
+    description: 'Server URLs must sit under the registered service baseUrl',
+    severity: 'error',
+    check: (spec, { service }) => {
+      if (!service || !service.baseUrl) {
+        return [];
+      }
+
+      const servers = spec.servers || [];
+      if (servers.length === 0) {
+        return [{ message: 'No servers are declared', pointer: '/servers' }];
+      }
+
+      const baseUrl = normaliseUrl(service.baseUrl);
+
+      return servers
+        .map((server, index) => ({ url: expandServerUrl(server), index }))
+        .filter(({ url }) => /^https?:\/\//i.test(url))
+        .filter(({ url }) => normaliseUrl(url) !== baseUrl && !normaliseUrl(url).startsWith(`${baseUrl}/`))
+        .map(({ url, index }) => ({
+          message: `Server ${url} does not match the service baseUrl ${service.baseUrl}`,
+          pointer: `/servers/${index}/url`
+        }));
+    }
+  }
+];
+
+module.exports = {
+  name: 'pds-2.2',
+  description: 'PDS 2.2 API design rules',
+  rules
+};
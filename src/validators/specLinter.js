@@ -0,0 +1,95 @@
+/**
+ * Specification Linter
+ *
+ * Runs named rulesets against OpenAPI documents. Rules carry a default
+ * severity which services can override, or switch off, per rule.
+ */
+
+const pds22 = require('./rulesets/pds-2.2');
+
+const SEVERITIES = {
+  ERROR: 'error',
+  WARN: 'warn',
+  INFO: 'info',
+  OFF: 'off'
+};
+
+const DEFAULT_RULESET = pds22.name;
+
+const rulesets = new Map();
+
+// Register a ruleset, replacing any existing ruleset of the same name
+exports.registerRuleset = (ruleset) => {
+  if (!ruleset || !ruleset.name || !Array.isArray(ruleset.rules)) {
+    throw new Error('A ruleset needs a name and an array of rules');
+  }
+
+  for (const rule of ruleset.rules) {
+    if (!rule.id || typeof rule.check !== 'function') {
+      throw new Error(`Rule in ruleset ${ruleset.name} needs an id and a check function`);
+    }
+    if (!Object.values(SEVERITIES).includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id} has an unknown severity: ${rule.severity}`);
+    }
+  }
+
+  rulesets.set(ruleset.name, ruleset);
+};
+
+exports.getRuleset = (name) => rulesets.get(name) || null;
+
+// Describe the registered rulesets and their default severities
+exports.listRulesets = () => Array.from(rulesets.values()).map(ruleset => ({
+  name: ruleset.name,
+  description: ruleset.description,
+  rules: ruleset.rules.map(({ id, description, severity }) => ({ id, description, severity }))
+}));
+
+// Lint a specification, applying per-rule severity overrides
+exports.lintSpec = (spec, { ruleset = DEFAULT_RULESET, overrides = {}, service = null } = {}) => {
+  const selected = rulesets.get(ruleset);
+  if (!selected) {
+    throw new Error(`Unknown lint ruleset: ${ruleset}`);
+  }
+
+  const results = [];
+
+  for (const rule of selected.rules) {
+    const severity = overrides[rule.id] || rule.severity;
+    if (severity === SEVERITIES.OFF) continue;
+
+    let violations;
+    try {
+      violations = rule.check(spec, { service }) || [];
+    } catch (err) {
+      violations = [{ message: `Rule could not be evaluated: ${err.message}`, pointer: '' }];
+    }
+
+    for (const violation of violations) {
+      results.push({
+        rule: rule.id,
+        severity,
+        message: violation.message,
+        pointer: violation.pointer || ''
+      });
+    }
+  }
+
+  const summary = {
+    errors: results.filter(result => result.severity === SEVERITIES.ERROR).length,
+    warnings: results.filter(result => result.severity === SEVERITIES.WARN).length,
+    infos: results.filter(result => result.severity === SEVERITIES.INFO).length
+  };
+
+  return {
+    ruleset: selected.name,
+    passed: summary.errors === 0,
+    summary,
+    results
+  };
+};
+
+exports.registerRuleset(pds22);
+
+exports.SEVERITIES = SEVERITIES;
+exports.DEFAULT_RULESET = DEFAULT_RULESET;
@@ -0,0 +1,185 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.NODE_ENV = 'test';
+process.env.API_KEYS = 'partner-key,admin-key';
+process.env.API_KEY_ROLES = 'admin-key=registry-admin';
+
+const request = require('supertest');
+const express = require('express');
+const specsRouter = require('../src/routes/specs');
+const servicesRouter = require('../src/routes/services');
+const specsController = require('../src/controllers/specsController');
+const { storage } = require('../src/database/storage');
+const { createService } = require('./helpers/services');
+const { flexibleAuth } = require('../src/utils/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/specs', specsRouter);
+app.use('/api/v1/services', servicesRouter);
+app.patch('/api/v1/specs/:serviceName/:version/deprecate', flexibleAuth, specsController.deprecateSpec);
+app.delete('/api/v1/specs/:serviceName/:version/deprecate', flexibleAuth, specsController.undeprecateSpec);
+app.put('/api/v1/specs/:serviceName/tags/:tag', flexibleAuth, specsController.setTag);
+app.delete('/api/v1/specs/:serviceName/tags/:tag', flexibleAuth, specsController.removeTag);
+
+describe('Access grants', () => {
+  let service;
+  let spec;
+
+  beforeEach(async () => {
+    await storage.connect();
+    await storage.specs.deleteMany({});
+    await storage.services.deleteMany({});
+
+    service = await createService('records', { did: 'did:web:records.example.gov.uk' });
+    spec = await storage.specs.create({
+      serviceId: service._id,
+      name: 'Records API',
+      version: '1.0.0',
+      specification: { openapi: '3.0.0', info: { title: 'Records API', version: '1.0.0' }, paths: {} },
+      isPublic: false
+    });
+  });
+
+  it('should not let an API key holder grant itself access to a specification', async () => {
+    const res = await request(app)
+      .put(`/api/v1/specs/${spec._id}/access`)
+      .set('X-API-Key', 'partner-key')
+      .send({ accessControl: { apiKeys: ['partner-key'] } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('access_denied');
+    expect((await storage.specs.findById(spec._id)).accessControl.apiKeys).toEqual([]);
+
+    const read = await request(app)
+      .get(`/api/v1/specs/${spec._id}/raw`)
+      .set('X-API-Key', 'partner-key');
+    expect(read.statusCode).toBe(403);
+  });
+
+  it('should not let an API key holder grant itself access to a service', async () => {
+    const res = await request(app)
+      .put(`/api/v1/services/${service._id}/access`)
+      .set('X-API-Key', 'partner-key')
+      .send({ apiKeys: ['partner-key'] });
+
+    expect(res.statusCode).toBe(403);
+    expect((await storage.services.findById(service._id)).accessControl.apiKeys).toEqual([]);
+  });
+
+  it('should only let registry administrators and the service itself change its DID', async () => {
+    const update = () => request(app)
+      .put(`/api/v1/services/${service._id}`)
+      .send({
+        description: 'Records service',
+        did: 'did:web:attacker.example',
+        didDocument: { id: 'did:web:attacker.example', verificationMethod: [] }
+      });
+
+    expect((await update()).statusCode).toBe(401);
+    expect((await update().set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await storage.services.findById(service._id)).did).toBe('did:web:records.example.gov.uk');
+
+    // Other fields stay open to updates
+    const description = await request(app).put(`/api/v1/services/${service._id}`).send({ description: 'Updated' });
+    expect(description.statusCode).toBe(200);
+
+    expect((await update().set('X-API-Key', 'admin-key')).statusCode).toBe(200);
+    expect((await storage.services.findById(service._id)).did).toBe('did:web:attacker.example');
+  });
+
+  it('should only let registry administrators and the service itself change its spec policy', async () => {
+    const update = (fields) => request(app)
+      .put(`/api/v1/services/${service._id}`)
+      .send({ description: 'Records service', ...fields });
+
+    expect((await update({ reviewRequired: false })).statusCode).toBe(401);
+    expect((await update({ compatibilityMode: 'off' }).set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await update({ lintRules: { 'operation-id': 'off' } }).set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await storage.services.findById(service._id)).specPolicy || {}).not.toHaveProperty('compatibility', 'off');
+
+    expect((await update({ compatibilityMode: 'off', reviewRequired: false }).set('X-API-Key', 'admin-key')).statusCode).toBe(200);
+    expect((await storage.services.findById(service._id)).specPolicy).toMatchObject({ compatibility: 'off', reviewRequired: false });
+  });
+
+  it('should only register a service under a DID for its holder or an administrator', async () => {
+    const register = (name, fields) => request(app).post('/api/v1/services').send({
+      name,
+      displayName: name,
+      description: `${name} service`,
+      baseUrl: `https://${name}.example.gov.uk`,
+      version: '1.0.0',
+      category: 'government',
+      healthCheckUrl: `https://${name}.example.gov.uk/health`,
+      authenticationType: 'solid-oidc-like',
+      ...fields
+    });
+
+    expect((await register('claims', { did: 'did:web:records.example.gov.uk' })).statusCode).toBe(401);
+    expect((await register('claims', { did: 'did:web:records.example.gov.uk' }).set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await register('claims', { didDocument: { id: 'did:web:records.example.gov.uk' } })
+      .set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await register('claims')).statusCode).toBe(201);
+    expect((await register('benefits', { did: 'did:web:benefits.example.gov.uk' }).set('X-API-Key', 'admin-key')).statusCode).toBe(201);
+  });
+
+  it('should only let registry administrators and the service itself move tags', async () => {
+    const tag = () => request(app).put('/api/v1/specs/records/tags/stable').send({ version: '1.0.0' });
+    const untag = () => request(app).delete('/api/v1/specs/records/tags/stable');
+
+    expect((await tag()).statusCode).toBe(401);
+    expect((await tag().set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await storage.specs.findById(spec._id)).distTags || []).toEqual([]);
+
+    expect((await tag().set('X-API-Key', 'admin-key')).statusCode).toBe(200);
+    expect((await untag().set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await storage.specs.findById(spec._id)).distTags).toContain('stable');
+
+    expect((await untag().set('X-API-Key', 'admin-key')).statusCode).toBe(204);
+  });
+
+  it('should only let registry administrators and the service itself deprecate a version', async () => {
+    const sunsetDate = new Date(Date.now() + 1000).toISOString();
+    const deprecate = () => request(app).patch('/api/v1/specs/records/1.0.0/deprecate').send({ sunsetDate });
+    const undeprecate = () => request(app).delete('/api/v1/specs/records/1.0.0/deprecate');
+
+    expect((await deprecate()).statusCode).toBe(401);
+    expect((await deprecate().set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await storage.specs.findById(spec._id)).isDeprecated).toBeFalsy();
+
+    expect((await deprecate().set('X-API-Key', 'admin-key')).statusCode).toBe(200);
+    expect((await undeprecate().set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await storage.specs.findById(spec._id)).isDeprecated).toBe(true);
+
+    expect((await undeprecate().set('X-API-Key', 'admin-key')).statusCode).toBe(200);
+  });
+
+  it('should not show grants in service documents', async () => {
+    await storage.services.updateById(service._id, { $set: { 'accessControl.roles': ['auditor'] } });
+    await storage.specs.updateById(spec._id, { $set: { isPublic: true, 'accessControl.roles': ['auditor'] } });
+
+    const list = await request(app).get('/api/v1/services');
+    expect(list.statusCode).toBe(200);
+    expect(list.body.services[0]).not.toHaveProperty('accessControl');
+
+    const res = await request(app).get(`/api/v1/services/${service._id}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).not.toHaveProperty('accessControl');
+    expect(res.body.apiSpecs).toHaveLength(1);
+    expect(res.body.apiSpecs[0]).not.toHaveProperty('accessControl');
+  });
+
+  it('should let registry administrators change grants', async () => {
+    const res = await request(app)
+      .put(`/api/v1/specs/${spec._id}/access`)
+      .set('X-API-Key', 'admin-key')
+      .send({ accessControl: { apiKeys: ['partner-key'] } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.accessControl.apiKeys).toHaveLength(1);
+
+    const read = await request(app)
+      .get(`/api/v1/specs/${spec._id}/raw`)
+      .set('X-API-Key', 'partner-key');
+    expect(read.statusCode).toBe(200);
+  });
+});
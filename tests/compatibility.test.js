@@ -0,0 +1,57 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const specsRouter = require('../src/routes/specs');
+const { storage } = require('../src/database/storage');
+const { createService } = require('./helpers/services');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/specs', specsRouter);
+
+const document = (version, paths) => ({ openapi: '3.0.3', info: { title: 'Records API', version }, paths });
+
+const listRecords = {
+  '/records': { get: { operationId: 'listRecords', responses: { 200: { description: 'Records' } } } }
+};
+
+describe('Specification compatibility check', () => {
+  let service;
+
+  beforeEach(async () => {
+    await storage.connect();
+    await storage.specs.deleteMany({});
+    await storage.services.deleteMany({});
+
+    service = await createService('records', { specPolicy: { compatibility: 'enforce' } });
+
+    await storage.specs.create({
+      serviceId: service._id,
+      name: 'Records API',
+      version: '1.0.0',
+      specification: document('1.0.0', listRecords)
+    });
+  });
+
+  it('should compare uploads with the last published version, not a rejected one', async () => {
+    // 1.1.0 dropped /records but was rejected, so it never reached consumers
+    await storage.specs.create({
+      serviceId: service._id,
+      name: 'Records API',
+      version: '1.1.0',
+      specification: document('1.1.0', {}),
+      publicationStatus: 'rejected'
+    });
+
+    const res = await request(app)
+      .post('/api/v1/specs')
+      .field('serviceId', service._id.toString())
+      .field('version', '1.2.0')
+      .attach('specification', Buffer.from(JSON.stringify(document('1.2.0', {}))), 'openapi.json');
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toMatchObject({ error: 'incompatible_version', previousVersion: '1.0.0', requiredBump: 'major' });
+  });
+});
@@ -0,0 +1,104 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const discoveryRouter = require('../src/routes/discovery');
+const healthMetricsService = require('../src/services/healthMetricsService');
+const { storage } = require('../src/database/storage');
+const { createService } = require('./helpers/services');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/discovery', discoveryRouter);
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('Capability discovery by performance', () => {
+  const services = {};
+
+  // Each service is checked 50 and 20 minutes ago
+  const register = async (name, checks) => {
+    services[name] = await createService(name, { capabilities: ['records'] });
+
+    for (const [index, check] of checks.entries()) {
+      await storage.healthLogs.create({ serviceId: services[name]._id, checkedAt: minutesAgo(index === 0 ? 50 : 20), ...check });
+    }
+  };
+
+  const discover = (performance) => request(app)
+    .post('/api/v1/discovery/capabilities')
+    .send({ capabilities: ['records'], performance: { window: '1h', ...performance } });
+
+  beforeEach(async () => {
+    await storage.connect();
+    await storage.services.deleteMany({});
+    await storage.healthLogs.deleteMany({});
+
+    await register('fast', [{ status: 'healthy', responseTime: 100 }, { status: 'healthy', responseTime: 120 }]);
+    await register('steady', [{ status: 'healthy', responseTime: 300 }, { status: 'healthy', responseTime: 300 }]);
+    await register('slow', [{ status: 'healthy', responseTime: 900 }, { status: 'healthy', responseTime: 950 }]);
+    await register('flaky', [{ status: 'unhealthy', errorMessage: 'timeout' }, { status: 'healthy', responseTime: 100 }]);
+    await register('unmeasured', []);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should exclude services that miss the uptime, response time or error rate thresholds', async () => {
+    const res = await discover({ minUptime: 90, maxResponseTime: 500 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.services.map(service => service.name).sort()).toEqual(['fast', 'steady', 'unmeasured']);
+    expect(res.body.excludedByPerformance).toEqual(expect.arrayContaining([
+      { _id: services.slow._id.toString(), name: 'slow', reasons: ['p95 response 950ms above 500ms'] },
+      { _id: services.flaky._id.toString(), name: 'flaky', reasons: [expect.stringMatching(/^Uptime 40(\.\d+)?% below 90%$/)] }
+    ]));
+
+    const strict = await discover({ minUptime: 0, maxErrorRate: 10, includeUnmeasured: false });
+    expect(strict.body.excludedByPerformance.map(service => service.name).sort()).toEqual(['flaky', 'unmeasured']);
+    expect(strict.body.excludedByPerformance.find(service => service.name === 'flaky').reasons)
+      .toEqual(['Error rate 50% above 10%']);
+    expect(strict.body.excludedByPerformance.find(service => service.name === 'unmeasured').reasons)
+      .toEqual(['No health checks in 1h']);
+  });
+
+  it('should not show access grants of discovered services', async () => {
+    const res = await discover({});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.services.length).toBeGreaterThan(0);
+    res.body.services.forEach(service => expect(service).not.toHaveProperty('accessControl'));
+  });
+
+  it('should rank faster services first at the requested percentile', async () => {
+    const res = await discover({ minUptime: 90, percentile: 'p50' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.services.map(service => service.name)).toEqual(['fast', 'steady', 'slow', 'unmeasured']);
+
+    const [fast, steady] = res.body.services;
+    expect(fast.capabilityScore - steady.capabilityScore).toBeCloseTo(10 - 10 * 100 / 300, 2);
+    expect(fast.matchReasons).toEqual(expect.arrayContaining(['Uptime 100% (1h)', 'p50 response 100ms (1h)', 'Error rate 0% (1h)']));
+    expect(fast.performanceMetrics).toMatchObject({ window: '1h', checks: 2, uptime: 100 });
+    expect(res.body.services[3].performanceMetrics).toMatchObject({ checks: 0 });
+  });
+
+  it('should reuse recent metrics for the same candidates and window', async () => {
+    const serviceMetrics = jest.spyOn(healthMetricsService, 'serviceMetrics');
+
+    await discover({ minUptime: 90 });
+    const res = await discover({ minUptime: 30, maxResponseTime: 200 });
+    expect(serviceMetrics).toHaveBeenCalledTimes(1);
+    expect(res.body.services.map(service => service.name).sort()).toEqual(['fast', 'flaky', 'unmeasured']);
+
+    await discover({ minUptime: 90, window: '24h' });
+    expect(serviceMetrics).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject unknown percentiles and windows', async () => {
+    expect((await discover({ percentile: 'p90' })).statusCode).toBe(400);
+    expect((await discover({ window: '90d' })).statusCode).toBe(400);
+  });
+});
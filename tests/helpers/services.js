@@ -0,0 +1,25 @@
+/**
+ * Service fixtures for tests against the storage layer
+ */
+
+const { storage } = require('../../src/database/storage');
+
+// A valid service document for `name`, hosted at https://<name>.example.gov.uk
+const serviceData = (name, overrides = {}) => ({
+    name,
+    displayName: name,
+    description: `${name} service`,
+    category: 'government',
+    baseUrl: `https://${name}.example.gov.uk`,
+    healthCheckUrl: `https://${name}.example.gov.uk/health`,
+    authentication: { type: 'solid-oidc-like' },
+    ...overrides
+});
+
+// Store a service in the configured storage backend
+const createService = (name, overrides) => storage.services.create(serviceData(name, overrides));
+
+module.exports = {
+    serviceData,
+    createService
+};
@@ -0,0 +1,112 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.NODE_ENV = 'test';
+process.env.API_KEYS = 'partner-key,admin-key';
+process.env.API_KEY_ROLES = 'admin-key=registry-admin';
+
+const request = require('supertest');
+const express = require('express');
+const specsController = require('../src/controllers/specsController');
+const specsService = require('../src/services/specsService');
+const { storage } = require('../src/database/storage');
+const { createService } = require('./helpers/services');
+const { optionalAuth, flexibleAuth } = require('../src/utils/auth');
+
+const app = express();
+app.use(express.json());
+app.get('/api/v1/specs/:serviceName/:version/history', optionalAuth, specsController.getSpecHistory);
+app.get('/api/v1/specs/:serviceName/:version/at/:commit', optionalAuth, specsController.getSpecAtCommit);
+app.post('/api/v1/specs/:serviceName/:version/revert', flexibleAuth, specsController.revertSpec);
+
+// History lives in the storage git repository, so it is replaced here by a single revision
+const commit = 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678';
+
+describe('Specification history', () => {
+  beforeAll(() => {
+    jest.spyOn(specsService, 'isHistoryEnabled').mockReturnValue(true);
+    jest.spyOn(specsService, 'getSpecHistory').mockImplementation(async () => [
+      { commit, message: 'Save spec', author: 'API Registry', committedAt: new Date().toISOString() }
+    ]);
+    jest.spyOn(specsService, 'getSpecAtCommit').mockImplementation(async (serviceName, version) => ({
+      commit,
+      spec: {
+        serviceName,
+        version,
+        specification: { openapi: '3.0.0', info: { title: 'Records API', version }, paths: {} },
+        isPublic: false,
+        accessControl: { dids: [], apiKeys: [], roles: ['auditor'] }
+      }
+    }));
+    jest.spyOn(specsService, 'revertSpec').mockImplementation(async (serviceName, version) => ({
+      spec: { serviceName, version },
+      commit: 'f'.repeat(40),
+      revertedTo: commit
+    }));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    await storage.connect();
+    await storage.specs.deleteMany({});
+    await storage.services.deleteMany({});
+
+    const service = await createService('records', { did: 'did:web:records.example.gov.uk' });
+    await storage.specs.create({
+      serviceId: service._id,
+      name: 'Records API',
+      version: '1.0.0',
+      specification: { openapi: '3.0.0', info: { title: 'Records API', version: '1.0.0' }, paths: {} },
+      isPublic: false
+    });
+  });
+
+  it('should restrict the history of a restricted specification like the specification', async () => {
+    expect((await request(app).get('/api/v1/specs/records/1.0.0/history')).statusCode).toBe(401);
+    expect((await request(app).get('/api/v1/specs/records/1.0.0/history').set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+    expect((await request(app).get(`/api/v1/specs/records/1.0.0/at/${commit}`).set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+
+    const res = await request(app).get('/api/v1/specs/records/1.0.0/history').set('X-API-Key', 'admin-key');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.history[0].url).toBe(`/api/v1/specs/records/1.0.0/at/${commit}`);
+  });
+
+  it('should only show the history of a deleted specification to registry administrators', async () => {
+    expect((await request(app).get('/api/v1/specs/records/0.9.0/history')).statusCode).toBe(401);
+    expect((await request(app).get('/api/v1/specs/records/0.9.0/history').set('X-API-Key', 'partner-key')).statusCode).toBe(403);
+
+    const at = await request(app).get(`/api/v1/specs/records/0.9.0/at/${commit}`).set('X-API-Key', 'partner-key');
+    expect(at.statusCode).toBe(403);
+    expect(at.body.specification).toBeUndefined();
+
+    const res = await request(app).get(`/api/v1/specs/records/0.9.0/at/${commit}`).set('X-API-Key', 'admin-key');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-spec-commit']).toBe(commit);
+  });
+
+  it('should reject malformed commits and not show grants kept in history', async () => {
+    expect((await request(app).get('/api/v1/specs/records/1.0.0/at/not-a-commit').set('X-API-Key', 'admin-key')).statusCode).toBe(400);
+
+    const res = await request(app).get(`/api/v1/specs/records/1.0.0/at/${commit}`).set('X-API-Key', 'admin-key');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ serviceName: 'records', version: '1.0.0', isPublic: false });
+    expect(res.body.accessControl).toBeUndefined();
+  });
+
+  it('should only let registry administrators and the service itself revert', async () => {
+    const revert = () => request(app).post('/api/v1/specs/records/1.0.0/revert').send({ commit });
+
+    expect((await revert()).statusCode).toBe(401);
+
+    const denied = await revert().set('X-API-Key', 'partner-key');
+    expect(denied.statusCode).toBe(403);
+    expect(denied.body.error).toBe('access_denied');
+    expect(specsService.revertSpec).not.toHaveBeenCalled();
+
+    const res = await revert().set('X-API-Key', 'admin-key');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.revertedTo).toBe(commit);
+    expect(specsService.revertSpec).toHaveBeenCalledWith('records', '1.0.0', commit);
+  });
+});
@@ -1,4 +1,5 @@
 const specsService = require('../src/services/specsService');
+const serviceService = require('../src/services/serviceService');
 const fs = require('fs');
 const path = require('path');
 
@@ -10,6 +11,11 @@ describe('Specs Service', () => {
   const deprecated = false;
   const STORAGE_DIR = path.join(__dirname, '../storage');
 
+  // Specs are stored against a registered service
+  beforeAll(async () => {
+    await serviceService.saveService({ name: serviceName, baseUrl: 'http://localhost:3000' });
+  });
+
   afterAll(() => {
     // Cleanup
     const filePath = path.join(STORAGE_DIR, serviceName, `${version}.json`);
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for Access Control Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.DID_ROLES = 'did:web:admin.example=registry-admin,did:web:audit.example=auditor|partner';
+
+const accessControlService = require('../../src/services/accessControlService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+const { matches } = require('../../src/database/queryMatcher');
+const { didIdentity } = require('../../src/utils/auth');
+
+const didCaller = (did, roles = []) => ({
+    type: 'did',
+    authenticated: true,
+    user: { did, subject: did, claims: {} },
+    roles
+});
+
+const apiKeyCaller = (apiKey, roles = []) => ({
+    type: 'api-key',
+    authenticated: true,
+    apiKey: accessControlService.hashApiKey(apiKey),
+    roles
+});
+
+describe('Access Control Service', () => {
+    describe('normaliseAccessControl', () => {
+        test('should hash API keys, keep digests and drop duplicates', () => {
+            const digest = accessControlService.hashApiKey('partner-key');
+
+            const accessControl = accessControlService.normaliseAccessControl({
+                dids: ['did:web:partner.example', 'did:web:partner.example'],
+                apiKeys: ['partner-key', digest],
+                roles: [' auditor ']
+            });
+
+            expect(digest).toMatch(/^sha256:[0-9a-f]{64}$/);
+            expect(accessControl).toEqual({
+                dids: ['did:web:partner.example'],
+                apiKeys: [digest],
+                roles: ['auditor']
+            });
+        });
+    });
+
+    describe('canRead', () => {
+        const restricted = {
+            isPublic: false,
+            accessControl: { dids: ['did:web:partner.example'], apiKeys: [], roles: ['auditor'] }
+        };
+
+        test('should let anyone read public specifications', () => {
+            expect(accessControlService.canRead(undefined, { isPublic: true })).toBe(true);
+        });
+
+        test('should deny unauthenticated callers restricted specifications', () => {
+            expect(accessControlService.canRead({ authenticated: false }, restricted)).toBe(false);
+        });
+
+        test('should grant DIDs and roles listed on the specification', () => {
+            expect(accessControlService.canRead(didCaller('did:web:partner.example'), restricted)).toBe(true);
+            expect(accessControlService.canRead(didCaller('did:web:other.example', ['auditor']), restricted)).toBe(true);
+            expect(accessControlService.canRead(didCaller('did:web:other.example'), restricted)).toBe(false);
+        });
+
+        test('should grant API keys listed on the service', () => {
+            const service = { accessControl: accessControlService.normaliseAccessControl({ apiKeys: ['partner-key'] }) };
+
+            expect(accessControlService.canRead(apiKeyCaller('partner-key'), restricted, service)).toBe(true);
+            expect(accessControlService.canRead(apiKeyCaller('other-key'), restricted, service)).toBe(false);
+        });
+
+        test('should let registry administrators read everything', () => {
+            const caller = apiKeyCaller('admin-key', [accessControlService.REGISTRY_ADMIN_ROLE]);
+
+            expect(accessControlService.canRead(caller, { isPublic: false })).toBe(true);
+        });
+
+        test('should take DID roles from the registry configuration, not from token claims', () => {
+            const claimed = didIdentity({
+                did: 'did:web:self.example',
+                claims: { roles: [accessControlService.REGISTRY_ADMIN_ROLE, 'auditor'] }
+            });
+            expect(accessControlService.principalFor(claimed).roles).toEqual([]);
+            expect(accessControlService.canRead(claimed, restricted)).toBe(false);
+            expect(accessControlService.canManageAccess(claimed, { did: 'did:web:records.example' })).toBe(false);
+
+            expect(accessControlService.canRead(didIdentity({ did: 'did:web:audit.example', claims: {} }), restricted)).toBe(true);
+            expect(accessControlService.principalFor(didIdentity({ did: 'did:web:admin.example' })).roles)
+                .toEqual([accessControlService.REGISTRY_ADMIN_ROLE]);
+        });
+    });
+
+    describe('canManageAccess', () => {
+        const service = {
+            did: 'did:web:records.example',
+            accessControl: accessControlService.normaliseAccessControl({
+                dids: ['did:web:partner.example'],
+                apiKeys: ['partner-key'],
+                roles: ['auditor']
+            })
+        };
+
+        test('should let registry administrators and the service itself change grants', () => {
+            const admin = apiKeyCaller('admin-key', [accessControlService.REGISTRY_ADMIN_ROLE]);
+
+            expect(accessControlService.canManageAccess(admin, service)).toBe(true);
+            expect(accessControlService.canManageAccess(didCaller('did:web:records.example'), service)).toBe(true);
+        });
+
+        test('should not let other callers, or holders of a read grant, change grants', () => {
+            expect(accessControlService.canManageAccess(undefined, service)).toBe(false);
+            expect(accessControlService.canManageAccess(apiKeyCaller('other-key'), service)).toBe(false);
+            expect(accessControlService.canManageAccess(apiKeyCaller('partner-key'), service)).toBe(false);
+            expect(accessControlService.canManageAccess(didCaller('did:web:partner.example', ['auditor']), service)).toBe(false);
+            expect(accessControlService.canManageAccess(didCaller('did:web:records.example'), { did: undefined })).toBe(false);
+        });
+    });
+
+    describe('readableSpecFilter', () => {
+        let grantedService;
+        let otherService;
+
+        beforeAll(async () => {
+            await storage.connect();
+            grantedService = await createService('partner-records', { accessControl: { roles: ['auditor'] } });
+            otherService = await createService('internal-records');
+        });
+
+        afterAll(async () => {
+            await storage.disconnect();
+        });
+
+        const specs = () => [
+            { serviceId: otherService._id, version: 'public', isPublic: true },
+            { serviceId: otherService._id, version: 'granted', isPublic: false, accessControl: { dids: ['did:web:partner.example'] } },
+            { serviceId: grantedService._id, version: 'service-granted', isPublic: false, accessControl: {} },
+            { serviceId: otherService._id, version: 'hidden', isPublic: false, accessControl: {} }
+        ];
+
+        const visible = (filter) => specs().filter(spec => matches(spec, filter)).map(spec => spec.version);
+
+        test('should only match public specifications for anonymous callers', async () => {
+            expect(visible(await accessControlService.readableSpecFilter(undefined))).toEqual(['public']);
+        });
+
+        test('should add specifications granted to the caller directly or through their service', async () => {
+            const filter = await accessControlService.readableSpecFilter(didCaller('did:web:partner.example', ['auditor']));
+
+            expect(visible(filter)).toEqual(['public', 'granted', 'service-granted']);
+        });
+
+        test('should not restrict registry administrators', async () => {
+            const filter = await accessControlService.readableSpecFilter(
+                apiKeyCaller('admin-key', [accessControlService.REGISTRY_ADMIN_ROLE]));
+
+            expect(visible(filter)).toEqual(['public', 'granted', 'service-granted', 'hidden']);
+        });
+    });
+});
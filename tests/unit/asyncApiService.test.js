@@ -0,0 +1,158 @@
+/**
+ * Unit tests for AsyncAPI Service - API Registry PDS 2.2
+ */
+
+const asyncApiService = require('../../src/services/asyncApiService');
+
+const asyncApi2 = () => ({
+    asyncapi: '2.6.0',
+    info: { title: 'Credential Events', version: '1.0.0' },
+    channels: {
+        'credentials/{credentialId}/revoked': {
+            parameters: { credentialId: { schema: { type: 'string' } } },
+            subscribe: {
+                operationId: 'onCredentialRevoked',
+                summary: 'Credential revocations',
+                tags: [{ name: 'credentials' }],
+                security: [{ oauth: ['credentials:read'] }],
+                message: { $ref: '#/components/messages/CredentialRevoked' }
+            }
+        },
+        'notifications/outbound': {
+            publish: {
+                operationId: 'sendNotification',
+                message: {
+                    oneOf: [
+                        { $ref: '#/components/messages/EmailNotification' },
+                        { name: 'SmsNotification', payload: { type: 'object' } }
+                    ]
+                }
+            }
+        }
+    },
+    components: {
+        messages: {
+            CredentialRevoked: { messageId: 'credential.revoked', payload: { type: 'object' } },
+            EmailNotification: { name: 'EmailNotification', payload: { type: 'object' } }
+        }
+    }
+});
+
+const asyncApi3 = () => ({
+    asyncapi: '3.0.0',
+    info: { title: 'Notifications', version: '2.0.0' },
+    channels: {
+        userNotified: {
+            address: 'users/{userId}/notified',
+            messages: {
+                UserNotified: { $ref: '#/components/messages/UserNotified' }
+            }
+        }
+    },
+    operations: {
+        notifyUser: {
+            action: 'send',
+            channel: { $ref: '#/channels/userNotified' },
+            security: [{ $ref: '#/components/securitySchemes/oauth' }]
+        },
+        consumeNotification: {
+            action: 'receive',
+            channel: { $ref: '#/channels/userNotified' },
+            messages: [{ $ref: '#/channels/userNotified/messages/UserNotified' }]
+        }
+    },
+    components: {
+        messages: {
+            UserNotified: { name: 'user.notified', payload: { type: 'object' } }
+        },
+        securitySchemes: {
+            oauth: { type: 'oauth2', flows: {}, scopes: ['notifications:write'] }
+        }
+    }
+});
+
+describe('AsyncAPI Service', () => {
+    describe('validateAsyncApiSpec', () => {
+        test('should accept AsyncAPI 2.x and 3.x documents', () => {
+            expect(asyncApiService.validateAsyncApiSpec(asyncApi2())).toEqual({ isValid: true, errors: [] });
+            expect(asyncApiService.validateAsyncApiSpec(asyncApi3())).toEqual({ isValid: true, errors: [] });
+        });
+
+        test('should reject unsupported versions and incomplete documents', () => {
+            expect(asyncApiService.validateAsyncApiSpec({ asyncapi: '1.2.0' }).errors)
+                .toEqual(['Must be AsyncAPI 2.x or 3.x specification']);
+
+            const spec = asyncApi3();
+            spec.operations.notifyUser.action = 'publish';
+            spec.operations.consumeNotification.channel = { $ref: '#/channels/missing' };
+
+            expect(asyncApiService.validateAsyncApiSpec(spec).errors).toEqual([
+                'Operation notifyUser must have an action of send or receive',
+                'Operation consumeNotification references an unknown channel #/channels/missing'
+            ]);
+        });
+    });
+
+    describe('extractEndpoints', () => {
+        test('should index AsyncAPI 2.x operations from the service point of view', () => {
+            expect(asyncApiService.extractEndpoints(asyncApi2())).toEqual([
+                {
+                    path: 'credentials/{credentialId}/revoked',
+                    method: 'PUBLISH',
+                    operationId: 'onCredentialRevoked',
+                    summary: 'Credential revocations',
+                    tags: ['credentials'],
+                    messages: ['CredentialRevoked', 'credential.revoked'],
+                    authRequired: true,
+                    scopes: ['credentials:read']
+                },
+                {
+                    path: 'notifications/outbound',
+                    method: 'SUBSCRIBE',
+                    operationId: 'sendNotification',
+                    summary: undefined,
+                    tags: [],
+                    messages: ['EmailNotification', 'SmsNotification'],
+                    authRequired: false,
+                    scopes: []
+                }
+            ]);
+        });
+
+        test('should index AsyncAPI 3.x operations by channel address', () => {
+            const endpoints = asyncApiService.extractEndpoints(asyncApi3());
+
+            expect(endpoints.map(({ path, method, operationId, messages, scopes }) =>
+                ({ path, method, operationId, messages, scopes }))).toEqual([
+                {
+                    path: 'users/{userId}/notified',
+                    method: 'PUBLISH',
+                    operationId: 'notifyUser',
+                    messages: ['UserNotified', 'user.notified'],
+                    scopes: ['notifications:write']
+                },
+                {
+                    path: 'users/{userId}/notified',
+                    method: 'SUBSCRIBE',
+                    operationId: 'consumeNotification',
+                    messages: ['UserNotified', 'user.notified'],
+                    scopes: []
+                }
+            ]);
+        });
+    });
+
+    test('should match concrete channels against parameterised channels', () => {
+        expect(asyncApiService.channelMatches('credentials/{credentialId}/revoked', 'credentials/abc/revoked')).toBe(true);
+        expect(asyncApiService.channelMatches('credentials/{credentialId}/revoked', 'credentials/{credentialId}/revoked')).toBe(true);
+        expect(asyncApiService.channelMatches('credentials/{credentialId}/revoked', 'credentials/a/b/revoked')).toBe(false);
+        expect(asyncApiService.channelMatches('events.v1', 'eventsxv1')).toBe(false);
+        expect(asyncApiService.channelMatches('events/{type}.{version}', 'events/created.v1')).toBe(true);
+
+        // Adjacent parameters are matched without backtracking
+        const template = `events/${Array.from({ length: 12 }, (_, index) => `{p${index}}`).join('')}x`;
+        const started = Date.now();
+        expect(asyncApiService.channelMatches(template, `events/${'a'.repeat(36)}`)).toBe(false);
+        expect(Date.now() - started).toBeLessThan(100);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for Changelog Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const changelogService = require('../../src/services/changelogService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+
+const serviceName = 'records-service';
+
+const document = (version, paths) => ({
+    openapi: '3.0.0',
+    info: { title: 'Records API', version },
+    paths
+});
+
+const listRecords = (extra = {}) => ({ get: { responses: { '200': { description: 'Records' } }, ...extra } });
+
+describe('Changelog Service', () => {
+    let service;
+
+    const publish = (version, paths, extra = {}) => storage.specs.create({
+        serviceId: service._id,
+        name: 'Records API',
+        version,
+        specification: document(version, paths),
+        uploadedAt: new Date('2026-01-15T00:00:00Z'),
+        ...extra
+    });
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.specs.deleteMany({});
+        await storage.services.deleteMany({});
+        service = await createService(serviceName, { displayName: 'Records' });
+
+        await publish('1.0.0', { '/records': listRecords(), '/legacy': listRecords() }, {
+            isDeprecated: true,
+            deprecationDate: new Date('2026-03-01T00:00:00Z')
+        });
+        await publish('1.1.0', {
+            '/records': listRecords({ deprecated: true }),
+            '/legacy': listRecords(),
+            '/records/search': listRecords()
+        });
+        await publish('2.0.0-beta.1', { '/records/search': listRecords() });
+        await publish('2.0.0', { '/records/search': listRecords() });
+    });
+
+    test('should build releases newest first from consecutive diffs', async () => {
+        const changelog = await changelogService.buildChangelog(serviceName);
+
+        expect(changelog.releases.map(release => [release.version, release.previousVersion]))
+            .toEqual([['2.0.0', '1.1.0'], ['1.1.0', '1.0.0'], ['1.0.0', null]]);
+
+        const [major, minor, initial] = changelog.releases;
+        expect(major.breaking.map(change => change.message)).toEqual(['Path /records removed', 'Path /legacy removed']);
+        expect(minor.deprecations.map(change => change.message)).toEqual(['Operation GET /records deprecated']);
+        expect(minor.changes.map(change => change.message)).toEqual(['Path /records/search added']);
+        expect(initial.initial).toBe(true);
+        expect(initial.deprecated.since).toEqual(new Date('2026-03-01T00:00:00Z'));
+    });
+
+    test('should include pre-releases when asked to', async () => {
+        const changelog = await changelogService.buildChangelog(serviceName, { includePrerelease: true });
+
+        expect(changelog.releases.map(release => release.version)).toEqual(['2.0.0', '2.0.0-beta.1', '1.1.0', '1.0.0']);
+        expect(changelog.releases[0].breaking).toEqual([]);
+    });
+
+    test('should diff the oldest shown release against the version before it', async () => {
+        const changelog = await changelogService.buildChangelog(serviceName, { limit: 1 });
+
+        expect(changelog.releases).toHaveLength(1);
+        expect(changelog.releases[0].previousVersion).toBe('1.1.0');
+    });
+
+    test('should return null for unknown services', async () => {
+        expect(await changelogService.buildChangelog('unknown-service')).toBeNull();
+    });
+
+    test('should render Markdown with deprecations highlighted', async () => {
+        const markdown = changelogService.renderMarkdown(await changelogService.buildChangelog(serviceName));
+
+        expect(markdown).toContain('# Changelog: Records');
+        expect(markdown).toContain('## 2.0.0 (2026-01-15)\n\n### Breaking changes\n\n- Path /records removed');
+        expect(markdown).toContain('### Deprecations\n\n- Operation GET /records deprecated');
+        expect(markdown).toContain('## 1.0.0 (2026-01-15)\n\n> **Deprecated** since 2026-03-01. Move to a newer version.\n\nInitial release.');
+    });
+});
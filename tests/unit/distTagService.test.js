@@ -0,0 +1,101 @@
+/**
+ * Unit tests for Dist-tag Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const distTagService = require('../../src/services/distTagService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+
+const serviceName = 'records-service';
+
+describe('Dist-tag Service', () => {
+    let service;
+
+    const publish = async (version, tag) => {
+        await storage.specs.create({
+            serviceId: service._id,
+            name: 'Records API',
+            version,
+            specification: { openapi: '3.0.0', info: { title: 'Records API', version }, paths: {} }
+        });
+        return distTagService.applyOnPublish(service._id, version, tag);
+    };
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.specs.deleteMany({});
+        await storage.services.deleteMany({});
+        service = await createService(serviceName);
+    });
+
+    describe('isValidTagName', () => {
+        test('should accept channel names', () => {
+            distTagService.CHANNEL_TAGS.forEach(tag => expect(distTagService.isValidTagName(tag)).toBe(true));
+        });
+
+        test('should refuse names that read as versions or ranges', () => {
+            ['1.x', 'x', '1.0.0', 'Beta', ''].forEach(tag => expect(distTagService.isValidTagName(tag)).toBe(false));
+        });
+    });
+
+    describe('applyOnPublish', () => {
+        test('should make newer release versions latest', async () => {
+            await publish('1.0.0');
+            await publish('1.1.0');
+
+            expect(await distTagService.listTags(serviceName)).toEqual({ latest: '1.1.0' });
+        });
+
+        test('should not make pre-releases or older versions latest', async () => {
+            await publish('1.1.0');
+            await publish('2.0.0-beta.1');
+            await publish('1.0.1');
+
+            expect(await distTagService.listTags(serviceName)).toEqual({ latest: '1.1.0' });
+        });
+
+        test('should only move the given tag when publishing with a tag', async () => {
+            await publish('1.0.0');
+            await publish('1.1.0', 'next');
+
+            expect(await distTagService.listTags(serviceName)).toEqual({ latest: '1.0.0', next: '1.1.0' });
+        });
+    });
+
+    describe('setTag and removeTag', () => {
+        test('should move a tag between versions', async () => {
+            await publish('1.0.0');
+            await publish('1.1.0');
+
+            await distTagService.setTag(serviceName, 'lts', '1.0.0');
+            const tags = await distTagService.setTag(serviceName, 'lts', '1.1.0');
+
+            expect(tags).toEqual({ latest: '1.1.0', lts: '1.1.0' });
+            expect(await storage.specs.count({ distTags: 'lts' })).toBe(1);
+        });
+
+        test('should let latest be pointed at a pre-release explicitly', async () => {
+            await publish('1.0.0');
+            await publish('2.0.0-rc.1');
+
+            await distTagService.setTag(serviceName, distTagService.LATEST_TAG, '2.0.0-rc.1');
+            const resolved = await distTagService.resolveTag(serviceName, 'latest');
+
+            expect(resolved.spec.version).toBe('2.0.0-rc.1');
+        });
+
+        test('should return null for unknown versions', async () => {
+            expect(await distTagService.setTag(serviceName, 'beta', '9.0.0')).toBeNull();
+        });
+
+        test('should remove tags but refuse to remove latest', async () => {
+            await publish('1.0.0', 'beta');
+
+            expect(await distTagService.removeTag(serviceName, 'beta')).toBe(true);
+            expect(await distTagService.removeTag(serviceName, 'beta')).toBe(false);
+            await expect(distTagService.removeTag(serviceName, 'latest')).rejects.toMatchObject({ code: 'tag/protected' });
+        });
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for Health Check Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const http = require('http');
+const healthCheckService = require('../../src/services/healthCheckService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+
+// The test server listens on a loopback address, which the prober only calls when allowed
+const config = { interval: 60, timeout: 200, concurrency: 2, maxBackoff: 900, degradedThreshold: 0, allowPrivate: true };
+
+describe('Health Check Service', () => {
+    let server;
+    let baseUrl;
+
+    // Each path of the test server answers like a differently behaved service
+    const respond = {
+        '/ok': (res) => res.end(JSON.stringify({ status: 'ok' })),
+        '/degraded': (res) => res.end(JSON.stringify({ status: 'DEGRADED' })),
+        '/down': (res) => { res.statusCode = 503; res.end(); },
+        '/slow': (res) => setTimeout(() => res.end(), 1000),
+        '/moved': (res) => { res.writeHead(302, { Location: '/degraded' }); res.end(); },
+        '/endless': (res) => {
+            const chunk = Buffer.alloc(16 * 1024, ' ');
+            const write = () => {
+                while (!res.destroyed && res.write(chunk));
+            };
+            res.on('drain', write);
+            write();
+        }
+    };
+
+    const register = (name, path, health) => createService(name, { baseUrl, healthCheckUrl: `${baseUrl}${path}`, health });
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => respond[req.url](res));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.services.deleteMany({});
+        await storage.healthLogs.deleteMany({});
+    });
+
+    test('should classify health check responses', async () => {
+        const probe = (path) => healthCheckService.probeService({ healthCheckUrl: `${baseUrl}${path}` }, config);
+
+        expect(await probe('/ok')).toMatchObject({ status: 'healthy', details: { httpStatus: 200 } });
+        expect(await probe('/degraded')).toMatchObject({ status: 'degraded' });
+        expect(await probe('/down')).toMatchObject({ status: 'unhealthy', errorMessage: 'HTTP 503' });
+        expect(await probe('/slow')).toEqual({ status: 'unhealthy', errorMessage: 'Timed out after 200ms' });
+    });
+
+    test('should follow redirects and read only the start of a response', async () => {
+        const probe = (path) => healthCheckService.probeService({ healthCheckUrl: `${baseUrl}${path}` }, config);
+
+        expect(await probe('/moved')).toMatchObject({ status: 'degraded' });
+        expect(await probe('/endless')).toMatchObject({ status: 'healthy', details: { httpStatus: 200 } });
+    });
+
+    test('should not call private addresses or other schemes unless allowed', async () => {
+        const restricted = { ...config, allowPrivate: false };
+        const probe = (healthCheckUrl) => healthCheckService.probeService({ healthCheckUrl }, restricted);
+
+        expect(await probe(`${baseUrl}/ok`)).toEqual({
+            status: 'unhealthy',
+            errorMessage: 'Health check URL resolves to a private address (127.0.0.1)'
+        });
+        expect(await probe('http://[::ffff:10.0.0.1]/health')).toMatchObject({
+            errorMessage: 'Health check URL resolves to a private address (::ffff:a00:1)'
+        });
+        expect(await probe('http://169.254.169.254/latest/meta-data')).toMatchObject({ status: 'unhealthy' });
+        expect(await probe('file:///etc/passwd')).toEqual({
+            status: 'unhealthy',
+            errorMessage: 'Unsupported health check URL scheme file:'
+        });
+    });
+
+    test('should double the backoff per failure up to the cap, with jitter', () => {
+        expect(healthCheckService.backoffDelay(1, config, () => 1)).toBe(60);
+        expect(healthCheckService.backoffDelay(3, config, () => 1)).toBe(240);
+        expect(healthCheckService.backoffDelay(3, config, () => 0)).toBe(120);
+        expect(healthCheckService.backoffDelay(10, config, () => 1)).toBe(900);
+    });
+
+    test('should record probe results and back off from failing services', async () => {
+        const healthy = await register('records', '/ok');
+        const failing = await register('claims', '/down', { status: 'unhealthy', consecutiveFailures: 2 });
+
+        const results = await healthCheckService.checkDueServices(new Date(), config);
+        expect(results.map(result => result.status).sort()).toEqual(['healthy', 'unhealthy']);
+
+        const logs = await storage.healthLogs.find({ serviceId: failing._id });
+        expect(logs).toEqual([expect.objectContaining({
+            status: 'unhealthy',
+            errorMessage: 'HTTP 503',
+            metadata: { source: 'probe', httpStatus: 503 }
+        })]);
+
+        const stored = await storage.services.findById(failing._id);
+        expect(stored.health).toMatchObject({ status: 'unhealthy', consecutiveFailures: 3 });
+        expect(stored.health.nextCheckAt.getTime()).toBeGreaterThan(Date.now() + 60 * 1000);
+        expect((await storage.services.findById(healthy._id)).health).toMatchObject({ status: 'healthy', consecutiveFailures: 0 });
+
+        // Only the healthy service is due again until the backoff passes
+        const next = await healthCheckService.checkDueServices(new Date(), config);
+        expect(next.map(result => result.name)).toEqual(['records']);
+    });
+
+    test('should check each instance on the service\'s health check path', async () => {
+        const service = await createService('records', {
+            baseUrl: `${baseUrl}/records`,
+            healthCheckUrl: `${baseUrl}/records/ok`,
+            health: { status: 'healthy', nextCheckAt: new Date(Date.now() + 60 * 1000) },
+            instances: [{ url: `${baseUrl}/a` }, { url: `${baseUrl}/b`, healthCheckUrl: `${baseUrl}/down` }]
+        });
+        const [first] = service.instances;
+        expect(healthCheckService.instanceHealthCheckUrl(service, first)).toBe(`${baseUrl}/a/ok`);
+
+        respond['/a/ok'] = respond['/ok'];
+        const results = await healthCheckService.checkDueServices(new Date(), config);
+        delete respond['/a/ok'];
+
+        expect(results.map(result => [result.url, result.status])).toEqual([
+            [`${baseUrl}/a`, 'healthy'],
+            [`${baseUrl}/b`, 'unhealthy']
+        ]);
+        const stored = await storage.services.findById(service._id);
+        expect(stored.instances[0].health).toMatchObject({ status: 'healthy', consecutiveFailures: 0 });
+        expect(stored.instances[1].health).toMatchObject({ status: 'unhealthy', errorMessage: 'HTTP 503', consecutiveFailures: 1 });
+        expect(stored.instances[1].health.nextCheckAt.getTime()).toBeGreaterThan(Date.now());
+        expect(await storage.healthLogs.find({ serviceId: service._id })).toEqual([]);
+    });
+
+    test('should record instance health against the instance, not its position', async () => {
+        const service = await register('records', '/ok');
+        const updated = await storage.services.updateById(service._id, {
+            $push: { instances: { $each: [{ url: `${baseUrl}/a` }, { url: `${baseUrl}/b` }] } }
+        });
+        const [first, second] = updated.instances;
+        await storage.services.updateById(service._id, { $pull: { instances: { _id: first._id } } });
+
+        const recorded = await healthCheckService.recordInstanceHealth(service._id, second._id,
+            { status: 'unhealthy', errorMessage: 'HTTP 503' });
+        expect(recorded).toMatchObject({ url: `${baseUrl}/b`, health: { status: 'unhealthy', consecutiveFailures: 1 } });
+        expect(await healthCheckService.recordInstanceHealth(service._id, first._id, { status: 'healthy' })).toBeNull();
+
+        const stored = await storage.services.findById(service._id);
+        expect(stored.instances).toEqual([expect.objectContaining({ url: `${baseUrl}/b`, health: expect.objectContaining({ status: 'unhealthy' }) })]);
+    });
+
+    test('should clear the backoff when a service reports it is serving again', async () => {
+        const service = await register('claims', '/down', {
+            status: 'unhealthy',
+            consecutiveFailures: 4,
+            nextCheckAt: new Date(Date.now() + 600 * 1000)
+        });
+
+        await healthCheckService.recordHealth(service, { status: 'degraded', responseTime: 40 });
+
+        const stored = await storage.services.findById(service._id);
+        expect(stored.health).toMatchObject({ status: 'degraded', responseTime: 40, consecutiveFailures: 0 });
+        expect(stored.health.nextCheckAt).toBeUndefined();
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for Health Metrics Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const healthMetricsService = require('../../src/services/healthMetricsService');
+const { storage } = require('../../src/database/storage');
+
+// Recent enough that stored logs are within their retention
+const until = new Date(Math.floor(Date.now() / 60000) * 60000);
+const minutesAgo = (minutes) => new Date(until.getTime() - minutes * 60 * 1000);
+const since = minutesAgo(60);
+
+describe('Health Metrics Service', () => {
+    describe('computeMetrics', () => {
+        test('should weight uptime by time and count error rate by checks', () => {
+            const logs = [
+                { status: 'healthy', responseTime: 100, checkedAt: minutesAgo(60) },
+                { status: 'unhealthy', errorMessage: 'HTTP 503', checkedAt: minutesAgo(45) },
+                { status: 'unhealthy', errorMessage: 'HTTP 503', checkedAt: minutesAgo(40) },
+                { status: 'degraded', responseTime: 900, checkedAt: minutesAgo(30) }
+            ];
+
+            const metrics = healthMetricsService.computeMetrics(logs, { since, until });
+
+            expect(metrics).toMatchObject({ checks: 4, uptime: 75, errorRate: 50, flaps: 2 });
+            expect(metrics.lastIncident).toEqual({
+                startedAt: minutesAgo(45),
+                endedAt: minutesAgo(30),
+                errorMessage: 'HTTP 503',
+                ongoing: false,
+                durationSeconds: 900
+            });
+        });
+
+        test('should start the window in the state of the last earlier check', () => {
+            const previous = { status: 'unhealthy', errorMessage: 'ECONNREFUSED', checkedAt: minutesAgo(90) };
+            const logs = [{ status: 'healthy', checkedAt: minutesAgo(15) }];
+
+            const metrics = healthMetricsService.computeMetrics(logs, { since, until, previous });
+
+            expect(metrics).toMatchObject({ checks: 1, uptime: 25, errorRate: 0, flaps: 1 });
+            expect(metrics.lastIncident).toMatchObject({ startedAt: minutesAgo(90), endedAt: minutesAgo(15) });
+        });
+
+        test('should report nulls without data and nearest-rank percentiles with it', () => {
+            expect(healthMetricsService.computeMetrics([], { since, until })).toEqual({
+                checks: 0, uptime: null, responseTime: null, errorRate: null, lastIncident: null, flaps: 0
+            });
+
+            const logs = Array.from({ length: 100 }, (value, index) => ({
+                status: 'healthy',
+                responseTime: index + 1,
+                checkedAt: minutesAgo(59 - index * 0.5)
+            }));
+            expect(healthMetricsService.computeMetrics(logs, { since, until }).responseTime)
+                .toEqual({ p50: 50, p95: 95, p99: 99, average: 50.5 });
+        });
+    });
+
+    describe('serviceMetrics', () => {
+        beforeEach(async () => {
+            await storage.connect();
+            await storage.healthLogs.deleteMany({});
+        });
+
+        test('should aggregate each service\'s log over the window and group them', async () => {
+            const records = '6a0000000000000000000001';
+            const claims = '6a0000000000000000000002';
+            await storage.healthLogs.create({ serviceId: records, status: 'unhealthy', checkedAt: minutesAgo(120) });
+            await storage.healthLogs.create({ serviceId: records, status: 'healthy', responseTime: 80, checkedAt: minutesAgo(30) });
+            await storage.healthLogs.create({ serviceId: claims, status: 'healthy', responseTime: 120, checkedAt: minutesAgo(50) });
+            await storage.healthLogs.create({ serviceId: claims, status: 'healthy', responseTime: 140, checkedAt: minutesAgo(3 * 24 * 60) });
+
+            const results = await healthMetricsService.serviceMetrics([records, claims], '1h', until);
+            expect(results.get(records).metrics).toMatchObject({ window: '1h', checks: 1, uptime: 50, flaps: 1 });
+            expect(results.get(claims).metrics).toMatchObject({ checks: 1, uptime: 100, errorRate: 0 });
+
+            const group = healthMetricsService.groupMetrics(
+                [{ name: 'records', ...results.get(records) }, { name: 'claims', ...results.get(claims) }],
+                { window: '1h', since, until }
+            );
+            expect(group).toMatchObject({ services: 2, checks: 2, uptime: 75, errorRate: 0, flaps: 1 });
+            expect(group.responseTime).toMatchObject({ p50: 80, p99: 120 });
+            expect(group.lastIncident).toMatchObject({ serviceName: 'records', endedAt: minutesAgo(30) });
+
+            expect(() => healthMetricsService.windowStart('90d'))
+                .toThrow(expect.objectContaining({ code: 'validation/invalid-window' }));
+        });
+
+        test('should read the earlier checks in one query and only the newest logs past the cap', async () => {
+            const records = '6a0000000000000000000001';
+            const claims = '6a0000000000000000000002';
+            await storage.healthLogs.create({ serviceId: records, status: 'unhealthy', checkedAt: minutesAgo(90) });
+            await storage.healthLogs.create({ serviceId: claims, status: 'healthy', checkedAt: minutesAgo(80) });
+            await storage.healthLogs.create({ serviceId: records, status: 'healthy', checkedAt: minutesAgo(45) });
+            await storage.healthLogs.create({ serviceId: claims, status: 'unhealthy', checkedAt: minutesAgo(30) });
+            await storage.healthLogs.create({ serviceId: records, status: 'healthy', checkedAt: minutesAgo(15) });
+
+            const findOne = jest.spyOn(storage.healthLogs, 'findOne');
+            process.env.HEALTH_METRICS_MAX_LOGS = '2';
+            try {
+                const results = await healthMetricsService.serviceMetrics([records, claims], '1h', until);
+
+                // The window starts at the oldest of the two newest checks
+                expect(results.get(records).metrics).toMatchObject({ since: minutesAgo(30), checks: 1, uptime: 100 });
+                expect(results.get(claims).metrics).toMatchObject({ checks: 1, uptime: 0, errorRate: 100 });
+                expect(findOne).not.toHaveBeenCalled();
+            } finally {
+                delete process.env.HEALTH_METRICS_MAX_LOGS;
+                findOne.mockRestore();
+            }
+
+            const results = await healthMetricsService.serviceMetrics([records, claims], '1h', until);
+            expect(results.get(records).metrics).toMatchObject({ since, checks: 2, uptime: 75, flaps: 1 });
+            expect(results.get(claims).metrics).toMatchObject({ checks: 1, uptime: 50 });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for Instance Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const instanceService = require('../../src/services/instanceService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+
+describe('Instance Service', () => {
+    const register = (name, instances = [], loadBalancing) => createService(name, { instances, loadBalancing });
+
+    const urls = (balanced) => balanced.instances.map(instance => instance.url);
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.services.deleteMany({});
+    });
+
+    test('should register, update and remove instances with unique urls', async () => {
+        const service = await register('records');
+        const id = service._id.toString();
+
+        const { instance } = await instanceService.addInstance(id, { url: 'https://a.records.gov.uk', zone: 'eu-west-2a' });
+        expect(instance).toMatchObject({ weight: 100, health: { status: 'unknown' } });
+        await expect(instanceService.addInstance(id, { url: 'https://a.records.gov.uk' }))
+            .rejects.toMatchObject({ code: 'instance/conflict', instanceId: instance._id.toString() });
+
+        const { instance: second } = await instanceService.addInstance(id, { url: 'https://b.records.gov.uk' });
+        const { instance: updated } = await instanceService.updateInstance(id, second._id.toString(), { weight: 0, version: '1.1.0' });
+        expect(updated).toMatchObject({ url: 'https://b.records.gov.uk', weight: 0, version: '1.1.0' });
+
+        await instanceService.removeInstance(id, instance._id.toString());
+        const stored = await storage.services.findById(id);
+        expect(stored.instances.map(item => item.url)).toEqual(['https://b.records.gov.uk']);
+
+        await expect(instanceService.getInstance(id, instance._id.toString()))
+            .rejects.toMatchObject({ code: 'instance/not-found' });
+        await expect(instanceService.addInstance('6a0000000000000000000009', { url: 'https://c.records.gov.uk' }))
+            .rejects.toMatchObject({ code: 'service/not-found' });
+    });
+
+    test('should offer available instances round-robin', async () => {
+        const service = await register('claims', [
+            { url: 'https://a.claims.gov.uk', health: { status: 'healthy' } },
+            { url: 'https://b.claims.gov.uk', health: { status: 'unhealthy' } },
+            { url: 'https://c.claims.gov.uk', health: { status: 'degraded' } },
+            { url: 'https://d.claims.gov.uk', weight: 0, health: { status: 'healthy' } },
+            { url: 'https://e.claims.gov.uk' }
+        ]);
+
+        const first = instanceService.balanceInstances(service);
+        expect(first.loadBalancing).toEqual({ strategy: 'round-robin', availableInstances: 3, totalInstances: 5 });
+        expect(urls(first)).toEqual(['https://a.claims.gov.uk', 'https://c.claims.gov.uk', 'https://e.claims.gov.uk']);
+        expect(urls(instanceService.balanceInstances(service)))
+            .toEqual(['https://c.claims.gov.uk', 'https://e.claims.gov.uk', 'https://a.claims.gov.uk']);
+
+        // Forgetting the service, as on deletion, starts its rotation again
+        instanceService.forgetService(service._id);
+        expect(urls(instanceService.balanceInstances(service))).toEqual(urls(first));
+    });
+
+    test('should give weighted shares and prefer the caller\'s zone, then region', async () => {
+        const service = await register('payments', [
+            { url: 'https://a.payments.gov.uk', region: 'eu-west-2', zone: 'eu-west-2a', weight: 300 },
+            { url: 'https://b.payments.gov.uk', region: 'eu-west-2', zone: 'eu-west-2b', weight: 100 },
+            { url: 'https://c.payments.gov.uk', region: 'eu-west-1', zone: 'eu-west-1a', weight: 100 }
+        ], 'weighted');
+
+        const weighted = instanceService.balanceInstances(service, {}, () => 0.5);
+        expect(weighted.loadBalancing.strategy).toBe('weighted');
+        expect(weighted.instances.map(instance => instance.share)).toEqual([0.6, 0.2, 0.2]);
+        expect(weighted.instances[0].url).toBe('https://a.payments.gov.uk');
+
+        const affine = instanceService.balanceInstances(service, { strategy: 'zone-affine', region: 'eu-west-2', zone: 'eu-west-2b' });
+        expect(affine.loadBalancing).toMatchObject({ strategy: 'zone-affine', zone: 'eu-west-2b', region: 'eu-west-2' });
+        expect(affine.instances.map(instance => [instance.url, instance.affinity])).toEqual([
+            ['https://b.payments.gov.uk', 'zone'],
+            ['https://a.payments.gov.uk', 'region'],
+            ['https://c.payments.gov.uk', 'none']
+        ]);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for Lease Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.SERVICE_LEASE_INACTIVE_AFTER = '300';
+
+const leaseService = require('../../src/services/leaseService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000);
+
+describe('Lease Service', () => {
+    const register = (name, lease) => createService(name, { lease, lastRegistration: secondsAgo(60) });
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.services.deleteMany({});
+        await storage.healthLogs.deleteMany({});
+    });
+
+    test('should mark services unhealthy when their lease expires and inactive once it lapses', async () => {
+        const live = await register('records', { ttl: 30, expiresAt: new Date(Date.now() + 30 * 1000), state: 'active' });
+        const missed = await register('claims', { ttl: 30, expiresAt: secondsAgo(10), state: 'active' });
+        const silent = await register('payments', { ttl: 30, expiresAt: secondsAgo(400), state: 'expired', expiredAt: secondsAgo(390) });
+        await register('permanent');
+
+        const result = await leaseService.expireLeases();
+        expect(result).toEqual({ expired: ['claims'], lapsed: ['payments'] });
+
+        const expired = await storage.services.findById(missed._id);
+        expect(expired.status).toBe('active');
+        expect(expired.health).toMatchObject({ status: 'unhealthy', consecutiveFailures: 1 });
+        expect(expired.lease.state).toBe('expired');
+        expect(await storage.healthLogs.find({ serviceId: missed._id })).toEqual([
+            expect.objectContaining({ status: 'unhealthy', metadata: { source: 'lease' } })
+        ]);
+
+        const lapsed = await storage.services.findById(silent._id);
+        expect(lapsed).toMatchObject({ status: 'inactive', lease: { state: 'lapsed' } });
+        expect((await storage.services.findById(live._id)).lease.state).toBe('active');
+
+        // Discovery only sees services without a lease or with a live one
+        const discoverable = await storage.services.find(leaseService.liveFilter());
+        expect(discoverable.map(service => service.name).sort()).toEqual(['permanent', 'records']);
+    });
+
+    test('should leave a lease renewed while the sweep runs', async () => {
+        const service = await register('claims', { ttl: 30, expiresAt: secondsAgo(10), state: 'active' });
+
+        // The heartbeat lands after the sweep has found the lease due
+        const find = storage.services.find.bind(storage.services);
+        const spy = jest.spyOn(storage.services, 'find').mockImplementationOnce(async (...args) => {
+            const found = await find(...args);
+            await leaseService.renewLease(service._id.toString());
+            return found;
+        });
+
+        try {
+            expect(await leaseService.expireLeases()).toEqual({ expired: [], lapsed: [] });
+        } finally {
+            spy.mockRestore();
+        }
+
+        const stored = await storage.services.findById(service._id);
+        expect(stored.lease.state).toBe('active');
+        expect(stored.health && stored.health.status).not.toBe('unhealthy');
+        expect(await storage.healthLogs.find({ serviceId: service._id })).toEqual([]);
+    });
+
+    test('should revive a lapsed service when it sends a heartbeat', async () => {
+        const service = await register('claims', { ttl: 30, expiresAt: secondsAgo(400), state: 'lapsed', expiredAt: secondsAgo(390) });
+        await storage.services.updateById(service._id, { $set: { status: 'inactive' } });
+
+        const { service: renewed, revived } = await leaseService.renewLease(service._id.toString(), { ttl: 60 });
+
+        expect(revived).toBe(true);
+        expect(renewed).toMatchObject({ status: 'active', health: { status: 'healthy' } });
+        expect(leaseService.toLeaseRecord(renewed)).toMatchObject({ ttl: 60, state: 'active', expiredAt: null });
+        expect(renewed.lease.expiresAt.getTime()).toBeGreaterThan(Date.now() + 55 * 1000);
+        expect(renewed.lastRegistration.getTime()).toBeGreaterThan(Date.now() - 5 * 1000);
+        expect(leaseService.isExpired(renewed)).toBe(false);
+    });
+
+    test('should require a ttl to renew a service registered without a lease', async () => {
+        const service = await register('records');
+
+        await expect(leaseService.renewLease(service._id.toString()))
+            .rejects.toMatchObject({ code: 'lease/not-configured' });
+        await expect(leaseService.renewLease('6a0000000000000000000009'))
+            .rejects.toMatchObject({ code: 'service/not-found' });
+
+        const { service: renewed, revived } = await leaseService.renewLease(service._id.toString(), { ttl: 30 });
+        expect(revived).toBe(false);
+        expect(renewed.lease).toMatchObject({ ttl: 30, state: 'active' });
+    });
+});
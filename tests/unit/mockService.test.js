@@ -0,0 +1,219 @@
+/**
+ * Unit tests for Mock Service - API Registry PDS 2.2
+ */
+
+const Ajv = require('ajv');
+const mockService = require('../../src/services/mockService');
+
+const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Users', version: '1.0.0' },
+    paths: {
+        '/users/{id}': {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+            get: {
+                operationId: 'getUser',
+                responses: {
+                    200: {
+                        description: 'OK',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+                    },
+                    404: {
+                        description: 'Not found',
+                        content: {
+                            'application/json': {
+                                examples: {
+                                    missing: { value: { error: 'missing' } },
+                                    gone: { value: { error: 'gone' } }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/users/me': {
+            get: { operationId: 'getMe', responses: { 200: { description: 'OK' } } }
+        },
+        '/users': {
+            post: {
+                operationId: 'createUser',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['email'],
+                                properties: { email: { type: 'string' }, age: { type: 'integer' } }
+                            }
+                        }
+                    }
+                },
+                responses: { 201: { description: 'Created' } }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            User: {
+                type: 'object',
+                required: ['id', 'email'],
+                properties: {
+                    id: { type: 'integer', minimum: 1 },
+                    email: { type: 'string', format: 'email' },
+                    role: { type: 'string', enum: ['admin', 'user'] },
+                    secret: { type: 'string', writeOnly: true },
+                    manager: { $ref: '#/components/schemas/User' }
+                }
+            }
+        }
+    }
+};
+
+describe('Mock Service', () => {
+    describe('matchOperation', () => {
+        test('should prefer literal path segments over templates', () => {
+            const match = mockService.matchOperation(spec, 'GET', '/users/me');
+
+            expect(match.route).toBe('/users/me');
+            expect(match.operation.operationId).toBe('getMe');
+        });
+
+        test('should extract path parameters and report allowed methods', () => {
+            const match = mockService.matchOperation(spec, 'DELETE', '/users/42');
+
+            expect(match.route).toBe('/users/{id}');
+            expect(match.pathParams).toEqual({ id: '42' });
+            expect(match.operation).toBeNull();
+            expect(match.allowedMethods).toEqual(['GET']);
+        });
+
+        test('should return null when no path matches', () => {
+            expect(mockService.matchOperation(spec, 'GET', '/orders')).toBeNull();
+        });
+
+        test('should decode each path segment once', () => {
+            expect(mockService.matchOperation(spec, 'GET', '/users/100%25').pathParams).toEqual({ id: '100%' });
+            expect(mockService.matchOperation(spec, 'GET', '/users/a%2Fb').pathParams).toEqual({ id: 'a/b' });
+            expect(mockService.matchOperation(spec, 'GET', '/users/%6De').route).toBe('/users/me');
+            expect(() => mockService.matchOperation(spec, 'GET', '/users/%E0%A4%A'))
+                .toThrow(expect.objectContaining({ code: 'mock/malformed-path' }));
+        });
+    });
+
+    describe('validateRequest', () => {
+        test('should coerce and validate path parameters', () => {
+            const valid = mockService.matchOperation(spec, 'GET', '/users/42');
+            const invalid = mockService.matchOperation(spec, 'GET', '/users/abc');
+
+            expect(mockService.validateRequest(spec, valid, {})).toEqual([]);
+            expect(mockService.validateRequest(spec, invalid, {})).toEqual([
+                expect.objectContaining({ location: 'path', name: 'id' })
+            ]);
+        });
+
+        test('should validate the request body against its schema', () => {
+            const match = mockService.matchOperation(spec, 'POST', '/users');
+
+            expect(mockService.validateRequest(spec, match, { body: { email: 'a@b.c' }, hasBody: true })).toEqual([]);
+            expect(mockService.validateRequest(spec, match, { hasBody: false })).toEqual([
+                { location: 'body', name: 'body', message: 'Request body is required' }
+            ]);
+
+            const errors = mockService.validateRequest(spec, match, { body: { age: 'old' }, hasBody: true });
+            expect(errors.map(error => error.message)).toEqual([
+                "body must have required property 'email'",
+                'body/age must be integer'
+            ]);
+        });
+
+        test('should compile the validators of an operation once', () => {
+            const operationSpec = JSON.parse(JSON.stringify(spec));
+            const compile = jest.spyOn(Ajv.prototype, 'compile');
+
+            try {
+                for (const id of ['1', '2', 'x']) {
+                    const match = mockService.matchOperation(operationSpec, 'GET', `/users/${id}`);
+                    mockService.validateRequest(operationSpec, match, {});
+                }
+                const match = mockService.matchOperation(operationSpec, 'POST', '/users');
+                mockService.validateRequest(operationSpec, match, { body: { email: 'a@b.c' }, hasBody: true });
+                mockService.validateRequest(operationSpec, match, { body: {}, hasBody: true });
+
+                expect(compile).toHaveBeenCalledTimes(2);
+            } finally {
+                compile.mockRestore();
+            }
+        });
+    });
+
+    describe('response selection', () => {
+        const operation = spec.paths['/users/{id}'].get;
+
+        test('should default to the first success response', () => {
+            expect(mockService.selectResponse(operation).status).toBe(200);
+        });
+
+        test('should honour a preferred status code and example', () => {
+            const preferences = mockService.parsePreferHeader('code=404, example=gone');
+            const selected = mockService.selectResponse(operation, preferences);
+            const result = mockService.buildResponseBody(selected.response, preferences, spec);
+
+            expect(selected.status).toBe(404);
+            expect(result).toEqual({ contentType: 'application/json', body: { error: 'gone' }, example: 'gone' });
+        });
+
+        test('should return null for an undeclared preferred code', () => {
+            expect(mockService.selectResponse(operation, { code: '418' })).toBeNull();
+        });
+    });
+
+    describe('resolveSpec', () => {
+        test('should resolve internal references and refuse to read external ones', async () => {
+            const files = (example) => ({
+                ...spec,
+                paths: {
+                    '/files': {
+                        get: {
+                            responses: {
+                                200: { description: 'File', content: { 'application/json': { example } } }
+                            }
+                        }
+                    }
+                },
+                components: { examples: { file: { name: 'report.pdf' } } }
+            });
+
+            const resolved = await mockService.resolveSpec({
+                _id: 'files',
+                updatedAt: new Date(),
+                specification: files({ $ref: '#/components/examples/file' })
+            });
+            expect(resolved.paths['/files'].get.responses['200'].content['application/json'].example)
+                .toEqual({ name: 'report.pdf' });
+
+            const external = files({ $ref: '/etc/hostname' });
+            await expect(mockService.resolveSpec({ _id: 'external', updatedAt: new Date(), specification: external }))
+                .rejects.toMatchObject({ unresolvedReferences: ['/etc/hostname'] });
+        });
+    });
+
+    describe('generateFromSchema', () => {
+        test('should generate a payload from referenced and recursive schemas', () => {
+            const body = mockService.generateFromSchema({ $ref: '#/components/schemas/User' }, spec);
+
+            expect(body).toEqual({ id: 1, email: 'user@example.com', role: 'admin' });
+        });
+
+        test('should generate arrays and respect string constraints', () => {
+            const body = mockService.generateFromSchema({
+                type: 'array',
+                minItems: 2,
+                items: { type: 'string', minLength: 10 }
+            });
+
+            expect(body).toEqual(['stringxxxx', 'stringxxxx']);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for Operation Index Service - API Registry PDS 2.2
+ */
+
+const operationIndexService = require('../../src/services/operationIndexService');
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const usersSpec = () => ({
+    openapi: '3.0.3',
+    info: { title: 'Users API', version: '1.0.0' },
+    security: [{ oauth: ['users:read'] }],
+    paths: {
+        '/users/{id}': {
+            get: {
+                operationId: 'getUser',
+                summary: 'Get a user',
+                tags: ['users'],
+                responses: {
+                    200: { description: 'User', content: jsonContent({ $ref: '#/components/schemas/User' }) },
+                    404: { $ref: '#/components/responses/NotFound' }
+                }
+            },
+            put: {
+                operationId: 'updateUser',
+                security: [{ oauth: ['users:write'] }],
+                requestBody: { content: jsonContent({ $ref: '#/components/schemas/User' }) },
+                responses: { 204: { description: 'Updated' } }
+            }
+        },
+        '/status': {
+            get: {
+                operationId: 'getStatus',
+                security: [],
+                responses: { 200: { description: 'OK' } }
+            }
+        },
+        '/users': {
+            $ref: '#/x-path-items/users'
+        }
+    },
+    'x-path-items': {
+        users: {
+            get: {
+                operationId: 'listUsers',
+                security: [{}, { oauth: ['users:read'] }],
+                responses: {
+                    200: {
+                        description: 'Users',
+                        content: jsonContent({ type: 'array', items: { $ref: '#/components/schemas/User' } })
+                    }
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            User: {
+                type: 'object',
+                properties: {
+                    address: { $ref: '#/components/schemas/Address' },
+                    manager: { $ref: '#/components/schemas/User' }
+                }
+            },
+            Address: { $id: 'https://schemas.example.gov.uk/address/1.0.0', type: 'object' },
+            Error: { type: 'object' }
+        },
+        responses: {
+            NotFound: { description: 'Not found', content: jsonContent({ $ref: '#/components/schemas/Error' }) }
+        }
+    }
+});
+
+describe('Operation Index Service', () => {
+    describe('extractEndpoints', () => {
+        test('should index each operation with its method, tags and schemas', () => {
+            const endpoints = operationIndexService.extractEndpoints(usersSpec());
+            const getUser = endpoints.find(endpoint => endpoint.operationId === 'getUser');
+
+            expect(endpoints).toHaveLength(4);
+            expect(getUser).toMatchObject({
+                path: '/users/{id}',
+                method: 'GET',
+                summary: 'Get a user',
+                tags: ['users'],
+                requestSchemas: []
+            });
+            expect(getUser.responseSchemas).toEqual(expect.arrayContaining([
+                'User', 'Address', 'https://schemas.example.gov.uk/address/1.0.0', 'Error'
+            ]));
+
+            const updateUser = endpoints.find(endpoint => endpoint.operationId === 'updateUser');
+            expect(updateUser.requestSchemas).toContain('User');
+            expect(updateUser.responseSchemas).toEqual([]);
+        });
+
+        test('should apply document and operation security', () => {
+            const endpoints = operationIndexService.extractEndpoints(usersSpec());
+            const byId = Object.fromEntries(endpoints.map(endpoint => [endpoint.operationId, endpoint]));
+
+            expect(byId.getUser).toMatchObject({ authRequired: true, scopes: ['users:read'] });
+            expect(byId.updateUser).toMatchObject({ authRequired: true, scopes: ['users:write'] });
+            expect(byId.getStatus).toMatchObject({ authRequired: false, scopes: [] });
+            expect(byId.listUsers).toMatchObject({ authRequired: false, scopes: ['users:read'] });
+        });
+    });
+
+    describe('pathMatches', () => {
+        test('should match concrete paths and templates against path templates', () => {
+            expect(operationIndexService.pathMatches('/users/{id}', '/users/123')).toBe(true);
+            expect(operationIndexService.pathMatches('/users/{id}', '/users/{userId}')).toBe(true);
+            expect(operationIndexService.pathMatches('/users/{id}', '/users/123/')).toBe(true);
+            expect(operationIndexService.pathMatches('/users/{id}', '/users/123/roles')).toBe(false);
+            expect(operationIndexService.pathMatches('/users', '/users')).toBe(true);
+        });
+
+        test('should match several parameters in a segment in linear time', () => {
+            expect(operationIndexService.pathMatches('/files/{name}.{ext}', '/files/report.pdf')).toBe(true);
+            expect(operationIndexService.pathMatches('/files/{name}.{ext}', '/files/report')).toBe(false);
+            expect(operationIndexService.pathMatches('/files/{a}{b}', '/files/x')).toBe(false);
+            expect(operationIndexService.pathMatches('/files/{a}{b}', '/files/xy')).toBe(true);
+
+            const template = `/${Array.from({ length: 12 }, (_, index) => `{p${index}}`).join('')}x`;
+            const started = Date.now();
+            expect(operationIndexService.pathMatches(template, `/${'a'.repeat(36)}`)).toBe(false);
+            expect(Date.now() - started).toBeLessThan(100);
+        });
+    });
+});
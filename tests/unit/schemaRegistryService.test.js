@@ -0,0 +1,122 @@
+/**
+ * Unit tests for Schema Registry Service - API Registry PDS 2.2
+ */
+
+const schemaRegistryService = require('../../src/services/schemaRegistryService');
+
+const { COMPATIBILITY_MODES } = schemaRegistryService;
+
+const addressV1 = () => ({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://schemas.example.gov.uk/address/1.0.0',
+    type: 'object',
+    required: ['line1', 'postcode'],
+    properties: {
+        line1: { type: 'string' },
+        postcode: { type: 'string', maxLength: 8 },
+        country: { type: 'string', enum: ['GB', 'IE'] }
+    }
+});
+
+const personV1 = () => ({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://schemas.example.gov.uk/person/1.0.0',
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string' },
+        address: { $ref: '../address/1.0.0' }
+    }
+});
+
+describe('Schema Registry Service', () => {
+    describe('checkCompatibility', () => {
+        test('should accept an optional property added under backward compatibility', () => {
+            const next = addressV1();
+            next.properties.town = { type: 'string' };
+
+            const result = schemaRegistryService.checkCompatibility(addressV1(), next, COMPATIBILITY_MODES.BACKWARD);
+
+            expect(result.compatible).toBe(true);
+            expect(result.issues).toEqual([]);
+        });
+
+        test('should reject new required properties and tightened constraints under backward compatibility', () => {
+            const next = addressV1();
+            next.required.push('country');
+            next.properties.postcode.maxLength = 7;
+            next.properties.country.enum = ['GB'];
+
+            const result = schemaRegistryService.checkCompatibility(addressV1(), next, COMPATIBILITY_MODES.BACKWARD);
+
+            expect(result.compatible).toBe(false);
+            expect(result.issues.map(issue => issue.pointer)).toEqual(expect.arrayContaining([
+                '/required',
+                '/properties/postcode',
+                '/properties/country'
+            ]));
+            expect(result.issues.every(issue => issue.direction === COMPATIBILITY_MODES.BACKWARD)).toBe(true);
+        });
+
+        test('should check the reverse direction under forward compatibility', () => {
+            const next = addressV1();
+            next.properties.country.enum = ['GB', 'IE', 'FR'];
+
+            expect(schemaRegistryService.checkCompatibility(addressV1(), next, COMPATIBILITY_MODES.BACKWARD).compatible).toBe(true);
+
+            const forward = schemaRegistryService.checkCompatibility(addressV1(), next, COMPATIBILITY_MODES.FORWARD);
+            expect(forward.compatible).toBe(false);
+            expect(forward.issues[0]).toMatchObject({
+                pointer: '/properties/country',
+                direction: COMPATIBILITY_MODES.FORWARD
+            });
+
+            const full = schemaRegistryService.checkCompatibility(addressV1(), next, COMPATIBILITY_MODES.FULL);
+            expect(full.issues).toHaveLength(forward.issues.length);
+        });
+
+        test('should treat widening integer to number as backward compatible', () => {
+            const previous = { type: 'object', properties: { count: { type: 'integer' } } };
+            const next = { type: 'object', properties: { count: { type: 'number', description: 'Item count' } } };
+
+            expect(schemaRegistryService.checkCompatibility(previous, next).compatible).toBe(true);
+            expect(schemaRegistryService.checkCompatibility(next, previous).compatible).toBe(false);
+        });
+    });
+
+    describe('references', () => {
+        test('should collect external references resolved against $id', () => {
+            expect(schemaRegistryService.collectExternalRefs(personV1()))
+                .toEqual(['https://schemas.example.gov.uk/address/1.0.0']);
+            expect(schemaRegistryService.collectExternalRefs(addressV1())).toEqual([]);
+        });
+
+        test('should compile schemas against registered references', () => {
+            const validate = schemaRegistryService.compileSchema(personV1(), [addressV1()]);
+
+            expect(validate({ name: 'Ada', address: { line1: '1 High St', postcode: 'SW1A1AA' } })).toBe(true);
+            expect(validate({ name: 'Ada', address: { line1: '1 High St' } })).toBe(false);
+            expect(() => schemaRegistryService.compileSchema(personV1())).toThrow();
+            expect(() => schemaRegistryService.compileSchema({ type: 'objekt' })).toThrow();
+        });
+
+        test('should bundle referenced schemas into a self-contained document', () => {
+            const bundled = schemaRegistryService.bundleSchema(personV1(), [addressV1()]);
+
+            expect(bundled.$defs['https://schemas.example.gov.uk/address/1.0.0']).toEqual(addressV1());
+            expect(personV1().$defs).toBeUndefined();
+
+            const validate = schemaRegistryService.compileSchema(bundled);
+            expect(validate({ name: 'Ada', address: { line1: '1 High St' } })).toBe(false);
+        });
+    });
+
+    describe('parseDataType', () => {
+        test('should distinguish schema ids, names and version ranges', () => {
+            expect(schemaRegistryService.parseDataType('https://schemas.example.gov.uk/address/1.0.0#/properties/line1'))
+                .toEqual({ schemaId: 'https://schemas.example.gov.uk/address/1.0.0' });
+            expect(schemaRegistryService.parseDataType('address@^1.0.0')).toEqual({ name: 'address', range: '^1.0.0' });
+            expect(schemaRegistryService.parseDataType('address')).toEqual({ name: 'address', range: null });
+        });
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for SDK Generation Service - API Registry PDS 2.2
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const Module = require('module');
+
+process.env.SDK_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sdk-cache-'));
+
+const sdkService = require('../../src/services/sdkService');
+
+// Read the entries of a gzipped tarball into a path -> content map
+const extractTarball = (buffer) => {
+    const tar = zlib.gunzipSync(buffer);
+    const files = {};
+    let offset = 0;
+
+    while (offset < tar.length && tar[offset] !== 0) {
+        const field = (start, length) => tar.toString('utf8', offset + start, offset + start + length).replace(/\0.*$/, '');
+        const name = [field(345, 155), field(0, 100)].filter(Boolean).join('/');
+        const size = parseInt(tar.toString('utf8', offset + 124, offset + 136).replace(/\0.*$/, ''), 8);
+        files[name] = tar.toString('utf8', offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+
+    return files;
+};
+
+const specification = {
+    openapi: '3.0.0',
+    info: { title: 'Users API', version: '1.0.0' },
+    servers: [{ url: 'https://users.example.gov.uk' }],
+    paths: {
+        '/users/{id}': {
+            get: {
+                operationId: 'getUser',
+                parameters: [
+                    { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+                    { name: 'expand', in: 'query', schema: { type: 'boolean' } }
+                ],
+                responses: {
+                    '200': {
+                        description: 'User',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+                    }
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            User: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+        }
+    }
+};
+
+const generate = (language) => sdkService.generateSdk({
+    specification,
+    serviceName: 'user-service',
+    version: '1.0.0',
+    registryUrl: 'https://registry.example.gov.uk'
+}, language);
+
+describe('SDK Generation Service', () => {
+    afterAll(() => {
+        fs.rmSync(process.env.SDK_CACHE_DIR, { recursive: true, force: true });
+    });
+
+    test('should generate a working JavaScript fetch client', async () => {
+        const sdk = await generate('javascript');
+        const files = extractTarball(sdk.buffer);
+
+        expect(sdk.filename).toBe('user-service-1.0.0-javascript.tgz');
+        expect(Object.keys(files)).toEqual(
+            expect.arrayContaining(['package/index.js', 'package/package.json', 'package/README.md'])
+        );
+
+        const clientModule = new Module('generated-client');
+        clientModule._compile(files['package/index.js'], 'index.js');
+        const { UserServiceClient } = clientModule.exports;
+
+        const fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            status: 200,
+            headers: { get: () => 'application/json' },
+            text: async () => '{"id":"42"}'
+        });
+
+        const client = new UserServiceClient({ fetch });
+        await expect(client.getUser({ id: '42', expand: true })).resolves.toEqual({ id: '42' });
+        expect(fetch.mock.calls[0][0]).toBe('https://users.example.gov.uk/users/42?expand=true');
+    });
+
+    test('should generate TypeScript types from component schemas', async () => {
+        const files = extractTarball((await generate('typescript')).buffer);
+
+        expect(files['package/src/index.ts']).toContain('export type User = {\n  id: string;\n};');
+        expect(files['package/src/index.ts']).toContain('async getUser(params: GetUserParams): Promise<User>');
+    });
+
+    test('should bundle component schemas as JSON Schema documents', async () => {
+        const files = extractTarball((await generate('json-schema')).buffer);
+        const user = JSON.parse(files['package/schemas/User.json']);
+
+        expect(user.$id).toBe('https://registry.example.gov.uk/sdk/user-service/1.0.0/json-schema/schemas/User.json');
+        expect(user.required).toEqual(['id']);
+    });
+
+    test('should give component schemas file names that stay inside the package', async () => {
+        const longName = 'VeryLongComponentSchemaName'.repeat(3);
+        const named = JSON.parse(JSON.stringify(specification));
+        named.components.schemas = {
+            '../../../etc/passwd': { type: 'string' },
+            'Users/Item': { type: 'object', properties: { owner: { $ref: `#/components/schemas/${longName}` } } },
+            'users_Item': { type: 'string' },
+            [longName]: { type: 'array', items: { $ref: '#/components/schemas/Users~1Item' } }
+        };
+
+        const sdk = await sdkService.generateSdk({ specification: named, serviceName: 'user-service', version: '1.0.0' }, 'json-schema');
+        const files = extractTarball(sdk.buffer);
+
+        expect(Object.keys(files).sort()).toEqual([
+            'package/README.md',
+            'package/index.json',
+            'package/schemas/Users_Item.json',
+            `package/schemas/${longName}.json`,
+            'package/schemas/_._.._.._etc_passwd.json',
+            'package/schemas/users_Item-2.json'
+        ]);
+        expect(JSON.parse(files[`package/schemas/${longName}.json`]).items).toEqual({ $ref: 'Users_Item.json' });
+        expect(JSON.parse(files['package/schemas/Users_Item.json']).properties.owner).toEqual({ $ref: `${longName}.json` });
+        expect(JSON.parse(files['package/index.json']).schemas).toContainEqual({ name: 'Users/Item', file: 'schemas/Users_Item.json' });
+    });
+
+    test('should keep operation summaries inside their doc comments', async () => {
+        const hostile = JSON.parse(JSON.stringify(specification));
+        hostile.paths['/users/{id}'].get.summary = 'Get a user */ pwned = (globalThis.sdkPwned = true); /*';
+        hostile.paths['/users/{id}*/'] = {
+            get: { description: 'Line one\r\n*/ injected = 1;\u2028/* line three', responses: { '204': { description: 'None' } } }
+        };
+        const sdk = (language) => sdkService.generateSdk({ specification: hostile, serviceName: 'user-service', version: '1.0.0' }, language);
+
+        const source = extractTarball((await sdk('javascript')).buffer)['package/index.js'];
+        const clientModule = new Module('generated-client');
+        clientModule._compile(source, 'index.js');
+        new clientModule.exports.UserServiceClient({ fetch: jest.fn() });
+
+        expect(globalThis.sdkPwned).toBeUndefined();
+        expect(source).toContain('   * Get a user *\\/ pwned = (globalThis.sdkPwned = true); /*\n');
+        expect(source).toContain('   * Line one\n   * *\\/ injected = 1;\n   * /* line three\n');
+
+        const typescript = extractTarball((await sdk('typescript')).buffer)['package/src/index.ts'];
+        expect(typescript).not.toMatch(/pwned.*\*\/|\*\/ injected/);
+    });
+
+    test('should serve repeat requests from the content hash cache', async () => {
+        const first = await generate('javascript');
+        const second = await generate('javascript');
+
+        expect(second.cached).toBe(true);
+        expect(second.hash).toBe(first.hash);
+        expect(second.buffer.equals(first.buffer)).toBe(true);
+    });
+
+    test('should reject unsupported languages', async () => {
+        await expect(generate('cobol')).rejects.toThrow('Unsupported SDK language: cobol');
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for Specification Bundle Service - API Registry PDS 2.2
+ */
+
+const AdmZip = require('adm-zip');
+const specBundleService = require('../../src/services/specBundleService');
+
+const createArchive = (files) => {
+    const zip = new AdmZip();
+    Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content, 'utf8')));
+    return zip.toBuffer();
+};
+
+const multiFileSpec = {
+    'openapi.yaml': [
+        'openapi: 3.0.3',
+        'info: { title: Records API, version: 1.0.0 }',
+        'paths:',
+        '  /records:',
+        '    $ref: paths/records.yaml'
+    ].join('\n'),
+    'paths/records.yaml': [
+        'get:',
+        '  operationId: listRecords',
+        '  responses:',
+        '    "200":',
+        '      description: Records',
+        '      content:',
+        '        application/json:',
+        '          schema:',
+        '            $ref: ../schemas/record.json'
+    ].join('\n'),
+    'schemas/record.json': JSON.stringify({
+        type: 'object',
+        properties: { id: { type: 'string' } }
+    })
+};
+
+const specWithLocalRefs = () => ({
+    openapi: '3.0.3',
+    info: { title: 'Tree API', version: '1.0.0' },
+    paths: {
+        '/nodes': {
+            get: {
+                responses: {
+                    200: {
+                        description: 'Nodes',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Node' } } }
+                    }
+                }
+            }
+        },
+        '/status': {
+            get: {
+                responses: {
+                    200: {
+                        description: 'Status',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Status' } } }
+                    }
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            Status: {
+                type: 'object',
+                properties: { healthy: { type: 'boolean' } }
+            },
+            Node: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    children: { type: 'array', items: { $ref: '#/components/schemas/Node' } }
+                }
+            }
+        }
+    }
+});
+
+describe('Specification Bundle Service', () => {
+    describe('bundleArchive', () => {
+        test('should bundle relative $refs across files into one document', async () => {
+            const result = await specBundleService.bundleArchive(createArchive(multiFileSpec));
+
+            expect(result.entry).toBe('openapi.yaml');
+            expect(result.files).toEqual(['openapi.yaml', 'paths/records.yaml', 'schemas/record.json']);
+            expect(result.specification.paths['/records'].get.operationId).toBe('listRecords');
+            expect(JSON.stringify(result.specification)).not.toMatch(/"\$ref":"[^#]/);
+        });
+
+        test('should find the entry file inside a wrapping folder or use the one given', async () => {
+            const wrapped = Object.fromEntries(Object.entries(multiFileSpec)
+                .map(([name, content]) => [`records-api/${name}`, content]));
+
+            const found = await specBundleService.bundleArchive(createArchive(wrapped));
+            expect(found.entry).toBe('records-api/openapi.yaml');
+
+            const renamed = { ...multiFileSpec, 'spec.yaml': multiFileSpec['openapi.yaml'] };
+            delete renamed['openapi.yaml'];
+            await expect(specBundleService.bundleArchive(createArchive(renamed))).resolves.toBeDefined();
+
+            const explicit = await specBundleService.bundleArchive(createArchive(renamed), { entry: './spec.yaml' });
+            expect(explicit.entry).toBe('spec.yaml');
+        });
+
+        test('should reject missing references and entries outside the archive root', async () => {
+            const missing = { ...multiFileSpec };
+            delete missing['schemas/record.json'];
+            await expect(specBundleService.bundleArchive(createArchive(missing)))
+                .rejects.toThrow(/schemas\/record.json/);
+
+            const escaping = createArchive(multiFileSpec);
+            const zip = new AdmZip(escaping);
+            zip.getEntry('schemas/record.json').entryName = '../record.json';
+            await expect(specBundleService.bundleArchive(zip.toBuffer()))
+                .rejects.toThrow(/outside the archive root/);
+
+            await expect(specBundleService.bundleArchive(createArchive({ 'README.md': '# Records' })))
+                .rejects.toThrow(/no JSON or YAML files/);
+        });
+
+        test('should stop inflating at the limit whatever sizes the archive declares', async () => {
+            const archive = createArchive({ 'openapi.json': `{"padding":"${' '.repeat(21 * 1024 * 1024)}"}` });
+
+            // Zero the uncompressed size in the local and central directory headers
+            for (const [signature, offset] of [[0x04034b50, 22], [0x02014b50, 24]]) {
+                for (let position = 0; position < archive.length - 4; position++) {
+                    if (archive.readUInt32LE(position) === signature) archive.writeUInt32LE(0, position + offset);
+                }
+            }
+
+            await expect(specBundleService.bundleArchive(archive)).rejects.toThrow(/20MB uncompressed/);
+        });
+    });
+
+    describe('stored specifications', () => {
+        test('should dereference local $refs, leaving circular ones in place', async () => {
+            const spec = specWithLocalRefs();
+            const result = await specBundleService.dereferenceSpec(spec);
+
+            const schemaOf = (document, path) => document.paths[path].get.responses[200].content['application/json'].schema;
+            expect(schemaOf(result.specification, '/status')).toEqual({
+                type: 'object',
+                properties: { healthy: { type: 'boolean' } }
+            });
+            expect(schemaOf(result.specification, '/nodes').$ref).toBe('#/components/schemas/Node');
+            expect(result.circular).toBe(true);
+            expect(schemaOf(spec, '/status').$ref).toBe('#/components/schemas/Status');
+        });
+
+        test('should refuse to resolve external references', async () => {
+            const spec = specWithLocalRefs();
+            spec.components.schemas.Node.properties.owner = { $ref: 'https://example.com/schemas/owner.json' };
+
+            await expect(specBundleService.bundleSpec(spec)).rejects.toMatchObject({
+                unresolvedReferences: ['https://example.com/schemas/owner.json']
+            });
+            await expect(specBundleService.bundleSpec(specWithLocalRefs())).resolves.toEqual(specWithLocalRefs());
+        });
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for Specification Conversion Service - API Registry PDS 2.2
+ */
+
+const SwaggerParser = require('@apidevtools/swagger-parser');
+const specConversionService = require('../../src/services/specConversionService');
+
+const swaggerSpec = () => ({
+    swagger: '2.0',
+    info: { title: 'Pets', version: '1.0.0' },
+    host: 'pets.example.com',
+    basePath: '/v1',
+    schemes: ['https'],
+    consumes: ['application/json'],
+    produces: ['application/json'],
+    securityDefinitions: {
+        basicAuth: { type: 'basic' },
+        oauth: {
+            type: 'oauth2',
+            flow: 'accessCode',
+            authorizationUrl: 'https://auth.example.com/authorize',
+            tokenUrl: 'https://auth.example.com/token',
+            scopes: { 'pets:read': 'Read pets' }
+        }
+    },
+    security: [{ basicAuth: [] }],
+    parameters: {
+        limit: { name: 'limit', in: 'query', type: 'integer', minimum: 1 },
+        petBody: { name: 'pet', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }
+    },
+    responses: {
+        NotFound: { description: 'Not found', schema: { $ref: '#/definitions/Error' } }
+    },
+    definitions: {
+        Pet: {
+            type: 'object',
+            required: ['name'],
+            discriminator: 'kind',
+            properties: {
+                name: { type: 'string' },
+                kind: { type: 'string' },
+                tag: { type: 'string', 'x-nullable': true }
+            }
+        },
+        Error: { type: 'object', properties: { message: { type: 'string' } } }
+    },
+    paths: {
+        '/pets': {
+            get: {
+                operationId: 'listPets',
+                parameters: [
+                    { $ref: '#/parameters/limit' },
+                    { name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' }
+                ],
+                responses: {
+                    200: {
+                        description: 'OK',
+                        headers: { 'X-Total': { type: 'integer' } },
+                        schema: { type: 'array', items: { $ref: '#/definitions/Pet' } },
+                        examples: { 'application/json': [{ name: 'Rex' }] }
+                    }
+                }
+            },
+            post: {
+                operationId: 'createPet',
+                parameters: [{ $ref: '#/parameters/petBody' }],
+                responses: { 201: { description: 'Created' }, 404: { $ref: '#/responses/NotFound' } }
+            }
+        },
+        '/pets/{petId}/photo': {
+            parameters: [{ name: 'petId', in: 'path', required: true, type: 'string' }],
+            post: {
+                operationId: 'uploadPhoto',
+                consumes: ['multipart/form-data'],
+                parameters: [
+                    { name: 'file', in: 'formData', type: 'file', required: true },
+                    { name: 'caption', in: 'formData', type: 'string' }
+                ],
+                responses: { 204: { description: 'Uploaded' } }
+            }
+        }
+    }
+});
+
+describe('Specification Conversion Service', () => {
+    test('should detect Swagger 2.0 documents', () => {
+        expect(specConversionService.isSwagger2(swaggerSpec())).toBe(true);
+        expect(specConversionService.isSwagger2({ openapi: '3.0.0' })).toBe(false);
+    });
+
+    test('should produce a valid OpenAPI 3 document without warnings for a clean conversion', async () => {
+        const original = swaggerSpec();
+        const { specification, warnings } = specConversionService.convertSwagger2(original);
+
+        expect(warnings).toEqual([]);
+        expect(specification.openapi).toBe(specConversionService.TARGET_VERSION);
+        expect(specification.servers).toEqual([{ url: 'https://pets.example.com/v1' }]);
+        expect(original.swagger).toBe('2.0');
+        await expect(SwaggerParser.validate(JSON.parse(JSON.stringify(specification)))).resolves.toBeDefined();
+    });
+
+    test('should move definitions, parameters, responses and security into components', () => {
+        const { specification } = specConversionService.convertSwagger2(swaggerSpec());
+        const { components } = specification;
+
+        expect(components.schemas.Pet.discriminator).toEqual({ propertyName: 'kind' });
+        expect(components.schemas.Pet.properties.tag).toEqual({ type: 'string', nullable: true });
+        expect(components.parameters.limit.schema).toEqual({ type: 'integer', minimum: 1 });
+        expect(components.requestBodies.petBody.content['application/json'].schema)
+            .toEqual({ $ref: '#/components/schemas/Pet' });
+        expect(components.securitySchemes.basicAuth).toEqual({ type: 'http', scheme: 'basic' });
+        expect(components.securitySchemes.oauth.flows.authorizationCode.tokenUrl).toBe('https://auth.example.com/token');
+        expect(specification.paths['/pets'].post.requestBody).toEqual({ $ref: '#/components/requestBodies/petBody' });
+        expect(specification.paths['/pets'].post.responses[404]).toEqual({ $ref: '#/components/responses/NotFound' });
+    });
+
+    test('should convert parameters, responses and form data', () => {
+        const { specification } = specConversionService.convertSwagger2(swaggerSpec());
+        const listPets = specification.paths['/pets'].get;
+        const uploadPhoto = specification.paths['/pets/{petId}/photo'].post;
+
+        expect(listPets.parameters[1]).toEqual({
+            name: 'tags',
+            in: 'query',
+            schema: { type: 'array', items: { type: 'string' } },
+            style: 'form',
+            explode: true
+        });
+        expect(listPets.responses[200].headers['X-Total']).toEqual({ schema: { type: 'integer' } });
+        expect(listPets.responses[200].content['application/json'].example).toEqual([{ name: 'Rex' }]);
+        expect(uploadPhoto.requestBody).toEqual({
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        properties: { file: { type: 'string', format: 'binary' }, caption: { type: 'string' } },
+                        required: ['file']
+                    }
+                }
+            }
+        });
+    });
+
+    test('should record lossy conversions as warnings', () => {
+        const spec = swaggerSpec();
+        delete spec.schemes;
+        spec.paths['/pets'].get.parameters.push({
+            name: 'ids', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'tsv'
+        });
+        spec.paths['/pets'].get.responses[200].examples['text/plain'] = 'Rex';
+
+        const { specification, warnings } = specConversionService.convertSwagger2(spec);
+
+        expect(specification.servers).toEqual([{ url: 'https://pets.example.com/v1' }]);
+        expect(warnings.map(warning => warning.pointer)).toEqual([
+            '/schemes',
+            '/paths/~1pets/get/parameters/2/collectionFormat',
+            '/paths/~1pets/get/responses/200/examples/text~1plain'
+        ]);
+    });
+});
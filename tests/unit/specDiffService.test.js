@@ -0,0 +1,186 @@
+/**
+ * Unit tests for Specification Diff Service - API Registry PDS 2.2
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffSpecs, assessVersionBump } = require('../../src/services/specDiffService');
+
+const baseSpec = () => ({
+    openapi: '3.0.0',
+    info: { title: 'Users API', version: '1.0.0' },
+    paths: {
+        '/users': {
+            get: {
+                operationId: 'listUsers',
+                parameters: [
+                    { name: 'role', in: 'query', schema: { type: 'string', enum: ['user', 'admin', 'guest'] } }
+                ],
+                responses: {
+                    '200': {
+                        description: 'Users',
+                        content: {
+                            'application/json': {
+                                schema: { type: 'array', items: { $ref: '#/components/schemas/User' } }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/users/{id}': {
+            delete: {
+                operationId: 'deleteUser',
+                parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: { '204': { description: 'Deleted' } }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            User: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'string' },
+                    email: { type: 'string' }
+                }
+            }
+        },
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+    }
+});
+
+describe('Specification Diff Service', () => {
+    test('should report no changes for identical specifications', async () => {
+        const diff = await diffSpecs(baseSpec(), baseSpec());
+
+        expect(diff.summary.total).toBe(0);
+        expect(diff.summary.hasBreakingChanges).toBe(false);
+    });
+
+    test('should classify removed operations and security schemes as breaking', async () => {
+        const next = baseSpec();
+        delete next.paths['/users/{id}'].delete;
+        delete next.components.securitySchemes.apiKey;
+
+        const diff = await diffSpecs(baseSpec(), next);
+        const types = diff.breaking.map(change => change.type);
+
+        expect(types).toContain('operation-removed');
+        expect(types).toContain('security-scheme-removed');
+        expect(diff.breaking.find(change => change.type === 'operation-removed').method).toBe('DELETE');
+    });
+
+    test('should classify new required parameters and narrowed enums as breaking', async () => {
+        const next = baseSpec();
+        next.paths['/users'].get.parameters = [
+            { name: 'role', in: 'query', schema: { type: 'string', enum: ['user', 'admin'] } },
+            { name: 'tenant', in: 'header', required: true, schema: { type: 'string' } }
+        ];
+
+        const diff = await diffSpecs(baseSpec(), next);
+        const types = diff.breaking.map(change => change.type);
+
+        expect(types).toContain('parameter-added-required');
+        expect(types).toContain('enum-narrowed');
+    });
+
+    test('should compare response schemas after $ref resolution', async () => {
+        const next = baseSpec();
+        delete next.components.schemas.User.properties.email;
+        next.components.schemas.User.properties.name = { type: 'string' };
+
+        const diff = await diffSpecs(baseSpec(), next);
+
+        expect(diff.breaking.map(change => change.type)).toContain('response-property-removed');
+        expect(diff.nonBreaking.map(change => change.type)).toContain('response-property-added');
+    });
+
+    test('should not read files or URLs named by external $refs', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-diff-'));
+        const file = path.join(directory, 'profile.json');
+        fs.writeFileSync(file, JSON.stringify({ type: 'object', properties: { nationalInsuranceNumber: { type: 'string' } } }));
+
+        try {
+            const before = baseSpec();
+            before.components.schemas.User.properties.profile = { $ref: file };
+            const after = baseSpec();
+            after.components.schemas.User.properties.profile = { type: 'object', properties: {} };
+
+            const diff = await diffSpecs(before, after);
+
+            expect(JSON.stringify(diff)).not.toContain('nationalInsuranceNumber');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('should classify additive changes as non-breaking', async () => {
+        const next = baseSpec();
+        next.paths['/health'] = { get: { responses: { '200': { description: 'OK' } } } };
+        next.paths['/users'].get.parameters.push({ name: 'limit', in: 'query', schema: { type: 'integer' } });
+
+        const diff = await diffSpecs(baseSpec(), next);
+
+        expect(diff.summary.hasBreakingChanges).toBe(false);
+        expect(diff.nonBreaking.map(change => change.type)).toEqual(
+            expect.arrayContaining(['path-added', 'parameter-added'])
+        );
+    });
+
+    test('should report newly deprecated operations as non-breaking', async () => {
+        const next = baseSpec();
+        next.paths['/users/{id}'].delete.deprecated = true;
+
+        const diff = await diffSpecs(baseSpec(), next);
+
+        expect(diff.summary.hasBreakingChanges).toBe(false);
+        expect(diff.nonBreaking).toEqual([
+            expect.objectContaining({ type: 'operation-deprecated', method: 'DELETE', path: '/users/{id}' })
+        ]);
+    });
+
+    test('should not mutate the stored documents', async () => {
+        const before = baseSpec();
+        const after = baseSpec();
+
+        await diffSpecs(before, after);
+
+        expect(before.paths['/users'].get.responses['200'].content['application/json'].schema.items.$ref)
+            .toBe('#/components/schemas/User');
+    });
+
+    describe('assessVersionBump', () => {
+        const breakingDiff = { summary: { hasBreakingChanges: true } };
+        const compatibleDiff = { summary: { hasBreakingChanges: false } };
+
+        test('should reject breaking changes without a major bump', () => {
+            const result = assessVersionBump('1.3.0', '1.4.0', breakingDiff);
+
+            expect(result.compliant).toBe(false);
+            expect(result.bump).toBe('minor');
+            expect(result.requiredBump).toBe('major');
+        });
+
+        test('should accept breaking changes with a major bump', () => {
+            expect(assessVersionBump('1.3.0', '2.0.0', breakingDiff).compliant).toBe(true);
+        });
+
+        test('should accept breaking minor bumps before 1.0.0', () => {
+            expect(assessVersionBump('0.3.0', '0.4.0', breakingDiff).compliant).toBe(true);
+            expect(assessVersionBump('0.3.0', '0.3.1', breakingDiff).requiredBump).toBe('minor');
+        });
+
+        test('should accept any bump when there are no breaking changes', () => {
+            expect(assessVersionBump('1.3.0', '1.3.1', compatibleDiff)).toEqual({
+                bump: 'patch',
+                requiredBump: null,
+                compliant: true
+            });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for Spec Lifecycle Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const specLifecycleService = require('../../src/services/specLifecycleService');
+const specsService = require('../../src/services/specsService');
+const distTagService = require('../../src/services/distTagService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+
+const { LIFECYCLE_STATES } = specLifecycleService;
+const serviceName = 'records-service';
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+describe('Spec Lifecycle Service', () => {
+    let service;
+
+    const publish = async (version) => {
+        await storage.specs.create({
+            serviceId: service._id,
+            name: 'Records API',
+            version,
+            specification: { openapi: '3.0.0', info: { title: 'Records API', version }, paths: {} }
+        });
+        return distTagService.applyOnPublish(service._id, version);
+    };
+
+    const findSpec = (version) => storage.specs.findOne({ serviceId: service._id, version });
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.specs.deleteMany({});
+        await storage.services.deleteMany({});
+        service = await createService(serviceName);
+
+        await publish('1.0.0');
+        await publish('2.0.0');
+    });
+
+    describe('deprecateSpec', () => {
+        test('should record the sunset date, replacement and migration notes', async () => {
+            const sunsetDate = daysFromNow(30);
+
+            const spec = await specsService.deprecateSpec(serviceName, '1.0.0', {
+                sunsetDate,
+                replacementVersion: '2.0.0',
+                migrationNotes: 'Use /records/search instead of /records'
+            });
+
+            expect(spec).toMatchObject({ deprecated: true, sunsetDate, replacementVersion: '2.0.0', retired: false });
+            expect(spec.deprecationDate).toBeInstanceOf(Date);
+            expect(specLifecycleService.lifecycleFor(await findSpec('1.0.0')).state).toBe(LIFECYCLE_STATES.SUNSETTING);
+        });
+
+        test('should refuse replacements that are missing or deprecated', async () => {
+            await expect(specsService.deprecateSpec(serviceName, '2.0.0', { replacementVersion: '3.0.0' }))
+                .rejects.toMatchObject({ code: 'lifecycle/invalid-replacement' });
+
+            await specsService.deprecateSpec(serviceName, '2.0.0');
+            await expect(specsService.deprecateSpec(serviceName, '1.0.0', { replacementVersion: '2.0.0' }))
+                .rejects.toMatchObject({ code: 'lifecycle/invalid-replacement' });
+        });
+
+        test('should clear the terms when a deprecation is withdrawn', async () => {
+            await specsService.deprecateSpec(serviceName, '1.0.0', { sunsetDate: daysFromNow(30) });
+
+            const spec = await specsService.undeprecateSpec(serviceName, '1.0.0');
+
+            expect(spec).toMatchObject({ deprecated: false, deprecationDate: null, sunsetDate: null });
+        });
+    });
+
+    describe('deprecationHeaders', () => {
+        test('should not add headers for current specs', () => {
+            expect(specLifecycleService.deprecationHeaders({ isDeprecated: false })).toEqual({});
+        });
+
+        test('should announce deprecation, sunset and successor', () => {
+            const headers = specLifecycleService.deprecationHeaders({
+                isDeprecated: true,
+                deprecationDate: new Date('2026-01-01T00:00:00Z'),
+                sunsetDate: new Date('2026-07-01T00:00:00Z')
+            }, {
+                lifecycleUrl: '/api/v1/specs/records-service/1.0.0/lifecycle',
+                successorUrl: '/api/v1/specs/abc123'
+            });
+
+            expect(headers).toEqual({
+                Deprecation: '@1767225600',
+                Sunset: 'Wed, 01 Jul 2026 00:00:00 GMT',
+                Link: '</api/v1/specs/records-service/1.0.0/lifecycle>; rel="deprecation sunset"; type="application/json", ' +
+                    '</api/v1/specs/abc123>; rel="successor-version"'
+            });
+        });
+    });
+
+    describe('deprecatedServices', () => {
+        test('should report services whose current spec is deprecated', async () => {
+            await specsService.deprecateSpec(serviceName, '1.0.0');
+            expect((await specLifecycleService.deprecatedServices([service._id])).size).toBe(0);
+
+            await specsService.deprecateSpec(serviceName, '2.0.0', { sunsetDate: daysFromNow(10) });
+            const lifecycles = await specLifecycleService.deprecatedServices([service._id]);
+
+            expect(lifecycles.get(service._id.toString())).toMatchObject({
+                state: LIFECYCLE_STATES.SUNSETTING,
+                version: '2.0.0'
+            });
+        });
+    });
+
+    describe('retireDueSpecs', () => {
+        test('should retire specs past their sunset date and move latest to the replacement', async () => {
+            await distTagService.setTag(serviceName, distTagService.LATEST_TAG, '1.0.0');
+            await specsService.deprecateSpec(serviceName, '1.0.0', {
+                sunsetDate: daysFromNow(1),
+                replacementVersion: '2.0.0'
+            });
+
+            expect(await specLifecycleService.retireDueSpecs()).toHaveLength(0);
+            const retired = await specLifecycleService.retireDueSpecs(daysFromNow(2));
+
+            expect(retired.map(spec => spec.version)).toEqual(['1.0.0']);
+            expect(await findSpec('1.0.0')).toMatchObject({ isRetired: true, isLatest: false });
+            expect(await distTagService.listTags(serviceName)).toEqual({ latest: '2.0.0' });
+            await expect(specsService.deprecateSpec(serviceName, '1.0.0'))
+                .rejects.toMatchObject({ code: 'lifecycle/retired' });
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for Specification Linter - API Registry PDS 2.2
+ */
+
+const specLinter = require('../../src/validators/specLinter');
+
+const errorResponse = {
+    description: 'Not found',
+    content: {
+        'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+        }
+    }
+};
+
+const compliantSpec = () => ({
+    openapi: '3.0.0',
+    info: {
+        title: 'Orders',
+        version: '1.0.0',
+        description: 'Order management',
+        contact: { name: 'Orders team' }
+    },
+    servers: [{ url: 'https://orders.example.com/api/{version}', variables: { version: { default: 'v1' } } }],
+    security: [{ apiKey: [] }],
+    paths: {
+        '/orders/{orderId}': {
+            parameters: [{ name: 'orderId', in: 'path', required: true, schema: { type: 'string' } }],
+            get: {
+                operationId: 'getOrder',
+                summary: 'Get an order',
+                tags: ['orders'],
+                responses: {
+                    200: { description: 'OK' },
+                    404: errorResponse
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                properties: {
+                    error: {
+                        type: 'object',
+                        properties: {
+                            code: { type: 'string' },
+                            message: { type: 'string' },
+                            details: { type: 'object' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+});
+
+const service = { name: 'orders', baseUrl: 'https://orders.example.com' };
+
+const rulesFor = (result) => result.results.map(finding => finding.rule);
+
+describe('Specification Linter', () => {
+    test('should pass a compliant specification', () => {
+        const result = specLinter.lintSpec(compliantSpec(), { service });
+
+        expect(result.ruleset).toBe('pds-2.2');
+        expect(result.passed).toBe(true);
+        expect(result.results).toEqual([]);
+    });
+
+    test('should report missing operationIds, security and success responses as errors', () => {
+        const spec = compliantSpec();
+        delete spec.security;
+        spec.paths['/orders'] = {
+            post: {
+                summary: 'Create an order',
+                tags: ['orders'],
+                responses: { 400: errorResponse }
+            }
+        };
+
+        const result = specLinter.lintSpec(spec);
+
+        expect(result.passed).toBe(false);
+        expect(rulesFor(result)).toEqual(expect.arrayContaining([
+            'operation-operationId',
+            'operation-security',
+            'operation-success-response'
+        ]));
+        expect(result.results.find(finding => finding.rule === 'operation-operationId')).toEqual({
+            rule: 'operation-operationId',
+            severity: 'error',
+            message: 'POST /orders has no operationId',
+            pointer: '/paths/~1orders/post'
+        });
+    });
+
+    test('should flag error responses that do not use the shared error format', () => {
+        const spec = compliantSpec();
+        spec.paths['/orders/{orderId}'].get.responses[404] = {
+            description: 'Not found',
+            content: {
+                'application/json': {
+                    schema: { type: 'object', properties: { error: { type: 'string' }, message: { type: 'string' } } }
+                }
+            }
+        };
+
+        const result = specLinter.lintSpec(spec);
+
+        expect(rulesFor(result)).toEqual(['error-response-format']);
+    });
+
+    test('should only check servers against a known service baseUrl', () => {
+        const spec = compliantSpec();
+        spec.servers = [{ url: 'https://elsewhere.example.com' }];
+
+        expect(rulesFor(specLinter.lintSpec(spec))).toEqual([]);
+        expect(specLinter.lintSpec(spec, { service }).results).toEqual([
+            expect.objectContaining({ rule: 'servers-match-base-url', pointer: '/servers/0/url' })
+        ]);
+    });
+
+    test('should apply per-rule severity overrides', () => {
+        const spec = compliantSpec();
+        delete spec.paths['/orders/{orderId}'].get.operationId;
+        delete spec.paths['/orders/{orderId}'].get.tags;
+
+        const result = specLinter.lintSpec(spec, {
+            overrides: { 'operation-operationId': 'warn', 'operation-tags': 'off' }
+        });
+
+        expect(result.passed).toBe(true);
+        expect(result.summary).toEqual({ errors: 0, warnings: 1, infos: 0 });
+        expect(result.results[0]).toEqual(expect.objectContaining({ rule: 'operation-operationId', severity: 'warn' }));
+    });
+
+    test('should run registered custom rulesets', () => {
+        specLinter.registerRuleset({
+            name: 'test-ruleset',
+            rules: [{
+                id: 'has-servers',
+                severity: 'warn',
+                check: spec => (spec.servers ? [] : [{ message: 'No servers', pointer: '/servers' }])
+            }]
+        });
+
+        const spec = compliantSpec();
+        delete spec.servers;
+
+        expect(specLinter.lintSpec(spec, { ruleset: 'test-ruleset' }).results).toEqual([
+            { rule: 'has-servers', severity: 'warn', message: 'No servers', pointer: '/servers' }
+        ]);
+        expect(() => specLinter.lintSpec(spec, { ruleset: 'missing' })).toThrow('Unknown lint ruleset: missing');
+    });
+});
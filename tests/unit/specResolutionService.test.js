@@ -0,0 +1,89 @@
+/**
+ * Unit tests for Spec Resolution Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const specResolutionService = require('../../src/services/specResolutionService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+
+const { EXCLUSION_REASONS } = specResolutionService;
+const serviceName = 'records-service';
+
+describe('Spec Resolution Service', () => {
+    let service;
+
+    const publish = (version, extra = {}) => storage.specs.create({
+        serviceId: service._id,
+        name: 'Records API',
+        version,
+        specification: { openapi: '3.0.0', info: { title: 'Records API', version }, paths: {} },
+        ...extra
+    });
+
+    const reasonFor = (resolution, version) =>
+        (resolution.excluded.find(entry => entry.version === version) || {}).reason;
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.specs.deleteMany({});
+        await storage.services.deleteMany({});
+        service = await createService(serviceName);
+
+        await publish('1.1.0');
+        await publish('1.2.0');
+        await publish('1.3.0', { isDeprecated: true, deprecationDate: new Date('2026-01-01T00:00:00Z') });
+        await publish('1.4.0-beta.1');
+        await publish('2.0.0');
+    });
+
+    test('should resolve the highest non-deprecated match and explain the rest', async () => {
+        const resolution = await specResolutionService.resolveRange(serviceName, '^1.2.0');
+
+        expect(resolution.resolved.version).toBe('1.2.0');
+        expect(resolution.excluded.map(entry => entry.version)).toEqual(['2.0.0', '1.4.0-beta.1', '1.3.0', '1.1.0']);
+        expect(reasonFor(resolution, '2.0.0')).toBe(EXCLUSION_REASONS.OUT_OF_RANGE);
+        expect(reasonFor(resolution, '1.4.0-beta.1')).toBe(EXCLUSION_REASONS.PRERELEASE);
+        expect(reasonFor(resolution, '1.3.0')).toBe(EXCLUSION_REASONS.DEPRECATED);
+        expect(reasonFor(resolution, '1.1.0')).toBe(EXCLUSION_REASONS.OUT_OF_RANGE);
+    });
+
+    test('should mark lower matching versions as superseded', async () => {
+        const resolution = await specResolutionService.resolveRange(serviceName, '>=1.0.0');
+
+        expect(resolution.resolved.version).toBe('2.0.0');
+        expect(reasonFor(resolution, '1.2.0')).toBe(EXCLUSION_REASONS.SUPERSEDED);
+    });
+
+    test('should let pre-releases match when asked to', async () => {
+        const resolution = await specResolutionService.resolveRange(serviceName, '~1.4.0-0', { includePrerelease: true });
+
+        expect(resolution.resolved.version).toBe('1.4.0-beta.1');
+    });
+
+    test('should return no match when every candidate is excluded', async () => {
+        const resolution = await specResolutionService.resolveRange(serviceName, '1.3.x');
+
+        expect(resolution.resolved).toBeNull();
+        expect(reasonFor(resolution, '1.3.0')).toBe(EXCLUSION_REASONS.DEPRECATED);
+    });
+
+    test('should only consider specs matching the filter', async () => {
+        await storage.specs.updateMany({ version: '2.0.0' }, { $set: { isPublic: false } });
+
+        const resolution = await specResolutionService.resolveRange(serviceName, '*', {
+            filter: { isPublic: { $ne: false } }
+        });
+
+        expect(resolution.resolved.version).toBe('1.2.0');
+        expect(reasonFor(resolution, '2.0.0')).toBeUndefined();
+    });
+
+    test('should reject invalid ranges and unknown services', async () => {
+        await expect(specResolutionService.resolveRange(serviceName, 'not a range'))
+            .rejects.toMatchObject({ code: 'validation/invalid-range' });
+        await expect(specResolutionService.resolveRange('unknown-service', '^1.0.0'))
+            .rejects.toMatchObject({ code: 'service/not-found' });
+    });
+});
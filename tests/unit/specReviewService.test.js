@@ -0,0 +1,107 @@
+/**
+ * Unit tests for Spec Review Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const specReviewService = require('../../src/services/specReviewService');
+const specsService = require('../../src/services/specsService');
+const specResolutionService = require('../../src/services/specResolutionService');
+const distTagService = require('../../src/services/distTagService');
+const accessControlService = require('../../src/services/accessControlService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+const { SPEC_PUBLICATION_STATES } = require('../../src/database/models');
+
+const serviceName = 'benefits-service';
+
+const apiKeyAuth = (key, roles = []) => ({
+    type: 'api-key',
+    authenticated: true,
+    apiKey: accessControlService.hashApiKey(key),
+    roles
+});
+
+const author = apiKeyAuth('author-key');
+const reviewer = apiKeyAuth('reviewer-key', [specReviewService.REVIEWER_ROLE]);
+
+describe('Spec Review Service', () => {
+    let service;
+
+    const upload = (version, tag) => specsService.saveSpec({
+        serviceName,
+        version,
+        tag,
+        specification: { openapi: '3.0.0', info: { title: 'Benefits API', version }, paths: {} }
+    });
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.specs.deleteMany({});
+        await storage.services.deleteMany({});
+        service = await createService(serviceName, { specPolicy: { reviewRequired: true } });
+
+        // Released before review was required
+        await storage.specs.create({
+            serviceId: service._id,
+            name: 'Benefits API',
+            version: '1.0.0',
+            specification: { openapi: '3.0.0', info: { title: 'Benefits API', version: '1.0.0' }, paths: {} }
+        });
+        await distTagService.applyOnPublish(service._id, '1.0.0');
+    });
+
+    test('should store new versions as drafts that are not latest or resolvable', async () => {
+        const spec = await upload('1.1.0');
+
+        expect(spec.publicationStatus).toBe(SPEC_PUBLICATION_STATES.DRAFT);
+        expect((await specsService.getLatestSpec(serviceName)).version).toBe('1.0.0');
+
+        const resolution = await specResolutionService.resolveRange(serviceName, '^1.0.0');
+        expect(resolution.resolved.version).toBe('1.0.0');
+        expect(resolution.excluded).toContainEqual(expect.objectContaining({
+            version: '1.1.0',
+            reason: specResolutionService.EXCLUSION_REASONS.UNPUBLISHED
+        }));
+    });
+
+    test('should publish approved versions and apply the tag requested at upload', async () => {
+        const { id } = await upload('2.0.0-beta.1', 'beta');
+
+        await specReviewService.reviewSpec(id, 'submit', { auth: author });
+        await specReviewService.reviewSpec(id, 'approve', { auth: reviewer, comment: 'Looks good' });
+        const { spec } = await specReviewService.reviewSpec(id, 'publish', { auth: author });
+
+        expect(spec).toMatchObject({ publicationStatus: SPEC_PUBLICATION_STATES.PUBLISHED, distTags: ['beta'] });
+        expect(spec.requestedTag).toBeUndefined();
+        expect(spec.reviewHistory.map(event => event.toStatus)).toEqual(['in-review', 'approved', 'published']);
+        expect(await distTagService.listTags(serviceName)).toEqual({ latest: '1.0.0', beta: '2.0.0-beta.1' });
+    });
+
+    test('should only let reviewers other than the submitter approve', async () => {
+        const { id } = await upload('1.1.0');
+        await specReviewService.reviewSpec(id, 'submit', { auth: reviewer });
+
+        await expect(specReviewService.reviewSpec(id, 'approve', { auth: author }))
+            .rejects.toMatchObject({ code: 'review/forbidden' });
+        await expect(specReviewService.reviewSpec(id, 'approve', { auth: reviewer }))
+            .rejects.toMatchObject({ code: 'review/self-approval' });
+    });
+
+    test('should require a comment to reject and allow resubmission', async () => {
+        const { id } = await upload('1.1.0');
+        await specReviewService.reviewSpec(id, 'submit', { auth: author });
+
+        await expect(specReviewService.reviewSpec(id, 'reject', { auth: reviewer }))
+            .rejects.toMatchObject({ code: 'review/comment-required' });
+
+        const { spec } = await specReviewService.reviewSpec(id, 'reject', { auth: reviewer, comment: 'Missing error responses' });
+        expect(spec.publicationStatus).toBe(SPEC_PUBLICATION_STATES.REJECTED);
+        expect(specReviewService.allowedActions(spec, author)).toEqual(['submit']);
+
+        await expect(specReviewService.reviewSpec(id, 'publish', { auth: author }))
+            .rejects.toMatchObject({ code: 'review/invalid-transition' });
+        await expect(distTagService.setTag(serviceName, 'next', '1.1.0'))
+            .rejects.toMatchObject({ code: 'tag/unpublished' });
+    });
+});
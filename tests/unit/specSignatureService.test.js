@@ -0,0 +1,105 @@
+/**
+ * Unit tests for Spec Signature Service - API Registry PDS 2.2
+ */
+
+const crypto = require('crypto');
+const specSignatureService = require('../../src/services/specSignatureService');
+const jws = require('../../src/utils/jws');
+const { canonicalize } = require('../../src/utils/canonicalJson');
+
+const did = 'did:web:benefits.example.gov.uk';
+
+describe('Spec Signature Service', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const specification = { openapi: '3.0.0', info: { title: 'Benefits API', version: '1.0.0' }, paths: {} };
+
+    const service = {
+        name: 'benefits-service',
+        did,
+        didDocument: {
+            id: did,
+            verificationMethod: [{
+                id: '#key-1',
+                type: 'Ed25519VerificationKey2020',
+                controller: did,
+                publicKeyMultibase: jws.ed25519Multibase(publicKey)
+            }],
+            assertionMethod: ['#key-1']
+        }
+    };
+
+    const sign = (document, header = { alg: 'EdDSA', kid: `${did}#key-1` }, key = privateKey) =>
+        jws.signDetached(canonicalize(document), key, header);
+
+    describe('verifySignature', () => {
+        test('should verify a signature over the canonical document regardless of key order', () => {
+            const reordered = { paths: {}, info: { version: '1.0.0', title: 'Benefits API' }, openapi: '3.0.0' };
+
+            const proof = specSignatureService.verifySignature(service, reordered, sign(specification));
+
+            expect(proof).toMatchObject({ alg: 'EdDSA', kid: `${did}#key-1`, signer: did });
+            expect(proof.verifiedAt).toBeInstanceOf(Date);
+        });
+
+        test('should reject signatures over a different document', () => {
+            const tampered = { ...specification, paths: { '/claims': {} } };
+
+            expect(() => specSignatureService.verifySignature(service, tampered, sign(specification)))
+                .toThrow(expect.objectContaining({ code: 'signature/invalid' }));
+        });
+
+        test('should reject keys outside the service\'s DID document', () => {
+            const other = crypto.generateKeyPairSync('ed25519').privateKey;
+
+            expect(() => specSignatureService.verifySignature(service, specification,
+                sign(specification, { alg: 'EdDSA', kid: 'did:web:other.example#key-1' })))
+                .toThrow(expect.objectContaining({ code: 'signature/unknown-key' }));
+            expect(() => specSignatureService.verifySignature(service, specification,
+                sign(specification, { alg: 'EdDSA', kid: '#key-1' }, other)))
+                .toThrow(expect.objectContaining({ code: 'signature/invalid' }));
+        });
+
+        test('should verify with the key of a did:key service without a stored document', () => {
+            const keyDid = `did:key:${jws.ed25519Multibase(publicKey)}`;
+            const signature = sign(specification, { alg: 'EdDSA', kid: `${keyDid}#${jws.ed25519Multibase(publicKey)}` });
+
+            expect(specSignatureService.verifySignature({ name: 'key-service', did: keyDid }, specification, signature).signer)
+                .toBe(keyDid);
+        });
+    });
+
+    describe('signatureSummary', () => {
+        test('should report unsigned specifications and verified proofs over the stored document', () => {
+            const signature = specSignatureService.verifySignature(service, specification, sign(specification));
+
+            expect(specSignatureService.signatureSummary({ specification })).toEqual({ status: 'unsigned' });
+            expect(specSignatureService.signatureSummary({ specification, signature }))
+                .toMatchObject({ status: 'verified', signer: did, kid: `${did}#key-1` });
+        });
+
+        test('should report a proof invalid once the stored document is changed', () => {
+            const signature = specSignatureService.verifySignature(service, specification, sign(specification));
+            const tampered = { ...specification, paths: { '/claims': {} } };
+
+            expect(specSignatureService.signatureSummary({ specification: tampered, signature })).toMatchObject({
+                status: 'invalid',
+                signer: did,
+                error: { code: 'signature/content-changed' }
+            });
+            expect(specSignatureService.signatureSummary({ signature }).status).toBe('invalid');
+        });
+    });
+
+    describe('counterSign', () => {
+        test('should counter-sign with the key in the registry DID document', () => {
+            const document = specSignatureService.registryDidDocument('registry.example', 'https://registry.example');
+            const counterSignature = specSignatureService.counterSign(specification, 'registry.example', sign(specification));
+            const parsed = jws.parseDetached(counterSignature);
+
+            expect(parsed.header).toMatchObject({ alg: 'EdDSA', kid: 'did:web:registry.example#key-1' });
+            expect(parsed.header.psig).toBe(sign(specification).split('.')[2]);
+            expect(jws.verifyDetached(parsed, canonicalize(specification),
+                jws.publicKeyFromVerificationMethod(document.verificationMethod[0]))).toBe(true);
+        });
+    });
+});
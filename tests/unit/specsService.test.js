@@ -0,0 +1,116 @@
+/**
+ * Unit tests for Specs Service - API Registry PDS 2.2
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const fs = require('fs');
+const git = require('isomorphic-git');
+const specsService = require('../../src/services/specsService');
+const gitMirrorService = require('../../src/services/gitMirrorService');
+const { storage } = require('../../src/database/storage');
+const { createService } = require('../helpers/services');
+
+const serviceName = 'records';
+
+const document = (version, paths = {}) => ({ openapi: '3.0.3', info: { title: 'Records API', version }, paths });
+
+// A file as merged from the mirror; content is null when the merge deleted it
+const mirrored = (version, snapshot) => ({
+    filepath: `specs/${serviceName}/${version}.json`,
+    content: snapshot === null ? null : Buffer.from(JSON.stringify(snapshot))
+});
+
+describe('Specs Service', () => {
+    let service;
+
+    beforeEach(async () => {
+        await storage.connect();
+        await storage.specs.deleteMany({});
+        await storage.services.deleteMany({});
+        service = await createService(serviceName, { specPolicy: { reviewRequired: true } });
+    });
+
+    describe('history commits', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should wait for mirror operations before committing a change', async () => {
+            // The storage repository is replaced here; only the order of operations matters
+            jest.spyOn(specsService, 'isHistoryEnabled').mockReturnValue(true);
+            jest.spyOn(fs, 'mkdirSync').mockReturnValue(undefined);
+            jest.spyOn(fs, 'writeFileSync').mockReturnValue(undefined);
+            jest.spyOn(git, 'add').mockResolvedValue(undefined);
+            const commit = jest.spyOn(git, 'commit').mockResolvedValue('c'.repeat(40));
+
+            let finishSync;
+            const sync = gitMirrorService.runExclusive(() => new Promise(resolve => {
+                finishSync = resolve;
+            }));
+
+            const saved = specsService.saveSpec({ serviceName, version: '1.0.0', specification: document('1.0.0') });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(commit).not.toHaveBeenCalled();
+
+            finishSync();
+            await sync;
+            await saved;
+            expect(commit).toHaveBeenCalledWith(expect.objectContaining({ message: 'Add spec for records@1.0.0' }));
+        });
+    });
+
+    describe('importMirroredSpecs', () => {
+        it('should apply edits to stored specs and keep their visibility and publication status', async () => {
+            await storage.specs.create({
+                serviceId: service._id,
+                name: 'Records API',
+                version: '1.0.0',
+                specification: document('1.0.0'),
+                publicationStatus: 'published',
+                signature: { algorithm: 'ES256', value: 'signed' }
+            });
+
+            const edited = document('1.0.0', {
+                '/records': { get: { operationId: 'listRecords', responses: { 200: { description: 'Records' } } } }
+            });
+            const imported = await specsService.importMirroredSpecs([
+                mirrored('1.0.0', { serviceName, version: '1.0.0', specification: edited, isPublic: true, publicationStatus: 'draft' })
+            ]);
+
+            expect(imported).toBe(1);
+            const spec = await storage.specs.findOne({ serviceId: service._id, version: '1.0.0' });
+            expect(spec.specification).toEqual(edited);
+            expect(spec.endpoints).toEqual([expect.objectContaining({ method: 'GET', path: '/records', operationId: 'listRecords' })]);
+            expect(spec.publicationStatus).toBe('published');
+            expect(spec.signature).toBeUndefined();
+        });
+
+        it('should add new versions as uploads and remove deleted ones', async () => {
+            await storage.specs.create({ serviceId: service._id, name: 'Records API', version: '1.0.0', specification: document('1.0.0') });
+
+            const imported = await specsService.importMirroredSpecs([
+                mirrored('1.0.0', null),
+                mirrored('1.1.0', { specification: document('1.1.0'), publicationStatus: 'published' })
+            ]);
+
+            expect(imported).toBe(2);
+            expect(await storage.specs.findOne({ serviceId: service._id, version: '1.0.0' })).toBeNull();
+            expect(await storage.specs.findOne({ serviceId: service._id, version: '1.1.0' }))
+                .toMatchObject({ name: 'Records API', format: 'openapi', publicationStatus: 'draft' });
+        });
+
+        it('should skip files that are not spec snapshots of registered services', async () => {
+            const imported = await specsService.importMirroredSpecs([
+                { filepath: 'README.md', content: Buffer.from('# Specs') },
+                { filepath: 'specs/unknown/1.0.0.json', content: Buffer.from(JSON.stringify({ specification: document('1.0.0') })) },
+                { filepath: `specs/${serviceName}/latest.json`, content: Buffer.from(JSON.stringify({ specification: document('1.0.0') })) },
+                { filepath: `specs/${serviceName}/1.2.0.json`, content: Buffer.from('{ not json') },
+                mirrored('1.3.0', { description: 'No document' })
+            ]);
+
+            expect(imported).toBe(0);
+            expect(await storage.specs.count({})).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for Storage backends - API Registry PDS 2.2
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, STORAGE_BACKENDS } = require('../../src/database/storage');
+const { matches, sortDocuments, projectDocument, applyUpdate, aggregate } = require('../../src/database/queryMatcher');
+const { serviceData } = require('../helpers/services');
+
+describe('Query Matcher', () => {
+    const document = {
+        name: 'records',
+        status: 'active',
+        tags: ['people', 'records'],
+        endpoints: [{ path: '/a', method: 'GET' }, { path: '/b', method: 'POST' }],
+        contactInfo: { team: 'Records' },
+        responseTime: 120
+    };
+
+    test('should match equality, comparison and array membership', () => {
+        expect(matches(document, { name: 'records', responseTime: { $gte: 100, $lt: 200 } })).toBe(true);
+        expect(matches(document, { tags: 'people' })).toBe(true);
+        expect(matches(document, { tags: { $in: ['other', 'records'] } })).toBe(true);
+        expect(matches(document, { 'endpoints.method': 'POST' })).toBe(true);
+        expect(matches(document, { status: { $ne: 'active' } })).toBe(false);
+    });
+
+    test('should match logical operators, regex and existence', () => {
+        expect(matches(document, { $or: [{ name: /^rec/i }, { status: 'inactive' }] })).toBe(true);
+        expect(matches(document, { name: { $regex: 'CORD', $options: 'i' } })).toBe(true);
+        expect(matches(document, { deletedAt: { $exists: false } })).toBe(true);
+        expect(matches(document, { 'contactInfo.team': { $exists: true } })).toBe(true);
+        expect(matches(document, { endpoints: { $elemMatch: { path: '/b', method: 'GET' } } })).toBe(false);
+    });
+
+    test('should sort with missing values first and project fields', () => {
+        const sorted = sortDocuments([{ n: 2 }, { n: 1 }, {}], { n: 1 });
+        expect(sorted.map(item => item.n)).toEqual([undefined, 1, 2]);
+        expect(sortDocuments([{ n: 1 }, { n: 2 }], '-n').map(item => item.n)).toEqual([2, 1]);
+
+        expect(projectDocument({ _id: 'x', name: 'a', secret: 'b' }, 'name')).toEqual({ _id: 'x', name: 'a' });
+        expect(projectDocument({ _id: 'x', name: 'a', secret: 'b' }, '-secret')).toEqual({ _id: 'x', name: 'a' });
+    });
+
+    test('should apply update operators without changing the original', () => {
+        const updated = applyUpdate(document, {
+            $set: { 'contactInfo.team': 'Platform' },
+            $inc: { responseTime: 10 },
+            $addToSet: { tags: { $each: ['people', 'benefits'] } },
+            $pull: { endpoints: { method: 'GET' } },
+            $unset: { status: 1 }
+        });
+
+        expect(updated.contactInfo.team).toBe('Platform');
+        expect(updated.responseTime).toBe(130);
+        expect(updated.tags).toEqual(['people', 'records', 'benefits']);
+        expect(updated.endpoints).toEqual([{ path: '/b', method: 'POST' }]);
+        expect(updated.status).toBeUndefined();
+        expect(document.status).toBe('active');
+    });
+
+    test('should resolve the positional operator to the element the filter matched', () => {
+        const updated = applyUpdate(document, { $set: { 'endpoints.$.method': 'PUT' } }, { 'endpoints.path': '/b' });
+        expect(updated.endpoints).toEqual([{ path: '/a', method: 'GET' }, { path: '/b', method: 'PUT' }]);
+
+        const matched = applyUpdate(document, { $set: { 'endpoints.$.deprecated': true } },
+            { endpoints: { $elemMatch: { path: '/a', method: 'GET' } } });
+        expect(matched.endpoints[0]).toEqual({ path: '/a', method: 'GET', deprecated: true });
+
+        expect(() => applyUpdate(document, { $set: { 'endpoints.$.method': 'PUT' } }, { name: 'records' }))
+            .toThrow(/positional operator/);
+    });
+
+    test('should group, count and average in aggregation pipelines', () => {
+        const documents = [
+            { category: 'government', status: 'active', responseTime: 100 },
+            { category: 'government', status: 'inactive', deletedAt: new Date() },
+            { category: 'utility', status: 'active', responseTime: 300 }
+        ];
+
+        expect(aggregate(documents, [
+            { $match: { status: { $exists: true } } },
+            {
+                $group: {
+                    _id: '$category',
+                    count: { $sum: 1 },
+                    active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+                    deleted: { $sum: { $cond: [{ $ifNull: ['$deletedAt', false] }, 1, 0] } },
+                    averageResponseTime: { $avg: '$responseTime' }
+                }
+            },
+            { $sort: { count: -1 } }
+        ])).toEqual([
+            { _id: 'government', count: 2, active: 1, deleted: 1, averageResponseTime: 100 },
+            { _id: 'utility', count: 1, active: 1, deleted: 0, averageResponseTime: 300 }
+        ]);
+
+        expect(aggregate(documents, [{ $sort: { responseTime: -1 } }, { $group: { _id: null, first: { $first: '$$ROOT' } } }]))
+            .toEqual([{ _id: null, first: documents[2] }]);
+        expect(() => aggregate(documents, [{ $lookup: {} }])).toThrow(/Unsupported aggregation stage/);
+    });
+});
+
+describe('Storage', () => {
+    test('should reject unknown backends', () => {
+        expect(() => createStorage('cassandra')).toThrow(/Unknown storage backend/);
+    });
+
+    describe('memory backend', () => {
+        let storage;
+
+        beforeEach(async () => {
+            storage = createStorage(STORAGE_BACKENDS.MEMORY);
+            await storage.connect();
+        });
+
+        afterEach(async () => {
+            await storage.disconnect();
+        });
+
+        test('should create documents with model defaults and find them', async () => {
+            const created = await storage.services.create(serviceData('records'));
+
+            expect(created._id).toBeDefined();
+            expect(created.status).toBe('active');
+            expect(created.__v).toBeUndefined();
+
+            const found = await storage.services.findById(created._id.toString());
+            expect(found.name).toBe('records');
+            expect(await storage.services.findById('not-an-id')).toBeNull();
+            expect(await storage.services.count({ category: 'government' })).toBe(1);
+        });
+
+        test('should validate documents against the model', async () => {
+            await expect(storage.services.create({ name: 'incomplete' })).rejects.toThrow(/validation failed/);
+        });
+
+        test('should enforce unique indexes with the MongoDB duplicate key code', async () => {
+            await storage.services.create(serviceData('records'));
+
+            await expect(storage.services.create(serviceData('records'))).rejects.toMatchObject({ code: 11000 });
+        });
+
+        test('should update, sort, page and delete documents', async () => {
+            const first = await storage.services.create(serviceData('alpha'));
+            await storage.services.create(serviceData('beta', { category: 'utility' }));
+            await storage.services.create(serviceData('gamma'));
+
+            const updated = await storage.services.updateById(first._id, { $set: { status: 'inactive' } });
+            expect(updated.status).toBe('inactive');
+            expect(updated.updatedAt.getTime()).toBeGreaterThanOrEqual(first.updatedAt.getTime());
+
+            const page = await storage.services.find({}, { sort: { name: -1 }, skip: 1, limit: 1, select: 'name' });
+            expect(page).toEqual([{ _id: expect.anything(), name: 'beta' }]);
+
+            expect(await storage.services.updateMany({ category: 'government' }, { $set: { isHealthy: false } })).toBe(2);
+            expect(await storage.services.distinct('category')).toEqual(['government', 'utility']);
+            expect(await storage.services.deleteMany({ category: 'government' })).toBe(2);
+            expect(await storage.services.deleteOne({ name: 'missing' })).toBe(false);
+            expect(await storage.services.count()).toBe(1);
+        });
+
+        test('should cast $match filters in aggregation pipelines', async () => {
+            const service = await storage.services.create(serviceData('records'));
+            await storage.healthLogs.create({ serviceId: service._id, status: 'healthy', responseTime: 80 });
+            await storage.healthLogs.create({ serviceId: service._id, status: 'unhealthy' });
+
+            const [stats] = await storage.healthLogs.aggregate([
+                { $match: { serviceId: service._id.toString() } },
+                { $group: { _id: '$serviceId', checks: { $sum: 1 }, averageResponseTime: { $avg: '$responseTime' } } }
+            ]);
+            expect(stats).toEqual({ _id: service._id, checks: 2, averageResponseTime: 80 });
+        });
+
+        test('should populate references through the related repository', async () => {
+            const service = await storage.services.create(serviceData('records'));
+            await storage.specs.create({
+                serviceId: service._id,
+                name: 'Records API',
+                version: '1.0.0',
+                specification: { openapi: '3.0.0', info: { title: 'Records API', version: '1.0.0' }, paths: {} }
+            });
+
+            const spec = await storage.specs.findOne({ serviceId: service._id.toString() }, {
+                populate: { path: 'serviceId', select: 'name' }
+            });
+
+            expect(spec.serviceId).toEqual({ _id: service._id, name: 'records' });
+        });
+
+        test('should report its backend in the health check', async () => {
+            const health = await storage.healthCheck();
+
+            expect(health).toMatchObject({ status: 'healthy', backend: 'memory' });
+        });
+    });
+
+    describe('filesystem backend', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'api-registry-storage-'));
+        });
+
+        afterEach(async () => {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+        });
+
+        test('should persist collections to JSON files and reload them', async () => {
+            const storage = createStorage(STORAGE_BACKENDS.FILESYSTEM, { directory });
+            await storage.connect();
+            const created = await storage.services.create(serviceData('records'));
+            await storage.disconnect();
+
+            const saved = JSON.parse(await fs.promises.readFile(path.join(directory, 'services.json'), 'utf8'));
+            expect(saved).toHaveLength(1);
+
+            const reopened = createStorage(STORAGE_BACKENDS.FILESYSTEM, { directory });
+            await reopened.connect();
+            const found = await reopened.services.findById(created._id.toString());
+
+            expect(found.name).toBe('records');
+            expect(found.createdAt).toBeInstanceOf(Date);
+            expect(reopened.getStatus()).toMatchObject({ connected: true, backend: 'filesystem', directory });
+            await reopened.disconnect();
+        });
+
+        test('should drop health logs past their 30 day TTL', async () => {
+            const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+            const serviceId = '6a0000000000000000000001';
+            await fs.promises.writeFile(path.join(directory, 'health-logs.json'), JSON.stringify([
+                { serviceId, status: 'healthy', checkedAt: daysAgo(31) },
+                { serviceId, status: 'healthy', checkedAt: daysAgo(29) }
+            ]));
+
+            const storage = createStorage(STORAGE_BACKENDS.FILESYSTEM, { directory });
+            await storage.connect();
+            expect(await storage.healthLogs.count()).toBe(1);
+
+            await storage.healthLogs.create({ serviceId, status: 'unhealthy' });
+            await storage.disconnect();
+
+            const saved = JSON.parse(await fs.promises.readFile(path.join(directory, 'health-logs.json'), 'utf8'));
+            expect(saved.map(log => log.status)).toEqual(['healthy', 'unhealthy']);
+        });
+    });
+});